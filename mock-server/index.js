@@ -0,0 +1,642 @@
+// 로컬 개발용 목(mock) 백엔드 서버
+// 인증(/auth)과 사용자별 할일(/todos) API를 메모리에 흉내 냅니다. 서버를 재시작하면 데이터가 초기화됩니다.
+//
+// 실행: npm run mock-server
+// 환경변수:
+//   PORT                      - 포트 (기본값: 5000)
+//   ACCESS_TOKEN_TTL_SECONDS  - 액세스 토큰 유효 시간 (기본값: 900, 토큰 갱신 흐름을 확인하려면 짧게 설정)
+//   SEED_TODO_COUNT           - 사용자마다 미리 만들어 둘 할일 개수 (기본값: 0, 대량 목록 확인용)
+//   TRASH_RETENTION_DAYS      - 삭제한 할일을 휴지통에 보관하는 기간 (기본값: 30)
+import { createServer } from 'node:http';
+import { randomBytes, randomUUID, scryptSync, timingSafeEqual } from 'node:crypto';
+import { queryTodos, parseDueFilters } from '../src/utils/todoQuery.js';
+import { getTopPosition, getPositionAfter, spreadPositions, compareByPosition, POSITION_STEP } from '../src/utils/ordering.js';
+import { normalizeTag, normalizeTags, renameTagInList, removeTagFromList, isSameTag } from '../src/utils/tags.js';
+import { normalizeReminders } from '../src/utils/reminders.js';
+import { isPurgeDue, TRASH_RETENTION_DAYS as DEFAULT_TRASH_RETENTION_DAYS } from '../src/utils/trash.js';
+
+const PORT = Number(process.env.PORT) || 5000;
+const ACCESS_TOKEN_TTL_MS = (Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 900) * 1000;
+const SEED_TODO_COUNT = Number(process.env.SEED_TODO_COUNT) || 0;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS;
+
+/** @type {Map<string, { id: string, name: string, email: string, passwordHash: string, salt: string }>} 이메일 → 사용자 */
+const usersByEmail = new Map();
+/** @type {Map<string, { userId: string, expiresAt: number }>} 액세스 토큰 → 세션 */
+const accessTokens = new Map();
+/** @type {Map<string, string>} 리프레시 토큰 → 사용자 ID */
+const refreshTokens = new Map();
+/** @type {Map<string, Array<Object>>} 사용자 ID → 할일 목록 */
+const todosByUser = new Map();
+/** @type {Map<string, Array<Object>>} 사용자 ID → 휴지통의 할일 (deletedAt 포함) */
+const trashByUser = new Map();
+/** @type {Map<string, Array<Object>>} 사용자 ID → 할일 목록(프로젝트) */
+const listsByUser = new Map();
+/** @type {Map<string, Set<import('node:http').ServerResponse>>} 사용자 ID → 변경 이벤트를 구독 중인 연결 */
+const subscribersByUser = new Map();
+
+// 변경 이벤트 연결이 끊기지 않도록 주석을 보내는 간격 (ms)
+const EVENT_KEEP_ALIVE_MS = 25000;
+
+// 응답 헬퍼
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// 클라이언트는 code로 자기 언어의 문구를 고르고, message는 code를 모르는 클라이언트를 위한 설명
+function sendError(res, status, code, message, extra = {}) {
+  sendJson(res, status, { code, message, ...extra });
+}
+
+// 요청 자체가 잘못된 경우 - 처리 중 어디서 던져도 400으로 응답
+class BadRequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new BadRequestError('INVALID_BODY', '요청 본문이 올바른 JSON이 아닙니다.');
+  }
+}
+
+// 요청 본문이 JSON 객체인지 (null, 배열, 원시값이면 필드를 검증할 수 없음)
+function isJsonObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 구독 중인 연결에 서버 전송 이벤트 보내기
+function writeEvent(res, event) {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+// 사용자의 모든 구독 연결에 변경 알림 (origin은 요청한 클라이언트, 그 클라이언트는 자기 변경을 무시)
+// 서버가 스스로 바꾼 변경은 req 없이 보내 요청한 클라이언트도 받도록 함
+function publish(userId, req, event) {
+  const origin = req?.headers['x-client-id'] || null;
+  subscribersByUser.get(userId)?.forEach(res => writeEvent(res, { ...event, origin }));
+}
+
+// 변경 이벤트 구독 (GET /events, text/event-stream) - 연결되면 ready 이벤트부터 보냄
+function handleEvents(req, res, userId) {
+  if (req.method !== 'GET') {
+    return sendError(res, 405, 'METHOD_NOT_ALLOWED', '지원하지 않는 요청입니다.');
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  writeEvent(res, { type: 'ready' });
+  const subscribers = subscribersByUser.get(userId) || new Set();
+  subscribersByUser.set(userId, subscribers);
+  subscribers.add(res);
+  const timerId = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEP_ALIVE_MS);
+  req.on('close', () => {
+    clearInterval(timerId);
+    subscribers.delete(res);
+  });
+}
+
+function hashPassword(password, salt) {
+  return scryptSync(password, salt, 32).toString('hex');
+}
+
+// 액세스/리프레시 토큰 발급
+function issueSession(user) {
+  const accessToken = randomBytes(24).toString('hex');
+  const refreshToken = randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, { userId: user.id, expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS });
+  refreshTokens.set(refreshToken, user.id);
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+    user: { id: user.id, name: user.name, email: user.email },
+  };
+}
+
+function findUserById(userId) {
+  return [...usersByEmail.values()].find(user => user.id === userId);
+}
+
+// Authorization 헤더에서 사용자 ID 확인 (만료/잘못된 토큰이면 null)
+function authenticate(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const session = scheme === 'Bearer' ? accessTokens.get(token) : null;
+  if (!session || session.expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    return null;
+  }
+  return session.userId;
+}
+
+// 할일 버전을 나타내는 엔터티 태그 (수정 시각)
+function toEntityTag(todo) {
+  return `"${todo.updatedAt}"`;
+}
+
+// If-Match / If-Unmodified-Since 조건 확인 (조건이 없으면 통과)
+function isPreconditionMet(req, todo) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    return ifMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === toEntityTag(todo));
+  }
+  const ifUnmodifiedSince = Date.parse(req.headers['if-unmodified-since'] || '');
+  if (!Number.isNaN(ifUnmodifiedSince)) {
+    // HTTP 날짜는 초 단위이므로 수정 시각도 초 단위로 비교
+    return Math.floor(Date.parse(todo.updatedAt) / 1000) * 1000 <= ifUnmodifiedSince;
+  }
+  return true;
+}
+
+// 할일 입력값 검증 - 실패 시 필드별 에러 반환 (todos: 옮길 자리(afterId)를 확인할 사용자의 할일)
+function validateTodo(data, { partial, todos = [] }) {
+  const errors = {};
+  if ((!partial || data.title !== undefined) && (typeof data.title !== 'string' || !data.title.trim())) {
+    errors.title = { code: 'TITLE_REQUIRED', message: '할일 제목은 필수입니다.' };
+  }
+  if (data.dueDate && Number.isNaN(new Date(data.dueDate).getTime())) {
+    errors.dueDate = { code: 'INVALID_DUE_DATE', message: '마감일 형식이 올바르지 않습니다.' };
+  }
+  if (data.subtasks !== undefined && (
+    !Array.isArray(data.subtasks) ||
+    data.subtasks.some(subtask => typeof subtask?.title !== 'string' || !subtask.title.trim())
+  )) {
+    errors.subtasks = { code: 'SUBTASK_TITLE_REQUIRED', message: '하위 작업 내용을 입력해주세요.' };
+  }
+  if (data.recurrence && !['daily', 'weekly', 'monthly'].includes(data.recurrence.freq)) {
+    errors.recurrence = { code: 'INVALID_RECURRENCE', message: '반복 단위가 올바르지 않습니다.' };
+  }
+  if (data.tags !== undefined && !Array.isArray(data.tags)) {
+    errors.tags = { code: 'INVALID_TAGS', message: '태그 형식이 올바르지 않습니다.' };
+  }
+  if (data.priority !== undefined && !['low', 'medium', 'high', 'urgent'].includes(data.priority)) {
+    errors.priority = { code: 'INVALID_PRIORITY', message: '우선순위가 올바르지 않습니다.' };
+  }
+  if (data.reminders !== undefined && (
+    !Array.isArray(data.reminders) || data.reminders.some(offset => !Number.isInteger(offset) || offset < 0)
+  )) {
+    errors.reminders = { code: 'INVALID_REMINDERS', message: '알림 시점이 올바르지 않습니다.' };
+  }
+  if (data.position !== undefined && !Number.isFinite(data.position)) {
+    errors.position = { code: 'INVALID_POSITION', message: '순서 값이 올바르지 않습니다.' };
+  }
+  if (data.afterId !== undefined && data.afterId !== null && !todos.some(todo => todo._id === data.afterId)) {
+    errors.position = { code: 'INVALID_POSITION', message: '순서 값이 올바르지 않습니다.' };
+  }
+  return errors;
+}
+
+// 옮길 자리(afterId, 바로 위에 올 할일 ID이고 맨 위면 null)가 있으면 전체 목록 기준으로 순서 값을 정함
+// 클라이언트는 필터/페이지로 일부만 보므로 보낸 순서 값은 화면용 추정치로 보고 무시
+// 사이에 자리가 없으면 모든 할일의 순서 값을 다시 매김 (수정 시각은 그대로 두어 다른 곳의 수정과 충돌하지 않게 함)
+function resolveMove(userId, todos, todoId, data) {
+  if (data.afterId === undefined) {
+    return data;
+  }
+  const { afterId, ...changes } = data;
+  let position = getPositionAfter(todos, todoId, afterId);
+  if (position === null) {
+    const positions = spreadPositions([...todos].sort(compareByPosition));
+    todos.forEach((todo, index) => {
+      if (todo._id !== todoId && todo.position !== positions.get(todo._id)) {
+        todos[index] = { ...todo, position: positions.get(todo._id) };
+        publish(userId, null, { type: 'upsert', todo: todos[index] });
+      }
+    });
+    position = getPositionAfter(todos, todoId, afterId);
+  }
+  return { ...changes, position };
+}
+
+// 인증 요청 처리 - 본문은 라우터에서 JSON 객체인지 확인한 뒤 넘겨줌
+const authRoutes = {
+  async '/auth/signup'(body, res) {
+    const { name, email, password } = body;
+    const errors = {};
+    if (typeof name !== 'string' || !name.trim()) errors.name = { code: 'NAME_REQUIRED', message: '이름을 입력해주세요.' };
+    if (typeof email !== 'string' || !email.includes('@')) errors.email = { code: 'INVALID_EMAIL', message: '올바른 이메일을 입력해주세요.' };
+    if (typeof password !== 'string' || password.length < 8) errors.password = { code: 'PASSWORD_TOO_SHORT', message: '비밀번호는 8자 이상이어야 합니다.' };
+    if (typeof email === 'string' && usersByEmail.has(email.toLowerCase())) errors.email = { code: 'EMAIL_TAKEN', message: '이미 가입된 이메일입니다.' };
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors });
+    }
+
+    const salt = randomBytes(16).toString('hex');
+    const user = { id: randomUUID(), name: name.trim(), email: email.toLowerCase(), salt, passwordHash: hashPassword(password, salt) };
+    usersByEmail.set(user.email, user);
+    sendJson(res, 201, issueSession(user));
+  },
+
+  async '/auth/login'(body, res) {
+    const { email, password } = body;
+    const user = usersByEmail.get(String(email || '').toLowerCase());
+    const matches = user && timingSafeEqual(
+      Buffer.from(hashPassword(String(password || ''), user.salt), 'hex'),
+      Buffer.from(user.passwordHash, 'hex')
+    );
+    if (!matches) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', '이메일 또는 비밀번호가 올바르지 않습니다.');
+    }
+    sendJson(res, 200, issueSession(user));
+  },
+
+  async '/auth/refresh'(body, res) {
+    const { refreshToken } = body;
+    const user = findUserById(refreshTokens.get(refreshToken));
+    if (!user) {
+      return sendError(res, 401, 'SESSION_EXPIRED', '세션이 만료되었습니다. 다시 로그인해주세요.');
+    }
+    // 리프레시 토큰은 한 번만 사용 (교체)
+    refreshTokens.delete(refreshToken);
+    sendJson(res, 200, issueSession(user));
+  },
+
+  async '/auth/logout'(body, res) {
+    const { refreshToken } = body;
+    refreshTokens.delete(refreshToken);
+    sendJson(res, 204);
+  },
+};
+
+// 대량 목록 확인용 샘플 할일 생성
+function createSeedTodos(count) {
+  const now = Date.now();
+  return Array.from({ length: count }, (_, index) => {
+    const createdAt = new Date(now - index * 60 * 60 * 1000).toISOString();
+    return {
+      _id: randomBytes(12).toString('hex'),
+      title: `샘플 할일 ${count - index}`,
+      description: index % 3 === 0 ? `대량 목록 확인용 설명 ${count - index}` : '',
+      dueDate: index % 4 === 0 ? null : new Date(now + (index % 20 - 10) * 24 * 60 * 60 * 1000).toISOString(),
+      isCompleted: index % 5 === 0,
+      position: index * POSITION_STEP,
+      createdAt,
+      updatedAt: createdAt,
+    };
+  });
+}
+
+// 목록별 할일 개수
+function countTodos(todos, listId) {
+  const inList = todos.filter(todo => (todo.listId || null) === listId);
+  return { total: inList.length, pending: inList.filter(todo => !todo.isCompleted).length };
+}
+
+// 할일 목록(프로젝트) 조회/생성/수정 - 삭제 대신 보관(isArchived)
+async function handleLists(req, res, url, userId) {
+  const lists = listsByUser.get(userId) || [];
+  listsByUser.set(userId, lists);
+  const todos = todosByUser.get(userId) || [];
+  const [, , id] = url.pathname.split('/').map(segment => decodeURIComponent(segment));
+
+  if (!id && req.method === 'GET') {
+    const items = lists.map(list => {
+      const { total, pending } = countTodos(todos, list._id);
+      return { ...list, todoCount: total, pendingCount: pending };
+    });
+    return sendJson(res, 200, { items, inbox: countTodos(todos, null) });
+  }
+
+  if (!id && req.method === 'POST') {
+    const data = await readBody(req);
+    if (!isJsonObject(data)) {
+      return sendError(res, 400, 'INVALID_BODY', '요청 본문은 JSON 객체여야 합니다.');
+    }
+    const { name } = data;
+    if (typeof name !== 'string' || !name.trim()) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors: { name: { code: 'LIST_NAME_REQUIRED', message: '목록 이름을 입력해주세요.' } } });
+    }
+    const now = new Date().toISOString();
+    const list = {
+      _id: randomBytes(12).toString('hex'),
+      name: name.trim(),
+      position: lists.reduce((max, item) => Math.max(max, item.position), 0) + 1,
+      isArchived: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+    lists.push(list);
+    publish(userId, req, { type: 'lists' });
+    return sendJson(res, 201, list);
+  }
+
+  const index = lists.findIndex(list => list._id === id);
+  if (id && index === -1) {
+    return sendError(res, 404, 'LIST_NOT_FOUND', '목록을 찾을 수 없습니다.');
+  }
+
+  if (id && req.method === 'PATCH') {
+    const data = await readBody(req);
+    if (!isJsonObject(data)) {
+      return sendError(res, 400, 'INVALID_BODY', '요청 본문은 JSON 객체여야 합니다.');
+    }
+    if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors: { name: { code: 'LIST_NAME_REQUIRED', message: '목록 이름을 입력해주세요.' } } });
+    }
+    const changes = {};
+    if (data.name !== undefined) changes.name = data.name.trim();
+    if (data.isArchived !== undefined) changes.isArchived = Boolean(data.isArchived);
+    if (Number.isFinite(data.position)) changes.position = data.position;
+    lists[index] = { ...lists[index], ...changes, updatedAt: new Date().toISOString() };
+    publish(userId, req, { type: 'lists' });
+    return sendJson(res, 200, lists[index]);
+  }
+
+  sendError(res, 405, 'METHOD_NOT_ALLOWED', '지원하지 않는 요청입니다.');
+}
+
+// 사용자의 모든 할일에 태그 이름 변경(병합)/삭제 적용
+async function handleTags(req, res, url, userId) {
+  const todos = todosByUser.get(userId) || [];
+  const name = normalizeTag(decodeURIComponent(url.pathname.split('/')[2] || ''));
+  let nextName = '';
+  if (req.method === 'PATCH') {
+    const data = await readBody(req);
+    if (!isJsonObject(data)) {
+      return sendError(res, 400, 'INVALID_BODY', '요청 본문은 JSON 객체여야 합니다.');
+    }
+    nextName = normalizeTag(data.name);
+    if (!nextName) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors: { name: { code: 'TAG_NAME_REQUIRED', message: '새 태그 이름을 입력해주세요.' } } });
+    }
+  } else if (req.method !== 'DELETE') {
+    return sendError(res, 405, 'METHOD_NOT_ALLOWED', '지원하지 않는 요청입니다.');
+  }
+
+  const now = new Date().toISOString();
+  let updated = 0;
+  todos.forEach((todo, index) => {
+    if (!(todo.tags || []).some(tag => isSameTag(tag, name))) {
+      return;
+    }
+    const tags = nextName ? renameTagInList(todo.tags, name, nextName) : removeTagFromList(todo.tags, name);
+    todos[index] = { ...todo, tags, updatedAt: now };
+    publish(userId, req, { type: 'upsert', todo: todos[index] });
+    updated += 1;
+  });
+  sendJson(res, 200, { updated });
+}
+
+async function handleTodos(req, res, url, userId) {
+  const todos = todosByUser.get(userId) || createSeedTodos(SEED_TODO_COUNT);
+  todosByUser.set(userId, todos);
+  // 보관 기간이 지난 휴지통 항목은 요청이 올 때 정리
+  const trash = (trashByUser.get(userId) || []).filter(todo => !isPurgeDue(todo, TRASH_RETENTION_DAYS));
+  trashByUser.set(userId, trash);
+  const [, , id, action] = url.pathname.split('/').map(segment => decodeURIComponent(segment));
+
+  // 할일을 휴지통으로 옮김 (영구 삭제는 ?permanent=true 또는 휴지통에서)
+  const moveToTrash = (index) => {
+    const [todo] = todos.splice(index, 1);
+    trash.unshift({ ...todo, deletedAt: new Date().toISOString() });
+    publish(userId, req, { type: 'delete', id: todo._id });
+  };
+
+  if (id === 'trash') {
+    if (req.method === 'GET') {
+      return sendJson(res, 200, { items: trash, retentionDays: TRASH_RETENTION_DAYS });
+    }
+    if (req.method === 'DELETE') {
+      trash.length = 0;
+      return sendJson(res, 204);
+    }
+    return sendError(res, 405, 'METHOD_NOT_ALLOWED', '지원하지 않는 요청입니다.');
+  }
+
+  if (id && action === 'restore' && req.method === 'POST') {
+    const trashIndex = trash.findIndex(todo => todo._id === id);
+    if (trashIndex === -1) {
+      return sendError(res, 404, 'NOT_IN_TRASH', '휴지통에 없는 할일입니다.');
+    }
+    const todo = { ...trash.splice(trashIndex, 1)[0], deletedAt: null };
+    todos.unshift(todo);
+    publish(userId, req, { type: 'upsert', todo });
+    return sendJson(res, 200, todo);
+  }
+
+  if (!id && req.method === 'GET') {
+    const isCompleted = url.searchParams.get('isCompleted');
+    const filtered = isCompleted === null ? todos : todos.filter(todo => String(todo.isCompleted) === isCompleted);
+    // 검색/마감일 필터/정렬은 화면과 같은 규칙 사용
+    const result = queryTodos(filtered, {
+      q: url.searchParams.get('q') || '',
+      due: parseDueFilters(url.searchParams.get('due')),
+      tag: url.searchParams.get('tag') || '',
+      list: url.searchParams.get('listId') || '',
+      priority: url.searchParams.get('priority') || '',
+      sort: url.searchParams.get('sort') || '',
+    });
+    // limit이 없으면 예전처럼 배열 전체, 있으면 커서(다음 시작 위치) 기반 페이지로 응답
+    const limit = Number(url.searchParams.get('limit'));
+    if (!limit) {
+      return sendJson(res, 200, result);
+    }
+    const start = Number(url.searchParams.get('cursor')) || 0;
+    const end = start + limit;
+    res.setHeader('X-Total-Count', String(result.length));
+    return sendJson(res, 200, {
+      items: result.slice(start, end),
+      nextCursor: end < result.length ? String(end) : null,
+      total: result.length,
+    });
+  }
+
+  if (!id && req.method === 'POST') {
+    const data = await readBody(req);
+    if (!isJsonObject(data)) {
+      return sendError(res, 400, 'INVALID_BODY', '요청 본문은 JSON 객체여야 합니다.');
+    }
+    const errors = validateTodo(data, { partial: false });
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors });
+    }
+    const now = new Date().toISOString();
+    const todo = {
+      _id: randomBytes(12).toString('hex'),
+      title: data.title.trim(),
+      description: data.description || '',
+      dueDate: data.dueDate || null,
+      isCompleted: Boolean(data.isCompleted),
+      subtasks: data.subtasks || [],
+      autoComplete: Boolean(data.autoComplete),
+      recurrence: data.recurrence || null,
+      tags: normalizeTags(data.tags),
+      priority: data.priority || 'medium',
+      reminders: normalizeReminders(data.reminders),
+      listId: data.listId || null,
+      // 순서 값이 없으면 맨 위
+      position: data.position ?? getTopPosition(todos),
+      createdAt: now,
+      updatedAt: now,
+    };
+    todos.unshift(todo);
+    publish(userId, req, { type: 'upsert', todo });
+    return sendJson(res, 201, todo);
+  }
+
+  // 일괄 수정/삭제 - 일부만 실패할 수 있으므로 항목별 상태 코드를 요청 순서대로 응답
+  if (id === 'batch' && req.method === 'POST') {
+    const body = await readBody(req);
+    const operations = isJsonObject(body) ? body.operations : undefined;
+    if (!Array.isArray(operations) || !operations.every(isJsonObject)) {
+      return sendError(res, 400, 'BATCH_REQUIRED', '일괄 처리할 요청 목록이 필요합니다.');
+    }
+    const results = operations.map(({ type, id: todoId, data = {} }) => {
+      const todoIndex = todos.findIndex(todo => todo._id === todoId);
+      if (todoIndex === -1) {
+        return { id: todoId, status: 404, body: { code: 'TODO_NOT_FOUND', message: '할일을 찾을 수 없습니다.' } };
+      }
+      if (type === 'delete') {
+        moveToTrash(todoIndex);
+        return { id: todoId, status: 204 };
+      }
+      if (type !== 'update') {
+        return { id: todoId, status: 400, body: { code: 'METHOD_NOT_ALLOWED', message: '지원하지 않는 요청입니다.' } };
+      }
+      if (!isJsonObject(data)) {
+        return { id: todoId, status: 400, body: { code: 'INVALID_BODY', message: '요청 본문은 JSON 객체여야 합니다.' } };
+      }
+      const errors = validateTodo(data, { partial: true, todos });
+      if (Object.keys(errors).length > 0) {
+        return { id: todoId, status: 400, body: { code: 'VALIDATION_FAILED', message: '입력값을 확인해주세요.', errors } };
+      }
+      const changes = resolveMove(userId, todos, todoId, data);
+      todos[todoIndex] = { ...todos[todoIndex], ...changes, _id: todoId, updatedAt: new Date().toISOString() };
+      publish(userId, req, { type: 'upsert', todo: todos[todoIndex] });
+      return { id: todoId, status: 200, todo: todos[todoIndex] };
+    });
+    return sendJson(res, 200, { results });
+  }
+
+  // 휴지통에 있는 할일 영구 삭제
+  const trashIndex = trash.findIndex(todo => todo._id === id);
+  if (trashIndex !== -1 && req.method === 'DELETE') {
+    trash.splice(trashIndex, 1);
+    return sendJson(res, 204);
+  }
+
+  const index = todos.findIndex(todo => todo._id === id);
+  if (id && index === -1) {
+    return sendError(res, 404, 'TODO_NOT_FOUND', '할일을 찾을 수 없습니다.');
+  }
+
+  if (id && req.method === 'GET') {
+    res.setHeader('ETag', toEntityTag(todos[index]));
+    return sendJson(res, 200, todos[index]);
+  }
+
+  if (id && req.method === 'PATCH') {
+    const data = await readBody(req);
+    if (!isJsonObject(data)) {
+      return sendError(res, 400, 'INVALID_BODY', '요청 본문은 JSON 객체여야 합니다.');
+    }
+    // 불러온 뒤 다른 곳에서 수정됐으면 덮어쓰지 않고 최신 내용과 함께 412
+    if (!isPreconditionMet(req, todos[index])) {
+      return sendError(res, 412, 'CONFLICT', '다른 곳에서 먼저 수정된 할일입니다.', { current: todos[index] });
+    }
+    const errors = validateTodo(data, { partial: true, todos });
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 400, 'VALIDATION_FAILED', '입력값을 확인해주세요.', { errors });
+    }
+    const changes = resolveMove(userId, todos, id, data);
+    todos[index] = { ...todos[index], ...changes, _id: id, updatedAt: new Date().toISOString() };
+    publish(userId, req, { type: 'upsert', todo: todos[index] });
+    res.setHeader('ETag', toEntityTag(todos[index]));
+    return sendJson(res, 200, todos[index]);
+  }
+
+  if (id && req.method === 'DELETE') {
+    if (url.searchParams.get('permanent') === 'true') {
+      todos.splice(index, 1);
+      publish(userId, req, { type: 'delete', id });
+    } else {
+      moveToTrash(index);
+    }
+    return sendJson(res, 204);
+  }
+
+  sendError(res, 405, 'METHOD_NOT_ALLOWED', '지원하지 않는 요청입니다.');
+}
+
+const server = createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Client-Id,If-Match,If-Unmodified-Since');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id,X-Total-Count,ETag');
+  res.setHeader('X-Request-Id', randomUUID());
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  try {
+    const authRoute = req.method === 'POST' && authRoutes[url.pathname];
+    if (authRoute) {
+      const body = await readBody(req);
+      if (!isJsonObject(body)) {
+        return sendError(res, 400, 'VALIDATION_FAILED', '요청 본문은 JSON 객체여야 합니다.');
+      }
+      return await authRoute(body, res);
+    }
+
+    if (url.pathname === '/todos' || url.pathname.startsWith('/todos/')) {
+      const userId = authenticate(req);
+      if (!userId) {
+        return sendError(res, 401, 'UNAUTHORIZED', '인증이 필요합니다.');
+      }
+      return await handleTodos(req, res, url, userId);
+    }
+
+    if (url.pathname === '/lists' || url.pathname.startsWith('/lists/')) {
+      const userId = authenticate(req);
+      if (!userId) {
+        return sendError(res, 401, 'UNAUTHORIZED', '인증이 필요합니다.');
+      }
+      return await handleLists(req, res, url, userId);
+    }
+
+    if (url.pathname === '/events') {
+      const userId = authenticate(req);
+      if (!userId) {
+        return sendError(res, 401, 'UNAUTHORIZED', '인증이 필요합니다.');
+      }
+      return handleEvents(req, res, userId);
+    }
+
+    if (url.pathname.startsWith('/tags/')) {
+      const userId = authenticate(req);
+      if (!userId) {
+        return sendError(res, 401, 'UNAUTHORIZED', '인증이 필요합니다.');
+      }
+      return await handleTags(req, res, url, userId);
+    }
+
+    sendError(res, 404, 'NOT_FOUND', '요청한 리소스를 찾을 수 없습니다.');
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return sendError(res, 400, error.code, error.message);
+    }
+    console.error(error);
+    sendError(res, 500, 'SERVER_ERROR', '서버 내부 오류가 발생했습니다.');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`목 서버 실행 중: http://localhost:${PORT}`);
+});
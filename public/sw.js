@@ -0,0 +1,269 @@
+// 서비스 워커 - 앱 셸 캐시, 할일 목록 캐시, 백그라운드 동기화, 마감 알림
+// - 빌드한 앱 파일을 설치할 때 미리 받아 두어 서버 없이도 앱 화면이 열림
+// - GET /todos는 캐시한 응답을 바로 돌려주고 뒤에서 새로 받아 캐시를 갱신 (stale-while-revalidate)
+//   할일을 바꾸는 요청이 성공하면 목록 캐시를 지워 다음 조회는 서버에서 새로 받음
+// - 새 빌드가 배포되면 새 워커는 대기하고, 페이지가 업데이트 안내에서 허락하면 교체됨
+// - 오프라인 변경 대기열은 페이지(localStorage)에 있으므로, 연결이 돌아왔다는 sync 이벤트를 받으면 열려 있는 앱 창에 전송을 맡김
+// - 페이지가 보내 준 알림 일정을 받아 두었다가 시각이 되면 알림을 띄우고, 알림을 누르면 해당 할일을 엽니다
+//   (알림 예약(Notification Triggers)을 지원하는 브라우저는 서비스 워커가 잠들어 있어도 알림이 울림)
+
+// 빌드할 때 vite.config.ts가 { version, assets }로 바꿔 넣음 (개발 서버에서는 미리 받아 둘 파일 없음)
+const BUILD_MANIFEST = self.__BUILD_MANIFEST__ ?? { version: 'dev', assets: [] };
+
+const SHELL_CACHE_PREFIX = 'vibe-todo-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${BUILD_MANIFEST.version}`;
+const API_CACHE = 'vibe-todo-api';
+// 페이지의 requestBackgroundSync와 같은 값
+const SYNC_TAG = 'vibe-todo:mutations';
+// 앱 창이 대기열 전송 결과를 알려 주기를 기다리는 최대 시간
+const REPLAY_TIMEOUT = 30000;
+
+// setTimeout으로 기다릴 수 있는 최대 시간 (약 24.8일)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// 성공한 할일 변경 횟수 - 변경 전에 보낸 목록 조회의 응답이 지운 캐시를 다시 채우지 않도록 비교
+let mutationCount = 0;
+
+// 타이머로 예약한 알림 (알림 키 → 타이머 ID)
+const reminderTimers = new Map();
+
+// 워커에 Notification이 없는 브라우저도 있어 먼저 확인 (여기서 오류가 나면 워커 전체가 동작하지 않음)
+const supportsTriggers = typeof Notification !== 'undefined' &&
+  'showTrigger' in Notification.prototype &&
+  'TimestampTrigger' in self;
+
+// public 폴더에서 그대로 복사되는 파일 (빌드 결과 목록에는 없음)
+const STATIC_ASSETS = ['/', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+const hasShell = BUILD_MANIFEST.assets.length > 0;
+const shellUrls = new Set([...STATIC_ASSETS, ...BUILD_MANIFEST.assets].map(path => new URL(path, self.location.origin).href));
+
+// 앱 셸 미리 받기 - 처음 설치하면 바로 활성화하고, 업데이트면 페이지가 허락할 때까지 대기
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    if (hasShell) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll([...shellUrls]);
+    }
+    if (!self.registration.active) {
+      await self.skipWaiting();
+    }
+  })());
+});
+
+// 이전 빌드의 셸 캐시 정리
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+  windowClients.forEach(client => client.postMessage(message));
+}
+
+// 사용자 구분 값 (Authorization 헤더의 해시)
+async function getUserHash(request) {
+  const auth = request.headers.get('Authorization') ?? '';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(auth));
+  return [...new Uint8Array(digest).slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 사용자마다 따로 캐시하도록 사용자 구분 값을 캐시 키 주소에 붙임
+async function getApiCacheKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.set('__user', await getUserHash(request));
+  return url.href;
+}
+
+// 할일을 바꾼 요청이 성공하면 그 사용자의 목록 캐시를 지움
+// (남겨 두면 바로 다음 목록 조회가 바뀌기 전 응답을 먼저 보여 줘 목록이 잠깐 되돌아감)
+async function invalidateAfterMutation(request) {
+  const user = await getUserHash(request);
+  const response = await fetch(request);
+  if (response.ok) {
+    mutationCount += 1;
+    const cache = await caches.open(API_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys
+      .filter(key => new URL(key.url).searchParams.get('__user') === user)
+      .map(key => cache.delete(key)));
+  }
+  return response;
+}
+
+// 캐시가 있으면 바로 돌려주고 뒤에서 새로 받아 갱신 - 내용이 바뀌었으면 페이지에 알려 다시 불러오게 함
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(API_CACHE);
+  const cacheKey = await getApiCacheKey(request);
+  const cached = await cache.match(cacheKey);
+
+  const countAtRequest = mutationCount;
+  const revalidate = fetch(request).then(async (response) => {
+    if (response.ok && countAtRequest === mutationCount) {
+      const isChanged = cached && (await cached.clone().text()) !== (await response.clone().text());
+      await cache.put(cacheKey, response.clone());
+      if (isChanged) {
+        await notifyClients({ type: 'TODOS_REVALIDATED' });
+      }
+    }
+    return response;
+  });
+
+  if (!cached) {
+    return revalidate;
+  }
+  event.waitUntil(revalidate.catch(() => {}));
+  return cached;
+}
+
+// 캐시 우선 - 셸 파일은 빌드마다 캐시 이름이 달라 오래된 파일이 섞이지 않음
+async function cacheFirst(request, cacheKey = request) {
+  const cached = await caches.match(cacheKey, { cacheName: SHELL_CACHE });
+  return cached ?? fetch(request);
+}
+
+// 할일 목록 조회 (GET /todos?...) - 할일 하나나 휴지통 조회는 캐시하지 않음
+function isTodoListRequest(request, url) {
+  return request.method === 'GET' && url.pathname.endsWith('/todos');
+}
+
+// 할일 추가/수정/삭제 (POST/PATCH/DELETE /todos, /todos/:id, /todos/batch 등)
+function isTodoMutationRequest(request, url) {
+  return !['GET', 'HEAD'].includes(request.method) && /\/todos(\/|$)/.test(url.pathname);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (isTodoListRequest(request, url)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (isTodoMutationRequest(request, url)) {
+    event.respondWith(invalidateAfterMutation(request));
+    return;
+  }
+  if (!hasShell || request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+  // 주소창으로 연 화면(/todos/:id, /trash 등)은 모두 같은 index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(cacheFirst(request, '/'));
+  } else if (shellUrls.has(url.href)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * 열려 있는 앱 창에 대기열 전송을 맡기고 결과를 기다림
+ * @returns {Promise<number|null>} 남은 대기 요청 수 (응답이 없으면 null)
+ */
+function askClientToReplay(client) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timerId = setTimeout(() => resolve(null), REPLAY_TIMEOUT);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timerId);
+      resolve(event.data?.remaining ?? 0);
+    };
+    client.postMessage({ type: 'REPLAY_QUEUE' }, [channel.port2]);
+  });
+}
+
+// 연결이 돌아오면(백그라운드 탭 포함) 앱 창이 대기열을 보내도록 요청
+// 창이 없거나 아직 남은 요청이 있으면 실패로 끝내 브라우저가 나중에 다시 sync 이벤트를 보내게 함
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) {
+    return;
+  }
+  event.waitUntil((async () => {
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    if (windowClients.length === 0) {
+      throw new Error('대기열을 보낼 앱 창이 없습니다');
+    }
+    // 대기열은 창끼리 공유하므로 한 창에만 맡김 (같은 요청을 두 번 보내지 않도록)
+    const client = windowClients.find(c => c.focused) ??
+      windowClients.find(c => c.visibilityState === 'visible') ??
+      windowClients[0];
+    const remaining = await askClientToReplay(client);
+    if (remaining !== 0) {
+      throw new Error('아직 보내지 못한 변경이 있습니다');
+    }
+  })());
+});
+
+// 같은 알림 키(tag)로 띄우면 페이지가 이미 띄운 알림을 덮어써 두 번 울리지 않음
+function showReminder(reminder, options = {}) {
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.key,
+    data: { url: reminder.url },
+    ...options,
+  });
+}
+
+/**
+ * 알림 일정 교체
+ * @param {Array<{ key: string, title: string, body: string, url: string, at: number }>} reminders - 앞으로 울릴 알림
+ */
+async function scheduleReminders(reminders) {
+  reminderTimers.forEach(timerId => clearTimeout(timerId));
+  reminderTimers.clear();
+  const upcoming = reminders.filter(reminder => reminder.at > Date.now());
+
+  if (supportsTriggers) {
+    // 일정에서 빠진(완료, 삭제, 마감일 변경) 예약 알림 취소
+    const keys = new Set(upcoming.map(reminder => reminder.key));
+    const scheduled = await self.registration.getNotifications({ includeTriggered: true });
+    scheduled
+      .filter(notification => notification.showTrigger && !keys.has(notification.tag))
+      .forEach(notification => notification.close());
+    await Promise.all(upcoming.map(reminder =>
+      showReminder(reminder, { showTrigger: new self.TimestampTrigger(reminder.at) })
+    ));
+    return;
+  }
+
+  upcoming.forEach(reminder => {
+    const delay = reminder.at - Date.now();
+    if (delay < MAX_TIMER_DELAY) {
+      reminderTimers.set(reminder.key, setTimeout(() => showReminder(reminder), delay));
+    }
+  });
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SCHEDULE_REMINDERS') {
+    event.waitUntil(scheduleReminders(event.data.reminders ?? []));
+  } else if (event.data?.type === 'SKIP_WAITING') {
+    // 업데이트 안내에서 새로고침을 누름
+    self.skipWaiting();
+  } else if (event.data?.type === 'CLEAR_API_CACHE') {
+    // 로그아웃 - 다른 사람이 캐시된 목록을 볼 수 없도록 삭제
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// 알림을 누르면 열려 있는 앱 창으로 이동하고, 없으면 새 창으로 열기
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windowClients.find(item => new URL(item.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'OPEN_URL', url });
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
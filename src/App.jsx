@@ -1,430 +1,2358 @@
-import { useState, useEffect } from 'react';
-import { fetchTodos, createTodo, updateTodo, deleteTodo } from './api/todoApi';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  fetchTodos,
+  fetchTodoPage,
+  fetchTodo,
+  createTodo,
+  updateTodo,
+  deleteTodo,
+  batchTodos,
+  fetchTrash,
+  restoreTodo,
+  purgeTodo,
+  emptyTrash,
+  renameTag,
+  deleteTag,
+  fetchLists,
+  createList,
+  updateList,
+  isNetworkError,
+  isAbortError,
+  isRetryableError,
+  AuthError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from './api/todoApi';
+import { loadCachedTodos, saveFetchedTodos, upsertCachedTodo, removeCachedTodo, filterTodos } from './offline/todoCache';
+import { loadCachedLists, saveCachedLists } from './offline/listCache';
+import { publishTabChange } from './offline/tabSync';
+import { requestBackgroundSync } from './offline/serviceWorker';
+import { getQueue, enqueueMutation, applyQueueToTodos, replayQueue, createTempId } from './offline/mutationQueue';
+import { useOnlineStatus } from './hooks/useOnlineStatus';
+import { useAuth } from './auth/AuthContext';
+import { useLocation, navigate, matchPath, buildUrl } from './router/router';
+import TodoItem from './components/TodoItem';
+import TodoEditForm from './components/TodoEditForm';
+import TodoDetail from './components/TodoDetail';
+import VirtualList from './components/VirtualList';
+import RecurrenceFields from './components/RecurrenceFields';
+import ReminderFields from './components/ReminderFields';
+import TagInput from './components/TagInput';
+import TagManager from './components/TagManager';
+import ListSidebar from './components/ListSidebar';
+import BulkActionBar from './components/BulkActionBar';
+import BulkResultSummary from './components/BulkResultSummary';
+import UndoToast from './components/UndoToast';
+import TrashView from './components/TrashView';
+import ImportExportPanel from './components/ImportExportPanel';
+import CalendarView from './components/CalendarView';
+import AgendaView from './components/AgendaView';
+import ConflictMergeDialog from './components/ConflictMergeDialog';
+import QuickAddPreview from './components/QuickAddPreview';
+import CommandPalette from './components/CommandPalette';
+import ShortcutHelp from './components/ShortcutHelp';
+import StatsDashboard from './components/StatsDashboard';
+import AppHeader from './components/AppHeader';
+import ErrorBanner from './components/ErrorBanner';
+import { queryTodos, getSearchTerms, parseDueFilters, SORT_OPTIONS, DUE_FILTERS } from './utils/todoQuery';
+import { normalizeSubtasks, getSubtaskProgress, shouldAutoComplete, toggleSubtask, createSubtask } from './utils/subtasks';
+import { normalizeRecurrence, getNextOccurrence, advanceRecurrence } from './utils/recurrence';
+import {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  collectTags,
+  isSameTag,
+  renameTagInList,
+  removeTagFromList,
+  getPriority,
+  normalizeTags,
+} from './utils/tags';
+import { INBOX_LIST_ID, sortLists, countTodosByList } from './utils/lists';
+import { getPosition, getMovedPosition } from './utils/ordering';
+import { useDebouncedValue } from './hooks/useDebouncedValue';
+import { useDragReorder } from './hooks/useDragReorder';
+import { useUndoHistory } from './hooks/useUndoHistory';
+import { useReminders } from './hooks/useReminders';
+import { useRealtimeSync } from './hooks/useRealtimeSync';
+import { useAppCommands } from './hooks/useAppCommands';
+import { useStatsData } from './hooks/useStatsData';
+import { useBackgroundSync } from './hooks/useBackgroundSync';
+import { normalizeReminders } from './utils/reminders';
+import { toEditingData, mergeEditingData } from './utils/todoMerge';
+import { validateTodoInput } from './utils/todoValidation';
+import { parseQuickAdd } from './utils/quickAdd';
+import { toDateTimeLocalValue } from './utils/date';
+import { TRASH_RETENTION_DAYS } from './utils/trash';
+import { loadPreferences, savePreferences } from './offline/preferences';
+import { useI18n } from './i18n/useI18n';
+import { translateError, translateFieldErrors, translateFieldCodes, describeRejectedMutations } from './i18n/errors';
 import './App.css';
 
+// 할일 보기 방식
+const VIEW_MODES = [
+  { value: 'list', labelKey: 'viewModes.list' },
+  { value: 'calendar', labelKey: 'viewModes.calendar' },
+  { value: 'agenda', labelKey: 'viewModes.agenda' },
+];
+
+// 서버 연결이 끊긴 동안 재연결을 시도하는 간격 (ms)
+const RECONNECT_INTERVAL = 30000;
+
+// 서버 호출 결과를 로컬 캐시에도 반영하는 API 핸들러 (즉시 요청과 오프라인 큐 재전송에서 함께 사용)
+const remoteHandlers = {
+  create: async (data) => {
+    const createdTodo = await createTodo(data.title, data.description, data.dueDate, data.isCompleted, {
+      subtasks: data.subtasks,
+      autoComplete: data.autoComplete,
+      recurrence: data.recurrence,
+      tags: data.tags,
+      priority: data.priority,
+      reminders: data.reminders,
+      listId: data.listId,
+      position: data.position,
+    });
+    upsertCachedTodo(createdTodo);
+    publishTabChange({ type: 'upsert', todo: createdTodo });
+    return createdTodo;
+  },
+  // baseVersion을 주면 그 사이 다른 곳에서 수정됐을 때 ConflictError (오프라인 큐 재전송은 조건 없이 덮어씀)
+  update: async (id, data, baseVersion) => {
+    const updatedTodo = await updateTodo(id, data, { baseVersion });
+    upsertCachedTodo(updatedTodo);
+    publishTabChange({ type: 'upsert', todo: updatedTodo });
+    return updatedTodo;
+  },
+  delete: async (id) => {
+    await deleteTodo(id);
+    removeCachedTodo(id);
+    publishTabChange({ type: 'delete', id });
+  },
+  // 휴지통에서 되살리기 - 휴지통이 없는 서버이거나 이미 영구 삭제됐으면 삭제 전 내용으로 다시 만듦 (ID가 바뀜)
+  restore: async (id, todo) => {
+    let restoredTodo;
+    try {
+      restoredTodo = await restoreTodo(id);
+    } catch (error) {
+      const isUnsupported = error instanceof NotFoundError || error?.status === 405;
+      if (!isUnsupported) {
+        throw error;
+      }
+      return remoteHandlers.create(todo);
+    }
+    upsertCachedTodo(restoredTodo);
+    publishTabChange({ type: 'upsert', todo: restoredTodo });
+    return restoredTodo;
+  },
+  // 연결 문제나 인증 만료는 다시 로그인/연결된 뒤 재전송할 수 있도록 큐에 남겨둠
+  isTransientError: (error) => isNetworkError(error) || error instanceof AuthError,
+};
+
+// 실시간 변경을 받은 뒤 목록별 개수를 새로 받기까지 대기 시간 (ms)
+const LIST_REFRESH_DELAY = 500;
+
+// 목록 필터 값 (주소의 ?filter= 값이 올바르지 않으면 전체)
+const FILTERS = ['all', 'pending', 'completed'];
+
+// 검색어 입력 후 목록에 반영하기까지 대기 시간 (ms)
+const SEARCH_DEBOUNCE_MS = 300;
+
+// 목록을 한 번에 불러오는 개수
+const PAGE_SIZE = 50;
+
+// 수정 폼 초기값
+const EMPTY_EDITING_DATA = {
+  title: '',
+  description: '',
+  dueDate: '',
+  isCompleted: false,
+  subtasks: [],
+  autoComplete: false,
+  recurrence: null,
+  tags: [],
+  priority: DEFAULT_PRIORITY,
+  reminders: [],
+};
+
+// 되돌릴 때 값이 없던 필드에 넣을 빈 값
+const EMPTY_FIELD_VALUES = {
+  description: '',
+  isCompleted: false,
+  subtasks: [],
+  autoComplete: false,
+  tags: [],
+  priority: DEFAULT_PRIORITY,
+  reminders: [],
+};
+
+/**
+ * 수정하기 전 값 (실행 취소용)
+ * @param {import('./api/todoApi').TodoItem} todo - 수정 전 할일
+ * @param {string[]} keys - 수정한 필드
+ * @returns {Object} 필드별 이전 값 (없던 필드는 빈 값)
+ */
+function pickPreviousValues(todo, keys) {
+  return Object.fromEntries(keys.map(key => [key, todo[key] ?? EMPTY_FIELD_VALUES[key] ?? null]));
+}
+
+// 여러 작업이 모두 성공했는지 (실행 취소/다시 실행용)
+async function everySucceeded(tasks) {
+  return (await Promise.all(tasks)).every(Boolean);
+}
+
+// 큐 항목 형식의 변경 요청을 서버로 전송
+function sendMutation(mutation) {
+  if (mutation.type === 'create') {
+    return remoteHandlers.create(mutation.data);
+  }
+  if (mutation.type === 'update') {
+    return remoteHandlers.update(mutation.todoId, mutation.data, mutation.baseVersion);
+  }
+  if (mutation.type === 'restore') {
+    return remoteHandlers.restore(mutation.todoId, mutation.data);
+  }
+  return remoteHandlers.delete(mutation.todoId);
+}
+
 function App() {
+  const { user, logout } = useAuth();
+  const { t } = useI18n();
   // 할일 목록 상태
   const [todos, setTodos] = useState([]);
   // 새 할일 입력 상태
   const [titleInput, setTitleInput] = useState('');
   const [descriptionInput, setDescriptionInput] = useState('');
   const [dueDateInput, setDueDateInput] = useState('');
+  const [recurrenceInput, setRecurrenceInput] = useState(null);
+  const [tagsInput, setTagsInput] = useState([]);
+  const [priorityInput, setPriorityInput] = useState(DEFAULT_PRIORITY);
+  const [remindersInput, setRemindersInput] = useState([]);
+  const [listInput, setListInput] = useState(INBOX_LIST_ID);
+  // 할일 목록(프로젝트)과 받은 할일함 개수 (마지막으로 받은 값을 먼저 표시)
+  const [listData, setListData] = useState(() => loadCachedLists() ?? { lists: [], inboxCount: null });
+  const [isUpdatingLists, setIsUpdatingLists] = useState(false);
+  // 태그 관리 패널 표시 여부와 태그 일괄 변경 진행 상태
+  const [isTagManagerOpen, setIsTagManagerOpen] = useState(false);
+  const [isImportExportOpen, setIsImportExportOpen] = useState(false);
+  // 사용자별로 기억하는 보기 방식 (목록/달력/일정, 달력 월/주)
+  const [preferences, setPreferences] = useState(loadPreferences);
+  // 빠른 입력 모드일 때 제목 입력을 해석한 결과 (미리보기와 추가에 사용)
+  const quickAddResult = useMemo(
+    () => (preferences.quickAdd ? parseQuickAdd(titleInput) : null),
+    [preferences.quickAdd, titleInput],
+  );
+  // 가져오기 진행 상황 ({ done, total, failed })
+  const [importProgress, setImportProgress] = useState(null);
+  const [isUpdatingTags, setIsUpdatingTags] = useState(false);
+  // 여러 할일 선택과 일괄 작업
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [isBulkBusy, setIsBulkBusy] = useState(false);
+  const [bulkSummary, setBulkSummary] = useState(null);
+  // Shift 범위 선택의 시작점 (마지막으로 누른 할일)
+  const selectionAnchorRef = useRef(null);
   // 수정 중인 할일 ID
   const [editingTodoId, setEditingTodoId] = useState(null);
   // 수정 중인 내용
-  const [editingData, setEditingData] = useState({ title: '', description: '', dueDate: '', isCompleted: false });
-  // 로딩 상태
+  const [editingData, setEditingData] = useState(EMPTY_EDITING_DATA);
+  // 수정 중인 할일이 다른 곳에서 바뀌었다는 안내 { todoId, type: 'updated'|'deleted', todo? }
+  const [remoteEditNotice, setRemoteEditNotice] = useState(null);
+  // 수정을 시작할 때의 할일 (저장할 때 그 사이 다른 곳에서 바뀌었는지 확인하는 기준)
+  const [editingBase, setEditingBase] = useState(null);
+  // 저장하려는데 다른 곳에서 먼저 바뀐 할일 { todoId, theirs } - 필드별 병합 화면 표시
+  const [editConflict, setEditConflict] = useState(null);
+  // 목록 로딩 상태 (변경 요청은 항목별 상태로 관리하므로 전체 화면을 잠그지 않음)
   const [isLoading, setIsLoading] = useState(false);
+  // 항목별 진행 상태 { [todoId]: { state: 'saving'|'error', message?, draft? } }
+  const [itemStatuses, setItemStatuses] = useState({});
+  // 진행 중인 목록 요청 (필터를 빠르게 바꾸면 이전 요청을 취소)
+  const loadControllerRef = useRef(null);
+  // 페이지 정보 - 다음 페이지 커서, 서버가 알려준 전체 개수, 그 시점에 불러와 있던 개수
+  const [pageInfo, setPageInfo] = useState({ nextCursor: null, total: null, loadedCount: 0 });
+  // 다음 페이지 로딩 상태 (스크롤 중 중복 요청 방지용 ref 함께 사용)
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  // 실시간 변경이 몰려 와도 목록별 개수는 한 번만 새로 받도록 대기
+  const listRefreshTimerRef = useRef(null);
   // 에러 메시지
   const [errorMessage, setErrorMessage] = useState('');
-  // 필터 상태 (전체/완료/미완료)
-  const [filter, setFilter] = useState('all'); // 'all', 'completed', 'pending'
+  // 에러 메시지의 "다시 시도" 동작 (네트워크/서버 오류일 때만)
+  const [retryAction, setRetryAction] = useState(null);
+  // 추가/수정 폼의 필드별 에러 { title?, description?, dueDate? }
+  const [addFieldErrors, setAddFieldErrors] = useState({});
+  const [editFieldErrors, setEditFieldErrors] = useState({});
+  // 되돌리기 알림 { id, message, actionLabel?, onAction? }
+  const [toast, setToast] = useState(null);
+  // 휴지통
+  const [trash, setTrash] = useState({ items: [], retentionDays: TRASH_RETENTION_DAYS, message: '' });
+  const [isTrashLoading, setIsTrashLoading] = useState(false);
+  const [trashBusyIds, setTrashBusyIds] = useState(() => new Set());
+  // 실행 취소 기록에서 최신 할일을 찾기 위한 참조
+  // (기록된 작업은 나중에 실행되므로 그때의 목록과, 임시 ID/다시 만든 할일의 바뀐 ID가 필요)
+  const todosRef = useRef(todos);
+  const idAliasesRef = useRef(new Map());
+  // 서버에 만드는 중인 할일 (임시 ID → 서버 ID로 끝나는 요청) - 그 사이의 변경은 만든 뒤에 보냄
+  const pendingCreatesRef = useRef(new Map());
+  // 주소 기반 화면 상태
+  // 목록: /?list=목록ID&filter=pending&q=검색어&due=overdue,no-due&tag=업무&priority=high&sort=dueDate, 상세: /todos/:id, 휴지통: /trash, 통계: /stats
+  const { pathname, searchParams } = useLocation();
+  const detailTodoId = matchPath('/todos/:id', pathname)?.id ?? null;
+  const isTrashView = pathname === '/trash';
+  const isStatsView = pathname === '/stats';
+  const isListView = !detailTodoId && !isTrashView && !isStatsView;
+  const listFilter = FILTERS.includes(searchParams.get('filter')) ? searchParams.get('filter') : 'all';
+  const searchQuery = searchParams.get('q') || '';
+  const dueParam = searchParams.get('due') || '';
+  const dueFilters = useMemo(() => parseDueFilters(dueParam), [dueParam]);
+  const sortKey = SORT_OPTIONS.some(option => option.value === searchParams.get('sort')) ? searchParams.get('sort') : '';
+  const tagFilter = searchParams.get('tag') || '';
+  // 선택된 목록 (빈 값은 전체, 'inbox'는 목록 없는 할일)
+  const selectedList = searchParams.get('list') || '';
+  const priorityFilter = PRIORITIES.some(option => option.value === searchParams.get('priority'))
+    ? searchParams.get('priority')
+    : '';
+  // 필터 상태 (전체/완료/미완료) - 상세 페이지에서는 어떤 할일이든 찾을 수 있도록 전체 목록 사용
+  const filter = detailTodoId ? 'all' : listFilter; // 'all', 'completed', 'pending'
+  // 서버에 함께 보낼 검색 조건 (상세 페이지에서는 조건 없이 조회)
+  const serverQuery = detailTodoId
+    ? {}
+    : { list: selectedList, q: searchQuery, due: dueFilters, tag: tagFilter, priority: priorityFilter, sort: sortKey };
+  const serverQueryKey = JSON.stringify(serverQuery);
+
+  // 현재 목록 조건에서 일부만 바꾼 주소 만들기
+  const buildListUrl = (overrides = {}) => {
+    const next = {
+      list: selectedList,
+      filter: listFilter,
+      q: searchQuery,
+      due: dueFilters,
+      tag: tagFilter,
+      priority: priorityFilter,
+      sort: sortKey,
+      ...overrides,
+    };
+    return buildUrl('/', {
+      list: next.list,
+      filter: next.filter === 'all' ? '' : next.filter,
+      q: next.q,
+      due: next.due.join(','),
+      tag: next.tag,
+      priority: next.priority,
+      sort: next.sort,
+    });
+  };
+  const listUrl = buildListUrl();
+
+  // 검색 입력값 - 입력은 바로 보여주고 주소와 목록에는 잠시 뒤에 반영
+  const [searchInput, setSearchInput] = useState(searchQuery);
+  const debouncedSearchInput = useDebouncedValue(searchInput, SEARCH_DEBOUNCE_MS);
+  // 브라우저 네트워크 상태와 백엔드 서버 응답 여부
+  const isOnline = useOnlineStatus();
+  const [isServerReachable, setIsServerReachable] = useState(true);
+  // 서버 동기화를 기다리는 오프라인 변경 요청
+  const [pendingMutations, setPendingMutations] = useState(() => getQueue());
+
+  const isConnected = isOnline && isServerReachable;
+  // 검색어/마감일 필터/정렬 적용 (서버가 이미 적용했더라도 같은 결과)
+  // 항목이 많을 때 렌더링마다 다시 계산하지 않도록 메모이제이션
+  const searchTerms = useMemo(() => getSearchTerms(searchQuery), [searchQuery]);
+  const visibleTodos = useMemo(
+    () => queryTodos(todos, {
+      list: selectedList,
+      q: searchQuery,
+      due: dueFilters,
+      tag: tagFilter,
+      priority: priorityFilter,
+      sort: sortKey,
+    }),
+    [todos, selectedList, searchQuery, dueFilters, tagFilter, priorityFilter, sortKey]
+  );
+  // 선택한 할일 중 지금 보이는 것만 (조건이 바뀌어 가려진 항목은 일괄 작업에서 제외)
+  const selectedTodos = visibleTodos.filter(todo => selectedIds.has(todo._id));
+  // 목록(프로젝트) - 표시 순서대로
+  const lists = useMemo(() => sortLists(listData.lists), [listData.lists]);
+  const currentList = lists.find(list => list._id === selectedList) ?? null;
+  const currentListName = selectedList === INBOX_LIST_ID ? t('lists.inbox') : currentList?.name ?? t('lists.all');
+  // 목록별 미완료 개수 - 서버가 알려준 값을 우선하고 없으면 불러온 할일로 계산
+  const localListCounts = useMemo(() => countTodosByList(todos), [todos]);
+  const pendingCounts = { [INBOX_LIST_ID]: listData.inboxCount?.pending ?? localListCounts[INBOX_LIST_ID]?.pending ?? 0 };
+  lists.forEach(list => {
+    pendingCounts[list._id] = list.pendingCount ?? localListCounts[list._id]?.pending ?? 0;
+  });
+  pendingCounts[''] = Object.values(pendingCounts).reduce((sum, count) => sum + count, 0);
+  // 불러온 할일에 쓰인 태그 (자동완성, 태그 필터, 태그 관리에 사용)
+  const tagStats = useMemo(() => collectTags(todos), [todos]);
+  const tagNames = tagStats.map(tag => tag.name);
+  const completedCount = useMemo(() => todos.filter(todo => todo.isCompleted).length, [todos]);
+  // 서버가 알려준 전체 개수에 그 뒤 화면에서 추가/삭제한 만큼 반영
+  const totalCount = pageInfo.total === null
+    ? todos.length
+    : Math.max(todos.length, pageInfo.total + todos.length - pageInfo.loadedCount);
+  const hasMoreTodos = pageInfo.nextCursor !== null;
+  const detailTodo = detailTodoId ? todos.find(todo => todo._id === detailTodoId) ?? null : null;
+  const pendingTodoIds = new Set(pendingMutations.map(mutation => mutation.todoId));
 
-  // 컴포넌트 마운트 시 할일 목록 가져오기
+  // 컴포넌트 마운트, 필터 변경, 네트워크 재연결 시 할일 목록 가져오기
   useEffect(() => {
     loadTodos();
-  }, [filter]);
+    return () => loadControllerRef.current?.abort();
+  }, [filter, serverQueryKey, isOnline]);
+
+  // 실행 취소 기록이 최신 목록을 볼 수 있도록 맞춤
+  useEffect(() => {
+    todosRef.current = todos;
+  }, [todos]);
+
+  // 마감 알림 - 지금 목록에 없는 할일(다른 목록, 불러오지 않은 페이지)도 캐시에 있으면 알림
+  const reminderTodos = useMemo(() => {
+    const loadedIds = new Set(todos.map(todo => todo._id));
+    const cachedTodos = (loadCachedTodos('pending') ?? []).filter(todo => !loadedIds.has(todo._id));
+    return [...todos, ...cachedTodos];
+  }, [todos]);
+  const reminders = useReminders({ todos: reminderTodos, onOpen: navigate });
+
+  // 다른 기기/탭의 변경 실시간 반영 (다시 연결되면 놓친 변경을 받도록 목록 새로 받기)
+  const realtimeStatus = useRealtimeSync({
+    enabled: isOnline,
+    onChange: (change) => applyRemoteChange(change),
+    onResync: () => loadTodos(),
+  });
+
+  // 서비스 워커 - 연결이 돌아오면 대기열 전송, 캐시로 보여준 목록이 서버에서 바뀌면 다시 불러오기
+  useBackgroundSync({
+    onReplay: () => syncPendingMutations(),
+    onRevalidated: () => {
+      if (isListView) {
+        loadTodos();
+      }
+    },
+  });
+
+  // 휴지통을 열면 새로 불러오기
+  useEffect(() => {
+    if (isTrashView) {
+      loadTrash();
+    }
+  }, [isTrashView, isOnline]);
+
+  // 통계 화면용 전체 할일 (목록/필터와 관계없이 따로 불러옴)
+  const statsData = useStatsData({ enabled: isStatsView, isOnline, fallbackTodos: todos });
+
+  // 입력이 멈추면 검색어를 주소에 반영 (입력할 때마다 히스토리가 쌓이지 않도록 현재 항목 교체)
+  useEffect(() => {
+    if (isListView && debouncedSearchInput !== searchQuery) {
+      navigate(buildListUrl({ q: debouncedSearchInput }), { replace: true });
+    }
+  }, [debouncedSearchInput]);
+
+  // 뒤로/앞으로 가기로 검색어가 바뀌면 입력창도 맞춤
+  useEffect(() => {
+    setSearchInput(searchQuery);
+  }, [searchQuery]);
+
+  // 목록을 바꾸면 새 할일도 그 목록에 추가되도록 선택값 맞춤
+  useEffect(() => {
+    if (selectedList) {
+      setListInput(selectedList);
+    }
+  }, [selectedList]);
+
+  // 목록(프로젝트)과 개수 불러오기
+  useEffect(() => {
+    if (isOnline) {
+      refreshLists();
+    }
+  }, [isOnline]);
+
+  // 브라우저는 온라인인데 서버가 응답하지 않으면 (Heroku 슬립 등) 주기적으로 재연결 시도
+  useEffect(() => {
+    if (!isOnline || isServerReachable) {
+      return undefined;
+    }
+    const timerId = setInterval(loadTodos, RECONNECT_INTERVAL);
+    return () => clearInterval(timerId);
+  }, [isOnline, isServerReachable, filter]);
 
   // 할일 목록 불러오기
   const loadTodos = async () => {
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    clearError();
+    // 마지막으로 받은 목록을 먼저 보여주고 서버 응답이 오면 교체
+    const cachedTodos = loadCachedTodos(filter);
+    if (cachedTodos) {
+      setTodos(filterTodos(applyQueueToTodos(cachedTodos, getQueue()), filter));
+    }
+    setPageInfo({ nextCursor: null, total: null, loadedCount: 0 });
+    if (!navigator.onLine) {
+      return;
+    }
+
     setIsLoading(true);
-    setErrorMessage('');
     try {
-      // 필터에 따라 쿼리 파라미터 전달
-      let todosData;
-      if (filter === 'completed') {
-        todosData = await fetchTodos(true);
-      } else if (filter === 'pending') {
-        todosData = await fetchTodos(false);
-      } else {
-        todosData = await fetchTodos();
+      // 대기 중인 오프라인 변경을 먼저 반영해야 서버 목록이 최신 상태가 됨
+      await syncPendingMutations();
+
+      const page = await requestTodoPage(null, controller.signal);
+      setIsServerReachable(true);
+      // 조건으로 걸렀거나 다음 페이지가 남아 있으면 캐시의 다른 항목은 지우지 않고 합침
+      const hasQuery = Boolean(selectedList || searchQuery.trim() || dueFilters.length || tagFilter || priorityFilter);
+      const isPartial = !detailTodoId && (hasQuery || page.nextCursor !== null);
+      saveFetchedTodos(filter, page.items, { partial: isPartial });
+      if (controller.signal.aborted) {
+        return;
       }
-      setTodos(todosData);
+      const nextTodos = filterTodos(applyQueueToTodos(page.items, getQueue()), filter);
+      setTodos(nextTodos);
+      setPageInfo({ nextCursor: page.nextCursor, total: page.total, loadedCount: nextTodos.length });
     } catch (error) {
-      // 에러 메시지 추출
-      const errorMessage = error instanceof Error 
-        ? error.message 
-        : '할일 목록을 불러오는데 실패했습니다.';
-      setErrorMessage(errorMessage);
+      // 새 요청으로 대체되어 취소된 경우 무시
+      if (isAbortError(error) || controller.signal.aborted) {
+        return;
+      }
+      if (isNetworkError(error)) {
+        setIsServerReachable(false);
+        // 캐시된 목록이 있으면 오프라인 표시만 하고 계속 사용
+        if (cachedTodos) {
+          console.warn('서버에 연결할 수 없어 캐시된 목록을 표시합니다:', error);
+          return;
+        }
+      }
+      showError(error, t('failures.loadTodos'), loadTodos);
       console.error('할일 목록 로드 에러:', error);
     } finally {
-      setIsLoading(false);
+      if (loadControllerRef.current === controller) {
+        setIsLoading(false);
+      }
     }
   };
 
-  // 새 할일 추가
-  const handleAddTodo = async (e) => {
-    e.preventDefault();
-    
-    // 입력값 검증
-    if (!titleInput.trim()) {
-      setErrorMessage('할일 제목을 입력해주세요.');
+  // 목록(프로젝트)과 목록별 개수 새로 받기 - 실패해도 마지막 값을 계속 표시
+  const refreshLists = async () => {
+    try {
+      const data = await fetchLists();
+      setListData(data);
+      saveCachedLists(data);
+    } catch (error) {
+      console.warn('목록을 불러오지 못했습니다:', error);
+    }
+  };
+
+  /**
+   * 현재 필터/검색 조건으로 목록 한 페이지 요청
+   * 상세 페이지에서는 어떤 할일이든 찾을 수 있도록 페이지 없이 전체 목록을 받음
+   * @param {string|null} cursor - 다음 페이지 커서 (첫 페이지는 null)
+   * @param {AbortSignal} signal - 취소 신호
+   * @returns {Promise<import('./api/todoApi').TodoPage>}
+   */
+  const requestTodoPage = async (cursor, signal) => {
+    // 필터에 따라 쿼리 파라미터 전달
+    let isCompleted;
+    if (filter === 'completed') {
+      isCompleted = true;
+    } else if (filter === 'pending') {
+      isCompleted = false;
+    }
+    if (detailTodoId) {
+      const items = await fetchTodos(isCompleted, { signal });
+      return { items, nextCursor: null, total: null };
+    }
+    return fetchTodoPage(isCompleted, { signal, query: serverQuery, limit: PAGE_SIZE, cursor });
+  };
+
+  // 다음 페이지 불러오기 (목록 끝까지 스크롤하거나 "더 보기" 클릭)
+  const loadMoreTodos = async () => {
+    const controller = loadControllerRef.current;
+    if (!hasMoreTodos || isLoading || loadingMoreRef.current || !controller || controller.signal.aborted) {
       return;
     }
+    loadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      const page = await requestTodoPage(pageInfo.nextCursor, controller.signal);
+      saveFetchedTodos(filter, page.items, { partial: true });
+      if (controller.signal.aborted) {
+        return;
+      }
+      // 그 사이 추가/수정되어 이미 목록에 있는 항목은 건너뜀
+      const loadedIds = new Set(todos.map(todo => todo._id));
+      const newTodos = filterTodos(page.items, filter).filter(todo => !loadedIds.has(todo._id));
+      setTodos(prev => [...prev, ...newTodos.filter(todo => !prev.some(item => item._id === todo._id))]);
+      setPageInfo(prev => ({
+        nextCursor: page.nextCursor,
+        total: page.total ?? prev.total,
+        loadedCount: prev.loadedCount + newTodos.length,
+      }));
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) {
+        return;
+      }
+      if (isNetworkError(error)) {
+        setIsServerReachable(false);
+      }
+      showError(error, t('failures.loadMore'), loadMoreTodos);
+      console.error('할일 목록 추가 로드 에러:', error);
+    } finally {
+      loadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  };
 
-    setIsLoading(true);
+  // 화면 상단 에러 표시 - 네트워크/서버 오류면 "다시 시도" 버튼 제공
+  const showError = (error, fallbackMessage, retry = null) => {
+    setErrorMessage(translateError(error, fallbackMessage));
+    setRetryAction(() => (retry && isRetryableError(error) ? retry : null));
+  };
+
+  const clearError = () => {
     setErrorMessage('');
+    setRetryAction(null);
+  };
+
+  // 대기 중인 오프라인 변경을 순서대로 서버에 재전송 (남은 요청 수 반환)
+  const syncPendingMutations = async () => {
+    if (getQueue().length === 0) {
+      return 0;
+    }
+    const { idMap, failed } = await replayQueue(remoteHandlers);
+    const remaining = getQueue();
+    setPendingMutations(remaining);
+    if (remaining.length === 0) {
+      setIsServerReachable(true);
+    }
+
+    // 임시 ID를 서버가 발급한 ID로 교체
+    if (Object.keys(idMap).length > 0) {
+      Object.entries(idMap).forEach(([tempId, serverId]) => idAliasesRef.current.set(tempId, serverId));
+      setTodos(prev => prev.map(todo =>
+        idMap[todo._id] ? { ...todo, _id: idMap[todo._id] } : todo
+      ));
+      setEditingTodoId(prev => idMap[prev] || prev);
+    }
+
+    if (failed.length > 0) {
+      showError(null, describeRejectedMutations(failed));
+    }
+    return remaining.length;
+  };
+
+  // 변경 요청을 오프라인 큐에 넣고 화면에 바로 반영
+  const queueMutation = (mutation) => {
+    setPendingMutations(enqueueMutation(mutation));
+    setTodos(prev => applyQueueToTodos(prev, [{ ...mutation, queuedAt: new Date().toISOString() }]));
+    // 앱이 백그라운드에 있어도 연결이 돌아오면 보내도록 서비스 워커에 예약
+    requestBackgroundSync();
+    // 온라인인데 앞선 요청이 남아 있어 큐에 넣은 경우 바로 재전송 시도
+    if (navigator.onLine) {
+      syncPendingMutations();
+    }
+  };
+
+  // 변경 요청 전송 - 오프라인이거나 앞선 요청이 대기 중이면 순서를 지키기 위해 큐에 넣음
+  // 큐에 넣은 경우 null 반환
+  const sendOrQueueMutation = async (mutation) => {
+    if (!navigator.onLine || getQueue().length > 0) {
+      queueMutation(mutation);
+      return null;
+    }
     try {
-      // dueDate 문자열을 Date 객체로 변환
-      const dueDate = dueDateInput ? new Date(dueDateInput) : null;
-      const newTodo = await createTodo(titleInput, descriptionInput, dueDate, false);
-      setTodos([newTodo, ...todos]); // 최신순으로 맨 앞에 추가
-      // 입력 필드 초기화
-      setTitleInput('');
-      setDescriptionInput('');
-      setDueDateInput('');
+      return await sendMutation(mutation);
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      setIsServerReachable(false);
+      queueMutation(mutation);
+      return null;
+    }
+  };
+
+  // 변경 요청 전송 - 아직 만드는 중인 할일의 변경은 임시 ID로 보낼 수 없으므로 만들기가 끝난 뒤 서버 ID로 보냄
+  // (만들기가 큐에 들어갔으면 뒤따라 큐에 넣고, 만들기가 실패했으면 바꿀 할일이 없으므로 보내지 않음)
+  // 큐에 넣었거나 보내지 않은 경우 null 반환
+  const submitMutation = async (mutation) => {
+    if (mutation.type === 'create') {
+      const result = sendOrQueueMutation(mutation);
+      pendingCreatesRef.current.set(mutation.todoId, result.then(todo => todo?._id ?? null, () => null));
+      try {
+        return await result;
+      } finally {
+        pendingCreatesRef.current.delete(mutation.todoId);
+      }
+    }
+    const pendingCreate = pendingCreatesRef.current.get(mutation.todoId);
+    if (pendingCreate) {
+      const serverId = await pendingCreate;
+      if (serverId) {
+        return sendOrQueueMutation({ ...mutation, todoId: serverId });
+      }
+      if (!getQueue().some(item => item.type === 'create' && item.todoId === mutation.todoId)) {
+        return null;
+      }
+    }
+    // 이미 만들어진 할일이면 서버 ID로 (다시 시도하는 변경은 처음의 임시 ID를 가지고 있음)
+    return sendOrQueueMutation({ ...mutation, todoId: resolveTodoId(mutation.todoId) });
+  };
+
+  // 항목별 진행 상태 갱신 (null이면 상태 제거)
+  const setItemStatus = (todoId, status) => {
+    setItemStatuses(prev => {
+      const next = { ...prev };
+      if (status) {
+        next[todoId] = status;
+      } else {
+        delete next[todoId];
+      }
+      return next;
+    });
+  };
+
+  // 목록에서 할일 하나만 교체 (동시에 진행 중인 다른 변경을 덮어쓰지 않도록 함수형 업데이트 사용)
+  // 만드는 중에 시작한 변경의 응답/되돌리기는 임시 ID로 오므로 그 사이 서버 ID로 바뀐 할일에 반영
+  const replaceTodo = (todoId, nextTodo) => {
+    const currentId = resolveTodoId(todoId);
+    const replacement = nextTodo._id === todoId && currentId !== todoId ? { ...nextTodo, _id: currentId } : nextTodo;
+    // 임시 ID가 서버 ID로 바뀌면 실행 취소 기록에서 따라갈 수 있도록 기억
+    if (replacement._id !== currentId) {
+      idAliasesRef.current.set(currentId, replacement._id);
+    }
+    setTodos(prev => prev.map(todo => (todo._id === currentId ? replacement : todo)));
+  };
+
+  // 목록에서 할일 하나만 제거
+  const removeTodo = (todoId) => {
+    const currentId = resolveTodoId(todoId);
+    setTodos(prev => prev.filter(todo => todo._id !== currentId));
+  };
+
+  // 삭제했던 할일을 원래 위치에 되돌리기
+  const reinsertTodo = (todo, index) => {
+    const currentId = resolveTodoId(todo._id);
+    const current = currentId === todo._id ? todo : { ...todo, _id: currentId };
+    setTodos(prev => {
+      if (prev.some(item => item._id === currentId)) {
+        return prev;
+      }
+      const next = [...prev];
+      next.splice(Math.min(index, next.length), 0, current);
+      return next;
+    });
+  };
+
+  // 목록별 개수를 잠시 뒤에 새로 받기
+  const scheduleListRefresh = () => {
+    clearTimeout(listRefreshTimerRef.current);
+    listRefreshTimerRef.current = setTimeout(refreshLists, LIST_REFRESH_DELAY);
+  };
+
+  /**
+   * 다른 기기/탭에서 일어난 변경을 목록에 반영
+   * 이 화면에서 보낸 변경이 아직 처리 중인 할일은 그 응답이 더 최신이므로 건너뛰고,
+   * 수정 중인 할일은 입력하던 내용을 그대로 두고 안내만 표시합니다
+   * @param {import('./api/todoApi').ChangeEvent} change - 변경 내용
+   */
+  const applyRemoteChange = (change) => {
+    if (change.type === 'lists') {
+      scheduleListRefresh();
+      return;
+    }
+    const todoId = change.type === 'delete' ? change.id : change.todo?._id;
+    if (!todoId || pendingTodoIds.has(todoId) || itemStatuses[todoId]?.state === 'saving') {
+      return;
+    }
+    const isEditing = editingTodoId === todoId;
+
+    if (change.type === 'delete') {
+      removeCachedTodo(todoId);
+      if (isEditing) {
+        setRemoteEditNotice({ todoId, type: 'deleted' });
+      } else {
+        removeTodo(todoId);
+      }
+      scheduleListRefresh();
+      return;
+    }
+
+    if (change.type !== 'upsert') {
+      return;
+    }
+    const remoteTodo = change.todo;
+    // 순서가 뒤바뀌어 도착한 예전 변경은 무시
+    const current = todosRef.current.find(todo => todo._id === todoId);
+    if (current && new Date(remoteTodo.updatedAt) < new Date(current.updatedAt)) {
+      return;
+    }
+    upsertCachedTodo(remoteTodo);
+    // 지금 필터에서 빠지게 된 할일은 목록에서 제거 (수정 중이면 그대로 둠)
+    const matchesFilter = filterTodos([remoteTodo], filter).length > 0;
+    setTodos(prev => {
+      if (!matchesFilter && !isEditing) {
+        return prev.filter(todo => todo._id !== todoId);
+      }
+      return prev.some(todo => todo._id === todoId)
+        ? prev.map(todo => (todo._id === todoId ? remoteTodo : todo))
+        : [remoteTodo, ...prev];
+    });
+    if (isEditing) {
+      setRemoteEditNotice({ todoId, type: 'updated', todo: remoteTodo });
+      // 병합 화면을 보고 있으면 서버 값도 최신으로
+      setEditConflict(prev => (prev?.todoId === todoId ? { ...prev, theirs: remoteTodo } : prev));
+    }
+    scheduleListRefresh();
+  };
+
+  /**
+   * 낙관적 업데이트 실행
+   * 화면에 먼저 반영한 뒤 서버로 전송하고, 서버가 거부하면 해당 항목만 되돌리고 항목별 에러를 표시합니다
+   * @param {Object} options
+   * @param {string} options.todoId - 대상 할일 ID
+   * @param {Object} options.mutation - 전송할 변경 요청 (큐 항목 형식)
+   * @param {() => void} options.apply - 화면에 먼저 반영
+   * @param {() => void} options.rollback - 실패 시 되돌리기
+   * @param {(todo: import('./api/todoApi').TodoItem) => void} [options.onSuccess] - 서버 응답 반영
+   * @param {string} options.failureMessage - 에러 메시지가 없을 때 표시할 문구
+   * @param {Object} [options.draft] - 실패 시 다시 편집할 수 있도록 보관할 입력 내용
+   * @param {import('./api/todoApi').TodoItem} [options.draftBase] - 그 입력을 시작할 때의 할일 (충돌 병합 기준)
+   * @returns {Promise<unknown>} 실패한 경우 에러, 성공하면 null
+   */
+  const runOptimisticMutation = async (options) => {
+    const { todoId, mutation, apply, rollback, onSuccess, failureMessage, draft } = options;
+    apply();
+    setItemStatus(todoId, { state: 'saving' });
+    try {
+      const result = await submitMutation(mutation);
+      // 큐에 들어간 경우(null)에는 화면 상태를 그대로 유지
+      if (result && onSuccess) {
+        onSuccess(result);
+      }
+      setItemStatus(todoId, null);
+      // 목록별 개수 갱신
+      if (result) {
+        refreshLists();
+      }
+      return null;
     } catch (error) {
-      const errorMessage = error instanceof Error 
-        ? error.message 
-        : '할일 추가에 실패했습니다.';
-      setErrorMessage(errorMessage);
       console.error(error);
-    } finally {
-      setIsLoading(false);
+      // 만드는 중에 시작한 변경이면 그 사이 서버 ID로 바뀐 할일에 표시
+      const currentId = resolveTodoId(todoId);
+      if (currentId !== todoId) {
+        setItemStatus(todoId, null);
+      }
+
+      // 다른 곳에서 이미 삭제된 할일 - 되돌리지 않고 목록을 새로 불러옴
+      if (error instanceof NotFoundError && mutation.type !== 'create') {
+        setItemStatus(currentId, null);
+        removeTodo(currentId);
+        removeCachedTodo(currentId);
+        if (mutation.type === 'update') {
+          loadTodos();
+          showError(null, t('notices.deletedElsewhere'));
+        }
+        return mutation.type === 'delete' ? null : error;
+      }
+
+      rollback();
+      // 수정하는 동안 다른 곳에서 먼저 바뀜 - 입력하던 내용으로 수정 모드를 다시 열고 서버 값과 병합
+      if (error instanceof ConflictError && draft) {
+        setItemStatus(currentId, null);
+        openEditConflict(currentId, draft, options.draftBase, error);
+        return error;
+      }
+      // 수정 내용이 검증에 실패하면 입력하던 내용 그대로 수정 모드를 다시 열고 필드별 에러 표시
+      if (error instanceof ValidationError && draft) {
+        handleStartEdit({ _id: currentId }, draft, options.draftBase);
+        setEditFieldErrors(translateFieldErrors(error));
+      }
+      setItemStatus(currentId, {
+        state: 'error',
+        message: translateError(error, failureMessage),
+        draft,
+        retry: isRetryableError(error) ? () => runOptimisticMutation(options) : null,
+      });
+      return error;
     }
   };
 
-  // 수정 모드 시작
-  const handleStartEdit = (todo) => {
-    setEditingTodoId(todo._id);
-    // 마감일을 입력 필드 형식으로 변환 (YYYY-MM-DDTHH:mm) - datetime-local 형식
-    let dueDateStr = '';
-    if (todo.dueDate) {
-      const date = new Date(todo.dueDate);
-      // 로컬 시간으로 변환하여 datetime-local 형식으로 맞춤
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const hours = String(date.getHours()).padStart(2, '0');
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      dueDateStr = `${year}-${month}-${day}T${hours}:${minutes}`;
-    }
-    setEditingData({
-      title: todo.title,
-      description: todo.description || '',
-      dueDate: dueDateStr,
-      isCompleted: todo.isCompleted || false,
+  /**
+   * 충돌한 수정을 병합할 수 있도록 서버의 최신 할일을 받아 병합 화면 열기
+   * @param {string} todoId - 할일 ID
+   * @param {Object} draft - 저장하려던 입력 내용
+   * @param {import('./api/todoApi').TodoItem|undefined} base - 수정을 시작할 때의 할일
+   * @param {import('./api/todoApi').ConflictError} error - 충돌 에러 (서버가 최신 할일을 함께 줄 수 있음)
+   */
+  const openEditConflict = async (todoId, draft, base, error) => {
+    let serverTodo = error.currentTodo;
+    if (!serverTodo) {
+      try {
+        serverTodo = await fetchTodo(todoId);
+      } catch (fetchError) {
+        console.error('충돌한 할일의 최신 내용을 받지 못했습니다:', fetchError);
+      }
+    }
+    if (!serverTodo) {
+      // 비교할 수 없으면 목록을 새로 받고 입력 내용만 살려 둠 (다시 저장하면 덮어씀)
+      showError(error, t('errors.CONFLICT'));
+      loadTodos();
+      handleStartEdit({ _id: todoId }, draft, null);
+      return;
+    }
+    upsertCachedTodo(serverTodo);
+    replaceTodo(todoId, serverTodo);
+    handleStartEdit(serverTodo, draft, base ?? serverTodo);
+    setEditConflict({ todoId, theirs: serverTodo });
+  };
+
+  // 바뀐 ID(임시 ID → 서버 ID, 다시 만든 할일)를 따라가 현재 ID 찾기
+  const resolveTodoId = (todoId) => {
+    let currentId = todoId;
+    while (idAliasesRef.current.has(currentId)) {
+      currentId = idAliasesRef.current.get(currentId);
+    }
+    return currentId;
+  };
+
+  const findCurrentTodo = (todoId) => todosRef.current.find(todo => todo._id === resolveTodoId(todoId)) ?? null;
+
+  const showToast = (message, action = {}) => {
+    setToast({ id: Date.now(), message, ...action });
+  };
+
+  // 실행 취소/다시 실행 기록 (Ctrl+Z / Ctrl+Shift+Z)
+  const undoHistory = useUndoHistory({
+    onUndo: (entry) => showToast(t('history.undone', { label: entry.label }), { actionLabel: t('history.redo'), onAction: undoHistory.redo }),
+    onRedo: (entry) => showToast(t('history.redone', { label: entry.label }), { actionLabel: t('history.undo'), onAction: undoHistory.undo }),
+  });
+
+  /**
+   * 되돌릴 수 있는 작업을 기록하고 실행 취소 알림 표시
+   * @param {import('./hooks/useUndoHistory').HistoryEntry} entry - 기록할 작업
+   */
+  const recordHistory = (entry) => {
+    undoHistory.push(entry);
+    showToast(entry.label, { actionLabel: t('history.undo'), onAction: undoHistory.undo });
+  };
+
+  // 할일 필드 변경 (실행 취소/다시 실행용) - 성공하면 true
+  const applyTodoChange = async (todoId, data, failureMessage) => {
+    const todo = findCurrentTodo(todoId);
+    if (!todo) {
+      showError(null, t('failures.undoMissing'));
+      return false;
+    }
+    const error = await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'update', todoId: todo._id, data },
+      apply: () => replaceTodo(todo._id, { ...todo, ...data }),
+      rollback: () => replaceTodo(todo._id, todo),
+      onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+      failureMessage,
+    });
+    return !error;
+  };
+
+  // 휴지통으로 옮기기 - 성공하면 true
+  const moveToTrash = async (todo) => {
+    const index = todosRef.current.findIndex(item => item._id === todo._id);
+    const error = await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'delete', todoId: todo._id },
+      apply: () => removeTodo(todo._id),
+      rollback: () => reinsertTodo(todo, index),
+      failureMessage: t('failures.delete'),
+    });
+    return !error;
+  };
+
+  // 휴지통에서 되살리기 (삭제 전 내용으로 화면에 먼저 표시) - 성공하면 true
+  const restoreFromTrash = async (todo) => {
+    const restoringTodo = { ...todo, _id: resolveTodoId(todo._id) };
+    const error = await runOptimisticMutation({
+      todoId: restoringTodo._id,
+      mutation: { type: 'restore', todoId: restoringTodo._id, data: restoringTodo },
+      apply: () => reinsertTodo(restoringTodo, 0),
+      rollback: () => removeTodo(restoringTodo._id),
+      onSuccess: (restoredTodo) => replaceTodo(restoringTodo._id, restoredTodo),
+      failureMessage: t('failures.restore'),
+    });
+    return !error;
+  };
+
+  // 이미 목록에 없으면 옮길 것도 없으므로 성공으로 봄
+  const moveCurrentToTrash = (todoId) => {
+    const current = findCurrentTodo(todoId);
+    return current ? moveToTrash(current) : Promise.resolve(true);
+  };
+
+  // 새 할일 추가
+  const handleAddTodo = (e) => {
+    e.preventDefault();
+    const inputs = {
+      listId: listInput === INBOX_LIST_ID ? null : listInput,
+      title: titleInput,
+      description: descriptionInput,
+      dueDate: dueDateInput,
+      recurrence: recurrenceInput,
+      tags: tagsInput,
+      priority: priorityInput,
+      reminders: remindersInput,
+    };
+    // 빠른 입력이면 제목에서 알아낸 값이 입력 필드보다 우선
+    if (quickAddResult) {
+      inputs.title = quickAddResult.title;
+      inputs.dueDate = quickAddResult.dueDate ? toDateTimeLocalValue(quickAddResult.dueDate) : dueDateInput;
+      inputs.tags = normalizeTags([...tagsInput, ...quickAddResult.tags]);
+      inputs.priority = quickAddResult.priority ?? priorityInput;
+    }
+    addTodo(inputs);
+  };
+
+  /**
+   * 입력 폼 내용으로 할일 추가
+   * @param {{ listId: string|null, title: string, description: string, dueDate: string, recurrence: Object|null, tags: string[], priority: string, reminders: number[] }} inputs - 폼 입력값
+   */
+  const addTodo = async (inputs) => {
+    // 입력값 검증
+    const inputErrors = validateTodoInput(inputs);
+    if (Object.keys(inputErrors).length > 0) {
+      setAddFieldErrors(translateFieldCodes(inputErrors));
+      return;
+    }
+
+    clearError();
+    setAddFieldErrors({});
+    const tempId = createTempId();
+    // dueDate 문자열을 ISO 형식으로 변환 (오프라인 큐에 저장할 수 있도록 문자열 유지)
+    const dueDate = inputs.dueDate ? new Date(inputs.dueDate).toISOString() : null;
+    const data = {
+      title: inputs.title.trim(),
+      description: inputs.description.trim(),
+      dueDate,
+      isCompleted: false,
+      recurrence: normalizeRecurrence(inputs.recurrence),
+      tags: inputs.tags,
+      priority: inputs.priority,
+      // 알림은 마감일이 있을 때만
+      reminders: dueDate ? normalizeReminders(inputs.reminders) : [],
+      listId: inputs.listId,
+      // 순서 값은 보내지 않음 - 서버가 전체 목록의 맨 위로 정함 (불러온 일부만으로 정하면 안 보이는 할일과 겹침)
+    };
+
+    // 입력 필드 초기화 (실패하면 아래에서 복원)
+    setTitleInput('');
+    setDescriptionInput('');
+    setDueDateInput('');
+    setRecurrenceInput(null);
+    setTagsInput([]);
+    setPriorityInput(DEFAULT_PRIORITY);
+    setRemindersInput([]);
+
+    const error = await runOptimisticMutation({
+      todoId: tempId,
+      mutation: { type: 'create', todoId: tempId, data },
+      apply: () => setTodos(prev => [{ ...data, _id: tempId, createdAt: new Date().toISOString() }, ...prev]), // 최신순으로 맨 앞에 추가
+      rollback: () => removeTodo(tempId),
+      onSuccess: (newTodo) => replaceTodo(tempId, newTodo),
+      failureMessage: t('failures.add'),
+    });
+
+    if (error) {
+      setItemStatus(tempId, null);
+      // 사용자가 그 사이 새로 입력하지 않았다면 입력 내용을 되살림
+      setTitleInput(prev => prev || inputs.title);
+      setDescriptionInput(prev => prev || inputs.description);
+      setDueDateInput(prev => prev || inputs.dueDate);
+      setRecurrenceInput(prev => prev || inputs.recurrence);
+      setTagsInput(prev => (prev.length > 0 ? prev : inputs.tags));
+      setPriorityInput(inputs.priority);
+      setRemindersInput(prev => (prev.length > 0 ? prev : inputs.reminders));
+      if (error instanceof ValidationError) {
+        setAddFieldErrors(translateFieldErrors(error));
+      }
+      showError(error, t('failures.add'), () => addTodo(inputs));
+      return;
+    }
+
+    // 되돌리면 휴지통으로, 다시 실행하면 휴지통에서 되살림
+    let removedTodo = null;
+    recordHistory({
+      label: t('history.added', { title: data.title }),
+      undo: async () => {
+        removedTodo = findCurrentTodo(tempId);
+        return removedTodo ? moveToTrash(removedTodo) : false;
+      },
+      redo: () => restoreFromTrash(removedTodo),
     });
   };
 
+  /**
+   * 수정 모드 시작
+   * @param {import('./api/todoApi').TodoItem} todo - 수정할 할일
+   * @param {Object|null} [draft] - 이어서 편집할 입력 내용 (없으면 할일의 현재 값)
+   * @param {import('./api/todoApi').TodoItem|null} [base] - 충돌 확인 기준 (기본값: todo)
+   */
+  const handleStartEdit = (todo, draft = null, base = todo) => {
+    setEditingTodoId(todo._id);
+    setEditingBase(base);
+    setEditConflict(null);
+    setEditFieldErrors({});
+    setRemoteEditNotice(null);
+    setItemStatus(todo._id, null);
+    setEditingData(draft ?? toEditingData(todo));
+  };
+
   // 수정 취소
   const handleCancelEdit = () => {
+    // 수정하는 동안 다른 곳에서 삭제됐다면 이제 목록에서 제거
+    if (remoteEditNotice?.type === 'deleted' && remoteEditNotice.todoId === editingTodoId) {
+      removeTodo(editingTodoId);
+    }
+    setRemoteEditNotice(null);
+    setEditConflict(null);
     setEditingTodoId(null);
-    setEditingData({ title: '', description: '', dueDate: '', isCompleted: false });
+    setEditFieldErrors({});
+    setEditingData(EMPTY_EDITING_DATA);
   };
 
-  // 할일 수정 저장
-  const handleSaveEdit = async (todoId) => {
+  /**
+   * 할일 수정 저장
+   * @param {import('./api/todoApi').TodoItem} todo - 수정할 할일 (목록의 현재 값)
+   * @param {Object} [draft] - 저장할 입력 내용 (기본값: 수정 폼 값)
+   * @param {import('./api/todoApi').TodoItem|null} [base] - 충돌 확인 기준 (기본값: 수정을 시작할 때의 할일)
+   */
+  const handleSaveEdit = async (todo, draft = editingData, base = editingBase) => {
     // 입력값 검증
-    if (!editingData.title.trim()) {
-      setErrorMessage('할일 제목을 입력해주세요.');
+    const inputErrors = validateTodoInput(draft);
+    if (Object.keys(inputErrors).length > 0) {
+      setEditFieldErrors(translateFieldCodes(inputErrors));
       return;
     }
 
-    setIsLoading(true);
-    setErrorMessage('');
+    setEditFieldErrors({});
+    const versionBase = base?._id === todo._id ? base : todo;
+    const updateData = {
+      title: draft.title,
+      description: draft.description,
+      isCompleted: draft.isCompleted,
+      subtasks: normalizeSubtasks(draft.subtasks),
+      autoComplete: draft.autoComplete,
+      recurrence: normalizeRecurrence(draft.recurrence),
+      tags: draft.tags,
+      priority: draft.priority,
+      reminders: normalizeReminders(draft.reminders),
+    };
+
+    // 이번 수정으로 하위 작업을 모두 끝냈다면 자동 완료 (이미 모두 끝난 상태에서 직접 완료를 해제한 경우는 존중)
+    const before = getSubtaskProgress(todo.subtasks);
+    const wasAllDone = before.total > 0 && before.completed === before.total;
+    if (!wasAllDone && shouldAutoComplete(updateData)) {
+      updateData.isCompleted = true;
+    }
+
+    // datetime-local 형식의 문자열을 ISO 문자열로 변환 (비우면 null을 보내 마감일 해제)
+    updateData.dueDate = draft.dueDate ? new Date(draft.dueDate).toISOString() : null;
+
+    // 수정 모드 종료
+    setEditingTodoId(null);
+    setEditingData(EMPTY_EDITING_DATA);
+
+    const error = await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'update', todoId: todo._id, data: updateData, baseVersion: versionBase.updatedAt },
+      apply: () => replaceTodo(todo._id, { ...todo, ...updateData }),
+      rollback: () => replaceTodo(todo._id, todo),
+      onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+      failureMessage: t('failures.update'),
+      draft,
+      draftBase: versionBase,
+    });
+    if (!error) {
+      const previousValues = pickPreviousValues(todo, Object.keys(updateData));
+      recordHistory({
+        label: t('history.updated', { title: updateData.title.trim() }),
+        undo: () => applyTodoChange(todo._id, previousValues, t('failures.undoUpdate')),
+        redo: () => applyTodoChange(todo._id, updateData, t('failures.update')),
+      });
+    }
+  };
+
+  /**
+   * 완료 처리를 포함한 할일 변경
+   * 반복 할일을 완료하면 이 항목의 반복은 해제하고 다음 마감일로 새 할일을 만들어 반복을 이어갑니다
+   * (완료를 취소했다가 다시 완료해도 다음 항목이 중복으로 생기지 않음)
+   * @param {import('./api/todoApi').TodoItem} todo - 대상 할일
+   * @param {Object} updateData - 변경 데이터
+   * @param {string} failureMessage - 실패 시 문구
+   * @returns {Promise<{ ok: boolean, nextOccurrenceId: string|null }>} 성공 여부와 새로 만든 다음 반복 할일 ID
+   */
+  const updateWithRecurrence = async (todo, updateData, failureMessage) => {
+    const completesRecurrence = Boolean(updateData.isCompleted && !todo.isCompleted && todo.recurrence);
+    const data = completesRecurrence ? { ...updateData, recurrence: null } : updateData;
+    const error = await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'update', todoId: todo._id, data },
+      apply: () => replaceTodo(todo._id, { ...todo, ...data }),
+      rollback: () => replaceTodo(todo._id, todo),
+      onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+      failureMessage,
+    });
+    const nextOccurrenceId = !error && completesRecurrence ? await createNextOccurrence(todo) : null;
+    return { ok: !error, nextOccurrenceId };
+  };
+
+  // 반복 할일의 다음 항목 생성 (반복이 끝났으면 아무것도 하지 않음) - 만든 할일의 ID 반환
+  const createNextOccurrence = async (todo) => {
+    const nextDueDate = getNextOccurrence(todo.dueDate, todo.recurrence);
+    if (!nextDueDate) {
+      return null;
+    }
+    const tempId = createTempId();
+    const data = {
+      title: todo.title,
+      description: todo.description || '',
+      dueDate: nextDueDate.toISOString(),
+      isCompleted: false,
+      // 하위 작업은 내용만 이어받고 모두 미완료로
+      subtasks: (todo.subtasks || []).map(subtask => createSubtask(subtask.title)),
+      autoComplete: todo.autoComplete || false,
+      recurrence: advanceRecurrence(todo.recurrence, todo.dueDate),
+      tags: todo.tags || [],
+      priority: getPriority(todo),
+      reminders: todo.reminders || [],
+      listId: todo.listId || null,
+    };
+    const error = await runOptimisticMutation({
+      todoId: tempId,
+      mutation: { type: 'create', todoId: tempId, data },
+      apply: () => setTodos(prev => [{ ...data, _id: tempId, createdAt: new Date().toISOString() }, ...prev]),
+      rollback: () => removeTodo(tempId),
+      onSuccess: (newTodo) => replaceTodo(tempId, newTodo),
+      failureMessage: t('failures.nextOccurrence'),
+    });
+    if (error) {
+      setItemStatus(tempId, null);
+      showError(error, t('failures.nextOccurrence'), () => createNextOccurrence(todo));
+      return null;
+    }
+    return tempId;
+  };
+
+  // 완료 상태 토글
+  const handleToggleComplete = async (todo) => {
+    const { ok, nextOccurrenceId } = await updateWithRecurrence(
+      todo,
+      { isCompleted: !todo.isCompleted },
+      t('failures.toggle')
+    );
+    if (!ok) {
+      return;
+    }
+    // 반복 할일을 완료해 다음 항목을 만들었다면 되돌릴 때 그 항목은 휴지통으로
+    let nextId = nextOccurrenceId;
+    const previousValues = todo.recurrence
+      ? { isCompleted: todo.isCompleted, recurrence: todo.recurrence }
+      : { isCompleted: todo.isCompleted };
+    recordHistory({
+      label: t(todo.isCompleted ? 'history.uncompleted' : 'history.completed', { title: todo.title }),
+      undo: async () => {
+        if (nextId && !(await moveCurrentToTrash(nextId))) {
+          return false;
+        }
+        return applyTodoChange(todo._id, previousValues, t('failures.undoToggle'));
+      },
+      redo: async () => {
+        const current = findCurrentTodo(todo._id);
+        if (!current) {
+          return false;
+        }
+        const result = await updateWithRecurrence(current, { isCompleted: !todo.isCompleted }, t('failures.toggle'));
+        nextId = result.nextOccurrenceId;
+        return result.ok;
+      },
+    });
+  };
+
+  // 하위 작업 완료 토글 (모두 끝내면 설정에 따라 상위 할일도 완료)
+  const handleToggleSubtask = async (todo, subtaskId) => {
+    await updateWithRecurrence(todo, toggleSubtask(todo, subtaskId), t('failures.subtask'));
+  };
+
+  /**
+   * 모든 할일에서 태그 이름 변경(병합) 또는 삭제
+   * 서버 태그 API를 먼저 사용하고, 지원하지 않는 서버이거나 오프라인이면 불러온 할일을 하나씩 수정합니다
+   * @param {string} name - 대상 태그
+   * @param {string|null} nextName - 새 이름 (null이면 삭제)
+   */
+  const applyTagChange = async (name, nextName) => {
+    const changeTags = (tags) => (nextName ? renameTagInList(tags, name, nextName) : removeTagFromList(tags, name));
+    const affectedTodos = todos.filter(todo => (todo.tags || []).some(tag => isSameTag(tag, name)));
+    clearError();
+    setIsUpdatingTags(true);
+    // 보고 있던 태그 필터도 함께 변경
+    if (tagFilter && isSameTag(tagFilter, name)) {
+      navigate(buildListUrl({ tag: nextName || '' }), { replace: true });
+    }
+
     try {
-      const updateData = {
-        title: editingData.title,
-        description: editingData.description,
-        isCompleted: editingData.isCompleted,
-      };
-
-      // 마감일과 시간이 있으면 추가
-      if (editingData.dueDate) {
-        // datetime-local 형식의 문자열을 Date 객체로 변환
-        updateData.dueDate = new Date(editingData.dueDate).toISOString();
-      }
-
-      const updatedTodo = await updateTodo(todoId, updateData);
-      // 목록에서 해당 할일 업데이트
-      setTodos(todos.map(todo => 
-        todo._id === todoId ? updatedTodo : todo
-      ));
-      // 수정 모드 종료
-      setEditingTodoId(null);
-      setEditingData({ title: '', description: '', dueDate: '', isCompleted: false });
+      if (navigator.onLine && getQueue().length === 0) {
+        try {
+          await (nextName ? renameTag(name, nextName) : deleteTag(name));
+          // 서버가 모든 할일에 반영했으므로 화면과 캐시만 맞춤
+          affectedTodos.forEach(todo => {
+            const updatedTodo = { ...todo, tags: changeTags(todo.tags) };
+            replaceTodo(todo._id, updatedTodo);
+            upsertCachedTodo(updatedTodo);
+            publishTabChange({ type: 'upsert', todo: updatedTodo });
+          });
+          return;
+        } catch (error) {
+          const isUnsupported = error instanceof NotFoundError || error?.status === 405;
+          if (!isUnsupported && !isNetworkError(error)) {
+            showError(error, t('failures.tags'));
+            return;
+          }
+        }
+      }
+
+      await Promise.all(affectedTodos.map(todo => {
+        const data = { tags: changeTags(todo.tags) };
+        return runOptimisticMutation({
+          todoId: todo._id,
+          mutation: { type: 'update', todoId: todo._id, data },
+          apply: () => replaceTodo(todo._id, { ...todo, ...data }),
+          rollback: () => replaceTodo(todo._id, todo),
+          onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+          failureMessage: t('failures.tagUpdate'),
+        });
+      }));
+    } finally {
+      setIsUpdatingTags(false);
+    }
+  };
+
+  // 다른 목록으로 이동 (null이면 받은 할일함)
+  const handleMoveToList = async (todo, listId) => {
+    await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'update', todoId: todo._id, data: { listId } },
+      apply: () => replaceTodo(todo._id, { ...todo, listId }),
+      rollback: () => replaceTodo(todo._id, todo),
+      onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+      failureMessage: t('failures.moveToList'),
+    });
+  };
+
+  /**
+   * 목록(프로젝트) 변경 요청 실행 - 화면에 먼저 반영하고 실패하면 서버 값으로 되돌림
+   * 목록 변경은 오프라인 대기열을 거치지 않으므로 연결되어 있을 때만 가능합니다
+   * @param {(lists: import('./utils/lists').TodoList[]) => import('./utils/lists').TodoList[]} apply - 화면에 먼저 반영
+   * @param {() => Promise<unknown>} send - 서버 요청
+   * @param {string} failureMessage - 실패 시 문구
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  const runListMutation = async (apply, send, failureMessage) => {
+    if (!navigator.onLine) {
+      showError(null, t('notices.listsOffline'));
+      return false;
+    }
+    clearError();
+    setIsUpdatingLists(true);
+    setListData(prev => ({ ...prev, lists: apply(prev.lists) }));
+    try {
+      await send();
+      publishTabChange({ type: 'lists' });
+      return true;
     } catch (error) {
-      const errorMessage = error instanceof Error 
-        ? error.message 
-        : '할일 수정에 실패했습니다.';
-      setErrorMessage(errorMessage);
-      console.error(error);
+      showError(error, failureMessage);
+      return false;
     } finally {
-      setIsLoading(false);
+      setIsUpdatingLists(false);
+      refreshLists();
     }
   };
 
-  // 완료 상태 토글
-  const handleToggleComplete = async (todo) => {
-    setIsLoading(true);
-    setErrorMessage('');
+  // 새 목록 만들고 바로 이동
+  const handleCreateList = async (name) => {
+    let createdList = null;
+    const isCreated = await runListMutation(
+      lists => lists,
+      async () => {
+        createdList = await createList(name);
+      },
+      t('failures.createList')
+    );
+    if (isCreated && createdList) {
+      navigate(buildListUrl({ list: createdList._id }));
+    }
+    return isCreated;
+  };
+
+  const handleRenameList = (list, name) => runListMutation(
+    lists => lists.map(item => (item._id === list._id ? { ...item, name: name.trim() } : item)),
+    () => updateList(list._id, { name }),
+    t('failures.renameList')
+  );
+
+  // 보관/복원 - 보고 있던 목록을 보관하면 전체 목록으로 이동
+  const handleArchiveList = (list, isArchived) => {
+    if (isArchived && selectedList === list._id) {
+      navigate(buildListUrl({ list: '' }));
+    }
+    return runListMutation(
+      lists => lists.map(item => (item._id === list._id ? { ...item, isArchived } : item)),
+      () => updateList(list._id, { isArchived }),
+      t(isArchived ? 'failures.archiveList' : 'failures.unarchiveList')
+    );
+  };
+
+  // 바로 위/아래 목록과 순서 교환
+  const handleMoveList = (list, offset) => {
+    const activeLists = lists.filter(item => !item.isArchived);
+    const neighbor = activeLists[activeLists.findIndex(item => item._id === list._id) + offset];
+    if (!neighbor) {
+      return;
+    }
+    // 순서 값이 같으면 교환해도 바뀌지 않으므로 현재 표시 순서로 다시 매김
+    const positions = new Map(activeLists.map((item, index) => [item._id, index + 1]));
+    const listPosition = positions.get(neighbor._id);
+    const neighborPosition = positions.get(list._id);
+    runListMutation(
+      lists => lists.map(item => {
+        if (item._id === list._id) return { ...item, position: listPosition };
+        if (item._id === neighbor._id) return { ...item, position: neighborPosition };
+        return item;
+      }),
+      () => Promise.all([
+        updateList(list._id, { position: listPosition }),
+        updateList(neighbor._id, { position: neighborPosition }),
+      ]),
+      t('failures.reorderLists')
+    );
+  };
+
+  // 선택 토글 - Shift를 누르고 누르면 마지막으로 누른 할일부터 이 할일까지 같은 상태로
+  const handleSelectTodo = (todo, isRange) => {
+    const anchorIndex = isRange ? visibleTodos.findIndex(item => item._id === selectionAnchorRef.current) : -1;
+    const index = visibleTodos.findIndex(item => item._id === todo._id);
+    const targets = anchorIndex === -1
+      ? [todo]
+      : visibleTodos.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+    const shouldSelect = !selectedIds.has(todo._id);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      targets.forEach(item => (shouldSelect ? next.add(item._id) : next.delete(item._id)));
+      return next;
+    });
+    selectionAnchorRef.current = todo._id;
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  };
+
+  const handleToggleSelecting = () => {
+    setIsSelecting(selecting => !selecting);
+    clearSelection();
+    setBulkSummary(null);
+  };
+
+  /**
+   * 선택한 할일에 같은 변경을 한 번에 적용
+   * 화면에 먼저 반영한 뒤 일괄 요청을 보내고, 실패한 항목만 되돌리고 요약을 보여줍니다.
+   * 오프라인이거나 앞선 요청이 대기 중이면 순서를 지키기 위해 항목별 변경으로 대기열에 넣습니다
+   * @param {string} label - 작업 이름 (실패 요약에 표시)
+   * @param {'update'|'delete'} type - 요청 종류
+   * @param {(todo: import('./api/todoApi').TodoItem) => Object} [getData] - 할일별 수정할 필드 (update)
+   * @returns {Promise<import('./api/todoApi').TodoItem[]>} 처리한(또는 대기열에 넣은) 할일의 변경 전 내용
+   */
+  const runBulkAction = async (label, type, getData) => {
+    const targets = selectedTodos.map(todo => ({
+      todo,
+      index: todos.findIndex(item => item._id === todo._id),
+      data: type === 'update' ? getData(todo) : undefined,
+    }));
+    if (targets.length === 0) {
+      return [];
+    }
+    const rollback = ({ todo, index }) => (type === 'delete' ? reinsertTodo(todo, index) : replaceTodo(todo._id, todo));
+    clearError();
+    setBulkSummary(null);
+    setIsBulkBusy(true);
+    targets.forEach(({ todo, data }) => {
+      if (type === 'delete') {
+        removeTodo(todo._id);
+      } else {
+        replaceTodo(todo._id, { ...todo, ...data });
+      }
+    });
+
+    // 완료한 반복 할일은 다음 항목 생성 (한 번씩 차례로)
+    const createNextOccurrences = async (completedTargets) => {
+      for (const { todo, data } of completedTargets) {
+        if (data?.isCompleted && !todo.isCompleted && todo.recurrence) {
+          await createNextOccurrence(todo);
+        }
+      }
+    };
+    const queueAll = async () => {
+      targets.forEach(({ todo, data }) => queueMutation({ type, todoId: todo._id, data }));
+      clearSelection();
+      await createNextOccurrences(targets);
+    };
+
     try {
-      const updatedTodo = await updateTodo(todo._id, {
-        isCompleted: !todo.isCompleted,
+      if (!navigator.onLine || getQueue().length > 0) {
+        await queueAll();
+        return targets.map(({ todo }) => todo);
+      }
+
+      let results;
+      try {
+        results = await batchTodos(targets.map(({ todo, data }) => ({ type, id: todo._id, data })));
+      } catch (error) {
+        if (isNetworkError(error)) {
+          setIsServerReachable(false);
+          await queueAll();
+          return targets.map(({ todo }) => todo);
+        }
+        targets.forEach(rollback);
+        showError(error, t('bulk.failed', { label }));
+        return [];
+      }
+
+      const failures = [];
+      results.forEach((result, i) => {
+        const target = targets[i];
+        const { todo } = target;
+        if (result.ok) {
+          if (type === 'delete') {
+            removeCachedTodo(todo._id);
+            publishTabChange({ type: 'delete', id: todo._id });
+          } else {
+            upsertCachedTodo(result.todo);
+            replaceTodo(todo._id, result.todo);
+            publishTabChange({ type: 'upsert', todo: result.todo });
+          }
+          return;
+        }
+        // 다른 곳에서 이미 삭제된 할일 - 삭제는 성공으로 보고, 수정은 목록에서 제거
+        if (result.error instanceof NotFoundError) {
+          removeTodo(todo._id);
+          removeCachedTodo(todo._id);
+          if (type === 'delete') {
+            return;
+          }
+        } else {
+          rollback(target);
+        }
+        failures.push({ id: todo._id, title: todo.title, message: translateError(result.error, t('bulk.failed', { label })) });
       });
-      setTodos(todos.map(t => 
-        t._id === todo._id ? updatedTodo : t
-      ));
-    } catch (error) {
-      const errorMessage = error instanceof Error 
-        ? error.message 
-        : '상태 변경에 실패했습니다.';
-      setErrorMessage(errorMessage);
-      console.error(error);
+
+      const succeededTargets = targets.filter((target, i) => results[i].ok);
+      await createNextOccurrences(succeededTargets);
+
+      // 실패한 항목만 선택 상태로 남겨 다시 시도할 수 있게 함
+      setSelectedIds(new Set(failures.map(failure => failure.id)));
+      if (failures.length > 0) {
+        setBulkSummary({ label, total: targets.length, failures });
+      }
+      refreshLists();
+      return succeededTargets.map(({ todo }) => todo);
     } finally {
-      setIsLoading(false);
+      setIsBulkBusy(false);
     }
   };
 
+  const handleBulkSetCompleted = (isCompleted) => runBulkAction(
+    t(isCompleted ? 'bulk.actions.complete' : 'bulk.actions.uncomplete'),
+    'update',
+    // 완료한 반복 할일은 다음 항목을 따로 만들므로 반복 설정을 지움
+    todo => (isCompleted && !todo.isCompleted && todo.recurrence ? { isCompleted, recurrence: null } : { isCompleted })
+  );
+
+  const handleBulkReschedule = (dueDate) => runBulkAction(t('bulk.actions.reschedule'), 'update', todo => ({
+    dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+    // 마감일이 없으면 반복할 수 없음
+    ...(dueDate || !todo.recurrence ? {} : { recurrence: null }),
+  }));
+
+  const handleBulkAddTag = (tag) => runBulkAction(t('bulk.actions.addTag'), 'update', todo => ({
+    tags: (todo.tags || []).some(item => isSameTag(item, tag)) ? todo.tags : [...(todo.tags || []), tag],
+  }));
+
+  // 휴지통으로 옮기므로 확인 창 대신 실행 취소 알림
+  const handleBulkDelete = async () => {
+    const deletedTodos = await runBulkAction(t('bulk.actions.delete'), 'delete');
+    if (deletedTodos.length === 0) {
+      return;
+    }
+    recordHistory({
+      label: t('history.bulkDeleted', { count: deletedTodos.length }),
+      undo: () => everySucceeded(deletedTodos.map(restoreFromTrash)),
+      redo: () => everySucceeded(deletedTodos.map(todo => moveCurrentToTrash(todo._id))),
+    });
+  };
+
   // 할일 삭제
-  const handleDeleteTodo = async (todoId) => {
-    // 삭제 확인
-    if (!confirm('정말로 이 할일을 삭제하시겠습니까?')) {
+  // 확인 창 대신 휴지통으로 옮기고 실행 취소 알림을 보여줌
+  const handleDeleteTodo = async (todo) => {
+    // 상세 페이지에서 삭제하면 목록으로 돌아감
+    if (detailTodoId === todo._id) {
+      navigate(listUrl);
+    }
+    if (await moveToTrash(todo)) {
+      recordHistory({
+        label: t('history.deleted', { title: todo.title }),
+        undo: () => restoreFromTrash(todo),
+        redo: () => moveCurrentToTrash(todo._id),
+      });
+    }
+  };
+
+  /**
+   * 파일에서 읽은 할일을 하나씩 생성하며 진행 상황 표시 (지금 목록의 맨 위에 파일 순서대로)
+   * 서버가 새 할일을 맨 위에 두므로 파일의 마지막 항목부터 만듦
+   * @param {import('./utils/todoImport').ImportDraft[]} drafts - 가져올 초안
+   */
+  const handleImport = async (drafts) => {
+    clearError();
+    const listId = currentList?._id ?? null;
+    const createdTodos = [];
+    let failed = 0;
+    let lastError = null;
+    setImportProgress({ done: 0, total: drafts.length, failed: 0 });
+    for (const [index, draft] of [...drafts].reverse().entries()) {
+      // 다른 추가와 같은 경로 - 오프라인이거나 서버에 닿지 않으면 큐에 넣고 나중에 보냄
+      const tempId = createTempId();
+      const data = { ...draft, listId };
+      let createdTodo = { ...data, _id: tempId, createdAt: new Date().toISOString() };
+      const error = await runOptimisticMutation({
+        todoId: tempId,
+        mutation: { type: 'create', todoId: tempId, data },
+        apply: () => {
+          if (filterTodos([createdTodo], filter).length > 0) {
+            setTodos(prev => [createdTodo, ...prev]);
+          }
+        },
+        rollback: () => removeTodo(tempId),
+        onSuccess: (newTodo) => {
+          createdTodo = newTodo;
+          replaceTodo(tempId, newTodo);
+        },
+        failureMessage: t('failures.add'),
+      });
+      if (error) {
+        setItemStatus(tempId, null);
+        failed += 1;
+        lastError = error;
+      } else {
+        createdTodos.push(createdTodo);
+      }
+      setImportProgress({ done: index + 1, total: drafts.length, failed });
+    }
+
+    if (failed > 0) {
+      showError(null, t('importExport.importFailed', { count: failed, reason: translateError(lastError, t('errors.UNKNOWN')) }));
+    }
+    if (createdTodos.length > 0) {
+      recordHistory({
+        label: t('history.imported', { count: createdTodos.length }),
+        undo: () => everySucceeded(createdTodos.map(todo => moveCurrentToTrash(todo._id))),
+        redo: () => everySucceeded(createdTodos.map(restoreFromTrash)),
+      });
+    }
+  };
+
+  // 휴지통 불러오기
+  const loadTrash = async () => {
+    if (!navigator.onLine) {
+      setTrash(prev => ({ ...prev, message: t('notices.trashOffline') }));
       return;
     }
+    setIsTrashLoading(true);
+    try {
+      const { items, retentionDays } = await fetchTrash();
+      setTrash({ items, retentionDays: retentionDays ?? TRASH_RETENTION_DAYS, message: '' });
+    } catch (error) {
+      const isUnsupported = error instanceof NotFoundError || error?.status === 405;
+      setTrash(prev => ({
+        ...prev,
+        items: [],
+        message: isUnsupported
+          ? t('notices.trashUnsupported')
+          : translateError(error, t('failures.loadTrash')),
+      }));
+    } finally {
+      setIsTrashLoading(false);
+    }
+  };
 
-    setIsLoading(true);
-    setErrorMessage('');
+  /**
+   * 휴지통 작업 실행 - 처리 중인 항목 표시와 에러 처리
+   * @param {string[]} todoIds - 대상 할일 ID
+   * @param {() => Promise<void>} action - 서버 요청과 화면 반영
+   * @param {string} failureMessage - 실패 시 문구
+   * @returns {Promise<boolean>} 성공 여부
+   */
+  const runTrashAction = async (todoIds, action, failureMessage) => {
+    clearError();
+    setTrashBusyIds(prev => new Set([...prev, ...todoIds]));
     try {
-      await deleteTodo(todoId);
-      // 목록에서 해당 할일 제거
-      setTodos(todos.filter(todo => todo._id !== todoId));
+      await action();
+      return true;
     } catch (error) {
-      const errorMessage = error instanceof Error 
-        ? error.message 
-        : '할일 삭제에 실패했습니다.';
-      setErrorMessage(errorMessage);
-      console.error(error);
+      showError(error, failureMessage);
+      return false;
     } finally {
-      setIsLoading(false);
+      setTrashBusyIds(prev => new Set([...prev].filter(id => !todoIds.includes(id))));
     }
   };
 
-  // 날짜와 시간 포맷팅 함수
-  const formatDate = (dateString) => {
-    if (!dateString) return '';
-    const date = new Date(dateString);
-    return date.toLocaleString('ko-KR', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
+  const removeFromTrashList = (todoIds) => {
+    setTrash(prev => ({ ...prev, items: prev.items.filter(item => !todoIds.includes(item._id)) }));
+  };
+
+  const handleRestoreFromTrash = async (todo) => {
+    const isRestored = await runTrashAction([todo._id], async () => {
+      const restoredTodo = await remoteHandlers.restore(todo._id, todo);
+      removeFromTrashList([todo._id]);
+      // 지금 필터에 맞으면 목록에도 바로 표시
+      if (filterTodos([restoredTodo], filter).length > 0) {
+        setTodos(prev => [restoredTodo, ...prev.filter(item => item._id !== restoredTodo._id)]);
+      }
+      refreshLists();
+    }, t('failures.restore'));
+    if (isRestored) {
+      showToast(t('history.restored', { title: todo.title }));
+    }
+  };
+
+  const handlePurgeTodo = (todo) => {
+    if (!confirm(t('trash.confirmPurge', { title: todo.title }))) {
+      return;
+    }
+    runTrashAction([todo._id], async () => {
+      await purgeTodo(todo._id);
+      removeFromTrashList([todo._id]);
+    }, t('failures.purge'));
+  };
+
+  const handleEmptyTrash = () => {
+    if (!confirm(t('trash.confirmEmpty', { count: trash.items.length }))) {
+      return;
+    }
+    const todoIds = trash.items.map(item => item._id);
+    runTrashAction(todoIds, async () => {
+      await emptyTrash();
+      removeFromTrashList(todoIds);
+    }, t('failures.emptyTrash'));
+  };
+
+  // 로그아웃 - 동기화되지 않은 변경은 로그아웃하면 사라지므로 확인
+  const handleLogout = () => {
+    if (
+      pendingMutations.length > 0 &&
+      !confirm(t('auth.confirmLogout', { count: pendingMutations.length }))
+    ) {
+      return;
+    }
+    logout();
+  };
+
+  // 필터 변경 - 주소에 기록해 새로고침/뒤로 가기에도 유지
+  const setFilter = (nextFilter) => {
+    navigate(buildListUrl({ filter: nextFilter }));
+  };
+
+  // 태그 칩을 누르면 그 태그로 필터링 (상세 페이지에서는 목록으로 이동)
+  const handleTagClick = (tag) => {
+    navigate(buildListUrl({ tag }));
+  };
+
+  // 마감일 필터 켜기/끄기
+  const toggleDueFilter = (value) => {
+    const nextDue = dueFilters.includes(value)
+      ? dueFilters.filter(item => item !== value)
+      : [...dueFilters, value];
+    navigate(buildListUrl({ due: nextDue }));
+  };
+
+  // 직접 정한 순서로 옮기기 - 바로 위에 올 할일(afterId)을 보내고 순서 값은 서버가 전체 목록 기준으로 정함
+  // 보이는 목록은 필터/페이지로 일부뿐이라 보이는 이웃만으로 정한 순서 값은 응답 전까지 보여 줄 추정치로만 씀
+  // (사이에 자리가 없으면 위 항목과 같은 값으로 두고, 서버가 순서 값을 다시 매기면 변경 이벤트로 받음)
+  const handleReorder = async (todo, toIndex) => {
+    const others = visibleTodos.filter(item => item._id !== todo._id);
+    const afterId = others[toIndex - 1]?._id ?? null;
+    const position = getMovedPosition(visibleTodos, todo._id, toIndex) ?? getPosition(others[toIndex - 1]);
+    await runOptimisticMutation({
+      todoId: todo._id,
+      mutation: { type: 'update', todoId: todo._id, data: { position, afterId } },
+      apply: () => replaceTodo(todo._id, { ...todo, position }),
+      rollback: () => replaceTodo(todo._id, todo),
+      onSuccess: (updatedTodo) => replaceTodo(todo._id, updatedTodo),
+      failureMessage: t('failures.reorder'),
     });
   };
 
+  // 다른 정렬을 쓰는 중에는 직접 순서를 바꿀 수 없음
+  // 직접 순서 정하기는 목록 보기에서 정렬을 고르지 않았을 때만
+  const isManualOrder = !sortKey && preferences.viewMode === 'list';
+  const reorder = useDragReorder({
+    items: visibleTodos,
+    getKey: todo => todo._id,
+    onReorder: handleReorder,
+    enabled: isManualOrder,
+  });
+
+  const updatePreferences = (changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+    savePreferences(changes);
+  };
+
+  // 달력에서 끌어다 놓거나 Alt+방향키로 마감일 변경
+  const handleReschedule = async (todo, dueDate) => {
+    const previousDueDate = todo.dueDate ?? null;
+    if (await applyTodoChange(todo._id, { dueDate }, t('failures.reschedule'))) {
+      recordHistory({
+        label: t('history.rescheduled', { title: todo.title }),
+        undo: () => applyTodoChange(todo._id, { dueDate: previousDueDate }, t('failures.undoReschedule')),
+        redo: () => applyTodoChange(todo._id, { dueDate }, t('failures.reschedule')),
+      });
+    }
+  };
+
+  // 키보드 단축키와 명령 팔레트
+  const {
+    focusedTodoId,
+    titleInputRef,
+    searchInputRef,
+    paletteCommands,
+    isPaletteOpen,
+    closePalette,
+    openPaletteTodo,
+    isShortcutHelpOpen,
+    openShortcutHelp,
+    closeShortcutHelp,
+  } = useAppCommands({
+    todos: visibleTodos,
+    isDetailView: Boolean(detailTodoId),
+    detailTodo,
+    isListView,
+    canMoveFocus: isListView && preferences.viewMode === 'list',
+    isEditing: Boolean(editingTodoId),
+    viewModes: VIEW_MODES,
+    quickAdd: preferences.quickAdd,
+    lists,
+    history: undoHistory,
+    listUrl,
+    navigate,
+    onToggleComplete: handleToggleComplete,
+    onEdit: (todo) => handleStartEdit(todo),
+    onDelete: handleDeleteTodo,
+    onFilter: setFilter,
+    onViewMode: (viewMode) => updatePreferences({ viewMode }),
+    onToggleQuickAdd: () => updatePreferences({ quickAdd: !preferences.quickAdd }),
+    onGoToList: (list) => navigate(buildListUrl({ list })),
+    onOpenTagManager: () => setIsTagManagerOpen(true),
+    onOpenImportExport: () => setIsImportExportOpen(true),
+  });
+
+  /**
+   * 할일 카드 렌더링 (목록 보기와 일정 보기에서 함께 사용)
+   * @param {import('./api/todoApi').TodoItem} todo - 할일
+   * @param {number} [index] - 목록 보기에서의 위치 (순서 변경 손잡이용)
+   */
+  const renderTodoItem = (todo, index) => (
+    <TodoItem
+      todo={todo}
+      status={itemStatuses[todo._id]}
+      isPendingSync={pendingTodoIds.has(todo._id)}
+      highlightTerms={searchTerms}
+      editForm={renderEditForm(todo)}
+      dragHandleProps={isManualOrder && index !== undefined ? reorder.getHandleProps(todo, index) : undefined}
+      isDragging={reorder.draggingKey === todo._id}
+      dropEdge={index !== undefined ? reorder.getDropEdge(index) : null}
+      isSelectable={isSelecting}
+      isSelected={selectedIds.has(todo._id)}
+      isFocused={focusedTodoId === todo._id}
+      onSelect={handleSelectTodo}
+      onToggleComplete={handleToggleComplete}
+      onToggleSubtask={handleToggleSubtask}
+      onTagClick={handleTagClick}
+      lists={lists}
+      onMoveToList={handleMoveToList}
+      onStartEdit={handleStartEdit}
+      onDelete={handleDeleteTodo}
+      onDismissError={(item) => setItemStatus(item._id, null)}
+    />
+  );
+
+  // 병합 화면에서 고른 대로 합쳐서 서버 최신 버전 기준으로 다시 저장
+  const handleResolveConflict = (choices) => {
+    const { theirs } = editConflict;
+    setEditConflict(null);
+    handleSaveEdit(theirs, mergeEditingData(editingData, toEditingData(theirs), choices), theirs);
+  };
+
+  // 수정 중인 할일의 수정 폼 (충돌했으면 병합 화면)
+  const renderEditForm = (todo) => {
+    if (editingTodoId !== todo._id) {
+      return null;
+    }
+    if (editConflict?.todoId === todo._id) {
+      return (
+        <ConflictMergeDialog
+          base={toEditingData(editingBase?._id === todo._id ? editingBase : editConflict.theirs)}
+          mine={editingData}
+          theirs={toEditingData(editConflict.theirs)}
+          onResolve={handleResolveConflict}
+          onCancel={() => setEditConflict(null)}
+        />
+      );
+    }
+    const status = itemStatuses[todo._id];
+    return (
+      <TodoEditForm
+        data={editingData}
+        fieldErrors={editFieldErrors}
+        errorMessage={status?.state === 'error' ? status.message : ''}
+        tagSuggestions={tagNames}
+        notificationPermission={reminders.permission}
+        onRequestNotificationPermission={reminders.requestPermission}
+        remoteNotice={remoteEditNotice?.todoId === todo._id ? remoteEditNotice.type : null}
+        onLoadRemote={() => handleStartEdit(remoteEditNotice.todo)}
+        onDismissRemoteNotice={() => setRemoteEditNotice(null)}
+        onChange={setEditingData}
+        onSave={() => handleSaveEdit(todo)}
+        onCancel={handleCancelEdit}
+      />
+    );
+  };
+
   return (
     <div className="app-container">
       <div className="todo-app">
-        <h1 className="app-title">📝 할일 관리</h1>
+        <AppHeader
+          user={user}
+          isConnected={isConnected}
+          realtimeStatus={realtimeStatus}
+          pendingCount={pendingMutations.length}
+          onOpenShortcutHelp={openShortcutHelp}
+          onLogout={handleLogout}
+        />
 
-        {/* 에러 메시지 표시 */}
-        {errorMessage && (
-          <div className="error-message">
-            ⚠️ {errorMessage}
-          </div>
-        )}
+        <ErrorBanner
+          message={errorMessage}
+          onRetry={retryAction && (() => {
+            clearError();
+            retryAction();
+          })}
+        />
 
-        {/* 필터 버튼 */}
-        <div className="filter-buttons">
-          <button
-            className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
-            onClick={() => setFilter('all')}
-            disabled={isLoading}
-          >
-            전체
-          </button>
-          <button
-            className={`filter-btn ${filter === 'pending' ? 'active' : ''}`}
-            onClick={() => setFilter('pending')}
-            disabled={isLoading}
-          >
-            미완료
-          </button>
-          <button
-            className={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
-            onClick={() => setFilter('completed')}
-            disabled={isLoading}
-          >
-            완료
-          </button>
-        </div>
-
-        {/* 새 할일 추가 폼 */}
-        <form onSubmit={handleAddTodo} className="add-todo-form">
-          <div className="form-group">
-            <input
-              type="text"
-              className="input-field"
-              placeholder="할일 제목 *"
-              value={titleInput}
-              onChange={(e) => setTitleInput(e.target.value)}
-              disabled={isLoading}
-              required
-            />
-            <textarea
-              className="input-field textarea-field"
-              placeholder="설명 (선택)"
-              value={descriptionInput}
-              onChange={(e) => setDescriptionInput(e.target.value)}
-              disabled={isLoading}
-              rows="2"
+        {detailTodoId ? (
+          // 할일 상세 페이지
+          <TodoDetail
+            todo={detailTodo}
+            isLoading={isLoading}
+            backTo={listUrl}
+            status={detailTodo ? itemStatuses[detailTodo._id] : undefined}
+            isPendingSync={pendingTodoIds.has(detailTodoId)}
+            editForm={detailTodo ? renderEditForm(detailTodo) : null}
+            onToggleComplete={handleToggleComplete}
+            onToggleSubtask={handleToggleSubtask}
+            onTagClick={handleTagClick}
+            lists={lists}
+            onMoveToList={handleMoveToList}
+            onStartEdit={handleStartEdit}
+            onDelete={handleDeleteTodo}
+            onDismissError={(todo) => setItemStatus(todo._id, null)}
+          />
+        ) : (
+          <div className="list-layout">
+            <ListSidebar
+              lists={lists}
+              pendingCounts={pendingCounts}
+              selectedList={isListView ? selectedList : null}
+              isBusy={isUpdatingLists}
+              onSelect={(list) => navigate(buildListUrl({ list }))}
+              onCreate={handleCreateList}
+              onRename={handleRenameList}
+              onMove={handleMoveList}
+              onArchive={handleArchiveList}
+              isTrashOpen={isTrashView}
+              onOpenTrash={() => navigate('/trash')}
+              isStatsOpen={isStatsView}
+              onOpenStats={() => navigate('/stats')}
             />
-            <input
-              type="datetime-local"
-              className="input-field"
-              value={dueDateInput}
-              onChange={(e) => setDueDateInput(e.target.value)}
-              disabled={isLoading}
-            />
-          </div>
-          <button 
-            type="submit" 
-            className="btn btn-primary"
-            disabled={isLoading}
-          >
-            {isLoading ? '추가 중...' : '✓ 추가하기'}
-          </button>
-        </form>
-
-        {/* 할일 목록 */}
-        <div className="todo-list">
-          {isLoading && todos.length === 0 ? (
-            <div className="loading-message">로딩 중...</div>
-          ) : todos.length === 0 ? (
-            <div className="empty-message">
-              할일이 없습니다. 새로운 할일을 추가해보세요! 🎉
-            </div>
-          ) : (
-            todos.map((todo) => (
-              <div 
-                key={todo._id} 
-                className={`todo-item ${todo.isCompleted ? 'completed' : ''}`}
-              >
-                {editingTodoId === todo._id ? (
-                  // 수정 모드
-                  <div className="todo-edit-mode">
-                    <input
-                      type="text"
-                      className="input-field edit-input"
-                      placeholder="할일 제목 *"
-                      value={editingData.title}
-                      onChange={(e) => setEditingData({...editingData, title: e.target.value})}
-                      disabled={isLoading}
-                      autoFocus
-                      required
-                    />
-                    <textarea
-                      className="input-field textarea-field edit-input"
-                      placeholder="설명"
-                      value={editingData.description}
-                      onChange={(e) => setEditingData({...editingData, description: e.target.value})}
-                      disabled={isLoading}
-                      rows="2"
-                    />
-                    <div className="edit-row">
+            {isStatsView ? (
+              <div className="list-main">
+                <h2 className="list-title">📊 {t('stats.title')}</h2>
+                <StatsDashboard todos={statsData.todos} isLoading={statsData.isLoading} message={statsData.message} />
+              </div>
+            ) : isTrashView ? (
+              <div className="list-main">
+                <h2 className="list-title">🗑️ {t('trash.title')}</h2>
+                <TrashView
+                  items={trash.items}
+                  retentionDays={trash.retentionDays}
+                  isLoading={isTrashLoading}
+                  message={trash.message}
+                  busyIds={trashBusyIds}
+                  onRestore={handleRestoreFromTrash}
+                  onPurge={handlePurgeTodo}
+                  onEmpty={handleEmptyTrash}
+                />
+              </div>
+            ) : (
+              <div className="list-main">
+                {/* 현재 목록 이름 */}
+                <h2 className="list-title">
+                  {selectedList === INBOX_LIST_ID ? '📥 ' : currentList ? '📁 ' : ''}{currentListName}
+                  {currentList?.isArchived && <span className="list-archived-badge">{t('lists.archivedBadge')}</span>}
+                </h2>
+
+                {/* 필터 버튼 */}
+                <div className="filter-buttons">
+                  <button
+                    className={`filter-btn ${filter === 'all' ? 'active' : ''}`}
+                    onClick={() => setFilter('all')}
+                  >
+                    {t('filters.all')}
+                  </button>
+                  <button
+                    className={`filter-btn ${filter === 'pending' ? 'active' : ''}`}
+                    onClick={() => setFilter('pending')}
+                  >
+                    {t('filters.pending')}
+                  </button>
+                  <button
+                    className={`filter-btn ${filter === 'completed' ? 'active' : ''}`}
+                    onClick={() => setFilter('completed')}
+                  >
+                    {t('filters.completed')}
+                  </button>
+                </div>
+
+                {/* 우선순위/태그 필터와 태그 관리 */}
+                <div className="filter-selects">
+                  <select
+                    className="input-field"
+                    value={priorityFilter}
+                    onChange={(e) => navigate(buildListUrl({ priority: e.target.value }))}
+                    aria-label={t('filters.priority')}
+                  >
+                    <option value="">{t('filters.allPriorities')}</option>
+                    {PRIORITIES.map(option => (
+                      <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="input-field"
+                    value={tagFilter}
+                    onChange={(e) => navigate(buildListUrl({ tag: e.target.value }))}
+                    aria-label={t('filters.tag')}
+                  >
+                    <option value="">{t('filters.allTags')}</option>
+                    {tagFilter && !tagNames.some(name => isSameTag(name, tagFilter)) && (
+                      <option value={tagFilter}>#{tagFilter}</option>
+                    )}
+                    {tagNames.map(name => (
+                      <option key={name} value={name}>#{name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className={`filter-btn ${isTagManagerOpen ? 'active' : ''}`}
+                    onClick={() => setIsTagManagerOpen(open => !open)}
+                  >
+                    🏷️ {t('tags.manage')}
+                  </button>
+                  <button
+                    type="button"
+                    className={`filter-btn ${isImportExportOpen ? 'active' : ''}`}
+                    onClick={() => setIsImportExportOpen(open => !open)}
+                  >
+                    📦 {t('importExport.title')}
+                  </button>
+                  <button
+                    type="button"
+                    className={`filter-btn ${isSelecting ? 'active' : ''}`}
+                    onClick={handleToggleSelecting}
+                    aria-pressed={isSelecting}
+                  >
+                    ☑️ {t('bulk.start')}
+                  </button>
+                </div>
+
+                {isTagManagerOpen && (
+                  <TagManager
+                    tags={tagStats}
+                    isBusy={isUpdatingTags}
+                    onRename={applyTagChange}
+                    onDelete={(name) => applyTagChange(name, null)}
+                    onClose={() => setIsTagManagerOpen(false)}
+                  />
+                )}
+
+                {isImportExportOpen && (
+                  <ImportExportPanel
+                    todos={visibleTodos}
+                    existingTodos={todos}
+                    listName={currentList?.name ?? t('lists.inbox')}
+                    progress={importProgress}
+                    isOnline={isOnline}
+                    onImport={handleImport}
+                    onClose={() => {
+                      setIsImportExportOpen(false);
+                      setImportProgress(null);
+                    }}
+                  />
+                )}
+
+                {/* 검색과 정렬 */}
+                <div className="list-toolbar">
+                  <input
+                    type="search"
+                    className="input-field search-input"
+                    ref={searchInputRef}
+                    placeholder={t('filters.searchPlaceholder')}
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                  />
+                  <select
+                    className="input-field sort-select"
+                    value={sortKey}
+                    onChange={(e) => navigate(buildListUrl({ sort: e.target.value }))}
+                    aria-label={t('sort.label')}
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                    ))}
+                  </select>
+                  <div className="view-toggle" role="group" aria-label={t('viewModes.label')}>
+                    {VIEW_MODES.map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        className={`filter-btn ${preferences.viewMode === option.value ? 'active' : ''}`}
+                        onClick={() => updatePreferences({ viewMode: option.value })}
+                        aria-pressed={preferences.viewMode === option.value}
+                      >
+                        {t(option.labelKey)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* 선택한 할일 일괄 작업 */}
+                {isSelecting && (
+                  <BulkActionBar
+                    selectedCount={selectedTodos.length}
+                    visibleCount={visibleTodos.length}
+                    hasMore={hasMoreTodos}
+                    isBusy={isBulkBusy}
+                    tagSuggestions={tagNames}
+                    onSelectAll={() => setSelectedIds(new Set(visibleTodos.map(todo => todo._id)))}
+                    onClearSelection={clearSelection}
+                    onSetCompleted={handleBulkSetCompleted}
+                    onReschedule={handleBulkReschedule}
+                    onAddTag={handleBulkAddTag}
+                    onDelete={handleBulkDelete}
+                    onClose={handleToggleSelecting}
+                  />
+                )}
+                {bulkSummary && (
+                  <BulkResultSummary
+                    summary={bulkSummary}
+                    onSelectFailed={() => {
+                      setIsSelecting(true);
+                      setSelectedIds(new Set(bulkSummary.failures.map(failure => failure.id)));
+                    }}
+                    onDismiss={() => setBulkSummary(null)}
+                  />
+                )}
+
+                {/* 마감일 필터 (여러 개 선택 가능) */}
+                <div className="due-filter-chips">
+                  {DUE_FILTERS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className={`chip ${dueFilters.includes(option.value) ? 'active' : ''}`}
+                      aria-pressed={dueFilters.includes(option.value)}
+                      onClick={() => toggleDueFilter(option.value)}
+                    >
+                      {t(option.labelKey)}
+                    </button>
+                  ))}
+                  {isLoading && todos.length > 0 && (
+                    <span className="list-loading">{t('common.loading')}</span>
+                  )}
+                </div>
+
+                {/* 새 할일 추가 폼 */}
+                <form onSubmit={handleAddTodo} className="add-todo-form">
+                  <div className="form-group">
+                    <div className="add-title-row">
                       <input
-                        type="datetime-local"
+                        type="text"
                         className="input-field"
-                        value={editingData.dueDate}
-                        onChange={(e) => setEditingData({...editingData, dueDate: e.target.value})}
-                        disabled={isLoading}
+                        ref={titleInputRef}
+                        placeholder={preferences.quickAdd ? t('quickAdd.placeholder') : t('todo.titlePlaceholder')}
+                        value={titleInput}
+                        onChange={(e) => setTitleInput(e.target.value)}
+                        aria-label={t('todo.fields.title')}
+                        required
                       />
-                      <label className="checkbox-label">
-                        <input
-                          type="checkbox"
-                          checked={editingData.isCompleted}
-                          onChange={(e) => setEditingData({...editingData, isCompleted: e.target.checked})}
-                          disabled={isLoading}
-                        />
-                        완료
-                      </label>
-                    </div>
-                    <div className="todo-actions">
                       <button
-                        className="btn btn-success btn-sm"
-                        onClick={() => handleSaveEdit(todo._id)}
-                        disabled={isLoading}
+                        type="button"
+                        className={`filter-btn quick-add-toggle ${preferences.quickAdd ? 'active' : ''}`}
+                        aria-pressed={preferences.quickAdd}
+                        onClick={() => updatePreferences({ quickAdd: !preferences.quickAdd })}
+                        title={t('quickAdd.toggleHint')}
                       >
-                        💾 저장
+                        ⚡ {t('quickAdd.toggle')}
                       </button>
-                      <button
-                        className="btn btn-secondary btn-sm"
-                        onClick={handleCancelEdit}
-                        disabled={isLoading}
+                    </div>
+                    {quickAddResult && <QuickAddPreview parsed={quickAddResult} />}
+                    {addFieldErrors.title && <span className="field-error">{addFieldErrors.title}</span>}
+                    <textarea
+                      className="input-field textarea-field"
+                      placeholder={t('todo.descriptionOptional')}
+                      value={descriptionInput}
+                      onChange={(e) => setDescriptionInput(e.target.value)}
+                      rows="2"
+                    />
+                    {addFieldErrors.description && <span className="field-error">{addFieldErrors.description}</span>}
+                    <input
+                      type="datetime-local"
+                      className="input-field"
+                      value={dueDateInput}
+                      onChange={(e) => setDueDateInput(e.target.value)}
+                    />
+                    {addFieldErrors.dueDate && <span className="field-error">{addFieldErrors.dueDate}</span>}
+                    <div className="add-form-row">
+                      <select
+                        className="input-field list-select"
+                        value={listInput}
+                        onChange={(e) => setListInput(e.target.value)}
+                        aria-label={t('lists.label')}
                       >
-                        ✕ 취소
-                      </button>
+                        <option value={INBOX_LIST_ID}>📥 {t('lists.inbox')}</option>
+                        {lists.filter(list => !list.isArchived).map(list => (
+                          <option key={list._id} value={list._id}>📁 {list.name}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="input-field priority-select"
+                        value={priorityInput}
+                        onChange={(e) => setPriorityInput(e.target.value)}
+                        aria-label={t('todo.fields.priority')}
+                      >
+                        {PRIORITIES.map(option => (
+                          <option key={option.value} value={option.value}>
+                            {t('todo.priorityOption', { label: t(option.labelKey) })}
+                          </option>
+                        ))}
+                      </select>
+                      <TagInput tags={tagsInput} suggestions={tagNames} onChange={setTagsInput} />
                     </div>
+                    <RecurrenceFields value={recurrenceInput} dueDate={dueDateInput} onChange={setRecurrenceInput} />
+                    {addFieldErrors.recurrence && <span className="field-error">{addFieldErrors.recurrence}</span>}
+                    <ReminderFields
+                      value={remindersInput}
+                      dueDate={dueDateInput}
+                      permission={reminders.permission}
+                      onRequestPermission={reminders.requestPermission}
+                      onChange={setRemindersInput}
+                    />
                   </div>
-                ) : (
-                  // 일반 모드
-                  <>
-                    <div className="todo-content">
-                      <div className="todo-header">
-                        <h3 className={`todo-title ${todo.isCompleted ? 'strikethrough' : ''}`}>
-                          {todo.title}
-                        </h3>
-                        <label className="checkbox-label">
-                          <input
-                            type="checkbox"
-                            checked={todo.isCompleted || false}
-                            onChange={() => handleToggleComplete(todo)}
-                            disabled={isLoading}
-                          />
-                          완료
-                        </label>
-                      </div>
-                      {todo.description && (
-                        <p className="todo-description">{todo.description}</p>
-                      )}
-                      <div className="todo-meta">
-                        {todo.dueDate && (
-                          <span className="todo-date">
-                            📅 {formatDate(todo.dueDate)}
-                          </span>
-                        )}
-                        {todo.createdAt && (
-                          <span className="todo-created">
-                            생성: {formatDate(todo.createdAt)}
-                          </span>
-                        )}
-                      </div>
+                  <button 
+                    type="submit" 
+                    className="btn btn-primary"
+                  >
+                    ✓ {t('todo.add')}
+                  </button>
+                </form>
+
+                {/* 할일 목록 */}
+                <div className="todo-list">
+                  {isLoading && todos.length === 0 ? (
+                    <div className="loading-message">{t('common.loading')}</div>
+                  ) : todos.length === 0 ? (
+                    <div className="empty-message">
+                      {t('todo.empty')}
                     </div>
-                    <div className="todo-actions">
-                      <button
-                        className="btn btn-warning btn-sm"
-                        onClick={() => handleStartEdit(todo)}
-                        disabled={isLoading}
-                      >
-                        ✏️ 수정
-                      </button>
-                      <button
-                        className="btn btn-danger btn-sm"
-                        onClick={() => handleDeleteTodo(todo._id)}
-                        disabled={isLoading}
-                      >
-                        🗑️ 삭제
-                      </button>
+                  ) : preferences.viewMode === 'calendar' ? (
+                    <CalendarView
+                      todos={visibleTodos}
+                      mode={preferences.calendarMode}
+                      onModeChange={(calendarMode) => updatePreferences({ calendarMode })}
+                      onReschedule={handleReschedule}
+                    />
+                  ) : visibleTodos.length === 0 ? (
+                    <div className="empty-message">
+                      {t('todo.noMatches')}
                     </div>
-                  </>
+                  ) : preferences.viewMode === 'agenda' ? (
+                    <AgendaView todos={visibleTodos} renderItem={renderTodoItem} />
+                  ) : (
+                    // 화면 근처의 항목만 렌더링하고, 끝에 가까워지면 다음 페이지 요청
+                    <VirtualList
+                      className="virtual-list"
+                      items={visibleTodos}
+                      getKey={todo => todo._id}
+                      activeKey={focusedTodoId}
+                      onEndReached={loadMoreTodos}
+                      renderItem={renderTodoItem}
+                    />
+                  )}
+                  {hasMoreTodos && !(isLoading && todos.length === 0) && (
+                    <div className="load-more">
+                      {isLoadingMore ? (
+                        <span className="list-loading">{t('todo.loadingMore')}</span>
+                      ) : (
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={loadMoreTodos}>
+                          {t('todo.loadMore')}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {/* 할일 개수 표시 */}
+                {todos.length > 0 && (
+                  <div className="todo-count">
+                    {t('todo.count.total', { list: currentListName })}: <strong>{t('common.count', { count: totalCount })}</strong>
+                    {hasMoreTodos && <> ({t('todo.count.loaded', { count: todos.length })})</>}
+                    {completedCount > 0 && (
+                      <>
+                        {' | '}
+                        {t(hasMoreTodos ? 'todo.count.loadedCompleted' : 'todo.count.completed')}:{' '}
+                        <strong>{t('common.count', { count: completedCount })}</strong>
+                      </>
+                    )}
+                  </div>
                 )}
               </div>
-            ))
-          )}
-        </div>
-
-        {/* 할일 개수 표시 */}
-        {todos.length > 0 && (
-          <div className="todo-count">
-            전체 할일: <strong>{todos.length}개</strong>
-            {todos.filter(t => t.isCompleted).length > 0 && (
-              <> | 완료: <strong>{todos.filter(t => t.isCompleted).length}개</strong></>
             )}
           </div>
         )}
       </div>
+
+      {isPaletteOpen && (
+        <CommandPalette
+          commands={paletteCommands}
+          todos={todos}
+          onOpenTodo={openPaletteTodo}
+          onClose={closePalette}
+        />
+      )}
+      {isShortcutHelpOpen && <ShortcutHelp onClose={closeShortcutHelp} />}
+
+      {/* 실행 취소 알림 */}
+      {toast && <UndoToast toast={toast} onDismiss={() => setToast(null)} />}
     </div>
   );
 }
@@ -0,0 +1,21 @@
+import App from './App';
+import LoginScreen from './components/LoginScreen';
+import UpdatePrompt from './components/UpdatePrompt';
+import { useAuth } from './auth/AuthContext';
+
+/**
+ * 로그인 여부에 따라 로그인 화면 또는 할일 앱 표시 (새 버전 안내는 어느 화면에서나)
+ * 사용자가 바뀌면 이전 사용자의 화면 상태가 남지 않도록 App을 새로 마운트합니다
+ */
+function Root() {
+  const { isAuthEnabled, user } = useAuth();
+
+  return (
+    <>
+      {isAuthEnabled && !user ? <LoginScreen /> : <App key={user?.id ?? 'guest'} />}
+      <UpdatePrompt />
+    </>
+  );
+}
+
+export default Root;
@@ -0,0 +1,79 @@
+import { NetworkError, createApiErrorFromResponse } from './errors';
+import { todoClient } from './todoApi';
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string} id - 사용자 ID
+ * @property {string} name - 이름
+ * @property {string} email - 이메일
+ */
+
+/**
+ * @typedef {Object} AuthSession
+ * @property {string} accessToken - API 요청에 사용하는 토큰
+ * @property {string} refreshToken - 액세스 토큰 재발급용 토큰
+ * @property {AuthUser} user - 로그인한 사용자
+ */
+
+/**
+ * 인증 API 공통 요청 함수
+ * 인증 요청은 토큰 인터셉터를 거치지 않도록 할일 클라이언트와 별도로 보냅니다
+ * @param {string} path - /auth 기준 상대 경로
+ * @param {Object} [body] - JSON 본문
+ * @param {Record<string, string>} [headers] - 추가 헤더
+ * @returns {Promise<*>} 파싱된 응답 본문 (본문이 없으면 null)
+ */
+async function authRequest(path, body, headers = {}) {
+  let response;
+  try {
+    response = await fetch(`${todoClient.baseUrl}/auth${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body ?? {}),
+    });
+  } catch (error) {
+    throw new NetworkError('AUTH_SERVER_UNREACHABLE', {
+      params: { url: todoClient.baseUrl },
+      cause: error,
+    });
+  }
+
+  if (!response.ok) {
+    throw await createApiErrorFromResponse(response);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * 로그인
+ * @param {string} email - 이메일
+ * @param {string} password - 비밀번호
+ * @returns {Promise<AuthSession>} 발급된 세션
+ */
+export const login = (email, password) => authRequest('/login', { email: email.trim(), password });
+
+/**
+ * 회원가입 (가입 후 바로 로그인된 세션 반환)
+ * @param {string} name - 이름
+ * @param {string} email - 이메일
+ * @param {string} password - 비밀번호
+ * @returns {Promise<AuthSession>} 발급된 세션
+ */
+export const signup = (name, email, password) =>
+  authRequest('/signup', { name: name.trim(), email: email.trim(), password });
+
+/**
+ * 액세스 토큰 재발급
+ * @param {string} refreshToken - 리프레시 토큰
+ * @returns {Promise<AuthSession>} 새 세션
+ */
+export const refreshSession = (refreshToken) => authRequest('/refresh', { refreshToken });
+
+/**
+ * 로그아웃 - 서버의 리프레시 토큰 폐기
+ * @param {string} refreshToken - 리프레시 토큰
+ * @returns {Promise<void>}
+ */
+export const logout = async (refreshToken) => {
+  await authRequest('/logout', { refreshToken });
+};
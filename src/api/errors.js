@@ -0,0 +1,222 @@
+// API 에러 모델
+// 화면에서 에러 종류(검증 실패, 없는 항목, 인증, 서버 오류, 네트워크 오류)를 구분해 처리할 수 있도록
+// 상태 코드, 요청 ID, 파싱된 응답 본문을 담은 에러 클래스를 제공합니다
+// 사용자에게 보여줄 문장은 만들지 않고 에러 코드(예: 'NOT_FOUND')와 값만 담으며, 화면이 현재 언어로 번역합니다
+// 서버가 응답 본문에 code를 주면 그 코드를, 없으면 상태 코드에 맞는 코드를 씁니다
+
+/**
+ * 모든 API 에러의 기본 클래스
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - 에러 코드 (화면에서 번역할 키)
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP 상태 코드 (응답이 없으면 0)
+   * @param {string|null} [options.requestId] - 서버가 돌려준 요청 ID
+   * @param {*} [options.body] - 파싱된 응답 본문 (JSON이 아니면 텍스트)
+   * @param {string|null} [options.serverMessage] - 서버가 보낸 메시지 (모르는 코드일 때 대신 표시)
+   * @param {Record<string, string|number>} [options.params] - 문구에 넣을 값 (예: { seconds: 10 })
+   * @param {unknown} [options.cause] - 원인 에러
+   */
+  constructor(code, { status = 0, requestId = null, body = null, serverMessage = null, params = {}, cause } = {}) {
+    super(serverMessage || code, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = code;
+    this.params = params;
+    this.serverMessage = serverMessage;
+    this.status = status;
+    this.requestId = requestId;
+    this.body = body;
+  }
+}
+
+/**
+ * 서버에 연결하지 못했거나 응답 시간이 초과된 경우
+ */
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} code - 에러 코드
+   * @param {Object} [options]
+   * @param {boolean} [options.isTimeout] - 제한 시간 초과 여부
+   * @param {Record<string, string|number>} [options.params] - 문구에 넣을 값
+   * @param {unknown} [options.cause] - 원인 에러
+   */
+  constructor(code, { isTimeout = false, params, cause } = {}) {
+    super(code, { params, cause });
+    this.name = 'NetworkError';
+    this.isTimeout = isTimeout;
+  }
+}
+
+/**
+ * 입력값 검증 실패 (400, 422)
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} code - 에러 코드
+   * @param {Object} [options] - ApiError 옵션
+   * @param {Record<string, string>} [options.fieldErrors] - 필드별 서버 메시지
+   * @param {Record<string, string>} [options.fieldErrorCodes] - 필드별 에러 코드 (서버가 준 경우)
+   */
+  constructor(code, { fieldErrors = {}, fieldErrorCodes = {}, ...options } = {}) {
+    super(code, options);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+    this.fieldErrorCodes = fieldErrorCodes;
+  }
+}
+
+/**
+ * 요청한 할일이 없음 (404) - 다른 곳에서 삭제된 경우가 대부분
+ */
+export class NotFoundError extends ApiError {
+  constructor(code, options) {
+    super(code, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 불러온 뒤 다른 곳에서 먼저 수정됨 (409, 412) - If-Match 조건이 맞지 않는 경우
+ */
+export class ConflictError extends ApiError {
+  /**
+   * @param {string} code - 에러 코드
+   * @param {Object} [options] - ApiError 옵션
+   */
+  constructor(code, options = {}) {
+    super(code, options);
+    this.name = 'ConflictError';
+    // 서버의 최신 할일 (응답 본문에 current로 함께 주는 경우)
+    this.currentTodo = options.body?.current ?? null;
+  }
+}
+
+/**
+ * 인증 실패 또는 권한 없음 (401, 403)
+ */
+export class AuthError extends ApiError {
+  constructor(code, options) {
+    super(code, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 서버 내부 오류 (5xx)
+ */
+export class ServerError extends ApiError {
+  constructor(code, options) {
+    super(code, options);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * 응답 본문에서 필드별 에러 추출
+ * Mongoose 형식({ errors: { title: { message, code } } })과
+ * express-validator 형식({ errors: [{ path|param|field, msg|message, code }] })을 모두 지원합니다
+ * @param {*} body - 파싱된 응답 본문
+ * @returns {{ fieldErrors: Record<string, string>, fieldErrorCodes: Record<string, string> }} 필드별 메시지와 코드
+ */
+function extractFieldErrors(body) {
+  const errors = body?.errors;
+  if (!errors || typeof errors !== 'object') {
+    return { fieldErrors: {}, fieldErrorCodes: {} };
+  }
+
+  const entries = Array.isArray(errors)
+    ? errors.map(item => [item?.path || item?.param || item?.field, item?.msg || item?.message, item?.code])
+    : Object.entries(errors).map(([field, detail]) => (
+      typeof detail === 'string' ? [field, detail] : [field, detail?.message, detail?.code]
+    ));
+  const fields = entries.filter(([field, message, code]) => field && (message || code));
+
+  return {
+    fieldErrors: Object.fromEntries(fields.filter(([, message]) => message).map(([field, message]) => [field, message])),
+    fieldErrorCodes: Object.fromEntries(fields.filter(([, , code]) => code).map(([field, , code]) => [field, code])),
+  };
+}
+
+/**
+ * 실패한 HTTP 응답을 알맞은 ApiError로 변환
+ * @param {Response} response - Fetch API 응답 객체
+ * @returns {Promise<ApiError>} 변환된 에러
+ */
+export async function createApiErrorFromResponse(response) {
+  const { status } = response;
+  const requestId = response.headers.get('X-Request-Id') || response.headers.get('X-Correlation-Id');
+
+  let body = null;
+  try {
+    // 응답 본문을 텍스트로 먼저 읽고 JSON이면 파싱
+    const responseText = await response.clone().text();
+    try {
+      body = JSON.parse(responseText);
+    } catch {
+      body = responseText || null;
+    }
+  } catch {
+    // 본문을 읽지 못하면 상태 코드만으로 판단
+  }
+
+  if (body?.stack) {
+    console.error('서버 에러 상세:', body.stack);
+  }
+
+  return createApiError(status, body, requestId);
+}
+
+/**
+ * 상태 코드와 응답 본문으로 알맞은 ApiError 생성 (일괄 처리 응답의 항목별 결과 등)
+ * @param {number} status - HTTP 상태 코드
+ * @param {*} body - 파싱된 응답 본문
+ * @param {string|null} [requestId] - 서버가 돌려준 요청 ID
+ * @returns {ApiError}
+ */
+export function createApiError(status, body, requestId = null) {
+  // JSON 메시지 우선, 텍스트 응답은 처음 200자만 사용
+  const serverMessage = typeof body === 'string'
+    ? body.substring(0, 200)
+    : body?.message || body?.error || null;
+  const serverCode = typeof body?.code === 'string' ? body.code : null;
+  const options = { status, requestId, body, serverMessage };
+
+  if (status === 400 || status === 422) {
+    return new ValidationError(serverCode ?? 'VALIDATION_FAILED', { ...options, ...extractFieldErrors(body) });
+  }
+  if (status === 401) {
+    return new AuthError(serverCode ?? 'UNAUTHORIZED', options);
+  }
+  if (status === 403) {
+    return new AuthError(serverCode ?? 'FORBIDDEN', options);
+  }
+  if (status === 404) {
+    return new NotFoundError(serverCode ?? 'NOT_FOUND', options);
+  }
+  if (status === 409 || status === 412) {
+    return new ConflictError(serverCode ?? 'CONFLICT', options);
+  }
+  if (status >= 500) {
+    return new ServerError(serverCode ?? 'SERVER_ERROR', options);
+  }
+  return new ApiError(serverCode ?? 'HTTP_ERROR', { ...options, params: { status } });
+}
+
+/**
+ * 네트워크 연결 실패로 발생한 에러인지 확인
+ * @param {unknown} error - 확인할 에러
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return error instanceof NetworkError;
+}
+
+/**
+ * 잠시 후 같은 요청을 다시 보내면 성공할 수 있는 에러인지 확인 (네트워크/서버 오류)
+ * @param {unknown} error - 확인할 에러
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return error instanceof NetworkError || error instanceof ServerError;
+}
@@ -1,66 +1,40 @@
+import {
+  ApiError,
+  NetworkError,
+  NotFoundError,
+  ValidationError,
+  createApiError,
+  createApiErrorFromResponse,
+  isNetworkError,
+} from './errors.js';
+import { normalizeSubtasks } from '../utils/subtasks.js';
+import { normalizeRecurrence } from '../utils/recurrence.js';
+import { normalizeTags } from '../utils/tags.js';
+import { normalizeReminders } from '../utils/reminders.js';
+
+// 에러 클래스와 판별 함수는 화면 코드에서도 이 모듈을 통해 사용할 수 있도록 다시 export
+export * from './errors.js';
+
 // API 기본 설정 - 환경변수에서 백엔드 서버 주소 가져오기
-// Vite에서는 import.meta.env를 사용하여 환경변수에 접근합니다
-const API_BASE_URL = `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/todos`;
+// Vite에서는 import.meta.env를 사용하여 환경변수에 접근합니다 (Node에서 테스트할 때는 없음)
+const DEFAULT_BASE_URL = import.meta.env?.VITE_API_BASE_URL || 'http://localhost:5000';
 
-/**
- * HTTP 응답 에러를 처리하는 헬퍼 함수
- * @param {Response} response - Fetch API 응답 객체
- * @returns {Promise<never>} 에러를 throw
- */
-async function handleResponseError(response) {
-  let errorMessage = `서버 오류 (${response.status})`;
-  let errorDetails = null;
-  
-  try {
-    // 응답 본문을 텍스트로 먼저 읽어서 내용 확인
-    const responseText = await response.clone().text();
-    errorDetails = responseText;
-    
-    // JSON 형식인지 확인 후 파싱 시도
-    try {
-      const errorData = JSON.parse(responseText);
-      errorMessage = errorData?.message || errorData?.error || errorMessage;
-      // 추가 상세 정보가 있으면 포함
-      if (errorData?.stack) {
-        console.error('서버 에러 상세:', errorData.stack);
-      }
-    } catch {
-      // JSON이 아닌 경우 텍스트 그대로 사용 (처음 200자만)
-      if (responseText && responseText.length > 0) {
-        errorMessage = responseText.substring(0, 200);
-      }
-    }
-  } catch {
-    // 응답 본문 읽기 실패 시 상태 코드에 따른 기본 메시지 사용
-    if (response.status === 500) {
-      errorMessage = '서버 내부 오류가 발생했습니다. 잠시 후 다시 시도해주세요.';
-    } else if (response.status === 404) {
-      errorMessage = '요청한 리소스를 찾을 수 없습니다.';
-    } else if (response.status === 400) {
-      errorMessage = '잘못된 요청입니다. 입력값을 확인해주세요.';
-    } else if (response.status === 401) {
-      errorMessage = '인증이 필요합니다.';
-    } else if (response.status === 403) {
-      errorMessage = '접근 권한이 없습니다.';
-    }
-  }
-  
-  // 500 에러인 경우 추가 안내
-  if (response.status === 500) {
-    errorMessage += '\n\n서버 측 문제일 수 있습니다. 가능한 원인:\n';
-    errorMessage += '1. 데이터베이스 연결 문제\n';
-    errorMessage += '2. 서버 환경변수 설정 문제\n';
-    errorMessage += '3. 서버 코드 오류\n\n';
-    errorMessage += 'Heroku 로그를 확인하거나 잠시 후 다시 시도해주세요.';
-    
-    // 상세 정보가 있으면 콘솔에 출력
-    if (errorDetails) {
-      console.error('서버 응답 상세:', errorDetails);
-    }
-  }
-  
-  throw new Error(errorMessage);
-}
+// 요청 제한 시간 기본값 (Heroku 무료 서버가 깨어나는 시간을 고려)
+const DEFAULT_TIMEOUT_MS = 20000;
+
+// 재시도 기본 설정 - 지수 백오프 (500ms, 1s, 2s ...)
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+};
+
+// 같은 요청을 여러 번 보내도 결과가 같아 자동 재시도해도 안전한 메서드
+const IDEMPOTENT_METHODS = ['GET', 'PATCH', 'DELETE'];
+
+// 일괄 처리 엔드포인트가 없는 서버에 개별 요청을 나눠 보낼 때 동시에 보낼 최대 개수
+const BATCH_CONCURRENCY = 4;
 
 // Todo 아이템 타입 (JavaScript에서는 JSDoc으로 타입 힌트 제공)
 /**
@@ -72,65 +46,552 @@ async function handleResponseError(response) {
  * @property {boolean} isCompleted - 완료 여부
  * @property {Date|string} [createdAt] - 생성일
  * @property {Date|string} [updatedAt] - 수정일
+ * @property {import('../utils/subtasks').Subtask[]} [subtasks] - 하위 작업 (순서대로)
+ * @property {boolean} [autoComplete] - 하위 작업을 모두 끝내면 자동으로 완료할지 여부
+ * @property {import('../utils/recurrence').Recurrence|null} [recurrence] - 반복 일정
+ * @property {string[]} [tags] - 태그
+ * @property {'low'|'medium'|'high'|'urgent'} [priority] - 우선순위
+ * @property {string|null} [listId] - 속한 목록 ID (없으면 받은 할일함)
+ * @property {number} [position] - 직접 정한 순서 값 (작을수록 위, utils/ordering 참고)
+ * @property {number[]} [reminders] - 마감 알림 시점 (마감 몇 분 전, utils/reminders 참고)
+ * @property {string|null} [deletedAt] - 휴지통으로 옮긴 시각 (휴지통 조회에서만)
  */
 
 /**
- * 모든 할일 조회
- * @param {boolean} [isCompleted] - 완료 여부로 필터링 (선택)
- * @returns {Promise<TodoItem[]>} 할일 목록
+ * 할일 목록의 한 페이지
+ * @typedef {Object} TodoPage
+ * @property {TodoItem[]} items - 이번 페이지의 할일
+ * @property {string|null} nextCursor - 다음 페이지 커서 (마지막 페이지면 null)
+ * @property {number|null} total - 조건에 맞는 전체 개수 (서버가 알려주지 않으면 null)
  */
-export const fetchTodos = async (isCompleted = undefined) => {
-  try {
-    // 쿼리 파라미터 구성
-    let url = API_BASE_URL;
-    if (isCompleted !== undefined) {
-      url += `?isCompleted=${isCompleted}`;
-    }
 
-    const response = await fetch(url);
+/**
+ * @typedef {Object} TodoListQuery
+ * @property {string} [q] - 검색어
+ * @property {string} [sort] - 정렬 기준
+ * @property {string[]} [due] - 마감일 필터
+ * @property {string} [tag] - 태그 필터
+ * @property {string} [priority] - 우선순위 필터
+ * @property {string} [list] - 목록 필터 (목록 ID 또는 'inbox')
+ */
+
+/**
+ * 일괄 처리할 요청 하나
+ * @typedef {Object} BatchOperation
+ * @property {'update'|'delete'} type - 요청 종류
+ * @property {string} id - 할일 ID
+ * @property {Object} [data] - 수정할 필드 (update)
+ */
+
+/**
+ * 일괄 처리 결과 하나 (요청 순서대로)
+ * @typedef {Object} BatchResult
+ * @property {string} id - 할일 ID
+ * @property {boolean} ok - 성공 여부
+ * @property {TodoItem} [todo] - 수정된 할일 (update 성공)
+ * @property {import('./errors').ApiError} [error] - 실패 원인
+ */
 
-    if (!response.ok) {
-      await handleResponseError(response);
+/**
+ * 서버가 알려주는 할일 변경 (다른 기기/탭에서 일어난 변경)
+ * @typedef {Object} ChangeEvent
+ * @property {'ready'|'upsert'|'delete'|'lists'} type - 연결됨, 할일 추가/수정/되살리기, 할일 삭제, 목록(프로젝트) 변경
+ * @property {TodoItem} [todo] - 바뀐 할일 (upsert)
+ * @property {string} [id] - 삭제된 할일 ID (delete)
+ * @property {string|null} [origin] - 변경을 요청한 클라이언트 ID (X-Client-Id)
+ */
+
+/**
+ * 사용자가 요청을 취소해서 발생한 에러인지 확인
+ * @param {unknown} error - 확인할 에러
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return Boolean(error && error.name === 'AbortError');
+}
+
+/**
+ * 취소 가능한 대기
+ * @param {number} ms - 대기 시간
+ * @param {AbortSignal} [signal] - 취소 신호
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
     }
+    const onAbort = () => {
+      clearTimeout(timerId);
+      reject(signal.reason);
+    };
+    const timerId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-    // 새 API는 배열을 직접 반환
-    const todos = await response.json();
-    return todos;
-  } catch (error) {
-    // 네트워크 에러 처리
-    if (
-      error instanceof TypeError &&
-      (error.message.includes('fetch') ||
-        error.message.includes('Failed to fetch') ||
-        error.message.includes('network') ||
-        error.message.includes('NetworkError'))
-    ) {
-      throw new Error(
-        `백엔드 서버(${API_BASE_URL})에 연결할 수 없습니다.\n\n확인사항:\n1. 인터넷 연결 상태를 확인해주세요\n2. Heroku 서버가 정상 작동 중인지 확인해주세요\n3. 브라우저 개발자 도구의 네트워크 탭에서 에러를 확인해주세요`
-      );
-    }
-
-    // 기존 에러 메시지가 있으면 그대로 사용
-    if (error instanceof Error) {
-      console.error('할일 목록 조회 에러:', error);
-      throw error;
+/**
+ * 재시도 옵션 정규화
+ * @param {boolean|number|Object} [retry] - false면 재시도 안 함, 숫자면 재시도 횟수
+ * @returns {typeof DEFAULT_RETRY}
+ */
+function normalizeRetry(retry) {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY, retries: 0 };
+  }
+  if (typeof retry === 'number') {
+    return { ...DEFAULT_RETRY, retries: retry };
+  }
+  return { ...DEFAULT_RETRY, ...retry };
+}
+
+/**
+ * 인터셉터 목록 생성
+ * @returns {{ handlers: Function[], use: (handler: Function) => () => void }}
+ */
+function createInterceptorList() {
+  const handlers = [];
+  return {
+    handlers,
+    // 인터셉터 등록 - 반환된 함수를 호출하면 등록 해제
+    use(handler) {
+      handlers.push(handler);
+      return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+          handlers.splice(index, 1);
+        }
+      };
+    },
+  };
+}
+
+/**
+ * 수정 요청 본문 구성 (전달된 필드만 포함)
+ * @param {Partial<TodoItem>} updateData - 수정할 데이터
+ * @returns {Object} 요청 본문
+ */
+function buildUpdateData(updateData) {
+  const requestData = {};
+
+  if (updateData.title !== undefined) {
+    requestData.title = typeof updateData.title === 'string' ? updateData.title.trim() : updateData.title;
+  }
+
+  if (updateData.description !== undefined) {
+    requestData.description =
+      typeof updateData.description === 'string'
+        ? updateData.description.trim()
+        : updateData.description;
+  }
+
+  if (updateData.dueDate !== undefined) {
+    requestData.dueDate =
+      updateData.dueDate instanceof Date
+        ? updateData.dueDate.toISOString()
+        : updateData.dueDate;
+  }
+
+  if (updateData.isCompleted !== undefined) {
+    requestData.isCompleted = Boolean(updateData.isCompleted);
+  }
+
+  // 하위 작업은 순서가 의미 있으므로 항상 목록 전체를 보냄
+  if (updateData.subtasks !== undefined) {
+    requestData.subtasks = normalizeSubtasks(updateData.subtasks);
+  }
+
+  if (updateData.autoComplete !== undefined) {
+    requestData.autoComplete = Boolean(updateData.autoComplete);
+  }
+
+  // null이면 반복 해제
+  if (updateData.recurrence !== undefined) {
+    requestData.recurrence = normalizeRecurrence(updateData.recurrence);
+  }
+
+  if (updateData.tags !== undefined) {
+    requestData.tags = normalizeTags(updateData.tags);
+  }
+
+  if (updateData.priority !== undefined) {
+    requestData.priority = updateData.priority;
+  }
+
+  if (updateData.reminders !== undefined) {
+    requestData.reminders = normalizeReminders(updateData.reminders);
+  }
+
+  // null이면 받은 할일함으로 이동
+  if (updateData.listId !== undefined) {
+    requestData.listId = updateData.listId || null;
+  }
+
+  // 옮긴 항목의 순서 값만 보냄
+  if (Number.isFinite(updateData.position)) {
+    requestData.position = updateData.position;
+  }
+
+  // 옮길 자리 - 바로 위에 올 할일 ID (맨 위면 null), 지원하는 서버는 전체 목록 기준으로 순서 값을 다시 정함
+  if (updateData.afterId !== undefined) {
+    requestData.afterId = updateData.afterId || null;
+  }
+
+  return requestData;
+}
+
+/**
+ * 동시에 최대 limit개씩만 실행하며 모든 항목 처리 (결과는 입력 순서대로)
+ * @template T, R
+ * @param {T[]} items - 처리할 항목
+ * @param {number} limit - 동시 실행 개수
+ * @param {(item: T) => Promise<R>} task - 항목 하나 처리
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await task(items[index]);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-    console.error('할일 목록 조회 에러:', error);
-    throw new Error('알 수 없는 오류가 발생했습니다.');
+/**
+ * @typedef {Object} RequestConfig
+ * @property {string} url - 요청 URL
+ * @property {string} method - HTTP 메서드
+ * @property {Record<string, string>} headers - 요청 헤더
+ * @property {string} [body] - JSON 문자열 본문
+ * @property {AbortSignal} [signal] - 취소 신호
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - 요청 취소 신호
+ */
+
+// 탭마다 다른 클라이언트 ID (crypto.randomUUID는 보안 컨텍스트에서만 사용 가능)
+function createClientId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
   }
-};
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
 /**
- * 새로운 할일 생성
- * @param {string} title - 할일 제목 (필수)
- * @param {string} [description] - 할일 설명 (선택)
- * @param {Date|string} [dueDate] - 마감일 (선택)
- * @param {boolean} [isCompleted] - 완료 여부 (기본값: false)
- * @returns {Promise<TodoItem>} 생성된 할일
+ * 할일 ID로 todos 기준 상대 경로 만들기 (ID에 /, ?, # 등이 있어도 경로가 깨지지 않도록 인코딩)
+ * @param {string} id - 할일 ID
+ * @returns {string} 예: "/abc%2F1"
  */
-export const createTodo = async (title, description = '', dueDate = null, isCompleted = false) => {
-  try {
+function toTodoPath(id) {
+  return `/${encodeURIComponent(id)}`;
+}
+
+/**
+ * 할일 버전(updatedAt)을 If-Match에 쓸 엔터티 태그로 변환 (서버의 ETag와 같은 형식)
+ * @param {string} version - 할일의 updatedAt
+ * @returns {string} 예: "2025-10-19T08:00:00.000Z"
+ */
+function toVersionTag(version) {
+  return `"${new Date(version).toISOString()}"`;
+}
+
+// 버전 조건(If-Match)을 붙인 요청인지
+function isConditionalRequest(config) {
+  return Object.keys(config.headers ?? {}).some(name => name.toLowerCase() === 'if-match');
+}
+
+/**
+ * 서버 전송 이벤트(text/event-stream) 본문에서 완성된 이벤트의 data 꺼내기
+ * @param {string} buffer - 지금까지 받은 본문 중 처리하지 않은 부분
+ * @returns {{ events: string[], rest: string }} 이벤트별 data와 아직 끝나지 않은 나머지
+ */
+function parseEventStream(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks
+    .map(block => block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n'))
+    .filter(Boolean);
+  return { events, rest };
+}
+
+/**
+ * Todo API 클라이언트 생성
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - 백엔드 서버 주소 (기본값: VITE_API_BASE_URL)
+ * @param {typeof fetch} [options.fetch] - 사용할 fetch 구현 (테스트/SSR용)
+ * @param {number} [options.timeoutMs] - 요청 한 번의 제한 시간 (0이면 제한 없음)
+ * @param {boolean|number|Object} [options.retry] - 멱등 요청(GET/PATCH/DELETE) 재시도 설정
+ * @param {Record<string, string>} [options.headers] - 모든 요청에 붙일 헤더
+ * @param {string} [options.clientId] - 이 클라이언트(탭)를 구분하는 ID (X-Client-Id 헤더, 변경 이벤트에서 자기 변경을 거를 때 사용)
+ * @returns {Object} API 클라이언트
+ */
+export function createTodoClient({
+  baseUrl = DEFAULT_BASE_URL,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retry,
+  headers: extraHeaders = {},
+  clientId = createClientId(),
+} = {}) {
+  const headers = { ...extraHeaders, 'X-Client-Id': clientId };
+  const todosUrl = `${baseUrl}/todos`;
+  const retryOptions = normalizeRetry(retry);
+  const interceptors = {
+    // (config: RequestConfig) => RequestConfig | Promise<RequestConfig>
+    request: createInterceptorList(),
+    // (response: Response, context: { config, isResend, resend }) => Response | Promise<Response>
+    response: createInterceptorList(),
+  };
+
+  // 재시도 대기 시간 계산 (Retry-After 헤더가 있으면 우선 사용)
+  const getRetryDelay = (attempt, response) => {
+    const retryAfter = Number(response?.headers.get('Retry-After'));
+    const delay = retryAfter > 0
+      ? retryAfter * 1000
+      : retryOptions.baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+    return Math.min(delay, retryOptions.maxDelayMs);
+  };
+
+  // 제한 시간을 적용해 한 번 요청
+  const sendOnce = async (config) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timerId = timeoutMs > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+      : null;
+    const onAbort = () => controller.abort(config.signal.reason);
+    if (config.signal?.aborted) {
+      onAbort();
+    } else {
+      config.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      return await fetchImpl(config.url, {
+        method: config.method,
+        headers: config.headers,
+        body: config.body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new NetworkError('TIMEOUT', {
+          isTimeout: true,
+          params: { seconds: timeoutMs / 1000 },
+          cause: error,
+        });
+      }
+      if (isAbortError(error)) {
+        throw error;
+      }
+      // fetch는 네트워크 오류일 때 TypeError를 던짐
+      if (error instanceof TypeError) {
+        throw new NetworkError('SERVER_UNREACHABLE', {
+          params: { url: baseUrl },
+          cause: error,
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timerId);
+      config.signal?.removeEventListener('abort', onAbort);
+    }
+  };
+
+  // 멱등 요청은 네트워크 오류나 일시적인 서버 오류 시 지수 백오프로 재시도
+  // If-Match 조건부 요청은 재시도하지 않음 - 첫 요청이 서버에 반영됐는데 응답만 잃었다면
+  // 재시도가 바뀐 버전과 맞지 않아 412로 실패하고, 자기 수정을 충돌로 보여주게 되기 때문
+  const sendWithRetry = async (config) => {
+    const isRetryable = IDEMPOTENT_METHODS.includes(config.method) && !isConditionalRequest(config);
+    const maxRetries = isRetryable ? retryOptions.retries : 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await sendOnce(config);
+        if (attempt < maxRetries && retryOptions.retryOnStatus.includes(response.status)) {
+          await wait(getRetryDelay(attempt, response), config.signal);
+          continue;
+        }
+        return response;
+      } catch (error) {
+        if (attempt >= maxRetries || !isNetworkError(error)) {
+          throw error;
+        }
+        await wait(getRetryDelay(attempt), config.signal);
+      }
+    }
+  };
+
+  // 인터셉터를 거쳐 요청을 보내고 응답 반환
+  const dispatch = async (baseConfig, isResend = false) => {
+    let config = { ...baseConfig, headers: { ...baseConfig.headers } };
+    for (const interceptor of interceptors.request.handlers) {
+      config = (await interceptor(config)) || config;
+    }
+
+    let response = await sendWithRetry(config);
+    for (const interceptor of interceptors.response.handlers) {
+      response = (await interceptor(response, {
+        config,
+        isResend,
+        // 인증 갱신 후 같은 요청을 다시 보낼 때 사용 (요청 인터셉터를 다시 거침)
+        resend: () => dispatch(baseConfig, true),
+      })) || response;
+    }
+    return response;
+  };
+
+  /**
+   * 공통 요청 함수 - 실패 응답은 ApiError 하위 클래스로 변환
+   * @param {string} path - todos 기준 상대 경로
+   * @param {Object} [options]
+   * @param {string} [options.root] - 경로 앞에 붙일 주소 (기본값: todos 주소)
+   * @param {string} [options.method] - HTTP 메서드
+   * @param {Object} [options.body] - JSON으로 보낼 본문
+   * @param {Record<string, string>} [options.headers] - 이 요청에만 붙일 헤더
+   * @param {AbortSignal} [options.signal] - 취소 신호
+   * @returns {Promise<Response>}
+   */
+  const request = async (path, { method = 'GET', body, headers: requestHeaders, signal, root = todosUrl } = {}) => {
+    try {
+      const response = await dispatch({
+        url: `${root}${path}`,
+        method,
+        headers: body !== undefined
+          ? { ...headers, ...requestHeaders, 'Content-Type': 'application/json' }
+          : { ...headers, ...requestHeaders },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createApiErrorFromResponse(response);
+      }
+      return response;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error(`할일 API 요청 에러 (${method} ${path || '/'}):`, error);
+      }
+      throw error;
+    }
+  };
+
+  // 목록 조회 쿼리 파라미터 구성
+  const buildListParams = (isCompleted, query) => {
+    const params = new URLSearchParams();
+    if (isCompleted !== undefined) {
+      params.set('isCompleted', String(isCompleted));
+    }
+    if (query.q?.trim()) {
+      params.set('q', query.q.trim());
+    }
+    if (query.sort) {
+      params.set('sort', query.sort);
+    }
+    if (query.due?.length) {
+      params.set('due', query.due.join(','));
+    }
+    if (query.tag) {
+      params.set('tag', query.tag);
+    }
+    if (query.priority) {
+      params.set('priority', query.priority);
+    }
+    if (query.list) {
+      params.set('listId', query.list);
+    }
+    return params;
+  };
+
+  /**
+   * 모든 할일 조회
+   * 검색/정렬/마감일 조건은 쿼리 파라미터로 함께 보내며, 지원하지 않는 서버는 무시하므로 화면에서 다시 적용해야 합니다
+   * @param {boolean} [isCompleted] - 완료 여부로 필터링 (선택)
+   * @param {RequestOptions & { query?: TodoListQuery }} [options] - 요청 옵션
+   * @returns {Promise<TodoItem[]>} 할일 목록
+   */
+  const fetchTodos = async (isCompleted = undefined, { signal, query = {} } = {}) => {
+    const queryString = buildListParams(isCompleted, query).toString();
+    const response = await request(queryString ? `?${queryString}` : '', { signal });
+    // 새 API는 배열을 직접 반환
+    return response.json();
+  };
+
+  /**
+   * 할일 목록을 페이지 단위로 조회 (limit/cursor)
+   * 페이지를 지원하는 서버는 { items, nextCursor, total } 형태로 응답하고,
+   * 지원하지 않는 서버가 배열 전체를 돌려주면 마지막 페이지 하나로 취급합니다
+   * @param {boolean} [isCompleted] - 완료 여부로 필터링 (선택)
+   * @param {RequestOptions & { query?: TodoListQuery, limit?: number, cursor?: string|null }} [options] - 요청 옵션
+   * @returns {Promise<TodoPage>} 할일 페이지
+   */
+  const fetchTodoPage = async (isCompleted = undefined, { signal, query = {}, limit = 50, cursor = null } = {}) => {
+    const params = buildListParams(isCompleted, query);
+    params.set('limit', String(limit));
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    const response = await request(`?${params.toString()}`, { signal });
+    const data = await response.json();
+
+    if (Array.isArray(data)) {
+      return { items: data, nextCursor: null, total: data.length };
+    }
+
+    // 전체 개수는 본문의 total을 우선하고 없으면 X-Total-Count 헤더 사용
+    const totalHeader = response.headers.get('X-Total-Count');
+    let total = null;
+    if (Number.isFinite(data?.total)) {
+      total = data.total;
+    } else if (totalHeader !== null && Number.isFinite(Number(totalHeader))) {
+      total = Number(totalHeader);
+    }
+    return {
+      items: Array.isArray(data?.items) ? data.items : [],
+      nextCursor: data?.nextCursor || null,
+      total,
+    };
+  };
+
+  /**
+   * 할일 하나 조회 (충돌했을 때 서버의 최신 내용 확인)
+   * @param {string} id - 할일 ID
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<TodoItem>}
+   */
+  const fetchTodo = async (id, { signal } = {}) => {
+    const response = await request(toTodoPath(id), { signal });
+    return response.json();
+  };
+
+  /**
+   * 새로운 할일 생성
+   * @param {string} title - 할일 제목 (필수)
+   * @param {string} [description] - 할일 설명 (선택)
+   * @param {Date|string} [dueDate] - 마감일 (선택)
+   * @param {boolean} [isCompleted] - 완료 여부 (기본값: false)
+   * @param {Pick<TodoItem, 'subtasks'|'autoComplete'|'recurrence'|'tags'|'priority'|'reminders'|'listId'|'position'>} [fields] - 추가 필드 (선택)
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<TodoItem>} 생성된 할일
+   */
+  const createTodo = async (title, description = '', dueDate = null, isCompleted = false, fields = {}, { signal } = {}) => {
     // 요청 데이터 구성
     const requestData = {
       title: title.trim(),
@@ -149,128 +610,374 @@ export const createTodo = async (title, description = '', dueDate = null, isComp
       requestData.isCompleted = isCompleted;
     }
 
-    const response = await fetch(API_BASE_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestData),
-    });
+    if (fields.subtasks?.length) {
+      requestData.subtasks = normalizeSubtasks(fields.subtasks);
+    }
+
+    if (typeof fields.autoComplete === 'boolean') {
+      requestData.autoComplete = fields.autoComplete;
+    }
+
+    if (fields.recurrence) {
+      requestData.recurrence = normalizeRecurrence(fields.recurrence);
+    }
+
+    if (fields.tags?.length) {
+      requestData.tags = normalizeTags(fields.tags);
+    }
+
+    if (fields.priority) {
+      requestData.priority = fields.priority;
+    }
+
+    if (fields.reminders?.length) {
+      requestData.reminders = normalizeReminders(fields.reminders);
+    }
 
-    if (!response.ok) {
-      await handleResponseError(response);
+    if (fields.listId) {
+      requestData.listId = fields.listId;
     }
 
+    if (Number.isFinite(fields.position)) {
+      requestData.position = fields.position;
+    }
+
+    const response = await request('', { method: 'POST', body: requestData, signal });
     // 새 API는 객체를 직접 반환
-    const createdTodo = await response.json();
-    return createdTodo;
-  } catch (error) {
-    // 네트워크 에러 처리
-    if (error instanceof TypeError && error.message.includes('fetch')) {
-      throw new Error('백엔드 서버에 연결할 수 없습니다. 서버가 실행 중인지 확인해주세요.');
-    }
-    console.error('할일 생성 에러:', error);
-    throw error;
-  }
-};
+    return response.json();
+  };
 
-/**
- * 할일 수정 (부분 수정)
- * @param {string} id - 할일 ID
- * @param {Object} updateData - 수정할 데이터
- * @param {string} [updateData.title] - 할일 제목
- * @param {string} [updateData.description] - 할일 설명
- * @param {Date|string} [updateData.dueDate] - 마감일
- * @param {boolean} [updateData.isCompleted] - 완료 여부
- * @returns {Promise<TodoItem>} 수정된 할일
- */
-export const updateTodo = async (id, updateData) => {
-  try {
+  /**
+   * 할일 수정 (부분 수정)
+   * @param {string} id - 할일 ID
+   * @param {Object} updateData - 수정할 데이터
+   * @param {string} [updateData.title] - 할일 제목
+   * @param {string} [updateData.description] - 할일 설명
+   * @param {Date|string} [updateData.dueDate] - 마감일
+   * @param {boolean} [updateData.isCompleted] - 완료 여부
+   * @param {string|null} [updateData.afterId] - 옮길 자리 (바로 위에 올 할일 ID, 맨 위면 null)
+   * @param {RequestOptions & { baseVersion?: string }} [options] - 요청 옵션
+   *   baseVersion을 주면(불러올 때의 updatedAt) If-Match 조건을 붙여, 그 사이 다른 곳에서 수정됐으면
+   *   ConflictError(409/412)를 던집니다. 조건을 지원하지 않는 서버는 무시하고 그대로 덮어씁니다
+   * @returns {Promise<TodoItem>} 수정된 할일
+   */
+  const updateTodo = async (id, updateData, { signal, baseVersion } = {}) => {
     // ID 유효성 검사
     if (!id || id === 'undefined' || id === 'null') {
-      throw new Error('유효하지 않은 할일 ID입니다');
+      throw new ValidationError('INVALID_TODO_ID');
     }
 
-    // 요청 데이터 구성 (전달된 필드만 포함)
-    const requestData = {};
+    const response = await request(toTodoPath(id), {
+      method: 'PATCH',
+      body: buildUpdateData(updateData),
+      headers: baseVersion ? { 'If-Match': toVersionTag(baseVersion) } : undefined,
+      signal,
+    });
+    // 새 API는 객체를 직접 반환
+    return response.json();
+  };
 
-    if (updateData.title !== undefined) {
-      requestData.title = typeof updateData.title === 'string' ? updateData.title.trim() : updateData.title;
+  /**
+   * 할일 삭제 (휴지통을 지원하는 서버에서는 휴지통으로 이동)
+   * @param {string} id - 할일 ID
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<void>}
+   */
+  const deleteTodo = async (id, { signal } = {}) => {
+    // ID 유효성 검사
+    if (!id || id === 'undefined' || id === 'null') {
+      throw new ValidationError('INVALID_TODO_ID');
     }
 
-    if (updateData.description !== undefined) {
-      requestData.description =
-        typeof updateData.description === 'string'
-          ? updateData.description.trim()
-          : updateData.description;
+    // DELETE는 204 No Content 응답이므로 본문을 읽지 않음
+    await request(toTodoPath(id), { method: 'DELETE', signal });
+  };
+
+  /**
+   * 휴지통 조회 (삭제한 할일, 최근 삭제 순)
+   * 휴지통을 지원하지 않는 서버(삭제하면 바로 지워짐)는 NotFoundError(404) 또는 ApiError(405)를 던집니다
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<{ items: TodoItem[], retentionDays: number|null }>} 보관 기간을 알려주지 않으면 null
+   */
+  const fetchTrash = async ({ signal } = {}) => {
+    const response = await request('/trash', { signal });
+    const data = await response.json();
+    if (Array.isArray(data)) {
+      return { items: data, retentionDays: null };
     }
+    return {
+      items: Array.isArray(data?.items) ? data.items : [],
+      retentionDays: Number.isFinite(data?.retentionDays) ? data.retentionDays : null,
+    };
+  };
+
+  /**
+   * 휴지통의 할일 되살리기
+   * @param {string} id - 할일 ID
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<TodoItem>} 되살린 할일
+   */
+  const restoreTodo = async (id, { signal } = {}) => {
+    if (!id) {
+      throw new ValidationError('INVALID_TODO_ID');
+    }
+    const response = await request(`${toTodoPath(id)}/restore`, { method: 'POST', signal });
+    return response.json();
+  };
 
-    if (updateData.dueDate !== undefined) {
-      requestData.dueDate =
-        updateData.dueDate instanceof Date
-          ? updateData.dueDate.toISOString()
-          : updateData.dueDate;
+  /**
+   * 휴지통의 할일 영구 삭제
+   * @param {string} id - 할일 ID
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<void>}
+   */
+  const purgeTodo = async (id, { signal } = {}) => {
+    if (!id) {
+      throw new ValidationError('INVALID_TODO_ID');
     }
+    await request(`${toTodoPath(id)}?permanent=true`, { method: 'DELETE', signal });
+  };
 
-    if (updateData.isCompleted !== undefined) {
-      requestData.isCompleted = Boolean(updateData.isCompleted);
+  /**
+   * 휴지통 비우기 (모두 영구 삭제)
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<void>}
+   */
+  const emptyTrash = async ({ signal } = {}) => {
+    await request('/trash', { method: 'DELETE', signal });
+  };
+
+  /**
+   * 여러 할일을 한 번에 수정/삭제
+   * 일괄 처리 엔드포인트(POST /todos/batch)를 먼저 사용하고, 지원하지 않는 서버(404/405)면
+   * 개별 PATCH/DELETE 요청을 동시에 BATCH_CONCURRENCY개까지만 나눠 보냅니다.
+   * 일부만 실패할 수 있으므로 항목별 결과를 돌려주며, 일괄 요청 자체가 실패하면(네트워크 오류 등) 에러를 던집니다
+   * @param {BatchOperation[]} operations - 처리할 요청들
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<BatchResult[]>} 요청 순서대로의 결과
+   */
+  const batchTodos = async (operations, { signal } = {}) => {
+    if (operations.length === 0) {
+      return [];
+    }
+    try {
+      const response = await request('/batch', {
+        method: 'POST',
+        body: {
+          operations: operations.map(({ type, id, data }) => (
+            type === 'update' ? { type, id, data: buildUpdateData(data) } : { type, id }
+          )),
+        },
+        signal,
+      });
+      const { results = [] } = await response.json();
+      return operations.map(({ id }, index) => {
+        const result = results[index] ?? {};
+        if (result.status >= 200 && result.status < 300) {
+          return { id, ok: true, todo: result.todo };
+        }
+        return { id, ok: false, error: createApiError(result.status || 0, result.body ?? null) };
+      });
+    } catch (error) {
+      const isUnsupported = error instanceof NotFoundError || (error instanceof ApiError && error.status === 405);
+      if (!isUnsupported) {
+        throw error;
+      }
     }
 
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
+    return mapWithConcurrency(operations, BATCH_CONCURRENCY, async ({ type, id, data }) => {
+      try {
+        if (type === 'delete') {
+          await deleteTodo(id, { signal });
+          return { id, ok: true };
+        }
+        return { id, ok: true, todo: await updateTodo(id, data, { signal }) };
+      } catch (error) {
+        return { id, ok: false, error };
+      }
+    });
+  };
+
+  /**
+   * 모든 할일에서 태그 이름 바꾸기 (이미 있는 태그 이름이면 병합)
+   * 태그 API를 지원하지 않는 서버는 NotFoundError(404) 또는 ApiError(405)를 던집니다
+   * @param {string} name - 바꿀 태그
+   * @param {string} nextName - 새 이름
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<{ updated: number }>} 변경된 할일 개수
+   */
+  const renameTag = async (name, nextName, { signal } = {}) => {
+    const response = await request(`/tags/${encodeURIComponent(name)}`, {
       method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestData),
+      body: { name: nextName },
+      signal,
+      root: baseUrl,
     });
+    return response.json();
+  };
 
-    if (!response.ok) {
-      await handleResponseError(response);
+  /**
+   * 모든 할일에서 태그 지우기
+   * @param {string} name - 지울 태그
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<{ updated: number }>} 변경된 할일 개수
+   */
+  const deleteTag = async (name, { signal } = {}) => {
+    const response = await request(`/tags/${encodeURIComponent(name)}`, { method: 'DELETE', signal, root: baseUrl });
+    return response.json();
+  };
+
+  /**
+   * 할일 목록(프로젝트) 조회 (보관된 목록 포함)
+   * 서버가 { items, inbox } 형태로 개수를 함께 주면 사용하고, 배열만 주면 개수는 화면에서 계산합니다
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<{ lists: import('../utils/lists').TodoList[], inboxCount: { total: number, pending: number }|null }>}
+   */
+  const fetchLists = async ({ signal } = {}) => {
+    const response = await request('/lists', { signal, root: baseUrl });
+    const data = await response.json();
+    if (Array.isArray(data)) {
+      return { lists: data, inboxCount: null };
     }
+    return {
+      lists: Array.isArray(data?.items) ? data.items : [],
+      inboxCount: data?.inbox ?? null,
+    };
+  };
 
-    // 새 API는 객체를 직접 반환
-    const updatedTodo = await response.json();
-    return updatedTodo;
-  } catch (error) {
-    // 네트워크 에러 처리
-    if (error instanceof TypeError && error.message.includes('fetch')) {
-      throw new Error('백엔드 서버에 연결할 수 없습니다. 서버가 실행 중인지 확인해주세요.');
-    }
-    console.error('할일 수정 에러:', error);
-    throw error;
-  }
-};
+  /**
+   * 새 목록 생성
+   * @param {string} name - 이름
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<import('../utils/lists').TodoList>} 생성된 목록
+   */
+  const createList = async (name, { signal } = {}) => {
+    const response = await request('/lists', { method: 'POST', body: { name: name.trim() }, signal, root: baseUrl });
+    return response.json();
+  };
 
-/**
- * 할일 삭제
- * @param {string} id - 할일 ID
- * @returns {Promise<void>}
- */
-export const deleteTodo = async (id) => {
-  try {
-    // ID 유효성 검사
-    if (!id || id === 'undefined' || id === 'null') {
-      throw new Error('유효하지 않은 할일 ID입니다');
+  /**
+   * 목록 수정 (이름 변경, 보관/복원, 순서 변경)
+   * @param {string} id - 목록 ID
+   * @param {{ name?: string, isArchived?: boolean, position?: number }} updateData - 수정할 필드
+   * @param {RequestOptions} [options] - 요청 옵션
+   * @returns {Promise<import('../utils/lists').TodoList>} 수정된 목록
+   */
+  const updateList = async (id, updateData, { signal } = {}) => {
+    if (!id) {
+      throw new ValidationError('INVALID_LIST_ID');
     }
-
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: 'DELETE',
+    const requestData = { ...updateData };
+    if (typeof requestData.name === 'string') {
+      requestData.name = requestData.name.trim();
+    }
+    const response = await request(`/lists/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: requestData,
+      signal,
+      root: baseUrl,
     });
+    return response.json();
+  };
 
-    // DELETE는 204 응답이므로 본문이 없을 수 있음
-    if (!response.ok && response.status !== 204) {
-      await handleResponseError(response);
+  /**
+   * 할일 변경 이벤트 구독 (GET /events, 서버 전송 이벤트)
+   * 인증 인터셉터를 그대로 거치도록 EventSource 대신 fetch로 스트림을 읽으며, 연결이 끊기면 끝나므로 다시 호출해야 합니다.
+   * 변경 이벤트를 지원하지 않는 서버는 NotFoundError(404) 또는 ApiError(405)를 던집니다
+   * @param {(event: ChangeEvent) => void} onEvent - 이벤트 처리 (이 클라이언트가 요청한 변경은 제외)
+   * @param {RequestOptions} [options] - 요청 옵션 (취소하면 구독 종료)
+   * @returns {Promise<void>} 서버가 연결을 닫으면 완료
+   */
+  const streamChanges = async (onEvent, { signal } = {}) => {
+    const response = await request('/events', { signal, root: baseUrl });
+    const reader = response.body.getReader();
+    // 요청의 취소 연결은 응답 헤더를 받으면 풀리므로, 본문을 읽는 동안에는 직접 스트림을 닫음
+    const onAbort = () => {
+      reader.cancel(signal.reason).catch(() => {});
+    };
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
     }
-
-    // 204 No Content는 성공
-  } catch (error) {
-    // 네트워크 에러 처리
-    if (error instanceof TypeError && error.message.includes('fetch')) {
-      throw new Error('백엔드 서버에 연결할 수 없습니다. 서버가 실행 중인지 확인해주세요.');
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done || signal?.aborted) {
+          return;
+        }
+        const { events, rest } = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+        events.forEach(data => {
+          // 깨진 이벤트 하나 때문에 구독 전체가 끊기지 않도록 건너뜀
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (error) {
+            console.warn('변경 이벤트를 해석하지 못해 건너뜁니다:', error);
+            return;
+          }
+          if (!event || typeof event !== 'object') {
+            console.warn('형식이 올바르지 않은 변경 이벤트를 건너뜁니다:', data);
+            return;
+          }
+          if (!event.origin || event.origin !== clientId) {
+            onEvent(event);
+          }
+        });
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      reader.releaseLock();
     }
-    console.error('할일 삭제 에러:', error);
-    throw error;
-  }
-};
+  };
+
+  return {
+    baseUrl,
+    clientId,
+    interceptors,
+    fetchTodos,
+    fetchTodoPage,
+    fetchTodo,
+    createTodo,
+    updateTodo,
+    deleteTodo,
+    batchTodos,
+    fetchTrash,
+    restoreTodo,
+    purgeTodo,
+    emptyTrash,
+    renameTag,
+    deleteTag,
+    fetchLists,
+    createList,
+    updateList,
+    streamChanges,
+  };
+}
 
+// 앱 전체에서 사용하는 기본 클라이언트
+export const todoClient = createTodoClient();
 
+// 기존 호출 방식 호환을 위한 함수 export
+export const {
+  fetchTodos,
+  fetchTodoPage,
+  fetchTodo,
+  createTodo,
+  updateTodo,
+  deleteTodo,
+  batchTodos,
+  fetchTrash,
+  restoreTodo,
+  purgeTodo,
+  emptyTrash,
+  renameTag,
+  deleteTag,
+  fetchLists,
+  createList,
+  updateList,
+  streamChanges,
+} = todoClient;
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTodoClient } from './todoApi.js';
+
+// 이벤트 하나를 보낸 뒤 닫지 않고 열려 있는 변경 이벤트 응답
+const createOpenStream = () => {
+  const state = { cancelled: false };
+  const body = new ReadableStream({
+    start(controller) {
+      const event = { type: 'todo.created', todo: { _id: 't1' } };
+      controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  });
+  return { body, state };
+};
+
+describe('streamChanges', () => {
+  it('본문을 읽는 중에 취소하면 스트림을 닫고 끝남', async () => {
+    const { body, state } = createOpenStream();
+    const client = createTodoClient({
+      baseUrl: 'http://test',
+      retry: false,
+      fetch: async () => new Response(body, { headers: { 'Content-Type': 'text/event-stream' } }),
+    });
+    const controller = new AbortController();
+    const received = [];
+
+    await client.streamChanges((event) => {
+      received.push(event);
+      controller.abort();
+    }, { signal: controller.signal });
+
+    assert.equal(received.length, 1);
+    assert.equal(state.cancelled, true);
+    assert.equal(body.locked, false);
+  });
+
+  it('응답을 받기 전에 이미 취소됐으면 읽지 않고 끝남', async () => {
+    const { body, state } = createOpenStream();
+    const controller = new AbortController();
+    const client = createTodoClient({
+      baseUrl: 'http://test',
+      retry: false,
+      fetch: async () => {
+        controller.abort();
+        return new Response(body);
+      },
+    });
+    const received = [];
+
+    await client.streamChanges(event => received.push(event), { signal: controller.signal });
+
+    assert.deepEqual(received, []);
+    assert.equal(state.cancelled, true);
+  });
+});
@@ -0,0 +1,74 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { login as requestLogin, signup as requestSignup, logout as requestLogout } from '../api/authApi';
+import { todoClient } from '../api/todoApi';
+import { clearCachedTodos } from '../offline/todoCache';
+import { clearCachedLists } from '../offline/listCache';
+import { clearQueue } from '../offline/mutationQueue';
+import { clearApiCache } from '../offline/serviceWorker';
+import { getSession, setSession, subscribeSession, installAuthInterceptors } from './session';
+
+// 인증 사용 여부 - 인증을 지원하지 않는 기존 백엔드를 쓸 때는 VITE_AUTH_ENABLED=false
+export const AUTH_ENABLED = import.meta.env.VITE_AUTH_ENABLED !== 'false';
+
+if (AUTH_ENABLED) {
+  installAuthInterceptors(todoClient);
+}
+
+const AuthContext = createContext(null);
+
+/**
+ * 로그인 상태와 로그인/회원가입/로그아웃 동작을 제공하는 컴포넌트
+ * @param {{ children: import('react').ReactNode }} props
+ */
+export function AuthProvider({ children }) {
+  const [session, setSessionState] = useState(getSession);
+  // 마지막 로그아웃 사유 ('expired'면 세션 만료 안내)
+  const [logoutReason, setLogoutReason] = useState(null);
+
+  useEffect(() => subscribeSession((nextSession, reason) => {
+    setSessionState(nextSession);
+    setLogoutReason(reason ?? null);
+  }), []);
+
+  const value = useMemo(() => ({
+    isAuthEnabled: AUTH_ENABLED,
+    user: session?.user ?? null,
+    logoutReason,
+    login: async (email, password) => {
+      setSession(await requestLogin(email, password));
+    },
+    signup: async (name, email, password) => {
+      setSession(await requestSignup(name, email, password));
+    },
+    logout: async () => {
+      const refreshToken = session?.refreshToken;
+      // 공용 PC에서 다음 사용자가 볼 수 없도록 이 사용자의 로컬 데이터 정리
+      clearCachedTodos();
+      clearCachedLists();
+      clearQueue();
+      clearApiCache();
+      setSession(null);
+      if (refreshToken) {
+        try {
+          await requestLogout(refreshToken);
+        } catch (error) {
+          console.error('로그아웃 요청 실패:', error);
+        }
+      }
+    },
+  }), [session, logoutReason]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * 인증 상태 조회 훅
+ * @returns {{ isAuthEnabled: boolean, user: import('../api/authApi').AuthUser|null, logoutReason: string|null, login: Function, signup: Function, logout: Function }}
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth는 AuthProvider 안에서 사용해야 합니다.');
+  }
+  return context;
+}
@@ -0,0 +1,106 @@
+import { refreshSession as requestRefresh } from '../api/authApi';
+import { readJSON, writeJSON, removeItem, setStorageScope } from '../offline/storage';
+
+// 로그인 세션 저장소
+// 토큰과 사용자 정보를 localStorage에 보관하고, 할일 API 요청에 Authorization 헤더를 붙이며
+// 401 응답을 받으면 토큰을 한 번 재발급한 뒤 같은 요청을 다시 보냅니다
+const SESSION_KEY = 'vibe-todo:auth-session';
+
+/** @type {import('../api/authApi').AuthSession|null} */
+let session = readJSON(SESSION_KEY, null);
+setStorageScope(session?.user?.id);
+
+const listeners = new Set();
+// 동시에 여러 요청이 401을 받아도 재발급은 한 번만
+let refreshPromise = null;
+
+/**
+ * 현재 세션 조회
+ * @returns {import('../api/authApi').AuthSession|null}
+ */
+export function getSession() {
+  return session;
+}
+
+/**
+ * 세션 변경 (null이면 로그아웃)
+ * @param {import('../api/authApi').AuthSession|null} nextSession - 새 세션
+ * @param {'expired'} [reason] - 로그아웃 사유 (로그인 화면 안내에 사용)
+ */
+export function setSession(nextSession, reason) {
+  session = nextSession;
+  if (session) {
+    writeJSON(SESSION_KEY, session);
+  } else {
+    removeItem(SESSION_KEY);
+  }
+  setStorageScope(session?.user?.id);
+  listeners.forEach(listener => listener(session, reason));
+}
+
+/**
+ * 세션 변경 구독
+ * @param {(session: import('../api/authApi').AuthSession|null, reason?: string) => void} listener
+ * @returns {() => void} 구독 해제 함수
+ */
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 리프레시 토큰으로 세션 갱신
+ * @returns {Promise<boolean>} 갱신 성공 여부
+ */
+function refreshSession() {
+  if (!refreshPromise) {
+    const refreshToken = session?.refreshToken;
+    refreshPromise = (refreshToken ? requestRefresh(refreshToken) : Promise.reject(new Error('리프레시 토큰 없음')))
+      .then((nextSession) => {
+        setSession({ ...nextSession, user: nextSession.user || session?.user });
+        return true;
+      })
+      .catch((error) => {
+        console.error('세션 갱신 실패:', error);
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * API 클라이언트에 인증 인터셉터 등록
+ * @param {ReturnType<import('../api/todoApi').createTodoClient>} client - 할일 API 클라이언트
+ * @returns {() => void} 등록 해제 함수
+ */
+export function installAuthInterceptors(client) {
+  const ejectRequest = client.interceptors.request.use((config) => {
+    if (!session?.accessToken) {
+      return config;
+    }
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${session.accessToken}` },
+    };
+  });
+
+  const ejectResponse = client.interceptors.response.use(async (response, { isResend, resend }) => {
+    if (response.status !== 401 || !session) {
+      return response;
+    }
+    // 재발급 후 다시 보낸 요청도 401이거나 재발급에 실패하면 로그인 화면으로
+    if (!isResend && await refreshSession()) {
+      return resend();
+    }
+    setSession(null, 'expired');
+    return response;
+  });
+
+  return () => {
+    ejectRequest();
+    ejectResponse();
+  };
+}
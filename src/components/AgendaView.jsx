@@ -0,0 +1,35 @@
+import { useNow } from '../hooks/useNow';
+import { groupForAgenda } from '../utils/calendar';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 일정 보기 - 마감일 기준으로 지난 할일/오늘/내일/이번 주/나중에/기한 없음으로 묶은 목록
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem[]} props.todos - 표시할 할일 (현재 필터 적용)
+ * @param {(todo: import('../api/todoApi').TodoItem) => import('react').ReactNode} props.renderItem - 할일 카드 렌더링
+ */
+function AgendaView({ todos, renderItem }) {
+  // 자정이 지나면 오늘/내일 묶음이 바뀌도록 주기적으로 다시 계산
+  const { t } = useI18n();
+  const now = useNow(60000);
+  const groups = groupForAgenda(todos, now);
+
+  return (
+    <div className="agenda-view">
+      {groups.map(group => (
+        <section key={group.key} className={`agenda-group ${group.key}`}>
+          <h3 className="agenda-group-title">
+            {t(group.labelKey)} <span className="agenda-group-count">{group.todos.length}</span>
+          </h3>
+          <div className="agenda-group-items">
+            {group.todos.map(todo => (
+              <div key={todo._id}>{renderItem(todo)}</div>
+            ))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default AgendaView;
@@ -0,0 +1,54 @@
+import LanguageSelect from './LanguageSelect';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 앱 머리글 - 제목, 로그인 사용자 메뉴(언어, 단축키 도움말, 로그아웃)와 연결 상태
+ * @param {Object} props
+ * @param {{ name?: string, email: string }|null} props.user - 로그인한 사용자 (인증을 쓰지 않으면 null)
+ * @param {boolean} props.isConnected - 서버에 연결됐는지 여부
+ * @param {'connecting'|'live'|'unsupported'|'offline'} props.realtimeStatus - 실시간 동기화 상태
+ * @param {number} props.pendingCount - 서버 동기화를 기다리는 변경 수
+ * @param {() => void} props.onOpenShortcutHelp - 단축키 도움말 열기
+ * @param {() => void} props.onLogout - 로그아웃
+ */
+function AppHeader({ user, isConnected, realtimeStatus, pendingCount, onOpenShortcutHelp, onLogout }) {
+  const { t } = useI18n();
+
+  return (
+    <>
+      <h1 className="app-title">📝 {t('app.title')}</h1>
+
+      {/* 로그인 사용자 정보 */}
+      {user && (
+        <div className="user-bar">
+          <span>👤 {user.name || user.email}</span>
+          <LanguageSelect />
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={onOpenShortcutHelp}
+            title={t('app.shortcutsHint')}
+          >
+            ⌨️ {t('app.shortcuts')}
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onLogout}>
+            {t('auth.logout')}
+          </button>
+        </div>
+      )}
+
+      {/* 온라인/오프라인 상태 표시 */}
+      <div className={`connection-status ${isConnected ? 'online' : 'offline'}`}>
+        <span className="connection-dot" />
+        {isConnected
+          ? t(realtimeStatus === 'live' ? 'connection.live' : 'connection.online')
+          : t('connection.offline')}
+        {pendingCount > 0 && (
+          <span className="pending-count">{t('connection.pending', { count: pendingCount })}</span>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default AppHeader;
@@ -0,0 +1,65 @@
+// 차트 그리는 영역 (viewBox 기준, 실제 크기는 CSS로 늘어남)
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 28 };
+// x축에 표시할 최대 라벨 수 (나머지는 건너뜀)
+const MAX_LABELS = 8;
+
+/**
+ * 막대 차트 (SVG)
+ * @param {Object} props
+ * @param {Array<{ key: string, label: string, value: number, title?: string }>} props.data - 막대 (왼쪽부터)
+ * @param {string} props.ariaLabel - 차트 설명 (스크린 리더용)
+ * @param {string} [props.color] - 막대 색
+ */
+function BarChart({ data, ariaLabel, color = '#ea580c' }) {
+  const max = Math.max(1, ...data.map(point => point.value));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(data.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelStep = Math.ceil(data.length / MAX_LABELS);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={ariaLabel}>
+      {/* 기준선과 최댓값 */}
+      <line
+        className="chart-axis"
+        x1={PADDING.left}
+        x2={WIDTH - PADDING.right}
+        y1={HEIGHT - PADDING.bottom}
+        y2={HEIGHT - PADDING.bottom}
+      />
+      <line className="chart-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={PADDING.top} y2={PADDING.top} />
+      <text className="chart-label" x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end">{max}</text>
+      <text className="chart-label" x={PADDING.left - 4} y={HEIGHT - PADDING.bottom} textAnchor="end">0</text>
+
+      {data.map((point, index) => {
+        const barHeight = (point.value / max) * plotHeight;
+        const x = PADDING.left + index * slot + (slot - barWidth) / 2;
+        return (
+          <g key={point.key}>
+            <rect
+              className="chart-bar"
+              x={x}
+              y={HEIGHT - PADDING.bottom - barHeight}
+              width={barWidth}
+              height={barHeight}
+              fill={color}
+              rx={Math.min(3, barWidth / 2)}
+            >
+              <title>{point.title ?? `${point.label}: ${point.value}`}</title>
+            </rect>
+            {index % labelStep === 0 && (
+              <text className="chart-label" x={x + barWidth / 2} y={HEIGHT - 6} textAnchor="middle">
+                {point.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default BarChart;
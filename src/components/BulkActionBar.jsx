@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { normalizeTag } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 선택한 할일에 한 번에 적용하는 작업 막대 (완료/미완료, 마감일 변경, 태그 추가, 삭제)
+ * @param {Object} props
+ * @param {number} props.selectedCount - 선택한 할일 개수
+ * @param {number} props.visibleCount - 현재 조건으로 보이는 할일 개수
+ * @param {boolean} props.hasMore - 아직 불러오지 않은 할일이 있는지 여부 (전체 선택은 불러온 항목만)
+ * @param {boolean} props.isBusy - 처리 중이면 버튼 비활성화
+ * @param {string[]} props.tagSuggestions - 태그 자동완성 후보
+ * @param {() => void} props.onSelectAll - 보이는 할일 모두 선택
+ * @param {() => void} props.onClearSelection - 선택 해제
+ * @param {(isCompleted: boolean) => void} props.onSetCompleted - 완료/미완료로 변경
+ * @param {(dueDate: string) => void} props.onReschedule - 마감일 변경 (빈 값이면 마감일 없음)
+ * @param {(tag: string) => void} props.onAddTag - 태그 추가
+ * @param {() => void} props.onDelete - 삭제
+ * @param {() => void} props.onClose - 선택 모드 끝내기
+ */
+function BulkActionBar({
+  selectedCount,
+  visibleCount,
+  hasMore,
+  isBusy,
+  tagSuggestions,
+  onSelectAll,
+  onClearSelection,
+  onSetCompleted,
+  onReschedule,
+  onAddTag,
+  onDelete,
+  onClose,
+}) {
+  const { t } = useI18n();
+  const [dueDate, setDueDate] = useState('');
+  const [tag, setTag] = useState('');
+  const isDisabled = isBusy || selectedCount === 0;
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = normalizeTag(tag);
+    if (name) {
+      onAddTag(name);
+      setTag('');
+    }
+  };
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label={t('bulk.toolbar')}>
+      <div className="bulk-selection">
+        <strong>{t('bulk.selected', { count: selectedCount })}</strong>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={onSelectAll}
+          disabled={isBusy || selectedCount === visibleCount}
+        >
+          {t(hasMore ? 'bulk.selectAllLoaded' : 'bulk.selectAll', { count: visibleCount })}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onClearSelection} disabled={isDisabled}>
+          {t('bulk.clearSelection')}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm bulk-close" onClick={onClose} disabled={isBusy}>
+          {t('bulk.close')}
+        </button>
+      </div>
+
+      <div className="bulk-actions">
+        <button type="button" className="btn btn-success btn-sm" onClick={() => onSetCompleted(true)} disabled={isDisabled}>
+          ✓ {t('bulk.complete')}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => onSetCompleted(false)} disabled={isDisabled}>
+          ↺ {t('bulk.uncomplete')}
+        </button>
+        <div className="bulk-field">
+          <input
+            type="datetime-local"
+            className="input-field"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            aria-label={t('bulk.newDueDate')}
+          />
+          <button type="button" className="btn btn-warning btn-sm" onClick={() => onReschedule(dueDate)} disabled={isDisabled}>
+            📅 {t(dueDate ? 'bulk.reschedule' : 'bulk.clearDueDate')}
+          </button>
+        </div>
+        <form className="bulk-field" onSubmit={handleAddTag}>
+          <input
+            type="text"
+            className="input-field"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            list="bulk-tag-suggestions"
+            placeholder={t('bulk.tagPlaceholder')}
+            aria-label={t('bulk.tagToAdd')}
+          />
+          <datalist id="bulk-tag-suggestions">
+            {tagSuggestions.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <button type="submit" className="btn btn-secondary btn-sm" disabled={isDisabled || !tag.trim()}>
+            🏷️ {t('bulk.addTag')}
+          </button>
+        </form>
+        <button type="button" className="btn btn-danger btn-sm" onClick={onDelete} disabled={isDisabled}>
+          🗑️ {t('common.delete')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
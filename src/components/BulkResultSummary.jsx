@@ -0,0 +1,45 @@
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 일괄 작업 중 일부가 실패했을 때의 요약
+ * @param {Object} props
+ * @param {{ label: string, total: number, failures: Array<{ id: string, title: string, message: string }> }} props.summary - 작업 결과
+ * @param {() => void} props.onSelectFailed - 실패한 할일만 다시 선택
+ * @param {() => void} props.onDismiss - 닫기
+ */
+function BulkResultSummary({ summary, onSelectFailed, onDismiss }) {
+  const { t } = useI18n();
+  const { label, total, failures } = summary;
+
+  return (
+    <div className="bulk-summary" role="alert">
+      <div className="bulk-summary-header">
+        <strong>
+          ⚠️ {t('bulk.partialFailure', {
+            label,
+            total,
+            succeeded: total - failures.length,
+            failed: failures.length,
+          })}
+        </strong>
+        <div className="bulk-summary-actions">
+          <button type="button" className="btn btn-warning btn-sm" onClick={onSelectFailed}>
+            {t('bulk.selectFailed')}
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onDismiss}>
+            {t('common.close')}
+          </button>
+        </div>
+      </div>
+      <ul className="bulk-summary-list">
+        {failures.map(failure => (
+          <li key={failure.id}>
+            <span className="bulk-summary-title">{failure.title}</span> - {failure.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default BulkResultSummary;
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import Link from '../router/Link';
+import { useNow } from '../hooks/useNow';
+import { WEEKDAYS, getWeekdayLabel } from '../utils/recurrence';
+import { getDueState } from '../utils/reminders';
+import {
+  CALENDAR_MODES,
+  addDays,
+  formatCalendarTitle,
+  getCalendarDays,
+  groupByDueDay,
+  moveDueDateToDay,
+  shiftAnchor,
+  startOfDay,
+  toDateKey,
+} from '../utils/calendar';
+import { useI18n } from '../i18n/useI18n';
+import { formatDateTime } from '../i18n/format';
+
+// 월 달력 칸 하나에 보여줄 최대 할일 수 (나머지는 "+N개"로 주 달력에서 보기)
+const MONTH_CELL_LIMIT = 3;
+
+// 키보드로 옮길 때 방향키별 이동 날 수 (Alt+←/→ 하루, Alt+↑/↓ 일주일)
+const KEY_OFFSETS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+function formatTime(value) {
+  return formatDateTime(value, { timeStyle: 'short' });
+}
+
+/**
+ * 달력 보기 - 마감일별 월/주 달력, 끌어다 놓거나 Alt+방향키로 마감일 변경
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem[]} props.todos - 표시할 할일 (현재 필터 적용)
+ * @param {'month'|'week'} props.mode - 달력 단위
+ * @param {(mode: 'month'|'week') => void} props.onModeChange - 달력 단위 변경
+ * @param {(todo: Object, dueDate: string) => void} props.onReschedule - 마감일 변경
+ */
+function CalendarView({ todos, mode, onModeChange, onReschedule }) {
+  const { t } = useI18n();
+  const now = useNow();
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  // 끌고 있는 할일과 놓을 날
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+
+  const days = getCalendarDays(anchor, mode);
+  const todosByDay = groupByDueDay(todos);
+  const undatedTodos = todos.filter(todo => !todo.dueDate);
+  const todayKey = toDateKey(now);
+
+  const reschedule = (todo, day) => {
+    if (todo.dueDate && toDateKey(todo.dueDate) === toDateKey(day)) {
+      return;
+    }
+    onReschedule(todo, moveDueDateToDay(todo.dueDate, day));
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    const todo = todos.find(item => item._id === (draggingId ?? e.dataTransfer.getData('text/plain')));
+    setDraggingId(null);
+    setDropKey(null);
+    if (todo) {
+      reschedule(todo, day);
+    }
+  };
+
+  const handleChipKeyDown = (e, todo) => {
+    if (!e.altKey || !(e.key in KEY_OFFSETS) || !todo.dueDate) {
+      return;
+    }
+    e.preventDefault();
+    const nextDay = addDays(startOfDay(todo.dueDate), KEY_OFFSETS[e.key]);
+    reschedule(todo, nextDay);
+    // 옮긴 날이 지금 화면 밖이면 따라가기
+    if (!days.some(day => toDateKey(day) === toDateKey(nextDay))) {
+      setAnchor(nextDay);
+    }
+  };
+
+  const renderChip = (todo) => (
+    <Link
+      key={todo._id}
+      to={`/todos/${encodeURIComponent(todo._id)}`}
+      className={`calendar-chip ${todo.isCompleted ? 'completed' : ''} ${getDueState(todo, now) ?? ''} ${
+        draggingId === todo._id ? 'dragging' : ''
+      }`}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', todo._id);
+        e.dataTransfer.effectAllowed = 'move';
+        setDraggingId(todo._id);
+      }}
+      onDragEnd={() => {
+        setDraggingId(null);
+        setDropKey(null);
+      }}
+      onKeyDown={(e) => handleChipKeyDown(e, todo)}
+      title={todo.dueDate ? t('calendar.chipHint', { title: todo.title }) : todo.title}
+    >
+      {todo.dueDate && mode === 'week' && <span className="calendar-chip-time">{formatTime(todo.dueDate)}</span>}
+      {todo.title}
+    </Link>
+  );
+
+  return (
+    <div className="calendar-view">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAnchor(shiftAnchor(anchor, mode, -1))} aria-label={t('calendar.previous')}>
+            ‹
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAnchor(startOfDay(new Date()))}>
+            {t('calendar.today')}
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAnchor(shiftAnchor(anchor, mode, 1))} aria-label={t('calendar.next')}>
+            ›
+          </button>
+          <h3 className="calendar-title">{formatCalendarTitle(anchor, mode)}</h3>
+        </div>
+        <div className="view-toggle">
+          {CALENDAR_MODES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`filter-btn ${mode === option.value ? 'active' : ''}`}
+              onClick={() => onModeChange(option.value)}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={`calendar-grid ${mode}`} role="grid">
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday.value} className="calendar-weekday" role="columnheader">{getWeekdayLabel(weekday.value)}</div>
+        ))}
+        {days.map(day => {
+          const key = toDateKey(day);
+          const dayTodos = todosByDay.get(key) ?? [];
+          const limit = mode === 'month' ? MONTH_CELL_LIMIT : dayTodos.length;
+          const isOtherMonth = mode === 'month' && day.getMonth() !== anchor.getMonth();
+          return (
+            <div
+              key={key}
+              role="gridcell"
+              className={`calendar-cell ${key === todayKey ? 'today' : ''} ${isOtherMonth ? 'other-month' : ''} ${
+                dropKey === key ? 'drop-target' : ''
+              }`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDropKey(key);
+              }}
+              onDragLeave={() => setDropKey(current => (current === key ? null : current))}
+              onDrop={(e) => handleDrop(e, day)}
+            >
+              <span className="calendar-date">{day.getDate()}</span>
+              {dayTodos.slice(0, limit).map(renderChip)}
+              {dayTodos.length > limit && (
+                <button
+                  type="button"
+                  className="calendar-more"
+                  onClick={() => {
+                    setAnchor(day);
+                    onModeChange('week');
+                  }}
+                >
+                  {t('calendar.more', { count: dayTodos.length - limit })}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {undatedTodos.length > 0 && (
+        <div className="calendar-undated">
+          <span className="calendar-undated-label">{t('calendar.undated')}</span>
+          <div className="calendar-undated-list">{undatedTodos.map(renderChip)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarView;
@@ -0,0 +1,137 @@
+import { useMemo, useState } from 'react';
+import { fuzzySearch } from '../utils/fuzzy';
+import { formatShortcutKey } from '../utils/shortcuts';
+import { useI18n } from '../i18n/useI18n';
+
+// 종류마다 보여줄 최대 결과 수
+const COMMAND_LIMIT = 8;
+const TODO_LIMIT = 10;
+
+/**
+ * 팔레트에서 실행할 명령
+ * @typedef {Object} PaletteCommand
+ * @property {string} id - 명령 id
+ * @property {string} label - 이름 (검색 대상)
+ * @property {string} [shortcut] - 같은 동작의 단축키 (표시용)
+ * @property {() => void} run - 실행
+ */
+
+// 맞은 글자 강조
+function MatchedText({ text, indices }) {
+  if (indices.length === 0) {
+    return text;
+  }
+  const matched = new Set(indices);
+  return [...text].map((char, index) => (
+    matched.has(index) ? <mark key={index}>{char}</mark> : char
+  ));
+}
+
+/**
+ * 명령 팔레트 (Ctrl+K) - 명령과 할일을 퍼지 검색해서 ↑/↓로 고르고 Enter로 실행
+ * @param {Object} props
+ * @param {PaletteCommand[]} props.commands - 명령
+ * @param {import('../api/todoApi').TodoItem[]} props.todos - 검색할 할일
+ * @param {(todo: import('../api/todoApi').TodoItem) => void} props.onOpenTodo - 할일을 고르면 상세로 이동
+ * @param {() => void} props.onClose - 닫기
+ */
+function CommandPalette({ commands, todos, onOpenTodo, onClose }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => [
+    ...fuzzySearch(commands, query, command => command.label)
+      .slice(0, COMMAND_LIMIT)
+      .map(result => ({ ...result, type: 'command', key: `command-${result.item.id}` })),
+    // 검색어가 없으면 할일은 보여주지 않음 (명령만 목록으로)
+    ...(query.trim() ? fuzzySearch(todos, query, todo => todo.title) : [])
+      .slice(0, TODO_LIMIT)
+      .map(result => ({ ...result, type: 'todo', key: `todo-${result.item._id}` })),
+  ], [commands, todos, query]);
+
+  const select = (result) => {
+    onClose();
+    if (result.type === 'command') {
+      result.item.run();
+    } else {
+      onOpenTodo(result.item);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) {
+      return;
+    }
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      select(results[activeIndex]);
+    } else if (e.key === 'Escape' || ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k')) {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-label={t('palette.title')}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          className="input-field command-palette-input"
+          placeholder={t('palette.placeholder')}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={results[activeIndex] ? `palette-${results[activeIndex].key}` : undefined}
+          autoFocus
+        />
+        {results.length === 0 ? (
+          <p className="command-palette-empty">{t('palette.empty')}</p>
+        ) : (
+          <ul id="command-palette-results" className="command-palette-results" role="listbox">
+            {results.map((result, index) => (
+              <li
+                key={result.key}
+                id={`palette-${result.key}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`command-palette-item ${index === activeIndex ? 'active' : ''}`}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => select(result)}
+              >
+                <span className="command-palette-type">{result.type === 'command' ? '⚡' : result.item.isCompleted ? '✅' : '📝'}</span>
+                <span className="command-palette-label">
+                  <MatchedText text={result.type === 'command' ? result.item.label : result.item.title} indices={result.indices} />
+                </span>
+                {result.item.shortcut && (
+                  <span className="command-palette-shortcut">
+                    {formatShortcutKey(result.item.shortcut).map(key => <kbd key={key}>{key}</kbd>)}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { formatFieldValue, getMergeFields } from '../utils/todoMerge';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 동시 수정 충돌 병합 - 내가 수정하는 동안 다른 곳에서 바뀐 필드를 하나씩 골라 저장
+ * @param {Object} props
+ * @param {Object} props.base - 수정을 시작할 때의 값 (수정 폼 형식)
+ * @param {Object} props.mine - 내가 입력한 값
+ * @param {Object} props.theirs - 서버의 최신 값
+ * @param {(choices: Record<string, 'mine'|'theirs'|'combined'>) => void} props.onResolve - 고른 대로 병합해서 저장
+ * @param {() => void} props.onCancel - 저장하지 않고 계속 편집
+ */
+function ConflictMergeDialog({ base, mine, theirs, onResolve, onCancel }) {
+  const { t } = useI18n();
+  const fields = getMergeFields(base, mine, theirs);
+  const [choices, setChoices] = useState(() => (
+    Object.fromEntries(fields.map(field => [field.key, field.defaultChoice]))
+  ));
+
+  const chooseAll = (choice) => {
+    setChoices(Object.fromEntries(fields.map(field => [field.key, choice])));
+  };
+
+  return (
+    <div className="conflict-dialog" role="dialog" aria-labelledby="conflict-dialog-title">
+      <div className="conflict-dialog-header">
+        <strong id="conflict-dialog-title">⚠️ {t('conflict.title')}</strong>
+        <div className="conflict-dialog-actions">
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => chooseAll('mine')}>
+            {t('conflict.allMine')}
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => chooseAll('theirs')}>
+            {t('conflict.allTheirs')}
+          </button>
+        </div>
+      </div>
+      <p className="conflict-dialog-hint">{t('conflict.hint')}</p>
+
+      {fields.length === 0 ? (
+        <p className="conflict-dialog-hint">{t('conflict.noDifference')}</p>
+      ) : (
+        <div className="conflict-fields">
+          {fields.map(field => (
+            <fieldset key={field.key} className={`conflict-field ${field.isConflict ? 'conflict' : ''}`}>
+              <legend>
+                {field.isConflict && '‼️ '}
+                {t(`todo.fields.${field.key}`)}
+              </legend>
+              {['mine', 'theirs', ...(field.combinable ? ['combined'] : [])].map(choice => (
+                <label key={choice} className={`conflict-option ${choices[field.key] === choice ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name={`conflict-${field.key}`}
+                    checked={choices[field.key] === choice}
+                    onChange={() => setChoices(prev => ({ ...prev, [field.key]: choice }))}
+                  />
+                  <span className="conflict-option-label">{t(`conflict.choices.${choice}`)}</span>
+                  {choice !== 'combined' && (
+                    <span className="conflict-option-value">
+                      {formatFieldValue(field.key, choice === 'mine' ? mine[field.key] : theirs[field.key])}
+                    </span>
+                  )}
+                </label>
+              ))}
+            </fieldset>
+          ))}
+        </div>
+      )}
+
+      <div className="todo-actions">
+        <button type="button" className="btn btn-success btn-sm" onClick={() => onResolve(choices)}>
+          💾 {t('conflict.save')}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+          {t('conflict.keepEditing')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictMergeDialog;
@@ -0,0 +1,27 @@
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 화면 상단 에러 표시 - 다시 시도할 수 있는 오류면 "다시 시도" 버튼 제공
+ * @param {Object} props
+ * @param {string} props.message - 에러 문구 (비어 있으면 표시하지 않음)
+ * @param {(() => void)|null} props.onRetry - 다시 시도 (없으면 버튼을 숨김)
+ */
+function ErrorBanner({ message, onRetry }) {
+  const { t } = useI18n();
+
+  if (!message) {
+    return null;
+  }
+  return (
+    <div className="error-message">
+      ⚠️ {message}
+      {onRetry && (
+        <button type="button" className="btn btn-danger btn-sm error-retry-btn" onClick={onRetry}>
+          ↻ {t('common.retry')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ErrorBanner;
@@ -0,0 +1,24 @@
+/**
+ * 검색 단어와 일치하는 부분을 <mark>로 강조한 텍스트
+ * @param {Object} props
+ * @param {string} props.text - 원본 텍스트
+ * @param {string[]} props.terms - 강조할 단어 (소문자)
+ */
+function HighlightedText({ text, terms }) {
+  if (!text || terms.length === 0) {
+    return text;
+  }
+
+  // 정규식 특수문자를 이스케이프하고 긴 단어부터 매칭
+  const pattern = new RegExp(
+    `(${[...terms].sort((a, b) => b.length - a.length).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+    'gi'
+  );
+
+  return text.split(pattern).map((part, index) =>
+    // split에 캡처 그룹을 쓰면 홀수 번째 조각이 일치한 부분
+    index % 2 === 1 ? <mark key={index} className="search-highlight">{part}</mark> : part
+  );
+}
+
+export default HighlightedText;
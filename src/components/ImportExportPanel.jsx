@@ -0,0 +1,271 @@
+import { useMemo, useState } from 'react';
+import { formatDate } from '../utils/date';
+import { getPriorityLabel } from '../utils/tags';
+import { EXPORT_FORMATS, downloadTodos } from '../utils/todoExport';
+import {
+  IMPORT_FIELDS,
+  ImportFormatError,
+  detectImportFormat,
+  guessCsvMapping,
+  mapCsvRows,
+  markDuplicates,
+  parseImportFile,
+} from '../utils/todoImport';
+import { useI18n } from '../i18n/useI18n';
+
+// 미리보기에 한 번에 보여줄 최대 행 수 (나머지는 개수만 표시)
+const PREVIEW_LIMIT = 100;
+
+/**
+ * 가져오기/내보내기 패널 - 지금 보이는 목록을 파일로 내보내고, 파일을 미리 본 뒤 할일로 가져옴
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem[]} props.todos - 내보낼 할일 (현재 필터가 적용된 목록)
+ * @param {import('../api/todoApi').TodoItem[]} props.existingTodos - 중복 확인에 쓸 할일
+ * @param {string} props.listName - 가져온 할일이 들어갈 목록 이름
+ * @param {{ done: number, total: number, failed: number }|null} props.progress - 가져오기 진행 상황
+ * @param {boolean} props.isOnline - 온라인 여부 (오프라인에서는 가져오기 불가)
+ * @param {(drafts: import('../utils/todoImport').ImportDraft[]) => Promise<void>} props.onImport - 선택한 초안으로 할일 생성
+ * @param {() => void} props.onClose - 닫기
+ */
+function ImportExportPanel({ todos, existingTodos, listName, progress, isOnline, onImport, onClose }) {
+  const { t } = useI18n();
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value);
+  // 읽어 온 파일 ({ name, format, drafts } 또는 CSV는 { name, format, headers, rows, mapping })
+  const [source, setSource] = useState(null);
+  const [parseError, setParseError] = useState('');
+  // 사용자가 직접 바꾼 선택 (행 번호 → 가져올지 여부), 나머지는 기본값(제목이 있고 중복이 아닌 행)
+  const [overrides, setOverrides] = useState(new Map());
+
+  const isImporting = Boolean(progress) && progress.done < progress.total;
+
+  const drafts = useMemo(() => {
+    if (!source) {
+      return [];
+    }
+    const parsed = source.format === 'csv' ? mapCsvRows(source.rows, source.mapping) : source.drafts;
+    return markDuplicates(parsed, existingTodos);
+  }, [source, existingTodos]);
+
+  const isChecked = (draft, index) =>
+    Boolean(draft.title) && (overrides.has(index) ? overrides.get(index) : !draft.duplicateOf);
+  const checkedDrafts = drafts.filter(isChecked);
+  const duplicateCount = drafts.filter(draft => draft.duplicateOf).length;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    setParseError('');
+    setOverrides(new Map());
+    try {
+      const text = await file.text();
+      const format = detectImportFormat(file.name, text);
+      const parsed = parseImportFile(text, format);
+      if (format === 'csv') {
+        setSource({ name: file.name, format, ...parsed, mapping: guessCsvMapping(parsed.headers) });
+      } else {
+        setSource({ name: file.name, format, drafts: parsed.drafts });
+      }
+    } catch (error) {
+      setSource(null);
+      const reason = error instanceof ImportFormatError ? t(`importExport.errors.${error.code}`) : error.message;
+      setParseError(t('importExport.readFailed', { name: file.name, reason }));
+    }
+  };
+
+  const handleMappingChange = (columnIndex, field) => {
+    setSource(prev => ({
+      ...prev,
+      // 한 필드는 한 열에만 연결
+      mapping: prev.mapping.map((current, index) => {
+        if (index === columnIndex) return field;
+        return field && current === field ? '' : current;
+      }),
+    }));
+  };
+
+  const toggleDraft = (draft, index) => {
+    setOverrides(prev => new Map(prev).set(index, !isChecked(draft, index)));
+  };
+
+  const setAllChecked = (checked) => {
+    setOverrides(new Map(drafts.map((draft, index) => [index, checked])));
+  };
+
+  const handleImport = async () => {
+    await onImport(checkedDrafts);
+    setSource(null);
+    setOverrides(new Map());
+  };
+
+  return (
+    <div className="import-export-panel">
+      <div className="import-export-header">
+        <h2>📦 {t('importExport.title')}</h2>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onClose} disabled={isImporting}>
+          {t('common.close')}
+        </button>
+      </div>
+
+      <section className="import-export-section">
+        <h3>{t('importExport.export')}</h3>
+        <p className="import-export-hint">{t('importExport.exportHint', { count: todos.length })}</p>
+        <div className="import-export-row">
+          <select
+            className="input-field"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            aria-label={t('importExport.exportFormat')}
+          >
+            {EXPORT_FORMATS.map(option => (
+              <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn btn-primary btn-sm"
+            onClick={() => downloadTodos(todos, exportFormat)}
+            disabled={todos.length === 0}
+          >
+            ⬇️ {t('importExport.export')}
+          </button>
+        </div>
+      </section>
+
+      <section className="import-export-section">
+        <h3>{t('importExport.import')}</h3>
+        <p className="import-export-hint">
+          {t('importExport.importHint', { list: listName })} <code>- [ ] {t('todo.fields.title')}</code>
+        </p>
+        <input
+          type="file"
+          className="import-file-input"
+          accept=".json,.csv,.md,.markdown,.txt,.ics,.ical,application/json,text/csv,text/markdown,text/calendar"
+          onChange={handleFileChange}
+          disabled={isImporting}
+          aria-label={t('importExport.file')}
+        />
+        {parseError && <div className="field-error">{parseError}</div>}
+
+        {progress && (
+          <div className="import-progress" role="status">
+            <progress value={progress.done} max={progress.total} />
+            <span>
+              {t(isImporting ? 'importExport.importing' : 'importExport.imported', progress)}
+              {progress.failed > 0 && ` ${t('importExport.importFailedCount', { count: progress.failed })}`}
+            </span>
+          </div>
+        )}
+
+        {source && (
+          <div className="import-preview">
+            {source.format === 'csv' && (
+              <div className="csv-mapping">
+                <strong>{t('importExport.columnMapping')}</strong>
+                {source.headers.map((header, index) => (
+                  <label key={index} className="csv-mapping-field">
+                    <span>{header || t('importExport.column', { number: index + 1 })}</span>
+                    <select
+                      className="input-field"
+                      value={source.mapping[index]}
+                      onChange={(e) => handleMappingChange(index, e.target.value)}
+                    >
+                      {IMPORT_FIELDS.map(option => (
+                        <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                {!source.mapping.includes('title') && (
+                  <div className="field-error">{t('importExport.titleColumnRequired')}</div>
+                )}
+              </div>
+            )}
+
+            <div className="import-preview-summary">
+              <span>
+                {source.name}: {t('importExport.selectedOf', { selected: checkedDrafts.length, count: drafts.length })}
+                {duplicateCount > 0 && ` · ${t('importExport.duplicatesSkipped', { count: duplicateCount })}`}
+              </span>
+              <div className="import-preview-actions">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAllChecked(true)}>
+                  {t('importExport.selectAll')}
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setOverrides(new Map())}>
+                  {t('importExport.excludeDuplicates')}
+                </button>
+              </div>
+            </div>
+
+            <div className="import-preview-table-wrapper">
+              <table className="import-preview-table">
+                <thead>
+                  <tr>
+                    <th aria-label={t('importExport.import')} />
+                    <th>{t('todo.fields.title')}</th>
+                    <th>{t('todo.fields.dueDate')}</th>
+                    <th>{t('todo.fields.isCompleted')}</th>
+                    <th>{t('todo.fields.tags')}</th>
+                    <th>{t('todo.fields.priority')}</th>
+                    <th>{t('importExport.notes')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {drafts.slice(0, PREVIEW_LIMIT).map((draft, index) => (
+                    <tr key={index} className={isChecked(draft, index) ? '' : 'skipped'}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={isChecked(draft, index)}
+                          onChange={() => toggleDraft(draft, index)}
+                          disabled={!draft.title}
+                          aria-label={t('importExport.importItem', { title: draft.title || t('todo.untitled') })}
+                        />
+                      </td>
+                      <td>{draft.title || <em>{t('todo.untitled')}</em>}</td>
+                      <td>{formatDate(draft.dueDate)}</td>
+                      <td>{draft.isCompleted ? '✓' : ''}</td>
+                      <td>{draft.tags.map(tag => `#${tag}`).join(' ')}</td>
+                      <td>{getPriorityLabel(draft.priority)}</td>
+                      <td className="import-preview-notes">
+                        {!draft.title && t('importExport.skippedUntitled')}
+                        {draft.duplicateOf && t(`importExport.duplicates.${draft.duplicateOf}`)}
+                        {draft.warnings.map(warning => (
+                          <div key={warning.code}>{t(`importExport.warnings.${warning.code}`, warning)}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {drafts.length > PREVIEW_LIMIT && (
+                <div className="import-export-hint">
+                  {t('importExport.previewLimited', { count: drafts.length - PREVIEW_LIMIT, limit: PREVIEW_LIMIT })}
+                </div>
+              )}
+            </div>
+
+            <div className="import-export-row">
+              <button
+                type="button"
+                className="btn btn-success btn-sm"
+                onClick={handleImport}
+                disabled={checkedDrafts.length === 0 || isImporting || !isOnline}
+              >
+                {t('importExport.importCount', { count: checkedDrafts.length })}
+              </button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setSource(null)} disabled={isImporting}>
+                {t('common.cancel')}
+              </button>
+              {!isOnline && <span className="field-error">{t('importExport.offline')}</span>}
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ImportExportPanel;
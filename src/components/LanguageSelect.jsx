@@ -0,0 +1,25 @@
+import { LOCALES } from '../i18n/i18n';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 화면 언어 선택 (고른 언어는 다음 방문에도 유지)
+ */
+function LanguageSelect() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <select
+      className="language-select"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('app.language')}
+      title={t('app.language')}
+    >
+      {LOCALES.map(option => (
+        <option key={option.value} value={option.value}>🌐 {option.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default LanguageSelect;
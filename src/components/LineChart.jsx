@@ -0,0 +1,62 @@
+// 차트 그리는 영역 (viewBox 기준, 실제 크기는 CSS로 늘어남)
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 28 };
+// x축에 표시할 최대 라벨 수 (나머지는 건너뜀)
+const MAX_LABELS = 8;
+// 점을 표시할 최대 개수 (넘으면 선만)
+const MAX_DOTS = 60;
+
+/**
+ * 꺾은선 차트 (SVG) - 선 아래를 옅게 채워 추세를 보여줌
+ * @param {Object} props
+ * @param {Array<{ key: string, label: string, value: number, title?: string }>} props.data - 값 (왼쪽부터)
+ * @param {string} props.ariaLabel - 차트 설명 (스크린 리더용)
+ * @param {string} [props.color] - 선 색
+ */
+function LineChart({ data, ariaLabel, color = '#dc2626' }) {
+  const max = Math.max(1, ...data.map(point => point.value));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const baseline = HEIGHT - PADDING.bottom;
+  const labelStep = Math.ceil(data.length / MAX_LABELS);
+
+  const points = data.map((point, index) => ({
+    ...point,
+    x: PADDING.left + (data.length > 1 ? (index / (data.length - 1)) * plotWidth : plotWidth / 2),
+    y: baseline - (point.value / max) * plotHeight,
+  }));
+  const line = points.map(point => `${point.x},${point.y}`).join(' ');
+  const area = points.length > 0
+    ? `${points[0].x},${baseline} ${line} ${points[points.length - 1].x},${baseline}`
+    : '';
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={ariaLabel}>
+      <line className="chart-axis" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={baseline} y2={baseline} />
+      <line className="chart-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={PADDING.top} y2={PADDING.top} />
+      <text className="chart-label" x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end">{max}</text>
+      <text className="chart-label" x={PADDING.left - 4} y={baseline} textAnchor="end">0</text>
+
+      <polygon points={area} fill={color} opacity="0.12" />
+      <polyline points={line} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+
+      {points.map((point, index) => (
+        <g key={point.key}>
+          {points.length <= MAX_DOTS && (
+            <circle cx={point.x} cy={point.y} r="3" fill={color}>
+              <title>{point.title ?? `${point.label}: ${point.value}`}</title>
+            </circle>
+          )}
+          {index % labelStep === 0 && (
+            <text className="chart-label" x={point.x} y={HEIGHT - 6} textAnchor="middle">
+              {point.label}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default LineChart;
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { INBOX_LIST_ID } from '../utils/lists';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 할일 목록(프로젝트) 사이드바 - 목록 전환, 생성, 이름 변경, 순서 변경, 보관/복원
+ * @param {Object} props
+ * @param {import('../utils/lists').TodoList[]} props.lists - 목록 (표시 순서대로, 보관된 목록 포함)
+ * @param {Record<string, number>} props.pendingCounts - 목록 ID(받은 할일함은 'inbox', 전체는 '') → 미완료 개수
+ * @param {string} props.selectedList - 선택된 목록 ID, 'inbox', 또는 빈 값(전체)
+ * @param {boolean} props.isBusy - 변경 중이면 편집 버튼 비활성화
+ * @param {(list: string) => void} props.onSelect - 목록 선택
+ * @param {(name: string) => Promise<boolean>} props.onCreate - 목록 생성 (성공하면 true)
+ * @param {(list: import('../utils/lists').TodoList, name: string) => void} props.onRename - 이름 변경
+ * @param {(list: import('../utils/lists').TodoList, offset: number) => void} props.onMove - 순서 변경 (-1 위로, 1 아래로)
+ * @param {(list: import('../utils/lists').TodoList, isArchived: boolean) => void} props.onArchive - 보관/복원
+ * @param {boolean} props.isTrashOpen - 휴지통을 보고 있는지 여부
+ * @param {() => void} props.onOpenTrash - 휴지통 열기
+ * @param {boolean} props.isStatsOpen - 통계를 보고 있는지 여부
+ * @param {() => void} props.onOpenStats - 통계 열기
+ */
+function ListSidebar({
+  lists,
+  pendingCounts,
+  selectedList,
+  isBusy,
+  onSelect,
+  onCreate,
+  onRename,
+  onMove,
+  onArchive,
+  isTrashOpen,
+  onOpenTrash,
+  isStatsOpen,
+  onOpenStats,
+}) {
+  const { t } = useI18n();
+  const [newListName, setNewListName] = useState('');
+  // 편집 모드 (이름 변경/순서/보관 버튼 표시)
+  const [isEditing, setIsEditing] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeLists = lists.filter(list => !list.isArchived);
+  const archivedLists = lists.filter(list => list.isArchived);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newListName.trim() && await onCreate(newListName)) {
+      setNewListName('');
+    }
+  };
+
+  const submitRename = () => {
+    if (renaming.value.trim() && renaming.value.trim() !== renaming.list.name) {
+      onRename(renaming.list, renaming.value);
+    }
+    setRenaming(null);
+  };
+
+  const renderEntry = (value, label, count) => (
+    <button
+      type="button"
+      className={`list-entry ${selectedList === value ? 'active' : ''}`}
+      onClick={() => onSelect(value)}
+      aria-current={selectedList === value ? 'page' : undefined}
+    >
+      <span className="list-entry-name">{label}</span>
+      {count > 0 && <span className="list-entry-count">{count}</span>}
+    </button>
+  );
+
+  return (
+    <aside className="list-sidebar">
+      <div className="list-sidebar-header">
+        <h2>📂 {t('lists.title')}</h2>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setIsEditing(editing => !editing)}>
+          {t(isEditing ? 'common.done' : 'common.edit')}
+        </button>
+      </div>
+
+      <nav className="list-entries">
+        {renderEntry('', t('lists.all'), pendingCounts[''])}
+        {renderEntry(INBOX_LIST_ID, `📥 ${t('lists.inbox')}`, pendingCounts[INBOX_LIST_ID])}
+        {activeLists.map((list, index) => (
+          <div key={list._id} className="list-entry-row">
+            {renaming?.list._id === list._id ? (
+              <input
+                type="text"
+                className="input-field list-rename-input"
+                value={renaming.value}
+                onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+                    submitRename();
+                  } else if (e.key === 'Escape') {
+                    setRenaming(null);
+                  }
+                }}
+                onBlur={submitRename}
+                autoFocus
+                aria-label={t('lists.name')}
+              />
+            ) : (
+              renderEntry(list._id, list.name, pendingCounts[list._id])
+            )}
+            {isEditing && !renaming && (
+              <div className="list-entry-actions">
+                <button
+                  type="button"
+                  onClick={() => setRenaming({ list, value: list.name })}
+                  disabled={isBusy}
+                  aria-label={t('common.rename')}
+                >
+                  ✏️
+                </button>
+                <button type="button" onClick={() => onMove(list, -1)} disabled={isBusy || index === 0} aria-label={t('common.moveUp')}>
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(list, 1)}
+                  disabled={isBusy || index === activeLists.length - 1}
+                  aria-label={t('common.moveDown')}
+                >
+                  ↓
+                </button>
+                <button type="button" onClick={() => onArchive(list, true)} disabled={isBusy} aria-label={t('lists.archive')}>
+                  🗄️
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </nav>
+
+      <form className="list-create-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          className="input-field"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder={t('lists.newPlaceholder')}
+          aria-label={t('lists.newName')}
+        />
+      </form>
+
+      {archivedLists.length > 0 && (
+        <div className="archived-lists">
+          <button type="button" className="archived-toggle" onClick={() => setShowArchived(show => !show)}>
+            {showArchived ? '▾' : '▸'} {t('lists.archived', { count: archivedLists.length })}
+          </button>
+          {showArchived && archivedLists.map(list => (
+            <div key={list._id} className="list-entry-row archived">
+              {renderEntry(list._id, list.name, pendingCounts[list._id])}
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => onArchive(list, false)}
+                disabled={isBusy}
+              >
+                {t('common.restore')}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        className={`list-entry stats-entry ${isStatsOpen ? 'active' : ''}`}
+        onClick={onOpenStats}
+        aria-current={isStatsOpen ? 'page' : undefined}
+      >
+        <span className="list-entry-name">📊 {t('stats.title')}</span>
+      </button>
+      <button
+        type="button"
+        className={`list-entry trash-entry ${isTrashOpen ? 'active' : ''}`}
+        onClick={onOpenTrash}
+        aria-current={isTrashOpen ? 'page' : undefined}
+      >
+        <span className="list-entry-name">🗑️ {t('trash.title')}</span>
+      </button>
+    </aside>
+  );
+}
+
+export default ListSidebar;
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useAuth } from '../auth/AuthContext';
+import { ValidationError } from '../api/errors';
+import { translateError, translateFieldErrors } from '../i18n/errors';
+import LanguageSelect from './LanguageSelect';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 로그인/회원가입 화면
+ */
+function LoginScreen() {
+  const { t } = useI18n();
+  const { login, signup, logoutReason } = useAuth();
+  // 화면 모드 ('login' | 'signup')
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isSignup = mode === 'signup';
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleSwitchMode = (nextMode) => {
+    setMode(nextMode);
+    setFieldErrors({});
+    setErrorMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // 입력값 검증
+    const errors = {};
+    if (isSignup && !form.name.trim()) {
+      errors.name = t('errors.field.NAME_REQUIRED');
+    }
+    if (!form.email.trim()) {
+      errors.email = t('errors.field.EMAIL_REQUIRED');
+    }
+    if (form.password.length < (isSignup ? 8 : 1)) {
+      errors.password = t(isSignup ? 'errors.field.PASSWORD_TOO_SHORT' : 'errors.field.PASSWORD_REQUIRED');
+    }
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage('');
+    try {
+      if (isSignup) {
+        await signup(form.name, form.email, form.password);
+      } else {
+        await login(form.email, form.password);
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setFieldErrors(translateFieldErrors(error));
+      }
+      setErrorMessage(translateError(error, t(isSignup ? 'auth.signupFailed' : 'auth.loginFailed')));
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="app-container">
+      <div className="todo-app auth-card">
+        <div className="auth-language">
+          <LanguageSelect />
+        </div>
+        <h1 className="app-title">📝 {t('app.title')}</h1>
+
+        {logoutReason === 'expired' && !errorMessage && (
+          <div className="auth-notice">{t('auth.sessionExpired')}</div>
+        )}
+
+        {errorMessage && (
+          <div className="error-message">⚠️ {errorMessage}</div>
+        )}
+
+        <div className="filter-buttons">
+          <button
+            type="button"
+            className={`filter-btn ${!isSignup ? 'active' : ''}`}
+            onClick={() => handleSwitchMode('login')}
+          >
+            {t('auth.login')}
+          </button>
+          <button
+            type="button"
+            className={`filter-btn ${isSignup ? 'active' : ''}`}
+            onClick={() => handleSwitchMode('signup')}
+          >
+            {t('auth.signup')}
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="add-todo-form">
+          <div className="form-group">
+            {isSignup && (
+              <>
+                <input
+                  type="text"
+                  className="input-field"
+                  placeholder={t('auth.name')}
+                  autoComplete="name"
+                  value={form.name}
+                  onChange={handleChange('name')}
+                  disabled={isSubmitting}
+                />
+                {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
+              </>
+            )}
+            <input
+              type="email"
+              className="input-field"
+              placeholder={t('auth.email')}
+              autoComplete="email"
+              value={form.email}
+              onChange={handleChange('email')}
+              disabled={isSubmitting}
+            />
+            {fieldErrors.email && <span className="field-error">{fieldErrors.email}</span>}
+            <input
+              type="password"
+              className="input-field"
+              placeholder={t('auth.password')}
+              autoComplete={isSignup ? 'new-password' : 'current-password'}
+              value={form.password}
+              onChange={handleChange('password')}
+              disabled={isSubmitting}
+            />
+            {fieldErrors.password && <span className="field-error">{fieldErrors.password}</span>}
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+            {isSubmitting
+              ? t('common.processing')
+              : t(isSignup ? 'auth.signup' : 'auth.login')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
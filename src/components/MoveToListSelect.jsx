@@ -0,0 +1,35 @@
+import { INBOX_LIST_ID } from '../utils/lists';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 할일을 다른 목록으로 옮기는 선택 상자
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem} props.todo - 할일
+ * @param {import('../utils/lists').TodoList[]} props.lists - 목록 (표시 순서대로)
+ * @param {boolean} [props.disabled] - 저장 중이면 비활성화
+ * @param {(todo: Object, listId: string|null) => void} props.onMove - 이동 (null이면 받은 할일함)
+ */
+function MoveToListSelect({ todo, lists, disabled = false, onMove }) {
+  const { t } = useI18n();
+  const current = todo.listId || INBOX_LIST_ID;
+  // 보관된 목록으로는 옮길 수 없지만, 이미 들어 있는 목록은 현재 값으로 표시
+  const options = lists.filter(list => !list.isArchived || list._id === current);
+
+  return (
+    <select
+      className="move-select"
+      value={current}
+      onChange={(e) => onMove(todo, e.target.value === INBOX_LIST_ID ? null : e.target.value)}
+      disabled={disabled}
+      aria-label={t('lists.moveTo')}
+      title={t('lists.moveTo')}
+    >
+      <option value={INBOX_LIST_ID}>📥 {t('lists.inbox')}</option>
+      {options.map(list => (
+        <option key={list._id} value={list._id}>📁 {list.name}</option>
+      ))}
+    </select>
+  );
+}
+
+export default MoveToListSelect;
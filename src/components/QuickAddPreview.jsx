@@ -0,0 +1,40 @@
+import { formatDate } from '../utils/date';
+import { getPriorityLabel, getTagColor } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 빠른 입력 미리보기 - 입력한 한 줄을 어떻게 알아들었는지 칩으로 보여줌
+ * @param {Object} props
+ * @param {import('../utils/quickAdd').QuickAddResult} props.parsed - 해석 결과
+ */
+function QuickAddPreview({ parsed }) {
+  const { t } = useI18n();
+  if (parsed.matches.length === 0) {
+    return (
+      <p className="quick-add-preview quick-add-hint">
+        {t('quickAdd.hint')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="quick-add-preview" aria-live="polite">
+      <span className="quick-add-chip quick-add-title">{parsed.title || t('quickAdd.noTitle')}</span>
+      {parsed.dueDate && (
+        <span className="quick-add-chip quick-add-date" title={parsed.hasTime ? undefined : t('quickAdd.defaultTime')}>
+          📅 {formatDate(parsed.dueDate)}
+        </span>
+      )}
+      {parsed.priority && (
+        <span className={`priority-chip priority-${parsed.priority}`}>{getPriorityLabel(parsed.priority)}</span>
+      )}
+      {parsed.tags.map(tag => (
+        <span key={tag} className="tag-chip" style={{ '--tag-color': getTagColor(tag) }}>
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default QuickAddPreview;
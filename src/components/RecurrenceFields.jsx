@@ -0,0 +1,146 @@
+import { RECURRENCE_FREQS, WEEKDAYS, getWeekdayLabel } from '../utils/recurrence';
+import { toDateTimeLocalValue } from '../utils/date';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 반복 일정 입력 (추가 폼과 수정 폼에서 함께 사용)
+ * @param {Object} props
+ * @param {import('../utils/recurrence').Recurrence|null} props.value - 반복 규칙 (반복 안 함이면 null)
+ * @param {string} props.dueDate - 마감일 입력값 (요일/날짜 기본값 계산용, datetime-local 형식)
+ * @param {(value: import('../utils/recurrence').Recurrence|null) => void} props.onChange - 변경
+ */
+function RecurrenceFields({ value, dueDate, onChange }) {
+  const { t } = useI18n();
+  const due = dueDate ? new Date(dueDate) : new Date();
+  const endType = value?.until ? 'until' : value?.count ? 'count' : 'never';
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  // 반복 단위를 고르면 마감일 기준으로 요일/날짜 기본값 채우기
+  const handleFreqChange = (freq) => {
+    if (!freq) {
+      onChange(null);
+      return;
+    }
+    onChange({
+      interval: value?.interval || 1,
+      until: value?.until || null,
+      count: value?.count || null,
+      freq,
+      ...(freq === 'weekly' && { byWeekday: [due.getDay()] }),
+      ...(freq === 'monthly' && { byMonthDay: due.getDate() }),
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const current = value.byWeekday || [];
+    const next = current.includes(day) ? current.filter(item => item !== day) : [...current, day];
+    // 요일을 모두 끄면 마감일의 요일로 되돌림
+    update({ byWeekday: next.length > 0 ? next : [due.getDay()] });
+  };
+
+  const handleEndTypeChange = (type) => {
+    update({
+      until: type === 'until' ? (value.until || (dueDate || toDateTimeLocalValue(new Date())).slice(0, 10)) : null,
+      count: type === 'count' ? (value.count || 5) : null,
+    });
+  };
+
+  return (
+    <div className="recurrence-fields">
+      <div className="recurrence-row">
+        <span className="recurrence-label">🔁 {t('recurrence.label')}</span>
+        {value && (
+          <input
+            type="number"
+            className="input-field recurrence-number"
+            min="1"
+            value={value.interval}
+            onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+            aria-label={t('recurrence.interval')}
+          />
+        )}
+        <select
+          className="input-field"
+          value={value?.freq || ''}
+          onChange={(e) => handleFreqChange(e.target.value)}
+          aria-label={t('recurrence.freq')}
+        >
+          {RECURRENCE_FREQS.map(option => (
+            <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+          ))}
+        </select>
+        {value?.freq === 'monthly' && (
+          <>
+            <input
+              type="number"
+              className="input-field recurrence-number"
+              min="1"
+              max="31"
+              value={value.byMonthDay || due.getDate()}
+              onChange={(e) => update({ byMonthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+              aria-label={t('recurrence.monthDay')}
+            />
+            <span>{t('recurrence.monthDaySuffix')}</span>
+          </>
+        )}
+      </div>
+
+      {value?.freq === 'weekly' && (
+        <div className="recurrence-row weekday-picker">
+          {WEEKDAYS.map(day => (
+            <button
+              key={day.value}
+              type="button"
+              className={`chip ${value.byWeekday?.includes(day.value) ? 'active' : ''}`}
+              aria-pressed={value.byWeekday?.includes(day.value) || false}
+              onClick={() => toggleWeekday(day.value)}
+            >
+              {getWeekdayLabel(day.value)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value && (
+        <div className="recurrence-row">
+          <span className="recurrence-label">{t('recurrence.end')}</span>
+          <select
+            className="input-field"
+            value={endType}
+            onChange={(e) => handleEndTypeChange(e.target.value)}
+            aria-label={t('recurrence.endType')}
+          >
+            <option value="never">{t('recurrence.endTypes.never')}</option>
+            <option value="until">{t('recurrence.endTypes.until')}</option>
+            <option value="count">{t('recurrence.endTypes.count')}</option>
+          </select>
+          {endType === 'until' && (
+            <input
+              type="date"
+              className="input-field"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value || null })}
+              aria-label={t('recurrence.untilDate')}
+            />
+          )}
+          {endType === 'count' && (
+            <>
+              <input
+                type="number"
+                className="input-field recurrence-number"
+                min="1"
+                value={value.count}
+                onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                aria-label={t('recurrence.count')}
+              />
+              <span>{t('recurrence.countSuffix')}</span>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceFields;
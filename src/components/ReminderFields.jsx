@@ -0,0 +1,50 @@
+import { REMINDER_OPTIONS, getReminderLabel } from '../utils/reminders';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 마감 알림 시점 선택 (추가 폼과 수정 폼에서 함께 사용)
+ * @param {Object} props
+ * @param {number[]} props.value - 선택한 알림 시점 (마감 몇 분 전)
+ * @param {string} props.dueDate - 마감일 입력값 (없으면 알림을 고를 수 없음)
+ * @param {string} props.permission - 브라우저 알림 권한 ('granted', 'default', 'denied', 'unsupported')
+ * @param {() => void} props.onRequestPermission - 알림 권한 요청
+ * @param {(value: number[]) => void} props.onChange - 변경
+ */
+function ReminderFields({ value, dueDate, permission, onRequestPermission, onChange }) {
+  const { t } = useI18n();
+  const toggle = (offset) => {
+    onChange(value.includes(offset) ? value.filter(item => item !== offset) : [...value, offset]);
+  };
+
+  return (
+    <div className="reminder-fields">
+      <span className="recurrence-label">🔔 {t('todo.fields.reminders')}</span>
+      {REMINDER_OPTIONS.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          className={`chip ${value.includes(option.value) ? 'active' : ''}`}
+          aria-pressed={value.includes(option.value)}
+          onClick={() => toggle(option.value)}
+          disabled={!dueDate}
+        >
+          {getReminderLabel(option.value)}
+        </button>
+      ))}
+      {!dueDate ? (
+        <span className="reminder-hint">{t('reminders.needsDueDate')}</span>
+      ) : value.length > 0 && permission !== 'granted' && (
+        <span className="reminder-hint">
+          {t(`reminders.permission.${permission}`)}
+          {permission === 'default' && (
+            <button type="button" className="btn btn-secondary btn-sm" onClick={onRequestPermission}>
+              {t('reminders.allow')}
+            </button>
+          )}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default ReminderFields;
@@ -0,0 +1,61 @@
+import { SHORTCUTS, formatShortcutKey } from '../utils/shortcuts';
+import { useI18n } from '../i18n/useI18n';
+
+// 분류 순서 (처음 나온 순서)
+const GROUPS = [...new Set(SHORTCUTS.map(shortcut => shortcut.groupKey))];
+
+/**
+ * 단축키 도움말 (?) - 모든 단축키를 분류별로 보여줌
+ * @param {Object} props
+ * @param {() => void} props.onClose - 닫기
+ */
+function ShortcutHelp({ onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="overlay-backdrop" onMouseDown={onClose}>
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-labelledby="shortcut-help-title"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape' || e.key === '?') {
+            e.preventDefault();
+            onClose();
+          }
+        }}
+      >
+        <div className="shortcut-help-header">
+          <strong id="shortcut-help-title">⌨️ {t('shortcuts.title')}</strong>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onClose} autoFocus>
+            {t('common.close')}
+          </button>
+        </div>
+        <div className="shortcut-help-groups">
+          {GROUPS.map(group => (
+            <section key={group} className="shortcut-help-group">
+              <h3>{t(group)}</h3>
+              <dl>
+                {SHORTCUTS.filter(shortcut => shortcut.groupKey === group).map(shortcut => (
+                  <div key={`${shortcut.labelKey}-${shortcut.keys.join()}`} className="shortcut-help-row">
+                    <dt>
+                      {shortcut.keys.map((key, index) => (
+                        <span key={key} className="shortcut-keys">
+                          {index > 0 && ' / '}
+                          {formatShortcutKey(key).map(part => <kbd key={part}>{part}</kbd>)}
+                        </span>
+                      ))}
+                    </dt>
+                    <dd>{t(shortcut.labelKey)}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
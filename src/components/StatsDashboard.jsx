@@ -0,0 +1,177 @@
+import { useMemo, useState } from 'react';
+import BarChart from './BarChart';
+import LineChart from './LineChart';
+import { STATS_RANGES, DEFAULT_STATS_RANGE, getRangeBounds, computeStats, formatDuration } from '../utils/stats';
+import { toDateKey } from '../utils/calendar';
+import { useNow } from '../hooks/useNow';
+import { useI18n } from '../i18n/useI18n';
+import { formatDateRange, formatDateTime, formatUnit } from '../i18n/format';
+
+// 완료 수 묶음 단위
+const GRANULARITIES = [
+  { value: 'day', labelKey: 'stats.granularities.day' },
+  { value: 'week', labelKey: 'stats.granularities.week' },
+];
+
+const SHORT_DATE = { month: 'numeric', day: 'numeric' };
+const LONG_DATE = { month: 'long', day: 'numeric' };
+
+const shortDate = (date) => formatDateTime(date, SHORT_DATE);
+const longDate = (date) => formatDateTime(date, LONG_DATE);
+
+/**
+ * 생산성 통계 - 기간을 골라 완료 추이, 평균 완료 시간, 제때 완료율, 기한 지남 추이, 연속 완료를 보여줌
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem[]} props.todos - 전체 할일 (목록/필터와 관계없이)
+ * @param {boolean} props.isLoading - 불러오는 중인지 여부
+ * @param {string} [props.message] - 안내 문구 (오프라인이라 저장된 할일로 계산한 경우 등)
+ */
+function StatsDashboard({ todos, isLoading, message = '' }) {
+  const { t } = useI18n();
+  const now = useNow();
+  const [range, setRange] = useState(DEFAULT_STATS_RANGE);
+  const [custom, setCustom] = useState(() => ({ from: '', to: toDateKey(new Date()) }));
+  const [granularity, setGranularity] = useState('day');
+
+  const bounds = getRangeBounds(range, custom, now);
+  const boundsKey = `${toDateKey(bounds.start)}~${toDateKey(bounds.end)}`;
+  // 현재 시각은 30초마다 바뀌므로 날짜가 바뀔 때만 다시 계산
+  const todayKey = toDateKey(now);
+  const stats = useMemo(() => computeStats(todos, bounds, now), [todos, boundsKey, todayKey]);
+
+  const completionData = (granularity === 'day' ? stats.perDay : stats.perWeek).map(point => ({
+    key: point.key,
+    label: granularity === 'day' ? shortDate(point.date) : `${shortDate(point.date)}~`,
+    value: point.value,
+    title: t('stats.completedOn', {
+      date: granularity === 'week' ? t('stats.weekOf', { date: longDate(point.date) }) : longDate(point.date),
+      count: point.value,
+    }),
+  }));
+  const backlogData = stats.overdueBacklog.map(point => ({
+    key: point.key,
+    label: shortDate(point.date),
+    value: point.value,
+    title: t('stats.overdueOn', { date: longDate(point.date), count: point.value }),
+  }));
+  const currentBacklog = stats.overdueBacklog[stats.overdueBacklog.length - 1]?.value ?? 0;
+  const onTimeTotal = stats.onTimeCount + stats.lateCount;
+
+  return (
+    <div className="stats-dashboard">
+      <div className="stats-toolbar">
+        <div className="view-toggle" role="group" aria-label={t('stats.range')}>
+          {STATS_RANGES.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`filter-btn ${range === option.value ? 'active' : ''}`}
+              onClick={() => setRange(option.value)}
+              aria-pressed={range === option.value}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+        {range === 'custom' && (
+          <div className="stats-custom-range">
+            <input
+              type="date"
+              className="input-field"
+              value={custom.from}
+              onChange={(e) => setCustom(prev => ({ ...prev, from: e.target.value }))}
+              aria-label={t('stats.from')}
+            />
+            <span>~</span>
+            <input
+              type="date"
+              className="input-field"
+              value={custom.to}
+              onChange={(e) => setCustom(prev => ({ ...prev, to: e.target.value }))}
+              aria-label={t('stats.to')}
+            />
+          </div>
+        )}
+      </div>
+
+      <p className="stats-range-label">
+        {formatDateRange(bounds.start, bounds.end, LONG_DATE)}
+        {isLoading && <span className="list-loading"> {t('common.loading')}</span>}
+      </p>
+      {message && <p className="stats-message">{message}</p>}
+
+      <div className="stats-cards">
+        <div className="stats-card">
+          <span className="stats-card-label">{t('stats.completed')}</span>
+          <strong className="stats-card-value">{t('common.count', { count: stats.completedCount })}</strong>
+          <span className="stats-card-detail">{t('stats.created', { count: stats.createdCount })}</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-card-label">{t('stats.averageTime')}</span>
+          <strong className="stats-card-value">
+            {stats.averageCompletionMs === null ? '-' : formatDuration(stats.averageCompletionMs)}
+          </strong>
+          <span className="stats-card-detail">{t('stats.averageTimeDetail')}</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-card-label">{t('stats.onTimeRate')}</span>
+          <strong className="stats-card-value">
+            {stats.onTimeRate === null ? '-' : `${Math.round(stats.onTimeRate * 100)}%`}
+          </strong>
+          {onTimeTotal > 0 && (
+            <div
+              className="stats-ratio-bar"
+              role="img"
+              aria-label={t('stats.onTimeSummary', { onTime: stats.onTimeCount, late: stats.lateCount })}
+            >
+              <span className="stats-ratio-on-time" style={{ flexGrow: stats.onTimeCount }} />
+              <span className="stats-ratio-late" style={{ flexGrow: stats.lateCount }} />
+            </div>
+          )}
+          <span className="stats-card-detail">
+            {t('stats.onTimeSummary', { onTime: stats.onTimeCount, late: stats.lateCount })}
+          </span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-card-label">{t('stats.streak')}</span>
+          <strong className="stats-card-value">🔥 {formatUnit(stats.currentStreak, 'day')}</strong>
+          <span className="stats-card-detail">
+            {t('stats.longestStreak', { duration: formatUnit(stats.longestStreak, 'day') })}
+          </span>
+        </div>
+      </div>
+
+      <section className="stats-section">
+        <div className="stats-section-header">
+          <h3>{t('stats.completedTodos')}</h3>
+          <div className="view-toggle" role="group" aria-label={t('stats.granularity')}>
+            {GRANULARITIES.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`filter-btn ${granularity === option.value ? 'active' : ''}`}
+                onClick={() => setGranularity(option.value)}
+                aria-pressed={granularity === option.value}
+              >
+                {t(option.labelKey)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <BarChart data={completionData} ariaLabel={t(`stats.completionChart.${granularity}`)} />
+      </section>
+
+      <section className="stats-section">
+        <div className="stats-section-header">
+          <h3>{t('stats.overdueTrend')}</h3>
+          <span className="stats-card-detail">{t('stats.overdueNow', { count: currentBacklog })}</span>
+        </div>
+        <LineChart data={backlogData} ariaLabel={t('stats.overdueChart')} />
+      </section>
+
+      <p className="stats-footnote">{t('stats.footnote')}</p>
+    </div>
+  );
+}
+
+export default StatsDashboard;
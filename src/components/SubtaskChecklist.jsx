@@ -0,0 +1,32 @@
+/**
+ * 할일 카드 안의 하위 작업 체크리스트 (수정 모드가 아니어도 바로 체크 가능)
+ * @param {Object} props
+ * @param {import('../utils/subtasks').Subtask[]} [props.subtasks] - 하위 작업 목록
+ * @param {boolean} [props.disabled] - 저장 중이면 비활성화
+ * @param {(subtaskId: string) => void} props.onToggle - 하위 작업 완료 토글
+ */
+function SubtaskChecklist({ subtasks, disabled = false, onToggle }) {
+  if (!subtasks?.length) {
+    return null;
+  }
+
+  return (
+    <ul className="subtask-list">
+      {subtasks.map(subtask => (
+        <li key={subtask.id} className={`subtask-item ${subtask.isCompleted ? 'completed' : ''}`}>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={subtask.isCompleted}
+              onChange={() => onToggle(subtask.id)}
+              disabled={disabled}
+            />
+            <span className={subtask.isCompleted ? 'strikethrough' : ''}>{subtask.title}</span>
+          </label>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default SubtaskChecklist;
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { createSubtask } from '../utils/subtasks';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 수정 폼의 하위 작업 편집기 (추가, 내용 수정, 순서 변경, 삭제)
+ * @param {Object} props
+ * @param {import('../utils/subtasks').Subtask[]} props.subtasks - 편집 중인 하위 작업
+ * @param {(subtasks: import('../utils/subtasks').Subtask[]) => void} props.onChange - 변경
+ */
+function SubtaskEditor({ subtasks, onChange }) {
+  const { t } = useI18n();
+  const [newTitle, setNewTitle] = useState('');
+
+  const updateSubtask = (id, changes) => {
+    onChange(subtasks.map(subtask => (subtask.id === id ? { ...subtask, ...changes } : subtask)));
+  };
+
+  const moveSubtask = (index, offset) => {
+    const next = [...subtasks];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + offset, 0, moved);
+    onChange(next);
+  };
+
+  const addSubtask = () => {
+    if (!newTitle.trim()) {
+      return;
+    }
+    onChange([...subtasks, createSubtask(newTitle.trim())]);
+    setNewTitle('');
+  };
+
+  return (
+    <div className="subtask-editor">
+      {subtasks.map((subtask, index) => (
+        <div key={subtask.id} className="subtask-edit-row">
+          <input
+            type="checkbox"
+            checked={subtask.isCompleted}
+            onChange={(e) => updateSubtask(subtask.id, { isCompleted: e.target.checked })}
+            aria-label={t('subtasks.complete')}
+          />
+          <input
+            type="text"
+            className="input-field"
+            value={subtask.title}
+            onChange={(e) => updateSubtask(subtask.id, { title: e.target.value })}
+            placeholder={t('subtasks.titlePlaceholder')}
+          />
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => moveSubtask(index, -1)}
+            disabled={index === 0}
+            aria-label={t('subtasks.moveUp')}
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => moveSubtask(index, 1)}
+            disabled={index === subtasks.length - 1}
+            aria-label={t('subtasks.moveDown')}
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className="btn btn-danger btn-sm"
+            onClick={() => onChange(subtasks.filter(item => item.id !== subtask.id))}
+            aria-label={t('subtasks.delete')}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div className="subtask-edit-row">
+        <input
+          type="text"
+          className="input-field"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            // 한글 조합 중 Enter는 무시
+            if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+              e.preventDefault();
+              addSubtask();
+            }
+          }}
+          placeholder={t('subtasks.addPlaceholder')}
+        />
+        <button type="button" className="btn btn-secondary btn-sm" onClick={addSubtask}>
+          {t('common.add')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SubtaskEditor;
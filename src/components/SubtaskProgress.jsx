@@ -0,0 +1,33 @@
+import { getSubtaskProgress } from '../utils/subtasks';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 하위 작업 진행률 막대 (예: 3/5)
+ * @param {Object} props
+ * @param {import('../utils/subtasks').Subtask[]} [props.subtasks] - 하위 작업 목록
+ */
+function SubtaskProgress({ subtasks }) {
+  const { t } = useI18n();
+  const { completed, total } = getSubtaskProgress(subtasks);
+  if (total === 0) {
+    return null;
+  }
+
+  const percent = Math.round((completed / total) * 100);
+  return (
+    <span className="subtask-progress" title={t('subtasks.progress', { completed, total })}>
+      <span
+        className="progress-bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={completed}
+      >
+        <span className="progress-fill" style={{ width: `${percent}%` }} />
+      </span>
+      {completed}/{total}
+    </span>
+  );
+}
+
+export default SubtaskProgress;
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { getTagColor, isSameTag, normalizeTag } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+// 자동완성 후보 최대 개수
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * 태그 입력 (이미 쓰고 있는 태그 자동완성)
+ * Enter나 쉼표로 추가하고, 입력이 비어 있을 때 Backspace로 마지막 태그를 지웁니다
+ * @param {Object} props
+ * @param {string[]} props.tags - 선택된 태그
+ * @param {string[]} props.suggestions - 자동완성 후보 (기존 태그)
+ * @param {(tags: string[]) => void} props.onChange - 변경
+ */
+function TagInput({ tags, suggestions, onChange }) {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const query = normalizeTag(text).toLowerCase();
+  const matches = query
+    ? suggestions
+      .filter(tag => tag.toLowerCase().includes(query) && !tags.some(selected => isSameTag(selected, tag)))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    // 기존 태그와 대소문자만 다르면 기존 표기 사용
+    const existing = suggestions.find(item => isSameTag(item, tag));
+    if (tag && !tags.some(selected => isSameTag(selected, tag))) {
+      onChange([...tags, existing || tag]);
+    }
+    setText('');
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) {
+      return;
+    }
+    if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? matches.length - 1 : index - 1));
+    } else if (e.key === 'Enter' || e.key === ',') {
+      if (!text.trim()) {
+        return;
+      }
+      e.preventDefault();
+      addTag(activeIndex >= 0 ? matches[activeIndex] : text);
+    } else if (e.key === 'Backspace' && !text && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    } else if (e.key === 'Escape' && activeIndex >= 0) {
+      // 자동완성 선택만 닫고 수정 취소(Esc)로는 넘기지 않음
+      e.preventDefault();
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className="tag-input-field input-field">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip" style={{ '--tag-color': getTagColor(tag) }}>
+            #{tag}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => onChange(tags.filter(item => item !== tag))}
+              aria-label={t('tags.remove', { tag })}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text.trim() && addTag(text)}
+          placeholder={tags.length === 0 ? t('tags.placeholder') : ''}
+          aria-label={t('tags.input')}
+          aria-autocomplete="list"
+        />
+      </div>
+      {matches.length > 0 && (
+        <ul className="tag-suggestions" role="listbox">
+          {matches.map((tag, index) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // blur보다 먼저 처리되도록 mousedown 사용
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag);
+              }}
+            >
+              #{tag}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
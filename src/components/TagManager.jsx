@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { getTagColor, isSameTag, normalizeTag } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 태그 관리 패널 - 모든 할일에 걸쳐 태그 이름 변경(같은 이름이 있으면 병합)과 삭제
+ * @param {Object} props
+ * @param {Array<{ name: string, count: number }>} props.tags - 태그와 사용 횟수 (불러온 할일 기준)
+ * @param {boolean} props.isBusy - 변경 중이면 버튼 비활성화
+ * @param {(name: string, nextName: string) => void} props.onRename - 이름 변경/병합
+ * @param {(name: string) => void} props.onDelete - 삭제
+ * @param {() => void} props.onClose - 닫기
+ */
+function TagManager({ tags, isBusy, onRename, onDelete, onClose }) {
+  const { t } = useI18n();
+  // 이름을 바꾸는 중인 태그와 입력값
+  const [editing, setEditing] = useState(null);
+
+  const handleRename = () => {
+    const nextName = normalizeTag(editing.value);
+    if (!nextName || nextName === editing.name) {
+      setEditing(null);
+      return;
+    }
+    const target = tags.find(tag => isSameTag(tag.name, nextName) && !isSameTag(tag.name, editing.name));
+    if (target && !confirm(t('tags.confirmMerge', { name: editing.name, target: target.name }))) {
+      return;
+    }
+    onRename(editing.name, target ? target.name : nextName);
+    setEditing(null);
+  };
+
+  return (
+    <div className="tag-manager">
+      <div className="tag-manager-header">
+        <h2>🏷️ {t('tags.manage')}</h2>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onClose}>
+          {t('common.close')}
+        </button>
+      </div>
+      {tags.length === 0 ? (
+        <div className="empty-message">{t('tags.empty')}</div>
+      ) : (
+        <ul className="tag-manager-list">
+          {tags.map(tag => (
+            <li key={tag.name} className="tag-manager-row">
+              {editing?.name === tag.name ? (
+                <input
+                  type="text"
+                  className="input-field"
+                  value={editing.value}
+                  onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+                      handleRename();
+                    } else if (e.key === 'Escape') {
+                      setEditing(null);
+                    }
+                  }}
+                  autoFocus
+                  aria-label={t('tags.newName')}
+                />
+              ) : (
+                <span className="tag-chip" style={{ '--tag-color': getTagColor(tag.name) }}>
+                  #{tag.name}
+                </span>
+              )}
+              <span className="tag-count">{t('common.count', { count: tag.count })}</span>
+              <div className="tag-manager-actions">
+                {editing?.name === tag.name ? (
+                  <>
+                    <button type="button" className="btn btn-success btn-sm" onClick={handleRename} disabled={isBusy}>
+                      {t('common.save')}
+                    </button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>
+                      {t('common.cancel')}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      className="btn btn-warning btn-sm"
+                      onClick={() => setEditing({ name: tag.name, value: tag.name })}
+                      disabled={isBusy}
+                    >
+                      {t('common.rename')}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-danger btn-sm"
+                      onClick={() => confirm(t('tags.confirmDelete', { name: tag.name })) && onDelete(tag.name)}
+                      disabled={isBusy}
+                    >
+                      {t('common.delete')}
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="tag-manager-hint">{t('tags.mergeHint')}</p>
+    </div>
+  );
+}
+
+export default TagManager;
@@ -0,0 +1,36 @@
+import { getPriority, getPriorityLabel, getTagColor } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 할일 제목 옆의 우선순위/태그 칩
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem} props.todo - 할일
+ * @param {(tag: string) => void} [props.onTagClick] - 태그를 누르면 그 태그로 필터링
+ */
+function TodoChips({ todo, onTagClick }) {
+  const { t } = useI18n();
+  const priority = getPriority(todo);
+
+  return (
+    <div className="todo-chips">
+      {/* 보통 우선순위는 기본값이라 표시하지 않음 */}
+      {priority !== 'medium' && (
+        <span className={`priority-chip priority-${priority}`}>{getPriorityLabel(priority)}</span>
+      )}
+      {(todo.tags || []).map(tag => (
+        <button
+          key={tag}
+          type="button"
+          className="tag-chip"
+          style={{ '--tag-color': getTagColor(tag) }}
+          onClick={() => onTagClick?.(tag)}
+          title={t('tags.filterBy', { tag })}
+        >
+          #{tag}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TodoChips;
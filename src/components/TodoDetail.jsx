@@ -0,0 +1,152 @@
+import Link from '../router/Link';
+import TodoItemError from './TodoItemError';
+import SubtaskChecklist from './SubtaskChecklist';
+import TodoChips from './TodoChips';
+import MoveToListSelect from './MoveToListSelect';
+import SubtaskProgress from './SubtaskProgress';
+import { formatDate } from '../utils/date';
+import { formatRecurrence } from '../utils/recurrence';
+import { formatRelativeTime, getDueState, getReminderLabel } from '../utils/reminders';
+import { useNow } from '../hooks/useNow';
+import { useI18n } from '../i18n/useI18n';
+import { formatList } from '../i18n/format';
+
+/**
+ * 할일 상세 페이지 (/todos/:id)
+ * 목록에서는 잘리는 전체 설명과 생성/수정 시각을 보여주고 수정/삭제할 수 있습니다
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem|null} props.todo - 할일 (찾지 못했으면 null)
+ * @param {boolean} props.isLoading - 목록을 불러오는 중인지
+ * @param {string} props.backTo - 목록으로 돌아갈 주소
+ * @param {Object} [props.status] - 진행 상태
+ * @param {boolean} props.isPendingSync - 오프라인 동기화 대기 여부
+ * @param {import('react').ReactNode} [props.editForm] - 수정 중이면 표시할 수정 폼
+ * @param {(todo: Object) => void} props.onToggleComplete - 완료 토글
+ * @param {(todo: Object, subtaskId: string) => void} props.onToggleSubtask - 하위 작업 완료 토글
+ * @param {(tag: string) => void} [props.onTagClick] - 태그 칩 클릭 (태그 필터)
+ * @param {import('../utils/lists').TodoList[]} props.lists - 옮길 수 있는 목록
+ * @param {(todo: Object, listId: string|null) => void} props.onMoveToList - 다른 목록으로 이동
+ * @param {(todo: Object, draft?: Object) => void} props.onStartEdit - 수정 시작
+ * @param {(todo: Object) => void} props.onDelete - 삭제
+ * @param {(todo: Object) => void} props.onDismissError - 항목 에러 닫기
+ */
+function TodoDetail({
+  todo,
+  isLoading,
+  backTo,
+  status,
+  isPendingSync,
+  editForm,
+  onToggleComplete,
+  onToggleSubtask,
+  onTagClick,
+  lists,
+  onMoveToList,
+  onStartEdit,
+  onDelete,
+  onDismissError,
+}) {
+  const { t } = useI18n();
+  const isSaving = status?.state === 'saving';
+  const now = useNow();
+
+  return (
+    <div className="todo-detail">
+      <Link to={backTo} className="back-link">← {t('todo.backToList')}</Link>
+
+      {!todo ? (
+        <div className={isLoading ? 'loading-message' : 'empty-message'}>
+          {isLoading ? t('common.loading') : t('todo.notFound')}
+        </div>
+      ) : (
+        <div className={`todo-item ${todo.isCompleted ? 'completed' : ''} ${isSaving ? 'saving' : ''}`}>
+          {editForm ?? (
+            <>
+              <div className="todo-content">
+                <div className="todo-header">
+                  <h2 className={`todo-title ${todo.isCompleted ? 'strikethrough' : ''}`}>
+                    {todo.title}
+                  </h2>
+                  <TodoChips todo={todo} onTagClick={onTagClick} />
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={todo.isCompleted || false}
+                      onChange={() => onToggleComplete(todo)}
+                      disabled={isSaving}
+                    />
+                    {t('todo.fields.isCompleted')}
+                  </label>
+                </div>
+                <p className="todo-description todo-detail-description">
+                  {todo.description || t('todo.noDescription')}
+                </p>
+                <SubtaskChecklist
+                  subtasks={todo.subtasks}
+                  disabled={isSaving}
+                  onToggle={(subtaskId) => onToggleSubtask(todo, subtaskId)}
+                />
+                <dl className="todo-detail-meta">
+                  <dt>{t('todo.fields.dueDate')}</dt>
+                  <dd>
+                    {todo.dueDate ? formatDate(todo.dueDate) : t('common.none')}
+                    {todo.dueDate && !todo.isCompleted && (
+                      <span className={`due-relative ${getDueState(todo, now) ?? ''}`}> ({formatRelativeTime(todo.dueDate, now)})</span>
+                    )}
+                  </dd>
+                  <dt>{t('todo.fields.reminders')}</dt>
+                  <dd>
+                    {todo.dueDate && todo.reminders?.length
+                      ? formatList(todo.reminders.map(offset => getReminderLabel(offset)))
+                      : t('common.none')}
+                  </dd>
+                  <dt>{t('todo.fields.recurrence')}</dt>
+                  <dd>{formatRecurrence(todo.recurrence) || t('common.none')}</dd>
+                  <dt>{t('todo.createdAt')}</dt>
+                  <dd>{todo.createdAt ? formatDate(todo.createdAt) : '-'}</dd>
+                  <dt>{t('todo.updatedAt')}</dt>
+                  <dd>{todo.updatedAt ? formatDate(todo.updatedAt) : '-'}</dd>
+                </dl>
+                <div className="todo-meta">
+                  <SubtaskProgress subtasks={todo.subtasks} />
+                  {isPendingSync && (
+                    <span className="sync-badge">⏳ {t('todo.pendingSync')}</span>
+                  )}
+                  {isSaving && (
+                    <span className="saving-badge">{t('common.saving')}</span>
+                  )}
+                </div>
+              </div>
+              {status?.state === 'error' && (
+                <TodoItemError
+                  status={status}
+                  onEditDraft={(draft) => onStartEdit(todo, draft)}
+                  onDismiss={() => onDismissError(todo)}
+                />
+              )}
+              <div className="todo-actions">
+                <MoveToListSelect todo={todo} lists={lists} disabled={isSaving} onMove={onMoveToList} />
+                <button
+                  className="btn btn-warning btn-sm"
+                  onClick={() => onStartEdit(todo)}
+                  disabled={isSaving}
+                >
+                  ✏️ {t('common.edit')}
+                </button>
+                <button
+                  className="btn btn-danger btn-sm"
+                  onClick={() => onDelete(todo)}
+                  disabled={isSaving}
+                >
+                  🗑️ {t('common.delete')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TodoDetail;
@@ -0,0 +1,196 @@
+import SubtaskEditor from './SubtaskEditor';
+import RecurrenceFields from './RecurrenceFields';
+import ReminderFields from './ReminderFields';
+import TagInput from './TagInput';
+import { PRIORITIES } from '../utils/tags';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 할일 수정 폼
+ * @param {Object} props
+ * @param {{ title: string, description: string, dueDate: string, isCompleted: boolean, subtasks: Array, autoComplete: boolean }} props.data - 편집 중인 값 (recurrence, tags, priority, reminders 포함)
+ * @param {Record<string, string>} props.fieldErrors - 필드별 에러
+ * @param {string} [props.errorMessage] - 저장 실패 메시지
+ * @param {string[]} props.tagSuggestions - 태그 자동완성 후보
+ * @param {string} props.notificationPermission - 브라우저 알림 권한
+ * @param {() => void} props.onRequestNotificationPermission - 알림 권한 요청
+ * @param {'updated'|'deleted'|null} [props.remoteNotice] - 수정하는 동안 다른 곳에서 바뀌었거나 삭제됨
+ * @param {() => void} [props.onLoadRemote] - 바뀐 내용으로 다시 편집
+ * @param {() => void} [props.onDismissRemoteNotice] - 안내 닫고 내 수정 유지
+ * @param {(data: Object) => void} props.onChange - 값 변경
+ * @param {() => void} props.onSave - 저장 (Enter)
+ * @param {() => void} props.onCancel - 취소 (Esc)
+ */
+function TodoEditForm({
+  data,
+  fieldErrors,
+  errorMessage,
+  tagSuggestions,
+  notificationPermission,
+  onRequestNotificationPermission,
+  remoteNotice = null,
+  onLoadRemote,
+  onDismissRemoteNotice,
+  onChange,
+  onSave,
+  onCancel,
+}) {
+  const { t } = useI18n();
+  // Enter로 저장(설명 칸은 Ctrl/Cmd+Enter), Esc로 취소
+  // 태그 입력, 하위 작업 추가처럼 입력 칸에서 먼저 처리한 키는 건드리지 않음
+  const handleKeyDown = (e) => {
+    if (e.defaultPrevented || e.nativeEvent.isComposing) {
+      return;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    } else if (e.key === 'Enter') {
+      const isTextarea = e.target.tagName === 'TEXTAREA';
+      if (e.target.tagName === 'INPUT' || (isTextarea && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        onSave();
+      }
+    }
+  };
+
+  return (
+    <div className="todo-edit-mode" onKeyDown={handleKeyDown}>
+      {errorMessage && (
+        <div className="todo-item-error">⚠️ {errorMessage}</div>
+      )}
+      {remoteNotice === 'updated' && (
+        <div className="remote-change-notice" role="status">
+          🔄 {t('remote.updated')}
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onLoadRemote}>
+            {t('remote.loadChanges')}
+          </button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onDismissRemoteNotice}>
+            {t('remote.keepMine')}
+          </button>
+        </div>
+      )}
+      {remoteNotice === 'deleted' && (
+        <div className="remote-change-notice deleted" role="status">
+          🗑️ {t('remote.deleted')}
+          <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+            {t('remote.closeEdit')}
+          </button>
+        </div>
+      )}
+      <input
+        type="text"
+        className="input-field edit-input"
+        placeholder={t('todo.titlePlaceholder')}
+        value={data.title}
+        onChange={(e) => onChange({ ...data, title: e.target.value })}
+        autoFocus
+        required
+      />
+      {fieldErrors.title && <span className="field-error edit-input">{fieldErrors.title}</span>}
+      <textarea
+        className="input-field textarea-field edit-input"
+        placeholder={t('todo.descriptionPlaceholder')}
+        value={data.description}
+        onChange={(e) => onChange({ ...data, description: e.target.value })}
+        rows="2"
+      />
+      {fieldErrors.description && (
+        <span className="field-error edit-input">{fieldErrors.description}</span>
+      )}
+      <div className="edit-row">
+        <input
+          type="datetime-local"
+          className="input-field"
+          value={data.dueDate}
+          onChange={(e) => onChange({ ...data, dueDate: e.target.value })}
+        />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={data.isCompleted}
+            onChange={(e) => onChange({ ...data, isCompleted: e.target.checked })}
+          />
+          {t('todo.fields.isCompleted')}
+        </label>
+      </div>
+      {fieldErrors.dueDate && (
+        <span className="field-error edit-input">{fieldErrors.dueDate}</span>
+      )}
+      <div className="edit-row">
+        <select
+          className="input-field priority-select"
+          value={data.priority}
+          onChange={(e) => onChange({ ...data, priority: e.target.value })}
+          aria-label={t('todo.fields.priority')}
+        >
+          {PRIORITIES.map(option => (
+            <option key={option.value} value={option.value}>
+              {t('todo.priorityOption', { label: t(option.labelKey) })}
+            </option>
+          ))}
+        </select>
+        <TagInput
+          tags={data.tags}
+          suggestions={tagSuggestions}
+          onChange={(tags) => onChange({ ...data, tags })}
+        />
+      </div>
+      <div className="edit-input">
+        <RecurrenceFields
+          value={data.recurrence}
+          dueDate={data.dueDate}
+          onChange={(recurrence) => onChange({ ...data, recurrence })}
+        />
+      </div>
+      <div className="edit-input">
+        <ReminderFields
+          value={data.reminders}
+          dueDate={data.dueDate}
+          permission={notificationPermission}
+          onRequestPermission={onRequestNotificationPermission}
+          onChange={(reminders) => onChange({ ...data, reminders })}
+        />
+      </div>
+      {fieldErrors.recurrence && (
+        <span className="field-error edit-input">{fieldErrors.recurrence}</span>
+      )}
+      <div className="subtask-section edit-input">
+        <div className="subtask-section-header">
+          <span>{t('todo.fields.subtasks')}</span>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={data.autoComplete}
+              onChange={(e) => onChange({ ...data, autoComplete: e.target.checked })}
+            />
+            {t('todo.autoCompleteLabel')}
+          </label>
+        </div>
+        <SubtaskEditor
+          subtasks={data.subtasks}
+          onChange={(subtasks) => onChange({ ...data, subtasks })}
+        />
+      </div>
+      {fieldErrors.subtasks && (
+        <span className="field-error edit-input">{fieldErrors.subtasks}</span>
+      )}
+      <div className="todo-actions">
+        <button
+          className="btn btn-success btn-sm"
+          onClick={onSave}
+        >
+          💾 {t('common.save')}
+        </button>
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={onCancel}
+        >
+          ✕ {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TodoEditForm;
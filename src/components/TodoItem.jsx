@@ -0,0 +1,197 @@
+import { useEffect, useRef } from 'react';
+import Link from '../router/Link';
+import TodoItemError from './TodoItemError';
+import HighlightedText from './HighlightedText';
+import SubtaskChecklist from './SubtaskChecklist';
+import TodoChips from './TodoChips';
+import MoveToListSelect from './MoveToListSelect';
+import SubtaskProgress from './SubtaskProgress';
+import { formatDate } from '../utils/date';
+import { formatRecurrence } from '../utils/recurrence';
+import { formatRelativeTime, getDueState, getReminderLabel } from '../utils/reminders';
+import { useNow } from '../hooks/useNow';
+import { useI18n } from '../i18n/useI18n';
+import { formatList } from '../i18n/format';
+
+/**
+ * 할일 목록의 카드 한 개
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem} props.todo - 할일
+ * @param {{ state: 'saving'|'error', message?: string, retry?: Function, draft?: Object }} [props.status] - 진행 상태
+ * @param {boolean} props.isPendingSync - 오프라인 동기화 대기 여부
+ * @param {string[]} [props.highlightTerms] - 강조할 검색 단어
+ * @param {import('react').ReactNode} [props.editForm] - 수정 중이면 표시할 수정 폼
+ * @param {Object} [props.dragHandleProps] - 순서 변경 손잡이에 붙일 속성 (없으면 손잡이를 표시하지 않음)
+ * @param {boolean} [props.isDragging] - 끌고 있는 항목인지 여부
+ * @param {'before'|'after'|null} [props.dropEdge] - 끌어다 놓을 자리 표시
+ * @param {boolean} [props.isSelectable] - 선택 모드 여부 (선택 체크박스 표시)
+ * @param {boolean} [props.isSelected] - 선택 여부
+ * @param {boolean} [props.isFocused] - 키보드(j/k)로 고른 할일인지 여부
+ * @param {(todo: Object, isRange: boolean) => void} [props.onSelect] - 선택 토글 (Shift를 누르고 누르면 범위 선택)
+ * @param {(todo: Object) => void} props.onToggleComplete - 완료 토글
+ * @param {(todo: Object, subtaskId: string) => void} props.onToggleSubtask - 하위 작업 완료 토글
+ * @param {(tag: string) => void} [props.onTagClick] - 태그 칩 클릭 (태그 필터)
+ * @param {import('../utils/lists').TodoList[]} props.lists - 옮길 수 있는 목록
+ * @param {(todo: Object, listId: string|null) => void} props.onMoveToList - 다른 목록으로 이동
+ * @param {(todo: Object, draft?: Object) => void} props.onStartEdit - 수정 시작
+ * @param {(todo: Object) => void} props.onDelete - 삭제
+ * @param {(todo: Object) => void} props.onDismissError - 항목 에러 닫기
+ */
+function TodoItem({
+  todo,
+  status,
+  isPendingSync,
+  highlightTerms = [],
+  editForm,
+  dragHandleProps,
+  isDragging = false,
+  dropEdge = null,
+  isSelectable = false,
+  isSelected = false,
+  isFocused = false,
+  onSelect,
+  onToggleComplete,
+  onToggleSubtask,
+  onTagClick,
+  lists,
+  onMoveToList,
+  onStartEdit,
+  onDelete,
+  onDismissError,
+}) {
+  const { t } = useI18n();
+  const isSaving = status?.state === 'saving';
+  const now = useNow();
+  // 기한 지남/마감 임박 표시
+  const dueState = getDueState(todo, now);
+  const itemRef = useRef(null);
+
+  // 키보드로 고르면 화면 안으로 스크롤
+  useEffect(() => {
+    if (isFocused) {
+      itemRef.current?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isFocused]);
+
+  return (
+    <div
+      ref={itemRef}
+      className={`todo-item ${todo.isCompleted ? 'completed' : ''} ${isSaving ? 'saving' : ''} ${
+        isDragging ? 'dragging' : ''
+      } ${dropEdge ? `drop-${dropEdge}` : ''} ${isSelected ? 'selected' : ''} ${isFocused ? 'keyboard-focused' : ''} ${
+        dueState ?? ''
+      }`}
+      aria-current={isFocused ? 'true' : undefined}
+    >
+      {editForm ?? (
+        <>
+          <div className="todo-content">
+            <div className="todo-header">
+              {dragHandleProps && (
+                <button
+                  type="button"
+                  className="drag-handle"
+                  aria-label={t('todo.reorderLabel', { title: todo.title })}
+                  title={t('todo.reorderHint')}
+                  {...dragHandleProps}
+                >
+                  ⠿
+                </button>
+              )}
+              {isSelectable && (
+                <input
+                  type="checkbox"
+                  className="select-checkbox"
+                  checked={isSelected}
+                  onChange={(e) => onSelect(todo, e.nativeEvent.shiftKey)}
+                  aria-label={t('todo.selectLabel', { title: todo.title })}
+                />
+              )}
+              <h3 className={`todo-title ${todo.isCompleted ? 'strikethrough' : ''}`}>
+                <Link to={`/todos/${encodeURIComponent(todo._id)}`} className="todo-title-link">
+                  <HighlightedText text={todo.title} terms={highlightTerms} />
+                </Link>
+              </h3>
+              <TodoChips todo={todo} onTagClick={onTagClick} />
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={todo.isCompleted || false}
+                  onChange={() => onToggleComplete(todo)}
+                  disabled={isSaving}
+                />
+                {t('todo.fields.isCompleted')}
+              </label>
+            </div>
+            {todo.description && (
+              <p className="todo-description">
+                <HighlightedText text={todo.description} terms={highlightTerms} />
+              </p>
+            )}
+            <SubtaskChecklist
+              subtasks={todo.subtasks}
+              disabled={isSaving}
+              onToggle={(subtaskId) => onToggleSubtask(todo, subtaskId)}
+            />
+            <div className="todo-meta">
+              <SubtaskProgress subtasks={todo.subtasks} />
+              {todo.dueDate && (
+                <span className="todo-date">
+                  📅 {formatDate(todo.dueDate)}
+                  {!todo.isCompleted && (
+                    <span className={`due-relative ${dueState ?? ''}`}> ({formatRelativeTime(todo.dueDate, now)})</span>
+                  )}
+                </span>
+              )}
+              {todo.dueDate && todo.reminders?.length > 0 && (
+                <span className="todo-reminders" title={formatList(todo.reminders.map(offset => getReminderLabel(offset)))}>
+                  🔔 {todo.reminders.length}
+                </span>
+              )}
+              {todo.recurrence && (
+                <span className="todo-recurrence">🔁 {formatRecurrence(todo.recurrence)}</span>
+              )}
+              {todo.createdAt && (
+                <span className="todo-created">
+                  {t('todo.createdOn', { date: formatDate(todo.createdAt) })}
+                </span>
+              )}
+              {isPendingSync && (
+                <span className="sync-badge">⏳ {t('todo.pendingSync')}</span>
+              )}
+              {isSaving && (
+                <span className="saving-badge">{t('common.saving')}</span>
+              )}
+            </div>
+          </div>
+          {status?.state === 'error' && (
+            <TodoItemError
+              status={status}
+              onEditDraft={(draft) => onStartEdit(todo, draft)}
+              onDismiss={() => onDismissError(todo)}
+            />
+          )}
+          <div className="todo-actions">
+            <MoveToListSelect todo={todo} lists={lists} disabled={isSaving} onMove={onMoveToList} />
+            <button
+              className="btn btn-warning btn-sm"
+              onClick={() => onStartEdit(todo)}
+              disabled={isSaving}
+            >
+              ✏️ {t('common.edit')}
+            </button>
+            <button
+              className="btn btn-danger btn-sm"
+              onClick={() => onDelete(todo)}
+              disabled={isSaving}
+            >
+              🗑️ {t('common.delete')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TodoItem;
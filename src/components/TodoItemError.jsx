@@ -0,0 +1,44 @@
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 서버가 거부해 되돌린 변경의 항목별 에러 표시
+ * @param {Object} props
+ * @param {{ message: string, retry?: Function, draft?: Object }} props.status - 항목 에러 상태
+ * @param {(draft: Object) => void} props.onEditDraft - 저장하지 못한 입력 내용으로 다시 편집
+ * @param {() => void} props.onDismiss - 에러 닫기
+ */
+function TodoItemError({ status, onEditDraft, onDismiss }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="todo-item-error">
+      <span>⚠️ {status.message}</span>
+      <div className="todo-item-error-actions">
+        {status.retry && (
+          <button
+            className="btn btn-danger btn-sm"
+            onClick={status.retry}
+          >
+            ↻ {t('common.retry')}
+          </button>
+        )}
+        {status.draft && (
+          <button
+            className="btn btn-warning btn-sm"
+            onClick={() => onEditDraft(status.draft)}
+          >
+            ↺ {t('todo.editAgain')}
+          </button>
+        )}
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={onDismiss}
+        >
+          {t('common.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TodoItemError;
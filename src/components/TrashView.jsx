@@ -0,0 +1,69 @@
+import { formatDate } from '../utils/date';
+import { getDaysUntilPurge } from '../utils/trash';
+import { useI18n } from '../i18n/useI18n';
+import { formatRelative, formatUnit } from '../i18n/format';
+
+/**
+ * 휴지통 - 삭제한 할일 되살리기와 영구 삭제
+ * @param {Object} props
+ * @param {import('../api/todoApi').TodoItem[]} props.items - 휴지통의 할일 (최근 삭제 순)
+ * @param {number} props.retentionDays - 보관 기간 (일), 지나면 자동으로 영구 삭제
+ * @param {boolean} props.isLoading - 불러오는 중 여부
+ * @param {string} [props.message] - 목록 대신 보여줄 안내 (오프라인, 휴지통을 지원하지 않는 서버 등)
+ * @param {Set<string>} props.busyIds - 처리 중인 할일 ID
+ * @param {(todo: Object) => void} props.onRestore - 되살리기
+ * @param {(todo: Object) => void} props.onPurge - 영구 삭제
+ * @param {() => void} props.onEmpty - 휴지통 비우기
+ */
+function TrashView({ items, retentionDays, isLoading, message, busyIds, onRestore, onPurge, onEmpty }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="trash-view">
+      <div className="trash-header">
+        <p className="trash-hint">{t('trash.hint', { duration: formatUnit(retentionDays, 'day') })}</p>
+        {items.length > 0 && !message && (
+          <button type="button" className="btn btn-danger btn-sm" onClick={onEmpty} disabled={busyIds.size > 0}>
+            {t('trash.empty')}
+          </button>
+        )}
+      </div>
+
+      {message ? (
+        <div className="empty-message">{message}</div>
+      ) : isLoading && items.length === 0 ? (
+        <div className="list-loading">{t('common.loading')}</div>
+      ) : items.length === 0 ? (
+        <div className="empty-message">{t('trash.isEmpty')}</div>
+      ) : (
+        <ul className="trash-list">
+          {items.map(todo => {
+            const isBusy = busyIds.has(todo._id);
+            const daysLeft = getDaysUntilPurge(todo.deletedAt, retentionDays);
+            return (
+              <li key={todo._id} className="trash-item">
+                <div className="trash-item-content">
+                  <span className="trash-item-title">{todo.title}</span>
+                  <span className="trash-item-meta">
+                    {todo.deletedAt && `${t('trash.deletedOn', { date: formatDate(todo.deletedAt) })} · `}
+                    {daysLeft > 0 ? t('trash.purgeIn', { relative: formatRelative(daysLeft, 'day') }) : t('trash.purgeSoon')}
+                  </span>
+                </div>
+                <div className="trash-item-actions">
+                  <button type="button" className="btn btn-success btn-sm" onClick={() => onRestore(todo)} disabled={isBusy}>
+                    ↩️ {t('common.restore')}
+                  </button>
+                  <button type="button" className="btn btn-danger btn-sm" onClick={() => onPurge(todo)} disabled={isBusy}>
+                    {t('trash.purge')}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+import { useI18n } from '../i18n/useI18n';
+
+// 알림이 떠 있는 시간 (ms)
+const TOAST_DURATION_MS = 6000;
+
+/**
+ * 방금 한 작업을 알리고 되돌리기/다시 실행 버튼을 보여주는 알림 (잠시 후 자동으로 닫힘)
+ * @param {Object} props
+ * @param {{ id: number, message: string, actionLabel?: string, onAction?: () => void }} props.toast - 표시할 알림
+ * @param {() => void} props.onDismiss - 닫기
+ */
+function UndoToast({ toast, onDismiss }) {
+  const { t } = useI18n();
+
+  // 새 알림이 뜨면 시간을 다시 잼
+  useEffect(() => {
+    const timerId = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timerId);
+  }, [toast.id]);
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span className="undo-toast-message">{toast.message}</span>
+      {toast.onAction && (
+        <button
+          type="button"
+          className="undo-toast-action"
+          onClick={() => {
+            toast.onAction();
+            onDismiss();
+          }}
+        >
+          {toast.actionLabel}
+        </button>
+      )}
+      <button type="button" className="undo-toast-close" onClick={onDismiss} aria-label={t('toast.dismiss')}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
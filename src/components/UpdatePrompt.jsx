@@ -0,0 +1,27 @@
+import { useAppUpdate } from '../hooks/useAppUpdate';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * 새 버전 안내 - 새로고침하면 새 버전으로 바뀜
+ */
+function UpdatePrompt() {
+  const { t } = useI18n();
+  const { isUpdateAvailable, applyUpdate, dismissUpdate } = useAppUpdate();
+
+  if (!isUpdateAvailable) {
+    return null;
+  }
+  return (
+    <div className="update-prompt" role="status" aria-live="polite">
+      <span>🆕 {t('update.available')}</span>
+      <button type="button" className="update-prompt-action" onClick={applyUpdate}>
+        {t('update.reload')}
+      </button>
+      <button type="button" className="update-prompt-dismiss" onClick={dismissUpdate}>
+        {t('update.later')}
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * 화면 근처에 있는 항목만 렌더링하는 목록 (창 스크롤 기준)
+ * 항목마다 높이가 달라도 되도록 렌더링된 항목의 실제 높이를 재서 기억하고,
+ * 아직 그려지지 않은 항목은 예상 높이로 자리만 차지하게 합니다
+ * @template T
+ * @param {Object} props
+ * @param {T[]} props.items - 전체 항목
+ * @param {(item: T) => string} props.getKey - 항목 키
+ * @param {(item: T, index: number) => import('react').ReactNode} props.renderItem - 항목 렌더링
+ * @param {number} [props.estimatedItemHeight] - 아직 높이를 모르는 항목의 예상 높이 (px)
+ * @param {number} [props.overscan] - 화면 위아래로 미리 그려 둘 여유 높이 (px)
+ * @param {number} [props.endThreshold] - 목록 끝까지 이 거리(px) 안으로 들어오면 onEndReached 호출
+ * @param {() => void} [props.onEndReached] - 목록 끝 근처에 도달했을 때 (다음 페이지 불러오기)
+ * @param {string|null} [props.activeKey] - 화면 밖에 있으면 보이도록 스크롤할 항목 키 (키보드로 고른 항목)
+ * @param {string} [props.className] - 목록 요소 클래스
+ */
+function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimatedItemHeight = 96,
+  overscan = 600,
+  endThreshold = 800,
+  onEndReached,
+  activeKey = null,
+  className = '',
+}) {
+  const containerRef = useRef(null);
+  // 항목 키 → 측정된 높이
+  const heightsRef = useRef(new Map());
+  const observerRef = useRef(null);
+  // 목록 맨 위를 기준으로 한 현재 화면 범위
+  const [viewport, setViewport] = useState(() => ({ top: 0, bottom: window.innerHeight }));
+  // 높이가 새로 측정되면 다시 렌더링하기 위한 값
+  const [, setMeasureVersion] = useState(0);
+
+  // 창 스크롤/크기 변경 시 화면 범위 갱신 (한 프레임에 한 번만 계산)
+  // 목록 위쪽 내용의 높이가 바뀔 수 있으므로 항목이 바뀔 때도 다시 계산
+  useEffect(() => {
+    let frameId = null;
+    const update = () => {
+      frameId = null;
+      if (!containerRef.current) {
+        return;
+      }
+      const top = -containerRef.current.getBoundingClientRect().top;
+      const bottom = top + window.innerHeight;
+      setViewport(prev => (prev.top === top && prev.bottom === bottom ? prev : { top, bottom }));
+    };
+    const scheduleUpdate = () => {
+      if (frameId === null) {
+        frameId = requestAnimationFrame(update);
+      }
+    };
+
+    update();
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    return () => {
+      window.removeEventListener('scroll', scheduleUpdate);
+      window.removeEventListener('resize', scheduleUpdate);
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+    };
+  }, [items]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // 렌더링된 항목의 높이 변화 감시 (수정 폼 열기, 에러 표시 등)
+  const getObserver = () => {
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        let changed = false;
+        entries.forEach(({ target }) => {
+          const height = target.getBoundingClientRect().height;
+          if (heightsRef.current.get(target.dataset.key) !== height) {
+            heightsRef.current.set(target.dataset.key, height);
+            changed = true;
+          }
+        });
+        if (changed) {
+          setMeasureVersion(version => version + 1);
+        }
+      });
+    }
+    return observerRef.current;
+  };
+
+  const measureRow = (node) => {
+    const observer = getObserver();
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  };
+
+  // 항목별 시작 위치 계산
+  const offsets = new Array(items.length);
+  let totalHeight = 0;
+  items.forEach((item, index) => {
+    offsets[index] = totalHeight;
+    totalHeight += heightsRef.current.get(getKey(item)) ?? estimatedItemHeight;
+  });
+
+  // 화면 범위(+여유 높이)에 걸치는 항목만 선택
+  const rangeTop = viewport.top - overscan;
+  const rangeBottom = viewport.bottom + overscan;
+  let start = 0;
+  while (start < items.length - 1 && offsets[start + 1] <= rangeTop) {
+    start += 1;
+  }
+  let end = start;
+  while (end < items.length && offsets[end] < rangeBottom) {
+    end += 1;
+  }
+
+  // 고른 항목이 아직 그려지지 않았으면 계산한 위치로 스크롤 (그려진 뒤에는 항목이 직접 맞춤)
+  const activeIndex = activeKey === null ? -1 : items.findIndex(item => getKey(item) === activeKey);
+  const isActiveRendered = activeIndex >= start && activeIndex < end;
+  useEffect(() => {
+    if (activeIndex === -1 || isActiveRendered || !containerRef.current) {
+      return;
+    }
+    const containerTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({ top: containerTop + offsets[activeIndex] - window.innerHeight / 3 });
+  }, [activeKey]);
+
+  const isNearEnd = viewport.bottom + endThreshold >= totalHeight;
+  useEffect(() => {
+    if (isNearEnd && onEndReached) {
+      onEndReached();
+    }
+  }, [isNearEnd, items.length]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      style={{
+        paddingTop: offsets[start] ?? 0,
+        paddingBottom: totalHeight - (offsets[end] ?? totalHeight),
+      }}
+    >
+      {items.slice(start, end).map((item, index) => {
+        const key = getKey(item);
+        return (
+          <div key={key} ref={measureRow} data-key={key} className="virtual-row">
+            {renderItem(item, start + index)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default VirtualList;
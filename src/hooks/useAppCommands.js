@@ -0,0 +1,197 @@
+import { useRef, useState } from 'react';
+import { useKeyboardShortcuts } from './useKeyboardShortcuts';
+import { t } from '../i18n/i18n';
+import { INBOX_LIST_ID } from '../utils/lists';
+
+/**
+ * 단축키와 명령 팔레트 훅 - 키보드로 고른 할일, 팔레트/도움말 표시 여부와 팔레트 명령을 관리
+ * 실제 동작(완료, 수정, 이동 등)은 화면에서 받은 처리 함수를 그대로 호출합니다
+ * @param {Object} options
+ * @param {import('../api/todoApi').TodoItem[]} options.todos - 지금 보이는 순서대로의 할일 (j/k 이동 대상)
+ * @param {boolean} options.isDetailView - 상세 페이지인지
+ * @param {import('../api/todoApi').TodoItem|null} options.detailTodo - 상세 페이지의 할일 (아직 찾지 못했으면 null)
+ * @param {boolean} options.isListView - 목록 화면인지 (상세, 휴지통, 통계가 아닌지)
+ * @param {boolean} options.canMoveFocus - j/k로 할일을 고를 수 있는지 (목록 보기일 때만)
+ * @param {boolean} options.isEditing - 할일을 수정하는 중인지 (수정 중에는 할일 단축키를 쓰지 않음)
+ * @param {Array<{ value: string, labelKey: string }>} options.viewModes - 보기 방식 선택지
+ * @param {boolean} options.quickAdd - 빠른 입력 모드 사용 여부
+ * @param {import('../utils/lists').TodoList[]} options.lists - 목록(프로젝트), 보관한 목록은 팔레트에서 제외
+ * @param {{ canUndo: boolean, canRedo: boolean, undo: () => void, redo: () => void }} options.history - 실행 취소 기록
+ * @param {string} options.listUrl - 지금 조건의 목록 화면 주소
+ * @param {(url: string) => void} options.navigate - 화면 이동
+ * @param {(todo: import('../api/todoApi').TodoItem) => void} options.onToggleComplete - 완료 토글
+ * @param {(todo: import('../api/todoApi').TodoItem) => void} options.onEdit - 수정 시작
+ * @param {(todo: import('../api/todoApi').TodoItem) => void} options.onDelete - 삭제
+ * @param {(filter: string) => void} options.onFilter - 완료 여부 필터 변경
+ * @param {(viewMode: string) => void} options.onViewMode - 보기 방식 변경
+ * @param {() => void} options.onToggleQuickAdd - 빠른 입력 모드 켜기/끄기
+ * @param {(listId: string) => void} options.onGoToList - 목록으로 이동 (빈 값은 전체)
+ * @param {() => void} options.onOpenTagManager - 태그 관리 열기
+ * @param {() => void} options.onOpenImportExport - 가져오기/내보내기 열기
+ * @returns {{
+ *   focusedTodoId: string|null,
+ *   titleInputRef: import('react').RefObject<HTMLInputElement>,
+ *   searchInputRef: import('react').RefObject<HTMLInputElement>,
+ *   paletteCommands: import('../components/CommandPalette').PaletteCommand[],
+ *   isPaletteOpen: boolean,
+ *   closePalette: () => void,
+ *   openPaletteTodo: (todo: import('../api/todoApi').TodoItem) => void,
+ *   isShortcutHelpOpen: boolean,
+ *   openShortcutHelp: () => void,
+ *   closeShortcutHelp: () => void,
+ * }}
+ */
+export function useAppCommands(options) {
+  const {
+    todos,
+    isDetailView,
+    detailTodo,
+    isListView,
+    canMoveFocus,
+    isEditing,
+    viewModes,
+    quickAdd,
+    lists,
+    history,
+    listUrl,
+    navigate,
+  } = options;
+  // 키보드로 고른 할일 (j/k로 이동, x/e/d로 조작)
+  const [focusedTodoId, setFocusedTodoId] = useState(null);
+  // 명령 팔레트(Ctrl+K)와 단축키 도움말(?)
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
+  // 단축키로 포커스를 옮길 입력 칸 (n: 새 할일, /: 검색)
+  const titleInputRef = useRef(null);
+  const searchInputRef = useRef(null);
+
+  // 키보드로 조작할 할일 - 상세 페이지에서는 그 할일, 목록에서는 j/k로 고른 할일
+  const keyboardTodo = isDetailView
+    ? detailTodo
+    : todos.find(todo => todo._id === focusedTodoId) ?? null;
+
+  // j/k로 이전/다음 할일 고르기 (처음에는 첫 할일) - 목록 보기에서만, 움직이지 못하면 false
+  const moveTodoFocus = (offset) => {
+    if (!canMoveFocus || todos.length === 0) {
+      return false;
+    }
+    const index = todos.findIndex(todo => todo._id === focusedTodoId);
+    const nextIndex = index === -1 ? 0 : Math.min(Math.max(index + offset, 0), todos.length - 1);
+    setFocusedTodoId(todos[nextIndex]._id);
+    return true;
+  };
+
+  // 고른 할일에 대한 단축키 (고른 할일이 없거나 수정 중이면 처리하지 않음)
+  const withKeyboardTodo = (action) => () => {
+    if (!keyboardTodo || isEditing) {
+      return false;
+    }
+    action(keyboardTodo);
+    return true;
+  };
+
+  // 지운 할일 대신 바로 다음(마지막이었으면 이전) 할일을 고른 채로 유지
+  const deleteKeyboardTodo = (todo) => {
+    const index = todos.findIndex(item => item._id === todo._id);
+    setFocusedTodoId((todos[index + 1] ?? todos[index - 1])?._id ?? null);
+    options.onDelete(todo);
+  };
+
+  const focusInput = (ref) => {
+    if (!ref.current) {
+      return false;
+    }
+    ref.current.focus();
+    return true;
+  };
+
+  // 목록 화면으로 돌아간 뒤 패널 열기 (상세 페이지, 휴지통, 통계에서 명령 팔레트로 연 경우)
+  const openListPanel = (open) => {
+    if (!isListView) {
+      navigate(listUrl);
+    }
+    open();
+  };
+
+  const openTodo = (todo) => navigate(`/todos/${encodeURIComponent(todo._id)}`);
+
+  useKeyboardShortcuts({
+    // 방향키는 할일을 고른 뒤에만 (그 전에는 페이지 스크롤)
+    next: (e) => (e.key === 'ArrowDown' && !keyboardTodo ? false : moveTodoFocus(1)),
+    previous: (e) => (e.key === 'ArrowUp' && !keyboardTodo ? false : moveTodoFocus(-1)),
+    open: withKeyboardTodo(openTodo),
+    toggleComplete: withKeyboardTodo(options.onToggleComplete),
+    edit: withKeyboardTodo(options.onEdit),
+    delete: withKeyboardTodo(deleteKeyboardTodo),
+    newTodo: () => focusInput(titleInputRef),
+    filterAll: () => options.onFilter('all'),
+    filterPending: () => options.onFilter('pending'),
+    filterCompleted: () => options.onFilter('completed'),
+    search: () => focusInput(searchInputRef),
+    palette: () => setIsPaletteOpen(true),
+    help: () => setIsShortcutHelpOpen(true),
+    escape: () => {
+      if (!focusedTodoId) {
+        return false;
+      }
+      setFocusedTodoId(null);
+      return true;
+    },
+  }, { enabled: !isPaletteOpen && !isShortcutHelpOpen });
+
+  /** @type {import('../components/CommandPalette').PaletteCommand[]} */
+  const paletteCommands = [
+    ...(isListView
+      ? [{ id: 'new', label: t('palette.commands.new'), shortcut: 'n', run: () => focusInput(titleInputRef) }]
+      : []),
+    { id: 'filter-all', label: t('palette.commands.filter', { filter: t('filters.all') }), shortcut: '1', run: () => options.onFilter('all') },
+    { id: 'filter-pending', label: t('palette.commands.filter', { filter: t('filters.pending') }), shortcut: '2', run: () => options.onFilter('pending') },
+    { id: 'filter-completed', label: t('palette.commands.filter', { filter: t('filters.completed') }), shortcut: '3', run: () => options.onFilter('completed') },
+    ...viewModes.map(option => ({
+      id: `view-${option.value}`,
+      label: t('palette.commands.view', { view: t(option.labelKey) }),
+      run: () => {
+        options.onViewMode(option.value);
+        if (!isListView) {
+          navigate(listUrl);
+        }
+      },
+    })),
+    {
+      id: 'quick-add',
+      label: t(quickAdd ? 'palette.commands.quickAddOff' : 'palette.commands.quickAddOn'),
+      run: options.onToggleQuickAdd,
+    },
+    { id: 'list-all', label: t('palette.commands.goToList', { list: t('lists.all') }), run: () => options.onGoToList('') },
+    { id: 'list-inbox', label: t('palette.commands.goToList', { list: t('lists.inbox') }), run: () => options.onGoToList(INBOX_LIST_ID) },
+    ...lists.filter(list => !list.isArchived).map(list => ({
+      id: `list-${list._id}`,
+      label: t('palette.commands.goToList', { list: list.name }),
+      run: () => options.onGoToList(list._id),
+    })),
+    { id: 'stats', label: t('palette.commands.stats'), run: () => navigate('/stats') },
+    { id: 'trash', label: t('palette.commands.trash'), run: () => navigate('/trash') },
+    { id: 'tags', label: t('tags.manage'), run: () => openListPanel(options.onOpenTagManager) },
+    { id: 'import-export', label: t('importExport.title'), run: () => openListPanel(options.onOpenImportExport) },
+    ...(history.canUndo ? [{ id: 'undo', label: t('history.undo'), shortcut: 'Mod+z', run: history.undo }] : []),
+    ...(history.canRedo ? [{ id: 'redo', label: t('history.redo'), shortcut: 'Mod+Shift+z', run: history.redo }] : []),
+    { id: 'help', label: t('shortcuts.help'), shortcut: '?', run: () => setIsShortcutHelpOpen(true) },
+  ];
+
+  return {
+    focusedTodoId,
+    titleInputRef,
+    searchInputRef,
+    paletteCommands,
+    isPaletteOpen,
+    closePalette: () => setIsPaletteOpen(false),
+    // 팔레트에서 검색한 할일 열기 (돌아왔을 때 그 할일을 고른 채로)
+    openPaletteTodo: (todo) => {
+      setFocusedTodoId(todo._id);
+      openTodo(todo);
+    },
+    isShortcutHelpOpen,
+    openShortcutHelp: () => setIsShortcutHelpOpen(true),
+    closeShortcutHelp: () => setIsShortcutHelpOpen(false),
+  };
+}
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { subscribeToUpdates, applyServiceWorkerUpdate } from '../offline/serviceWorker';
+
+/**
+ * 새 버전 배포 알아채기 - 새 서비스 워커가 설치되어 기다리면 알려주고, 허락하면 교체 후 새로고침
+ * @returns {{ isUpdateAvailable: boolean, applyUpdate: () => void, dismissUpdate: () => void }}
+ */
+export function useAppUpdate() {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => subscribeToUpdates(setWaitingWorker), []);
+
+  return {
+    isUpdateAvailable: waitingWorker !== null,
+    applyUpdate: () => {
+      if (waitingWorker) {
+        applyServiceWorkerUpdate(waitingWorker);
+      }
+    },
+    // 나중에 - 이번에는 닫고, 다음에 앱을 모두 닫았다 열면 새 버전이 적용됨
+    dismissUpdate: () => setWaitingWorker(null),
+  };
+}
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToServiceWorker } from '../offline/serviceWorker';
+
+// 목록이 바뀌었다는 알림이 잇달아 오면 한 번만 다시 불러오도록 모으는 시간 (ms)
+const REVALIDATE_DEBOUNCE_MS = 300;
+
+/**
+ * 서비스 워커의 백그라운드 동기화와 목록 캐시 갱신 알림 처리
+ * - REPLAY_QUEUE: 연결이 돌아와 서비스 워커가 대기열 전송을 요청 → 보내고 남은 수를 응답
+ * - TODOS_REVALIDATED: 캐시로 보여준 목록이 서버에서 바뀜 → 다시 불러오기
+ * @param {Object} options
+ * @param {() => Promise<number>} options.onReplay - 대기열 전송 (남은 요청 수를 돌려줌)
+ * @param {() => void} options.onRevalidated - 목록 다시 불러오기
+ */
+export function useBackgroundSync({ onReplay, onRevalidated }) {
+  const handlersRef = useRef({ onReplay, onRevalidated });
+
+  useEffect(() => {
+    handlersRef.current = { onReplay, onRevalidated };
+  });
+
+  useEffect(() => {
+    let timerId = null;
+    const unsubscribe = subscribeToServiceWorker((message, event) => {
+      if (message.type === 'REPLAY_QUEUE') {
+        const port = event.ports[0];
+        handlersRef.current.onReplay()
+          .then(remaining => port?.postMessage({ remaining }))
+          .catch(() => port?.postMessage({ remaining: null }));
+      } else if (message.type === 'TODOS_REVALIDATED') {
+        clearTimeout(timerId);
+        timerId = setTimeout(() => handlersRef.current.onRevalidated(), REVALIDATE_DEBOUNCE_MS);
+      }
+    });
+    return () => {
+      clearTimeout(timerId);
+      unsubscribe();
+    };
+  }, []);
+}
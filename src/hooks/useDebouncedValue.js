@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * 값이 일정 시간 동안 바뀌지 않으면 반영하는 훅 (검색어 입력 등)
+ * @template T
+ * @param {T} value - 원본 값
+ * @param {number} delayMs - 대기 시간
+ * @returns {T} 지연 반영된 값
+ */
+export function useDebouncedValue(value, delayMs) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timerId = setTimeout(() => setDebouncedValue(value), delayMs);
+    return () => clearTimeout(timerId);
+  }, [value, delayMs]);
+
+  return debouncedValue;
+}
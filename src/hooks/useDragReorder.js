@@ -0,0 +1,134 @@
+import { useRef, useState } from 'react';
+
+// 화면 위/아래 끝에서 이 거리(px) 안으로 끌면 자동 스크롤
+const AUTO_SCROLL_EDGE = 60;
+const AUTO_SCROLL_STEP = 16;
+
+/**
+ * 손잡이를 끌어다 놓거나(마우스/터치 모두 포인터 이벤트로 처리) Alt+↑/↓로 항목 순서를 바꾸는 훅
+ * 항목 요소는 data-key 속성을 가져야 합니다 (VirtualList의 행)
+ * @template T
+ * @param {Object} options
+ * @param {T[]} options.items - 현재 보이는 순서대로의 항목
+ * @param {(item: T) => string} options.getKey - 항목 키
+ * @param {(item: T, toIndex: number) => void} options.onReorder - 순서 변경 (toIndex는 옮길 항목을 뺀 목록 기준 위치)
+ * @param {boolean} [options.enabled] - false면 순서 변경 불가 (다른 정렬을 쓰는 중 등)
+ * @returns {{
+ *   draggingKey: string|null,
+ *   getDropEdge: (index: number) => 'before'|'after'|null,
+ *   getHandleProps: (item: T, index: number) => Object,
+ * }}
+ */
+export function useDragReorder({ items, getKey, onReorder, enabled = true }) {
+  // 끌고 있는 항목과 놓일 자리 (원래 목록 기준으로 이 위치 앞에 끼워 넣음)
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const updateDrag = (next) => {
+    dragRef.current = next;
+    setDrag(next);
+  };
+
+  // 포인터 아래에 있는 행을 찾아 놓일 자리 계산
+  const findDropIndex = (clientX, clientY) => {
+    const row = document.elementFromPoint(clientX, clientY)?.closest('[data-key]');
+    if (!row) {
+      return null;
+    }
+    const index = items.findIndex(item => getKey(item) === row.dataset.key);
+    if (index === -1) {
+      return null;
+    }
+    const rect = row.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2 ? index : index + 1;
+  };
+
+  const finishDrag = (item, fromIndex) => {
+    const current = dragRef.current;
+    updateDrag(null);
+    if (current?.dropIndex === null || current?.dropIndex === undefined) {
+      return;
+    }
+    // 자기 뒤로 옮기면 자기 자리가 빠지므로 하나 앞당김
+    const toIndex = current.dropIndex > fromIndex ? current.dropIndex - 1 : current.dropIndex;
+    if (toIndex !== fromIndex) {
+      onReorder(item, toIndex);
+    }
+  };
+
+  // 키보드로 옮긴 뒤에도 같은 항목의 손잡이에 초점 유지 (행이 다시 그려질 수 있음)
+  const refocusHandle = (key) => {
+    requestAnimationFrame(() => {
+      const row = [...document.querySelectorAll('[data-key]')].find(node => node.dataset.key === key);
+      row?.querySelector('.drag-handle')?.focus();
+    });
+  };
+
+  const getHandleProps = (item, index) => {
+    const key = getKey(item);
+    return {
+      disabled: !enabled,
+      onPointerDown: (e) => {
+        if (!enabled || (e.pointerType === 'mouse' && e.button !== 0)) {
+          return;
+        }
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        updateDrag({ key, dropIndex: null });
+      },
+      onPointerMove: (e) => {
+        if (dragRef.current?.key !== key) {
+          return;
+        }
+        if (e.clientY < AUTO_SCROLL_EDGE) {
+          window.scrollBy(0, -AUTO_SCROLL_STEP);
+        } else if (e.clientY > window.innerHeight - AUTO_SCROLL_EDGE) {
+          window.scrollBy(0, AUTO_SCROLL_STEP);
+        }
+        const dropIndex = findDropIndex(e.clientX, e.clientY);
+        if (dropIndex !== dragRef.current.dropIndex) {
+          updateDrag({ key, dropIndex });
+        }
+      },
+      onPointerUp: () => {
+        if (dragRef.current?.key === key) {
+          finishDrag(item, index);
+        }
+      },
+      // 포인터 캡처가 풀리면(창 밖에서 놓은 경우 등) 끝난 것으로 처리
+      onLostPointerCapture: () => {
+        if (dragRef.current?.key === key) {
+          finishDrag(item, index);
+        }
+      },
+      onPointerCancel: () => updateDrag(null),
+      onKeyDown: (e) => {
+        if (!enabled || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+          return;
+        }
+        e.preventDefault();
+        const toIndex = index + (e.key === 'ArrowUp' ? -1 : 1);
+        if (toIndex >= 0 && toIndex < items.length) {
+          onReorder(item, toIndex);
+          refocusHandle(key);
+        }
+      },
+    };
+  };
+
+  // 놓일 자리 표시 - 그 자리 바로 아래 항목의 위쪽, 맨 끝이면 마지막 항목의 아래쪽
+  const getDropEdge = (index) => {
+    if (!drag || drag.dropIndex === null) {
+      return null;
+    }
+    if (drag.dropIndex === index) {
+      return 'before';
+    }
+    if (drag.dropIndex === items.length && index === items.length - 1) {
+      return 'after';
+    }
+    return null;
+  };
+
+  return { draggingKey: drag?.key ?? null, getDropEdge, getHandleProps };
+}
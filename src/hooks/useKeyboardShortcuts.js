@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+import { SHORTCUTS, findShortcut, isEditableTarget } from '../utils/shortcuts';
+
+/**
+ * 전역 키보드 단축키 훅 - SHORTCUTS 중 처리 함수를 넘긴 단축키만 동작
+ * 입력 중이거나(allowInInput 제외) 다른 곳에서 이미 처리한 키 입력은 무시합니다
+ * @param {Partial<Record<string, (event: KeyboardEvent) => boolean|void>>} handlers - 단축키 id → 처리 함수
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - 동작 여부 (대화상자가 열려 있으면 false)
+ */
+export function useKeyboardShortcuts(handlers, { enabled = true } = {}) {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.isComposing) {
+        return;
+      }
+      const available = SHORTCUTS.filter(shortcut => shortcut.id && handlersRef.current[shortcut.id]);
+      const shortcut = findShortcut(e, available);
+      if (!shortcut || (!shortcut.allowInInput && isEditableTarget(e.target))) {
+        return;
+      }
+      // 버튼이나 링크에 포커스가 있을 때 Enter는 원래 동작(누르기)을 그대로 사용
+      if (e.key === 'Enter' && e.target instanceof HTMLElement && e.target.closest('button, a')) {
+        return;
+      }
+      // 처리 함수가 false를 돌려주면 처리하지 않은 것으로 보고 브라우저 기본 동작(스크롤 등)을 남김
+      if (handlersRef.current[shortcut.id](e) !== false) {
+        e.preventDefault();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * 일정 간격으로 갱신되는 현재 시각 (상대 시간, 마감 상태 표시용)
+ * @param {number} [intervalMs] - 갱신 간격 (ms)
+ * @returns {Date}
+ */
+export function useNow(intervalMs = 30000) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timerId = setInterval(() => setNow(new Date()), intervalMs);
+    // 다른 탭에 있다가 돌아오면 바로 갱신
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        setNow(new Date());
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(timerId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [intervalMs]);
+
+  return now;
+}
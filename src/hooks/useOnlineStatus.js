@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * 브라우저의 온라인/오프라인 상태를 추적하는 훅
+ * @returns {boolean} 온라인 여부
+ */
+export function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
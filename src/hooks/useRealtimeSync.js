@@ -0,0 +1,82 @@
+import { useEffect, useRef, useState } from 'react';
+import { streamChanges, isAbortError, ApiError, NotFoundError } from '../api/todoApi';
+import { subscribeTabChanges } from '../offline/tabSync';
+
+// 연결이 끊겼을 때 다시 연결하기까지 대기 시간 (연속으로 실패할수록 길게, ms)
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// 취소 가능한 대기 (취소되면 바로 끝남)
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timerId = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timerId);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * 실시간 동기화 훅 - 서버 변경 이벤트와 다른 탭의 변경을 받아 전달
+ * 끊겼다가 다시 연결되면 그 사이 놓친 변경을 받을 수 있도록 onResync를 호출합니다
+ * @param {Object} options
+ * @param {boolean} options.enabled - 서버에 연결할지 여부 (오프라인이면 false)
+ * @param {(change: import('../api/todoApi').ChangeEvent) => void} options.onChange - 변경 처리
+ * @param {() => void} options.onResync - 다시 연결됐을 때 목록 새로 받기
+ * @returns {'connecting'|'live'|'unsupported'|'offline'} 서버 연결 상태
+ */
+export function useRealtimeSync({ enabled, onChange, onResync }) {
+  const [connectionState, setConnectionState] = useState('connecting');
+  const handlersRef = useRef({ onChange, onResync });
+
+  useEffect(() => {
+    handlersRef.current = { onChange, onResync };
+  });
+
+  // 같은 브라우저의 다른 탭
+  useEffect(() => subscribeTabChanges(change => handlersRef.current.onChange(change)), []);
+
+  // 서버 변경 이벤트 - 끊기면 점점 길게 기다렸다가 다시 연결
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    const connect = async () => {
+      let failures = 0;
+      let hasConnected = false;
+      while (!controller.signal.aborted) {
+        setConnectionState('connecting');
+        try {
+          await streamChanges((change) => {
+            if (change.type !== 'ready') {
+              handlersRef.current.onChange(change);
+              return;
+            }
+            if (hasConnected) {
+              handlersRef.current.onResync();
+            }
+            hasConnected = true;
+            failures = 0;
+            setConnectionState('live');
+          }, { signal: controller.signal });
+        } catch (error) {
+          if (isAbortError(error) || controller.signal.aborted) {
+            return;
+          }
+          if (error instanceof NotFoundError || (error instanceof ApiError && error.status === 405)) {
+            setConnectionState('unsupported');
+            return;
+          }
+          console.warn('실시간 동기화 연결이 끊겼습니다:', error);
+        }
+        await sleep(RECONNECT_DELAYS[Math.min(failures, RECONNECT_DELAYS.length - 1)], controller.signal);
+        failures += 1;
+      }
+    };
+    connect();
+    return () => controller.abort();
+  }, [enabled]);
+
+  return enabled ? connectionState : 'offline';
+}
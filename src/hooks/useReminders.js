@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { readJSON, writeJSON, scopedKey } from '../offline/storage';
+import { registerServiceWorker, postToServiceWorker, subscribeToServiceWorker } from '../offline/serviceWorker';
+import { formatDate } from '../utils/date';
+import { getReminderLabel, getUpcomingReminders, formatRelativeTime } from '../utils/reminders';
+import { t } from '../i18n/i18n';
+
+// 이미 울린 알림 (알림 키 → 울린 시각) - 새로고침해도 같은 알림이 다시 울리지 않도록 저장
+const FIRED_KEY = 'vibe-todo:fired-reminders';
+// 울린 기록은 이틀만 보관
+const FIRED_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+// setTimeout으로 기다릴 수 있는 최대 시간 (약 24.8일)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * 브라우저 알림 권한
+ * @returns {'granted'|'denied'|'default'|'unsupported'}
+ */
+function getNotificationPermission() {
+  return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+// 알림 내용과 눌렀을 때 열 주소
+function toNotification(reminder) {
+  const when = reminder.offset === 0
+    ? t('reminders.notifyNow')
+    : t('reminders.notifyAt', { label: getReminderLabel(reminder.offset) });
+  return {
+    key: reminder.key,
+    at: reminder.at,
+    title: `⏰ ${reminder.title}`,
+    body: t('reminders.notifyBody', {
+      when,
+      date: formatDate(reminder.dueDate),
+      relative: formatRelativeTime(reminder.dueDate),
+    }),
+    url: `/todos/${encodeURIComponent(reminder.todoId)}`,
+  };
+}
+
+/**
+ * 알림 띄우기 - 서비스 워커가 있으면 서비스 워커로(모바일은 이 방법만 지원), 없으면 페이지에서 직접
+ * @param {ReturnType<typeof toNotification>} notification - 알림 내용
+ * @param {(url: string) => void} onOpen - 알림을 눌렀을 때
+ */
+async function showNotification(notification, onOpen) {
+  const registration = await registerServiceWorker();
+  const options = { body: notification.body, tag: notification.key, data: { url: notification.url } };
+  if (registration) {
+    await registration.showNotification(notification.title, options);
+    return;
+  }
+  const instance = new Notification(notification.title, options);
+  instance.onclick = () => {
+    window.focus();
+    onOpen(notification.url);
+    instance.close();
+  };
+}
+
+/**
+ * 마감 알림 예약 훅 - 앱이 열려 있는 동안 알림 시각에 브라우저 알림을 띄우고,
+ * 같은 일정을 서비스 워커에도 넘겨 앱이 백그라운드에 있어도 울리게 함
+ * @param {Object} options
+ * @param {import('../api/todoApi').TodoItem[]} options.todos - 알림을 확인할 할일
+ * @param {(url: string) => void} options.onOpen - 알림을 눌렀을 때 열 주소로 이동
+ * @returns {{ permission: string, requestPermission: () => Promise<void> }}
+ */
+export function useReminders({ todos, onOpen }) {
+  const [permission, setPermission] = useState(getNotificationPermission);
+  // 다음 알림 시각이 되면 값을 바꿔 다시 계산
+  const [tick, setTick] = useState(0);
+  const onOpenRef = useRef(onOpen);
+
+  useEffect(() => {
+    onOpenRef.current = onOpen;
+  });
+
+  const reminders = useMemo(() => getUpcomingReminders(todos), [todos, tick]);
+
+  useEffect(() => {
+    if (permission !== 'granted') {
+      return;
+    }
+    const now = Date.now();
+    const fired = Object.fromEntries(
+      Object.entries(readJSON(scopedKey(FIRED_KEY), {})).filter(([, firedAt]) => now - firedAt < FIRED_RETENTION_MS)
+    );
+    reminders
+      .filter(reminder => reminder.at <= now && !fired[reminder.key])
+      .forEach(reminder => {
+        fired[reminder.key] = now;
+        showNotification(toNotification(reminder), (url) => onOpenRef.current(url));
+      });
+    writeJSON(scopedKey(FIRED_KEY), fired);
+
+    const upcoming = reminders.filter(reminder => reminder.at > now);
+    postToServiceWorker({ type: 'SCHEDULE_REMINDERS', reminders: upcoming.map(toNotification) });
+    if (upcoming.length === 0) {
+      return;
+    }
+    const timerId = setTimeout(() => setTick(value => value + 1), Math.min(upcoming[0].at - now, MAX_TIMER_DELAY));
+    return () => clearTimeout(timerId);
+  }, [reminders, permission]);
+
+  // 서비스 워커가 띄운 알림을 누르면 앱 안에서 이동
+  useEffect(() => subscribeToServiceWorker((message) => {
+    if (message.type === 'OPEN_URL') {
+      const url = new URL(message.url);
+      onOpenRef.current(url.pathname + url.search);
+    }
+  }), []);
+
+  const requestPermission = async () => {
+    if (!('Notification' in window)) {
+      return;
+    }
+    setPermission(await Notification.requestPermission());
+  };
+
+  return { permission, requestPermission };
+}
@@ -0,0 +1,51 @@
+import { useEffect, useRef, useState } from 'react';
+import { fetchTodos } from '../api/todoApi';
+import { loadCachedTodos } from '../offline/todoCache';
+import { getQueue, applyQueueToTodos } from '../offline/mutationQueue';
+import { t } from '../i18n/i18n';
+import { translateError } from '../i18n/errors';
+
+/**
+ * 통계 화면용 전체 할일 훅 - 통계를 열 때(와 다시 연결될 때)마다 목록/필터와 관계없이 전체 할일을 새로 불러옴
+ * 오프라인이거나 실패하면 저장해 둔 할일(없으면 지금 불러온 할일)에 대기 중인 변경을 반영해 계산합니다
+ * @param {Object} options
+ * @param {boolean} options.enabled - 통계 화면을 보고 있는지
+ * @param {boolean} options.isOnline - 네트워크 연결 여부 (연결되면 다시 불러옴)
+ * @param {import('../api/todoApi').TodoItem[]} options.fallbackTodos - 저장해 둔 할일도 없을 때 쓸 할일
+ * @returns {{ todos: import('../api/todoApi').TodoItem[], isLoading: boolean, message: string }}
+ */
+export function useStatsData({ enabled, isOnline, fallbackTodos }) {
+  const [data, setData] = useState({ todos: [], message: '' });
+  const [isLoading, setIsLoading] = useState(false);
+  const fallbackRef = useRef(fallbackTodos);
+
+  useEffect(() => {
+    fallbackRef.current = fallbackTodos;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    const showCached = (message) => {
+      setData({ todos: applyQueueToTodos(loadCachedTodos('all') ?? fallbackRef.current, getQueue()), message });
+    };
+    if (!navigator.onLine) {
+      showCached(t('notices.statsOffline'));
+      return;
+    }
+    const load = async () => {
+      setIsLoading(true);
+      try {
+        setData({ todos: applyQueueToTodos(await fetchTodos(), getQueue()), message: '' });
+      } catch (error) {
+        showCached(`${translateError(error, t('failures.loadAll'))} ${t('stats.usingCached')}`);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [enabled, isOnline]);
+
+  return { ...data, isLoading };
+}
@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from 'react';
+import { isEditableTarget } from '../utils/shortcuts';
+
+// 기억해 둘 최대 작업 수
+const HISTORY_LIMIT = 50;
+
+/**
+ * 되돌릴 수 있는 작업 하나
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - 작업 설명 (알림에 표시)
+ * @property {() => Promise<boolean>} undo - 되돌리기 (실패하면 false)
+ * @property {() => Promise<boolean>} redo - 다시 실행 (실패하면 false)
+ */
+
+/**
+ * 실행 취소/다시 실행 기록 훅 (Ctrl+Z / Ctrl+Shift+Z, macOS는 Cmd)
+ * @param {Object} [options]
+ * @param {(entry: HistoryEntry) => void} [options.onUndo] - 되돌린 뒤 호출
+ * @param {(entry: HistoryEntry) => void} [options.onRedo] - 다시 실행한 뒤 호출
+ * @returns {{
+ *   push: (entry: HistoryEntry) => void,
+ *   undo: () => Promise<void>,
+ *   redo: () => Promise<void>,
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ * }}
+ */
+export function useUndoHistory({ onUndo, onRedo } = {}) {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  // 되돌리는 중에 다시 누르면 순서가 꼬이므로 한 번에 하나씩만 실행
+  const isRunningRef = useRef(false);
+  // 스택이 바뀌면 다시 렌더링하기 위한 값
+  const [, setVersion] = useState(0);
+  const callbacksRef = useRef({ onUndo, onRedo });
+
+  useEffect(() => {
+    callbacksRef.current = { onUndo, onRedo };
+  });
+
+  const bump = () => setVersion(version => version + 1);
+
+  // 새 작업을 기록하면 다시 실행할 작업은 사라짐
+  const push = (entry) => {
+    undoStackRef.current = [...undoStackRef.current, entry].slice(-HISTORY_LIMIT);
+    redoStackRef.current = [];
+    bump();
+  };
+
+  // from 스택의 마지막 작업을 실행해 성공하면 to 스택으로, 실패하면 제자리로
+  const run = async (fromRef, toRef, action, callback) => {
+    const entry = fromRef.current[fromRef.current.length - 1];
+    if (!entry || isRunningRef.current) {
+      return;
+    }
+    isRunningRef.current = true;
+    fromRef.current = fromRef.current.slice(0, -1);
+    bump();
+    try {
+      const succeeded = await entry[action]();
+      if (succeeded === false) {
+        fromRef.current = [...fromRef.current, entry];
+      } else {
+        toRef.current = [...toRef.current, entry];
+        callbacksRef.current[callback]?.(entry);
+      }
+    } finally {
+      isRunningRef.current = false;
+      bump();
+    }
+  };
+
+  const undo = () => run(undoStackRef, redoStackRef, 'undo', 'onUndo');
+  const redo = () => run(redoStackRef, undoStackRef, 'redo', 'onRedo');
+
+  // Ctrl+Z 되돌리기, Ctrl+Shift+Z 또는 Ctrl+Y 다시 실행
+  // 입력 중인 요소에서는 브라우저 기본 실행 취소(입력 내용 되돌리기)를 그대로 사용
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditableTarget(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        run(undoStackRef, redoStackRef, 'undo', 'onUndo');
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        run(redoStackRef, undoStackRef, 'redo', 'onRedo');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return {
+    push,
+    undo,
+    redo,
+    canUndo: undoStackRef.current.length > 0,
+    canRedo: redoStackRef.current.length > 0,
+  };
+}
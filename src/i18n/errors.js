@@ -0,0 +1,58 @@
+import { ApiError } from '../api/errors';
+import { t, hasMessage } from './i18n';
+
+// API 에러 코드를 현재 언어 문구로 (카탈로그의 errors.<코드>, 필드 에러는 errors.field.<코드>)
+
+/**
+ * 화면에 보여줄 에러 문구
+ * API 에러는 코드의 문구를, 모르는 코드면 서버가 보낸 메시지를, 그 밖의 에러는 fallbackMessage를 사용합니다
+ * @param {unknown} error - 에러
+ * @param {string} fallbackMessage - 알맞은 문구가 없을 때 보여줄 문구 (이미 번역한 문구)
+ * @returns {string}
+ */
+export function translateError(error, fallbackMessage) {
+  if (error instanceof ApiError) {
+    if (hasMessage(`errors.${error.code}`)) {
+      return t(`errors.${error.code}`, error.params);
+    }
+    if (error.serverMessage) {
+      return error.serverMessage;
+    }
+  }
+  return fallbackMessage;
+}
+
+/**
+ * 검증 실패의 필드별 문구 (아는 코드는 번역하고 모르면 서버 메시지)
+ * @param {import('../api/errors').ValidationError} error - 검증 실패 에러
+ * @returns {Record<string, string>}
+ */
+export function translateFieldErrors(error) {
+  const fields = new Set([...Object.keys(error.fieldErrors), ...Object.keys(error.fieldErrorCodes)]);
+  return Object.fromEntries([...fields].map(field => {
+    const code = error.fieldErrorCodes[field];
+    return [
+      field,
+      code && hasMessage(`errors.field.${code}`) ? t(`errors.field.${code}`) : error.fieldErrors[field] ?? t('errors.VALIDATION_FAILED'),
+    ];
+  }));
+}
+
+/**
+ * 화면에서 먼저 검사한 필드별 에러 코드를 문구로 (서버 검증과 같은 errors.field.<코드>)
+ * @param {Record<string, string>} codes - 필드 → 에러 코드
+ * @returns {Record<string, string>}
+ */
+export function translateFieldCodes(codes) {
+  return Object.fromEntries(Object.entries(codes).map(([field, code]) => [field, t(`errors.field.${code}`)]));
+}
+
+/**
+ * 서버가 거부한 오프라인 변경 안내 (개수와 건별 사유)
+ * @param {Array<{ error: unknown }>} failed - 거부된 변경
+ * @returns {string}
+ */
+export function describeRejectedMutations(failed) {
+  const reasons = failed.map(({ error }) => translateError(error, error?.message || String(error)));
+  return `${t('sync.rejected', { count: failed.length })}\n${reasons.join('\n')}`;
+}
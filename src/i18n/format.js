@@ -0,0 +1,81 @@
+import { getLocale } from './i18n.js';
+
+// 언어에 맞춘 날짜/시간/숫자 표시 (Intl)
+// 포매터는 만들기 비싸므로 언어와 옵션별로 한 번만 만들어 재사용합니다
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const formatters = new Map();
+
+function getFormatter(Formatter, options) {
+  const cacheKey = `${Formatter.name}:${getLocale()}:${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Formatter(getLocale(), options));
+  }
+  return formatters.get(cacheKey);
+}
+
+/**
+ * 날짜/시간 표시
+ * @param {Date|string|number} value - 날짜
+ * @param {Intl.DateTimeFormatOptions} options - 표시 형식
+ * @returns {string}
+ */
+export function formatDateTime(value, options) {
+  return getFormatter(Intl.DateTimeFormat, options).format(new Date(value));
+}
+
+/**
+ * 날짜 범위 표시 (예: 10월 6일~12일, Oct 6 – 12)
+ * @param {Date} start - 시작
+ * @param {Date} end - 끝
+ * @param {Intl.DateTimeFormatOptions} options - 표시 형식
+ * @returns {string}
+ */
+export function formatDateRange(start, end, options) {
+  return getFormatter(Intl.DateTimeFormat, options).formatRange(start, end);
+}
+
+/**
+ * 숫자와 단위 (예: 3시간, 3 hours)
+ * @param {number} value - 값
+ * @param {'minute'|'hour'|'day'|'week'|'month'} unit - 단위
+ * @returns {string}
+ */
+export function formatUnit(value, unit) {
+  return getFormatter(Intl.NumberFormat, { style: 'unit', unit, unitDisplay: 'long' }).format(value);
+}
+
+/**
+ * 지금부터의 시간 (예: 2시간 후, in 2 hours)
+ * @param {number} value - 값 (음수면 과거)
+ * @param {'minute'|'hour'|'day'|'week'|'month'} unit - 단위
+ * @returns {string}
+ */
+export function formatRelative(value, unit) {
+  return getFormatter(Intl.RelativeTimeFormat, { numeric: 'always' }).format(value, unit);
+}
+
+/**
+ * 시간 차이를 가장 알맞은 단위 하나로 (1시간 미만은 분, 1일 미만은 시간, 나머지는 일)
+ * @param {number} ms - 밀리초 (부호 무시)
+ * @returns {{ value: number, unit: 'minute'|'hour'|'day' }}
+ */
+export function toLargestUnit(ms) {
+  const distance = Math.abs(ms);
+  if (distance < HOUR_MS) return { value: Math.floor(distance / MINUTE_MS), unit: 'minute' };
+  if (distance < DAY_MS) return { value: Math.floor(distance / HOUR_MS), unit: 'hour' };
+  return { value: Math.floor(distance / DAY_MS), unit: 'day' };
+}
+
+/**
+ * 여러 항목 나열 (예: 월, 수, 금 / Mon, Wed, and Fri)
+ * @param {string[]} items - 항목
+ * @param {'conjunction'|'unit'} [type] - 나열 방식 (unit은 접속사 없이)
+ * @returns {string}
+ */
+export function formatList(items, type = 'unit') {
+  return getFormatter(Intl.ListFormat, { type, style: 'short' }).format(items);
+}
@@ -0,0 +1,141 @@
+import ko from './messages/ko.js';
+import en from './messages/en.js';
+import { readJSON, writeJSON } from '../offline/storage.js';
+
+// 다국어 지원 - 메시지 카탈로그와 현재 언어
+// 화면 문구는 카탈로그의 키('app.title')로 찾고, {이름} 자리에 값을 채우며,
+// { one, other }처럼 나뉜 문구는 count 값에 맞는 복수형을 고릅니다 (Intl.PluralRules,
+// '=1'처럼 정확한 값을 적은 문구가 있으면 그것을 먼저 사용 - 예: 1이면 '매일', 아니면 '{count}일마다')
+// 마감 알림 문구처럼 컴포넌트 밖에서 만드는 문구도 있어 현재 언어를 모듈에 두고,
+// 화면은 useI18n 훅으로 언어가 바뀔 때 다시 그립니다
+// (mock-server가 불러오는 유틸도 이 파일을 쓰므로 브라우저 전용 API는 함수 안에서만 사용)
+
+// 로그인 화면에서도 쓰므로 사용자별이 아닌 기기 단위로 기억
+const LOCALE_KEY = 'vibe-todo:locale';
+
+export const DEFAULT_LOCALE = 'ko';
+
+// 선택 가능한 언어 (이름은 각 언어로 표시)
+export const LOCALES = [
+  { value: 'ko', label: '한국어' },
+  { value: 'en', label: 'English' },
+];
+
+const CATALOGS = { ko, en };
+
+const isSupported = (locale) => Object.hasOwn(CATALOGS, locale);
+
+// 저장한 언어 → 브라우저 언어 → 기본 언어 (mock-server처럼 브라우저가 아니면 기본 언어)
+function detectLocale() {
+  if (typeof window === 'undefined') {
+    return DEFAULT_LOCALE;
+  }
+  const saved = readJSON(LOCALE_KEY, null);
+  if (isSupported(saved)) {
+    return saved;
+  }
+  const preferred = navigator.languages ?? [navigator.language];
+  const matched = preferred.map(tag => tag?.split('-')[0]).find(isSupported);
+  return matched ?? DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+const listeners = new Set();
+const pluralRules = new Map();
+
+function applyDocumentLocale() {
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = currentLocale;
+    document.title = t('app.title');
+  }
+}
+
+applyDocumentLocale();
+
+/**
+ * 현재 언어
+ * @returns {'ko'|'en'}
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * 언어 변경 (다음 방문에도 유지)
+ * @param {string} locale - LOCALES 값 (지원하지 않으면 무시)
+ */
+export function setLocale(locale) {
+  if (!isSupported(locale) || locale === currentLocale) {
+    return;
+  }
+  currentLocale = locale;
+  writeJSON(LOCALE_KEY, locale);
+  applyDocumentLocale();
+  listeners.forEach(listener => listener(locale));
+}
+
+/**
+ * 언어 변경 구독
+ * @param {(locale: string) => void} listener
+ * @returns {() => void} 구독 해제 함수
+ */
+export function subscribeLocale(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 'a.b.c' 경로로 카탈로그 값 찾기
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function selectPlural(forms, count) {
+  const exact = forms[`=${count}`];
+  if (exact !== undefined) {
+    return exact;
+  }
+  if (!pluralRules.has(currentLocale)) {
+    pluralRules.set(currentLocale, new Intl.PluralRules(currentLocale));
+  }
+  const category = pluralRules.get(currentLocale).select(Number(count) || 0);
+  return forms[category] ?? forms.other;
+}
+
+/**
+ * 카탈로그에 문구가 있는지 확인 (서버가 준 에러 코드처럼 모르는 키가 올 수 있을 때)
+ * @param {string} key - 메시지 키
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  const message = lookup(CATALOGS[currentLocale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  return typeof message === 'string' || typeof message?.other === 'string';
+}
+
+/**
+ * 모든 언어의 문구 (가져온 파일이나 빠른 입력에서 어느 언어로 적어도 알아듣도록)
+ * @param {string} key - 메시지 키
+ * @returns {string[]}
+ */
+export function translationsOf(key) {
+  return Object.values(CATALOGS).map(catalog => lookup(catalog, key)).filter(message => typeof message === 'string');
+}
+
+/**
+ * 현재 언어의 문구 (현재 언어에 없으면 기본 언어, 그래도 없으면 키를 그대로 반환)
+ * @param {string} key - 메시지 키 (예: 'todo.add')
+ * @param {Record<string, string|number>} [params] - {이름} 자리에 넣을 값 (복수형은 count로 고름)
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[currentLocale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message && typeof message === 'object') {
+    message = selectPlural(message, params.count);
+  }
+  if (typeof message !== 'string') {
+    console.warn(`번역 문구 없음: ${key}`);
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined ? placeholder : String(params[name])
+  ));
+}
@@ -0,0 +1,554 @@
+// 영어 문구 (키 구조는 ko.js와 같음)
+// 개수에 따라 바뀌는 문구는 { one, other }로 나눠 적습니다
+
+export default {
+  app: {
+    title: 'Todos',
+    language: 'Language',
+    shortcuts: 'Shortcuts',
+    shortcutsHint: 'Keyboard shortcuts (?) · Command palette (Ctrl+K)',
+  },
+  common: {
+    add: 'Add',
+    cancel: 'Cancel',
+    close: 'Close',
+    count: { one: '{count} item', other: '{count} items' },
+    delete: 'Delete',
+    done: 'Done',
+    edit: 'Edit',
+    loading: 'Loading...',
+    moveDown: 'Move down',
+    moveUp: 'Move up',
+    no: 'No',
+    none: 'None',
+    processing: 'Processing...',
+    rename: 'Rename',
+    restore: 'Restore',
+    retry: 'Retry',
+    save: 'Save',
+    saving: 'Saving...',
+    yes: 'Yes',
+  },
+  auth: {
+    login: 'Log in',
+    signup: 'Sign up',
+    logout: 'Log out',
+    name: 'Name',
+    email: 'Email',
+    password: 'Password',
+    loginFailed: 'Failed to log in.',
+    signupFailed: 'Failed to sign up.',
+    sessionExpired: 'Your session has expired. Please log in again.',
+    confirmLogout: {
+      one: '{count} change has not been saved to the server yet and will be lost. Log out anyway?',
+      other: '{count} changes have not been saved to the server yet and will be lost. Log out anyway?',
+    },
+  },
+  connection: {
+    online: 'Online',
+    live: 'Online · Syncing in real time',
+    offline: 'Offline - changes will sync automatically when you reconnect',
+    pending: { one: '{count} change waiting to sync', other: '{count} changes waiting to sync' },
+  },
+  sync: {
+    rejected: {
+      one: 'The server rejected {count} offline change, so it was reverted.',
+      other: 'The server rejected {count} offline changes, so they were reverted.',
+    },
+  },
+  viewModes: {
+    label: 'View',
+    list: '📋 List',
+    calendar: '📅 Calendar',
+    agenda: '🗓️ Agenda',
+  },
+  filters: {
+    all: 'All',
+    pending: 'Active',
+    completed: 'Completed',
+    priority: 'Filter by priority',
+    allPriorities: 'All priorities',
+    tag: 'Filter by tag',
+    allTags: 'All tags',
+    searchPlaceholder: '🔍 Search titles and descriptions',
+  },
+  dueFilters: {
+    overdue: '⏰ Overdue',
+    today: '📍 Due today',
+    thisWeek: '🗓️ Due this week',
+    noDue: '∅ No due date',
+  },
+  sort: {
+    label: 'Sort',
+    manual: 'Custom order',
+    overdue: 'Overdue first',
+    dueDate: 'Due date',
+    priority: 'Highest priority',
+    createdAt: 'Recently created',
+    updatedAt: 'Recently updated',
+    title: 'Title',
+  },
+  priority: {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    urgent: 'Urgent',
+  },
+  todo: {
+    add: 'Add',
+    untitled: 'Untitled',
+    titlePlaceholder: 'Todo title *',
+    descriptionPlaceholder: 'Description',
+    descriptionOptional: 'Description (optional)',
+    noDescription: 'No description.',
+    priorityOption: 'Priority: {label}',
+    autoCompleteLabel: 'Complete automatically when all are done',
+    empty: 'No todos yet. Add your first one! 🎉',
+    noMatches: 'No todos match the current filters.',
+    loadingMore: 'Loading more...',
+    loadMore: 'Load more',
+    notFound: 'Todo not found. It may have been deleted or belong to another user.',
+    backToList: 'Back to list',
+    createdAt: 'Created',
+    updatedAt: 'Last updated',
+    createdOn: 'Created {date}',
+    pendingSync: 'Waiting to sync',
+    editAgain: 'Edit again',
+    reorderLabel: "Reorder '{title}' (drag or Alt+↑/↓)",
+    reorderHint: 'Drag to reorder (Alt+↑/↓)',
+    selectLabel: "Select '{title}' (hold Shift to select a range)",
+    count: {
+      total: '{list} todos',
+      loaded: '{count} loaded',
+      completed: 'Completed',
+      loadedCompleted: 'Completed among loaded',
+    },
+    fields: {
+      title: 'Title',
+      description: 'Description',
+      dueDate: 'Due date',
+      isCompleted: 'Completed',
+      tags: 'Tags',
+      priority: 'Priority',
+      autoComplete: 'Auto-complete',
+      recurrence: 'Repeat',
+      reminders: 'Reminders',
+      subtasks: 'Subtasks',
+    },
+  },
+  subtasks: {
+    complete: 'Complete subtask',
+    titlePlaceholder: 'Subtask',
+    addPlaceholder: '+ Add subtask (Enter)',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    delete: 'Delete subtask',
+    progress: '{completed}/{total} subtasks done',
+  },
+  tags: {
+    manage: 'Manage tags',
+    input: 'Add tags',
+    placeholder: '🏷️ Tags (Enter to add)',
+    remove: 'Remove tag {tag}',
+    filterBy: "Filter by '{tag}'",
+    empty: 'No tags in use yet.',
+    newName: 'New tag name',
+    mergeHint: 'Renaming a tag to an existing name merges the two tags.',
+    confirmMerge: "Merge tag '{name}' into '{target}'?",
+    confirmDelete: "Remove tag '{name}' from all todos?",
+  },
+  lists: {
+    title: 'Lists',
+    label: 'List',
+    all: 'All',
+    inbox: 'Inbox',
+    name: 'List name',
+    newName: 'New list name',
+    newPlaceholder: '+ New list',
+    archive: 'Archive',
+    archived: 'Archived lists ({count})',
+    archivedBadge: 'Archived',
+    moveTo: 'Move to another list',
+  },
+  quickAdd: {
+    toggle: 'Quick add',
+    toggleHint: 'Pick up dates, #tags and !priority from the title',
+    placeholder: 'e.g. Submit report tomorrow 3pm #work !high',
+    hint: 'Type a date (tomorrow, friday, 3pm), #tags and !priority to fill them in automatically.',
+    noTitle: '(untitled)',
+    defaultTime: 'No time given, so it was set to 9 AM',
+  },
+  recurrence: {
+    label: 'Repeat',
+    none: 'Does not repeat',
+    interval: 'Repeat interval',
+    freq: 'Repeat unit',
+    freqs: {
+      daily: 'day(s)',
+      weekly: 'week(s)',
+      monthly: 'month(s)',
+    },
+    every: {
+      daily: { '=1': 'Daily', other: 'Every {count} days' },
+      weekly: { '=1': 'Weekly', other: 'Every {count} weeks' },
+      monthly: { '=1': 'Monthly', other: 'Every {count} months' },
+    },
+    onMonthDay: 'on day {day}',
+    until: 'until {date}',
+    remaining: { one: '{count} time left', other: '{count} times left' },
+    monthDay: 'Day of month',
+    monthDaySuffix: '',
+    end: 'Ends',
+    endType: 'Repeat ends',
+    endTypes: {
+      never: 'Never',
+      until: 'On date',
+      count: 'After',
+    },
+    untilDate: 'End date',
+    count: 'Number of times',
+    countSuffix: 'times',
+  },
+  reminders: {
+    atDue: 'At due time',
+    before: '{duration} before',
+    needsDueDate: 'Set a due date to get reminders.',
+    allow: 'Allow notifications',
+    permission: {
+      default: 'Allow browser notifications to receive reminders.',
+      denied: 'Notifications for this site are blocked in your browser settings.',
+      unsupported: 'This browser does not support notifications.',
+    },
+    notifyNow: 'Due now',
+    notifyAt: 'Reminder: {label}',
+    notifyBody: '{when} (due {date}, {relative})',
+  },
+  time: {
+    soon: 'soon',
+    justPassed: 'just passed',
+    overdueBy: '{duration} overdue',
+  },
+  calendar: {
+    modes: {
+      month: 'Month',
+      week: 'Week',
+    },
+    groups: {
+      past: 'Past',
+      today: 'Today',
+      tomorrow: 'Tomorrow',
+      thisWeek: 'This week',
+      later: 'Later',
+      noDue: 'No due date',
+    },
+    previous: 'Previous',
+    next: 'Next',
+    today: 'Today',
+    more: '+{count} more',
+    chipHint: '{title} (Alt+arrow keys to move the date)',
+    undated: 'No due date (drag onto the calendar to set one)',
+  },
+  bulk: {
+    start: 'Select multiple',
+    toolbar: 'Bulk actions for selected todos',
+    selected: '{count} selected',
+    selectAll: 'Select all {count}',
+    selectAllLoaded: 'Select all {count} loaded',
+    clearSelection: 'Clear selection',
+    close: 'Done selecting',
+    complete: 'Complete',
+    uncomplete: 'Mark active',
+    newDueDate: 'New due date',
+    reschedule: 'Change due date',
+    clearDueDate: 'Clear due date',
+    tagPlaceholder: 'Tag',
+    tagToAdd: 'Tag to add',
+    addTag: 'Add tag',
+    failed: '{label} failed.',
+    partialFailure: '{label}: {succeeded} of {total} done, {failed} failed',
+    selectFailed: 'Select failed items',
+    actions: {
+      complete: 'Bulk complete',
+      uncomplete: 'Bulk mark active',
+      reschedule: 'Change due date',
+      addTag: 'Add tag',
+      delete: 'Bulk delete',
+    },
+  },
+  history: {
+    undo: 'Undo',
+    redo: 'Redo',
+    undone: 'Undone: {label}',
+    redone: 'Redone: {label}',
+    added: "Added '{title}'",
+    updated: "Edited '{title}'",
+    completed: "Completed '{title}'",
+    uncompleted: "Reopened '{title}'",
+    deleted: "Deleted '{title}'",
+    rescheduled: "Changed due date of '{title}'",
+    restored: "Restored '{title}'",
+    bulkDeleted: { one: 'Deleted {count} todo', other: 'Deleted {count} todos' },
+    imported: { one: 'Imported {count} todo', other: 'Imported {count} todos' },
+  },
+  toast: {
+    dismiss: 'Dismiss',
+  },
+  remote: {
+    updated: 'This todo was changed elsewhere. When you save, you can choose which value to keep for each field.',
+    loadChanges: 'Load changes',
+    keepMine: 'Keep my edits',
+    deleted: 'This todo was deleted elsewhere. It can no longer be saved, so copy anything you need.',
+    closeEdit: 'Close editor',
+  },
+  conflict: {
+    title: 'This todo was changed elsewhere while you were editing',
+    allMine: 'All mine',
+    allTheirs: 'All server',
+    hint: 'Choose the value to keep for each field. Fields changed on both sides are marked with ‼️.',
+    noDifference: 'Your edits match the server, so you can save as is.',
+    choices: {
+      mine: 'My edit',
+      theirs: 'Server',
+      combined: 'Combine',
+    },
+    save: 'Save merged',
+    keepEditing: 'Keep editing',
+  },
+  trash: {
+    title: 'Trash',
+    hint: 'Deleted todos are kept for {duration} and then permanently deleted.',
+    empty: 'Empty trash',
+    isEmpty: 'Trash is empty.',
+    deletedOn: 'Deleted {date}',
+    purgeIn: 'Permanently deleted {relative}',
+    purgeSoon: 'Permanently deleted soon',
+    purge: 'Delete forever',
+    confirmPurge: "Permanently delete '{title}'? This cannot be undone.",
+    confirmEmpty: {
+      one: 'Permanently delete {count} todo in the trash? This cannot be undone.',
+      other: 'Permanently delete all {count} todos in the trash? This cannot be undone.',
+    },
+  },
+  stats: {
+    title: 'Statistics',
+    range: 'Period',
+    ranges: {
+      '7d': 'Last 7 days',
+      '30d': 'Last 30 days',
+      '90d': 'Last 90 days',
+      '365d': 'Last year',
+      custom: 'Custom',
+    },
+    from: 'Start date',
+    to: 'End date',
+    completed: 'Completed',
+    created: { one: '{count} todo created', other: '{count} todos created' },
+    averageTime: 'Average completion time',
+    averageTimeDetail: 'From creation to completion',
+    onTimeRate: 'On-time rate',
+    onTimeSummary: '{onTime} on time · {late} late',
+    streak: 'Streak',
+    longestStreak: 'Longest in period: {duration}',
+    completedTodos: 'Completed todos',
+    granularity: 'Group by',
+    granularities: {
+      day: 'Daily',
+      week: 'Weekly',
+    },
+    completedOn: '{date}: {count} completed',
+    weekOf: 'Week of {date}',
+    completionChart: {
+      day: 'Todos completed per day',
+      week: 'Todos completed per week',
+    },
+    overdueTrend: 'Overdue trend',
+    overdueNow: '{count} now',
+    overdueOn: '{date}: {count} overdue',
+    overdueChart: 'Overdue incomplete todos per day',
+    footnote: 'Completion time is taken from the last time a completed todo was edited.',
+    usingCached: 'Calculated from the last saved todos.',
+  },
+  shortcuts: {
+    title: 'Keyboard shortcuts',
+    help: 'Keyboard shortcuts help',
+    groups: {
+      navigation: 'Navigation',
+      todo: 'Todos',
+      filter: 'Filters',
+      editing: 'While editing',
+      general: 'General',
+    },
+    next: 'Next todo',
+    previous: 'Previous todo',
+    open: 'Open todo details',
+    toggleComplete: 'Toggle complete',
+    edit: 'Edit',
+    delete: 'Move to trash',
+    newTodo: 'New todo',
+    undo: 'Undo',
+    redo: 'Redo',
+    filterAll: 'Show all',
+    filterPending: 'Show active',
+    filterCompleted: 'Show completed',
+    search: 'Search',
+    save: 'Save (with Ctrl/⌘ in the description)',
+    cancel: 'Cancel',
+    palette: 'Command palette',
+    escape: 'Clear selection',
+  },
+  palette: {
+    title: 'Command palette',
+    placeholder: 'Search commands or todos...',
+    empty: 'No matching commands or todos.',
+    commands: {
+      new: 'Add new todo',
+      filter: 'Filter: {filter}',
+      view: 'View: {view}',
+      quickAddOn: 'Turn on quick add',
+      quickAddOff: 'Turn off quick add',
+      goToList: 'Go to list: {list}',
+      stats: 'Show statistics',
+      trash: 'Open trash',
+    },
+  },
+  importExport: {
+    title: 'Import / Export',
+    export: 'Export',
+    exportHint: {
+      one: 'Saves the {count} visible todo to a file (search and filters applied).',
+      other: 'Saves the {count} visible todos to a file (search and filters applied).',
+    },
+    exportFormat: 'Export format',
+    formats: {
+      json: 'JSON',
+      csv: 'CSV (spreadsheet)',
+      markdown: 'Markdown checklist',
+      icsTodo: 'iCalendar tasks (VTODO)',
+      icsEvent: 'iCalendar events (VEVENT, todos with due dates only)',
+    },
+    import: 'Import',
+    importHint: "Adds todos from JSON, CSV, Markdown checklist or iCalendar (.ics) files to '{list}'. Checklist format:",
+    file: 'File to import',
+    readFailed: "Could not read '{name}': {reason}",
+    errors: {
+      noTodoArray: 'No todo array found. The file must be an array or { "todos": [...] }.',
+    },
+    importing: 'Importing: {done}/{total}',
+    imported: 'Import finished: {done}/{total}',
+    importFailedCount: '({count} failed)',
+    importFailed: {
+      one: 'Failed to import {count} todo: {reason}',
+      other: 'Failed to import {count} todos: {reason}',
+    },
+    columnMapping: 'Column mapping',
+    column: 'Column {number}',
+    fields: {
+      none: 'Not used',
+    },
+    titleColumnRequired: 'Choose the column to use as the title.',
+    selectedOf: '{selected} of {count} selected',
+    duplicatesSkipped: { one: '{count} duplicate skipped by default', other: '{count} duplicates skipped by default' },
+    selectAll: 'Select all',
+    excludeDuplicates: 'Exclude duplicates',
+    notes: 'Notes',
+    importItem: 'Import {title}',
+    skippedUntitled: 'Skipped: no title',
+    duplicates: {
+      existing: 'Already exists',
+      file: 'Duplicate in file',
+    },
+    warnings: {
+      invalidDueDate: "Could not read due date '{value}', so it was left empty.",
+      unknownPriority: "Unknown priority '{value}', so it was set to medium.",
+      invalidSubtasks: 'Subtasks that could not be read were left out.',
+      invalidRecurrence: "Could not read repeat setting '{value}', so it will not repeat.",
+      recurrenceWithoutDueDate: 'There is no due date, so the repeat setting was left out.',
+    },
+    previewLimited: '{count} more (the preview shows only the first {limit})',
+    importCount: { one: 'Import {count} todo', other: 'Import {count} todos' },
+    offline: 'You cannot import while offline.',
+  },
+  update: {
+    available: 'A new version is available',
+    reload: 'Reload',
+    later: 'Later',
+  },
+  notices: {
+    deletedElsewhere: 'This todo was deleted elsewhere. The list has been reloaded.',
+    listsOffline: 'Lists cannot be changed while offline.',
+    trashOffline: 'The trash is not available while offline.',
+    trashUnsupported: 'This server does not support the trash, so deleted todos are removed immediately.',
+    statsOffline: 'You are offline, so statistics were calculated from the last saved todos.',
+  },
+  failures: {
+    loadTodos: 'Failed to load todos.',
+    loadMore: 'Failed to load more todos.',
+    loadAll: 'Could not load todos.',
+    loadTrash: 'Could not load the trash.',
+    undoMissing: 'The todo is no longer in the list, so it could not be undone.',
+    add: 'Failed to add the todo.',
+    update: 'Failed to update the todo.',
+    undoUpdate: 'Could not undo the edit.',
+    delete: 'Failed to delete the todo.',
+    restore: 'Could not restore the todo.',
+    nextOccurrence: 'Could not create the next recurring todo.',
+    toggle: 'Failed to change the status.',
+    undoToggle: 'Could not undo the status change.',
+    subtask: 'Failed to update the subtask.',
+    tags: 'Could not change the tags.',
+    tagUpdate: 'Failed to update the tags.',
+    moveToList: 'Failed to move the todo.',
+    createList: 'Could not create the list.',
+    renameList: 'Could not rename the list.',
+    reorderLists: 'Could not reorder the lists.',
+    archiveList: 'Could not archive the list.',
+    unarchiveList: 'Could not restore the list.',
+    purge: 'Could not delete permanently.',
+    emptyTrash: 'Could not empty the trash.',
+    reorder: 'Could not change the order.',
+    reschedule: 'Failed to change the due date.',
+    undoReschedule: 'Could not undo the due date change.',
+  },
+  errors: {
+    VALIDATION_FAILED: 'Invalid request. Please check your input.',
+    UNAUTHORIZED: 'Authentication required.',
+    FORBIDDEN: 'You do not have permission to do that.',
+    NOT_FOUND: 'The requested todo could not be found.',
+    CONFLICT: 'This todo was changed elsewhere first.',
+    SERVER_ERROR: 'Internal server error. Please try again later.',
+    HTTP_ERROR: 'Server error ({status})',
+    TIMEOUT: 'The server did not respond within {seconds} seconds. Please try again later.',
+    SERVER_UNREACHABLE: 'Cannot reach the backend server ({url}). Please check your internet connection.',
+    AUTH_SERVER_UNREACHABLE: 'Cannot reach the authentication server ({url}). Please check your internet connection.',
+    INVALID_TODO_ID: 'Invalid todo ID.',
+    INVALID_LIST_ID: 'Invalid list ID.',
+    METHOD_NOT_ALLOWED: 'Unsupported request.',
+    INVALID_CREDENTIALS: 'Incorrect email or password.',
+    SESSION_EXPIRED: 'Your session has expired. Please log in again.',
+    TODO_NOT_FOUND: 'Todo not found.',
+    LIST_NOT_FOUND: 'List not found.',
+    NOT_IN_TRASH: 'This todo is not in the trash.',
+    BATCH_REQUIRED: 'A list of batch operations is required.',
+    INVALID_BODY: 'The request body is invalid.',
+    UNKNOWN: 'Unknown error',
+    field: {
+      TITLE_REQUIRED: 'Please enter a title.',
+      INVALID_DUE_DATE: 'Invalid due date.',
+      RECURRENCE_NEEDS_DUE_DATE: 'Repeating todos need a due date.',
+      SUBTASK_TITLE_REQUIRED: 'Please enter the subtask.',
+      INVALID_RECURRENCE: 'Invalid repeat unit.',
+      INVALID_TAGS: 'Invalid tags.',
+      INVALID_PRIORITY: 'Invalid priority.',
+      INVALID_REMINDERS: 'Invalid reminder time.',
+      INVALID_POSITION: 'Invalid position.',
+      NAME_REQUIRED: 'Please enter your name.',
+      EMAIL_REQUIRED: 'Please enter your email.',
+      INVALID_EMAIL: 'Please enter a valid email.',
+      EMAIL_TAKEN: 'This email is already registered.',
+      PASSWORD_REQUIRED: 'Please enter your password.',
+      PASSWORD_TOO_SHORT: 'Password must be at least 8 characters.',
+      LIST_NAME_REQUIRED: 'Please enter a list name.',
+      TAG_NAME_REQUIRED: 'Please enter a new tag name.',
+    },
+  },
+};
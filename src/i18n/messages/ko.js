@@ -0,0 +1,539 @@
+// 한국어 문구 (기본 언어 - 다른 언어에 없는 문구는 여기서 찾음)
+// {이름} 자리에는 값이 들어가고, '=1'처럼 값을 적은 문구는 그 값일 때만 사용합니다
+
+export default {
+  app: {
+    title: '할일 관리',
+    language: '언어',
+    shortcuts: '단축키',
+    shortcutsHint: '키보드 단축키 (?) · 명령 팔레트 (Ctrl+K)',
+  },
+  common: {
+    add: '추가',
+    cancel: '취소',
+    close: '닫기',
+    count: '{count}개',
+    delete: '삭제',
+    done: '완료',
+    edit: '수정',
+    loading: '불러오는 중...',
+    moveDown: '아래로',
+    moveUp: '위로',
+    no: '아니오',
+    none: '없음',
+    processing: '처리 중...',
+    rename: '이름 변경',
+    restore: '복원',
+    retry: '다시 시도',
+    save: '저장',
+    saving: '저장 중...',
+    yes: '예',
+  },
+  auth: {
+    login: '로그인',
+    signup: '회원가입',
+    logout: '로그아웃',
+    name: '이름',
+    email: '이메일',
+    password: '비밀번호',
+    loginFailed: '로그인에 실패했습니다.',
+    signupFailed: '회원가입에 실패했습니다.',
+    sessionExpired: '세션이 만료되었습니다. 다시 로그인해주세요.',
+    confirmLogout: '아직 서버에 저장되지 않은 변경 {count}건이 사라집니다. 로그아웃하시겠습니까?',
+  },
+  connection: {
+    online: '온라인',
+    live: '온라인 · 실시간 동기화 중',
+    offline: '오프라인 - 변경 사항은 연결되면 자동으로 동기화됩니다',
+    pending: '동기화 대기 {count}건',
+  },
+  sync: {
+    rejected: '서버가 거부한 오프라인 변경 {count}건을 취소했습니다.',
+  },
+  viewModes: {
+    label: '보기 방식',
+    list: '📋 목록',
+    calendar: '📅 달력',
+    agenda: '🗓️ 일정',
+  },
+  filters: {
+    all: '전체',
+    pending: '미완료',
+    completed: '완료',
+    priority: '우선순위 필터',
+    allPriorities: '모든 우선순위',
+    tag: '태그 필터',
+    allTags: '모든 태그',
+    searchPlaceholder: '🔍 제목이나 설명으로 검색',
+  },
+  dueFilters: {
+    overdue: '⏰ 기한 지남',
+    today: '📍 오늘 마감',
+    thisWeek: '🗓️ 이번 주 마감',
+    noDue: '∅ 마감일 없음',
+  },
+  sort: {
+    label: '정렬',
+    manual: '직접 정한 순서',
+    overdue: '기한 지난 항목 먼저',
+    dueDate: '마감일 빠른 순',
+    priority: '우선순위 높은 순',
+    createdAt: '최근 생성 순',
+    updatedAt: '최근 수정 순',
+    title: '제목 순',
+  },
+  priority: {
+    low: '낮음',
+    medium: '보통',
+    high: '높음',
+    urgent: '긴급',
+  },
+  todo: {
+    add: '추가하기',
+    untitled: '제목 없음',
+    titlePlaceholder: '할일 제목 *',
+    descriptionPlaceholder: '설명',
+    descriptionOptional: '설명 (선택)',
+    noDescription: '설명이 없습니다.',
+    priorityOption: '우선순위: {label}',
+    autoCompleteLabel: '모두 끝내면 자동 완료',
+    empty: '할일이 없습니다. 새로운 할일을 추가해보세요! 🎉',
+    noMatches: '조건에 맞는 할일이 없습니다.',
+    loadingMore: '더 불러오는 중...',
+    loadMore: '더 보기',
+    notFound: '할일을 찾을 수 없습니다. 삭제되었거나 다른 사용자의 할일일 수 있습니다.',
+    backToList: '목록으로',
+    createdAt: '생성',
+    updatedAt: '마지막 수정',
+    createdOn: '생성: {date}',
+    pendingSync: '동기화 대기',
+    editAgain: '다시 편집',
+    reorderLabel: "'{title}' 순서 변경 (끌어서 옮기거나 Alt+↑/↓)",
+    reorderHint: '끌어서 순서 변경 (Alt+↑/↓)',
+    selectLabel: "'{title}' 선택 (Shift를 누르고 누르면 범위 선택)",
+    count: {
+      total: '{list} 할일',
+      loaded: '불러온 {count}개',
+      completed: '완료',
+      loadedCompleted: '불러온 항목 중 완료',
+    },
+    fields: {
+      title: '제목',
+      description: '설명',
+      dueDate: '마감일',
+      isCompleted: '완료',
+      tags: '태그',
+      priority: '우선순위',
+      autoComplete: '자동 완료',
+      recurrence: '반복',
+      reminders: '알림',
+      subtasks: '하위 작업',
+    },
+  },
+  subtasks: {
+    complete: '하위 작업 완료',
+    titlePlaceholder: '하위 작업 내용',
+    addPlaceholder: '+ 하위 작업 추가 (Enter)',
+    moveUp: '위로 이동',
+    moveDown: '아래로 이동',
+    delete: '하위 작업 삭제',
+    progress: '하위 작업 {completed}/{total} 완료',
+  },
+  tags: {
+    manage: '태그 관리',
+    input: '태그 입력',
+    placeholder: '🏷️ 태그 (Enter로 추가)',
+    remove: '{tag} 태그 삭제',
+    filterBy: "'{tag}' 태그로 필터링",
+    empty: '아직 사용 중인 태그가 없습니다.',
+    newName: '새 태그 이름',
+    mergeHint: '이미 있는 태그 이름으로 바꾸면 두 태그가 하나로 합쳐집니다.',
+    confirmMerge: "'{name}' 태그를 '{target}' 태그에 병합하시겠습니까?",
+    confirmDelete: "모든 할일에서 '{name}' 태그를 지우시겠습니까?",
+  },
+  lists: {
+    title: '목록',
+    label: '목록',
+    all: '전체',
+    inbox: '받은 할일함',
+    name: '목록 이름',
+    newName: '새 목록 이름',
+    newPlaceholder: '+ 새 목록',
+    archive: '보관',
+    archived: '보관된 목록 ({count})',
+    archivedBadge: '보관됨',
+    moveTo: '다른 목록으로 이동',
+  },
+  quickAdd: {
+    toggle: '빠른 입력',
+    toggleHint: '제목에 적은 날짜, #태그, !우선순위를 자동으로 알아듣기',
+    placeholder: '예: 내일 오후 3시 보고서 제출 #업무 !높음',
+    hint: '날짜(내일, 금요일, 3pm), #태그, !우선순위를 함께 적으면 자동으로 채워집니다.',
+    noTitle: '(제목 없음)',
+    defaultTime: '시각이 없어 오전 9시로 정했습니다',
+  },
+  recurrence: {
+    label: '반복',
+    none: '반복 안 함',
+    interval: '반복 간격',
+    freq: '반복 단위',
+    freqs: {
+      daily: '일마다',
+      weekly: '주마다',
+      monthly: '개월마다',
+    },
+    every: {
+      daily: { '=1': '매일', other: '{count}일마다' },
+      weekly: { '=1': '매주', other: '{count}주마다' },
+      monthly: { '=1': '매월', other: '{count}개월마다' },
+    },
+    onMonthDay: '{day}일',
+    until: '{date}까지',
+    remaining: '{count}회 남음',
+    monthDay: '반복 날짜',
+    monthDaySuffix: '일',
+    end: '종료',
+    endType: '반복 종료',
+    endTypes: {
+      never: '계속 반복',
+      until: '날짜까지',
+      count: '횟수만큼',
+    },
+    untilDate: '반복 종료일',
+    count: '반복 횟수',
+    countSuffix: '회',
+  },
+  reminders: {
+    atDue: '마감 시각',
+    before: '{duration} 전',
+    needsDueDate: '마감일을 정하면 알림을 받을 수 있습니다.',
+    allow: '알림 허용',
+    permission: {
+      default: '브라우저 알림을 허용해야 알림이 울립니다.',
+      denied: '브라우저 설정에서 이 사이트의 알림이 차단되어 있습니다.',
+      unsupported: '이 브라우저는 알림을 지원하지 않습니다.',
+    },
+    notifyNow: '지금 마감입니다',
+    notifyAt: '{label} 알림',
+    notifyBody: '{when} (마감: {date}, {relative})',
+  },
+  time: {
+    soon: '곧',
+    justPassed: '방금 지남',
+    overdueBy: '{duration} 지남',
+  },
+  calendar: {
+    modes: {
+      month: '월',
+      week: '주',
+    },
+    groups: {
+      past: '지난 할일',
+      today: '오늘',
+      tomorrow: '내일',
+      thisWeek: '이번 주',
+      later: '나중에',
+      noDue: '기한 없음',
+    },
+    previous: '이전',
+    next: '다음',
+    today: '오늘',
+    more: '+{count}개',
+    chipHint: '{title} (Alt+방향키로 날짜 이동)',
+    undated: '기한 없음 (달력으로 끌어다 놓아 마감일 지정)',
+  },
+  bulk: {
+    start: '여러 개 선택',
+    toolbar: '선택한 할일 일괄 작업',
+    selected: '{count}개 선택됨',
+    selectAll: '{count}개 모두 선택',
+    selectAllLoaded: '불러온 {count}개 모두 선택',
+    clearSelection: '선택 해제',
+    close: '선택 끝내기',
+    complete: '완료',
+    uncomplete: '미완료',
+    newDueDate: '새 마감일',
+    reschedule: '마감일 변경',
+    clearDueDate: '마감일 없애기',
+    tagPlaceholder: '태그',
+    tagToAdd: '추가할 태그',
+    addTag: '태그 추가',
+    failed: '{label}에 실패했습니다.',
+    partialFailure: '{label}: {total}개 중 {succeeded}개 완료, {failed}개 실패',
+    selectFailed: '실패한 항목 선택',
+    actions: {
+      complete: '일괄 완료',
+      uncomplete: '일괄 미완료',
+      reschedule: '마감일 변경',
+      addTag: '태그 추가',
+      delete: '일괄 삭제',
+    },
+  },
+  history: {
+    undo: '실행 취소',
+    redo: '다시 실행',
+    undone: '되돌림: {label}',
+    redone: '다시 실행: {label}',
+    added: "'{title}' 추가",
+    updated: "'{title}' 수정",
+    completed: "'{title}' 완료",
+    uncompleted: "'{title}' 완료 취소",
+    deleted: "'{title}' 삭제",
+    rescheduled: "'{title}' 마감일 변경",
+    restored: "'{title}' 되살림",
+    bulkDeleted: '할일 {count}개 삭제',
+    imported: '할일 {count}개 가져옴',
+  },
+  toast: {
+    dismiss: '알림 닫기',
+  },
+  remote: {
+    updated: '다른 곳에서 이 할일이 수정되었습니다. 저장할 때 필드마다 남길 값을 고를 수 있습니다.',
+    loadChanges: '바뀐 내용 불러오기',
+    keepMine: '내 수정 유지',
+    deleted: '다른 곳에서 이 할일이 삭제되었습니다. 저장할 수 없으니 필요한 내용은 따로 옮겨주세요.',
+    closeEdit: '수정 닫기',
+  },
+  conflict: {
+    title: '수정하는 동안 다른 곳에서 이 할일이 바뀌었습니다',
+    allMine: '모두 내 수정',
+    allTheirs: '모두 서버 값',
+    hint: '필드마다 남길 값을 고르세요. 양쪽에서 모두 바꾼 필드는 ‼️로 표시됩니다.',
+    noDifference: '서버 값과 내 수정이 같아 그대로 저장할 수 있습니다.',
+    choices: {
+      mine: '내 수정',
+      theirs: '서버 값',
+      combined: '합치기',
+    },
+    save: '병합해서 저장',
+    keepEditing: '계속 편집',
+  },
+  trash: {
+    title: '휴지통',
+    hint: '삭제한 할일은 {duration} 동안 보관한 뒤 자동으로 영구 삭제됩니다.',
+    empty: '휴지통 비우기',
+    isEmpty: '휴지통이 비어 있습니다.',
+    deletedOn: '삭제: {date}',
+    purgeIn: '{relative} 영구 삭제',
+    purgeSoon: '곧 영구 삭제',
+    purge: '영구 삭제',
+    confirmPurge: "'{title}'을(를) 영구 삭제하시겠습니까? 되돌릴 수 없습니다.",
+    confirmEmpty: '휴지통의 할일 {count}개를 모두 영구 삭제하시겠습니까? 되돌릴 수 없습니다.',
+  },
+  stats: {
+    title: '통계',
+    range: '통계 기간',
+    ranges: {
+      '7d': '최근 7일',
+      '30d': '최근 30일',
+      '90d': '최근 90일',
+      '365d': '최근 1년',
+      custom: '직접 선택',
+    },
+    from: '시작일',
+    to: '종료일',
+    completed: '완료',
+    created: '새로 만든 할일 {count}개',
+    averageTime: '평균 완료 시간',
+    averageTimeDetail: '만든 때부터 완료까지',
+    onTimeRate: '제때 완료율',
+    onTimeSummary: '제때 {onTime}개 · 늦게 {late}개',
+    streak: '연속 완료',
+    longestStreak: '기간 중 최장 {duration}',
+    completedTodos: '완료한 할일',
+    granularity: '묶음 단위',
+    granularities: {
+      day: '일별',
+      week: '주별',
+    },
+    completedOn: '{date}: 완료 {count}개',
+    weekOf: '{date} 주',
+    completionChart: {
+      day: '일별 완료한 할일 수',
+      week: '주별 완료한 할일 수',
+    },
+    overdueTrend: '기한 지난 할일 추이',
+    overdueNow: '지금 {count}개',
+    overdueOn: '{date}: 기한 지남 {count}개',
+    overdueChart: '날짜별 기한 지난 미완료 할일 수',
+    footnote: '완료 시각은 완료된 할일을 마지막으로 수정한 시각으로 계산합니다.',
+    usingCached: '마지막으로 저장된 할일로 계산했습니다.',
+  },
+  shortcuts: {
+    title: '키보드 단축키',
+    help: '단축키 도움말',
+    groups: {
+      navigation: '목록 이동',
+      todo: '할일',
+      filter: '필터',
+      editing: '수정 중',
+      general: '일반',
+    },
+    next: '다음 할일',
+    previous: '이전 할일',
+    open: '할일 상세 열기',
+    toggleComplete: '완료/미완료 바꾸기',
+    edit: '수정',
+    delete: '휴지통으로 이동',
+    newTodo: '새 할일 입력',
+    undo: '실행 취소',
+    redo: '다시 실행',
+    filterAll: '전체 보기',
+    filterPending: '미완료 보기',
+    filterCompleted: '완료 보기',
+    search: '검색',
+    save: '저장 (설명 칸에서는 Ctrl/⌘와 함께)',
+    cancel: '취소',
+    palette: '명령 팔레트',
+    escape: '선택 해제',
+  },
+  palette: {
+    title: '명령 팔레트',
+    placeholder: '명령이나 할일 검색...',
+    empty: '일치하는 명령이나 할일이 없습니다.',
+    commands: {
+      new: '새 할일 추가',
+      filter: '필터: {filter}',
+      view: '보기: {view}',
+      quickAddOn: '빠른 입력 켜기',
+      quickAddOff: '빠른 입력 끄기',
+      goToList: '목록으로 이동: {list}',
+      stats: '통계 보기',
+      trash: '휴지통 열기',
+    },
+  },
+  importExport: {
+    title: '가져오기/내보내기',
+    export: '내보내기',
+    exportHint: '지금 보이는 할일 {count}개를 파일로 저장합니다 (검색·필터 적용).',
+    exportFormat: '내보내기 형식',
+    formats: {
+      json: 'JSON',
+      csv: 'CSV (스프레드시트)',
+      markdown: '마크다운 체크리스트',
+      icsTodo: 'iCalendar 할일 (VTODO)',
+      icsEvent: 'iCalendar 일정 (VEVENT, 마감일 있는 할일만)',
+    },
+    import: '가져오기',
+    importHint: "JSON, CSV, 마크다운 체크리스트, iCalendar(.ics) 파일을 '{list}'에 추가합니다. 체크리스트 형식:",
+    file: '가져올 파일',
+    readFailed: "'{name}' 파일을 읽지 못했습니다: {reason}",
+    errors: {
+      noTodoArray: '할일 배열을 찾을 수 없습니다. 배열 또는 { "todos": [...] } 형식이어야 합니다.',
+    },
+    importing: '가져오는 중: {done}/{total}',
+    imported: '가져오기 완료: {done}/{total}',
+    importFailedCount: '(실패 {count}개)',
+    importFailed: '할일 {count}개를 가져오지 못했습니다: {reason}',
+    columnMapping: '열 연결',
+    column: '{number}번째 열',
+    fields: {
+      none: '사용 안 함',
+    },
+    titleColumnRequired: '제목으로 쓸 열을 선택해주세요.',
+    selectedOf: '{count}개 중 {selected}개 선택',
+    duplicatesSkipped: '중복 {count}개는 기본으로 건너뜀',
+    selectAll: '모두 선택',
+    excludeDuplicates: '중복 제외',
+    notes: '확인',
+    importItem: '{title} 가져오기',
+    skippedUntitled: '제목이 없어 건너뜀',
+    duplicates: {
+      existing: '이미 있는 할일',
+      file: '파일 안에서 중복',
+    },
+    warnings: {
+      invalidDueDate: "마감일 '{value}'을(를) 읽지 못해 비웠습니다.",
+      unknownPriority: "우선순위 '{value}'을(를) 알 수 없어 보통으로 설정했습니다.",
+      invalidSubtasks: '읽지 못한 하위 작업은 빼고 가져왔습니다.',
+      invalidRecurrence: "반복 설정 '{value}'을(를) 읽지 못해 반복하지 않도록 했습니다.",
+      recurrenceWithoutDueDate: '마감일이 없어 반복 설정을 뺐습니다.',
+    },
+    previewLimited: '외 {count}개 (미리보기에는 앞의 {limit}개만 표시)',
+    importCount: '{count}개 가져오기',
+    offline: '오프라인에서는 가져올 수 없습니다.',
+  },
+  update: {
+    available: '새 버전이 준비되었습니다',
+    reload: '새로고침',
+    later: '나중에',
+  },
+  notices: {
+    deletedElsewhere: '다른 곳에서 삭제된 할일입니다. 목록을 새로 불러왔습니다.',
+    listsOffline: '오프라인에서는 목록을 변경할 수 없습니다.',
+    trashOffline: '오프라인에서는 휴지통을 볼 수 없습니다.',
+    trashUnsupported: '이 서버는 휴지통을 지원하지 않아 삭제한 할일이 바로 지워집니다.',
+    statsOffline: '오프라인이라 마지막으로 저장된 할일로 계산했습니다.',
+  },
+  failures: {
+    loadTodos: '할일 목록을 불러오는데 실패했습니다.',
+    loadMore: '다음 할일을 불러오는데 실패했습니다.',
+    loadAll: '할일을 불러오지 못했습니다.',
+    loadTrash: '휴지통을 불러오지 못했습니다.',
+    undoMissing: '할일이 목록에 없어 되돌리지 못했습니다.',
+    add: '할일 추가에 실패했습니다.',
+    update: '할일 수정에 실패했습니다.',
+    undoUpdate: '수정을 되돌리지 못했습니다.',
+    delete: '할일 삭제에 실패했습니다.',
+    restore: '할일을 되살리지 못했습니다.',
+    nextOccurrence: '다음 반복 할일을 만들지 못했습니다.',
+    toggle: '상태 변경에 실패했습니다.',
+    undoToggle: '상태 변경을 되돌리지 못했습니다.',
+    subtask: '하위 작업 변경에 실패했습니다.',
+    tags: '태그를 변경하지 못했습니다.',
+    tagUpdate: '태그 변경에 실패했습니다.',
+    moveToList: '목록 이동에 실패했습니다.',
+    createList: '목록을 만들지 못했습니다.',
+    renameList: '목록 이름을 바꾸지 못했습니다.',
+    reorderLists: '목록 순서를 바꾸지 못했습니다.',
+    archiveList: '목록을 보관하지 못했습니다.',
+    unarchiveList: '목록을 복원하지 못했습니다.',
+    purge: '영구 삭제하지 못했습니다.',
+    emptyTrash: '휴지통을 비우지 못했습니다.',
+    reorder: '순서를 바꾸지 못했습니다.',
+    reschedule: '마감일 변경에 실패했습니다.',
+    undoReschedule: '마감일 변경을 되돌리지 못했습니다.',
+  },
+  errors: {
+    VALIDATION_FAILED: '잘못된 요청입니다. 입력값을 확인해주세요.',
+    UNAUTHORIZED: '인증이 필요합니다.',
+    FORBIDDEN: '접근 권한이 없습니다.',
+    NOT_FOUND: '요청한 할일을 찾을 수 없습니다.',
+    CONFLICT: '다른 곳에서 먼저 수정된 할일입니다.',
+    SERVER_ERROR: '서버 내부 오류가 발생했습니다. 잠시 후 다시 시도해주세요.',
+    HTTP_ERROR: '서버 오류 ({status})',
+    TIMEOUT: '서버 응답 시간({seconds}초)이 초과되었습니다. 잠시 후 다시 시도해주세요.',
+    SERVER_UNREACHABLE: '백엔드 서버({url})에 연결할 수 없습니다. 인터넷 연결을 확인해주세요.',
+    AUTH_SERVER_UNREACHABLE: '인증 서버({url})에 연결할 수 없습니다. 인터넷 연결을 확인해주세요.',
+    INVALID_TODO_ID: '유효하지 않은 할일 ID입니다.',
+    INVALID_LIST_ID: '유효하지 않은 목록 ID입니다.',
+    METHOD_NOT_ALLOWED: '지원하지 않는 요청입니다.',
+    INVALID_CREDENTIALS: '이메일 또는 비밀번호가 올바르지 않습니다.',
+    SESSION_EXPIRED: '세션이 만료되었습니다. 다시 로그인해주세요.',
+    TODO_NOT_FOUND: '할일을 찾을 수 없습니다.',
+    LIST_NOT_FOUND: '목록을 찾을 수 없습니다.',
+    NOT_IN_TRASH: '휴지통에 없는 할일입니다.',
+    BATCH_REQUIRED: '일괄 처리할 요청 목록이 필요합니다.',
+    INVALID_BODY: '요청 형식이 올바르지 않습니다.',
+    UNKNOWN: '알 수 없는 오류',
+    field: {
+      TITLE_REQUIRED: '할일 제목을 입력해주세요.',
+      INVALID_DUE_DATE: '마감일 형식이 올바르지 않습니다.',
+      RECURRENCE_NEEDS_DUE_DATE: '반복 일정에는 마감일이 필요합니다.',
+      SUBTASK_TITLE_REQUIRED: '하위 작업 내용을 입력해주세요.',
+      INVALID_RECURRENCE: '반복 단위가 올바르지 않습니다.',
+      INVALID_TAGS: '태그 형식이 올바르지 않습니다.',
+      INVALID_PRIORITY: '우선순위가 올바르지 않습니다.',
+      INVALID_REMINDERS: '알림 시점이 올바르지 않습니다.',
+      INVALID_POSITION: '순서 값이 올바르지 않습니다.',
+      NAME_REQUIRED: '이름을 입력해주세요.',
+      EMAIL_REQUIRED: '이메일을 입력해주세요.',
+      INVALID_EMAIL: '올바른 이메일을 입력해주세요.',
+      EMAIL_TAKEN: '이미 가입된 이메일입니다.',
+      PASSWORD_REQUIRED: '비밀번호를 입력해주세요.',
+      PASSWORD_TOO_SHORT: '비밀번호는 8자 이상이어야 합니다.',
+      LIST_NAME_REQUIRED: '목록 이름을 입력해주세요.',
+      TAG_NAME_REQUIRED: '새 태그 이름을 입력해주세요.',
+    },
+  },
+};
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getLocale, setLocale, subscribeLocale, t } from './i18n';
+
+/**
+ * 현재 언어와 번역 함수 - 언어를 바꾸면 이 훅을 쓰는 컴포넌트가 다시 그려짐
+ * @returns {{ locale: string, setLocale: (locale: string) => void, t: typeof t }}
+ */
+export function useI18n() {
+  const locale = useSyncExternalStore(subscribeLocale, getLocale);
+  return { locale, setLocale, t };
+}
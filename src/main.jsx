@@ -1,14 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App'
+import Root from './Root'
+import { AuthProvider } from './auth/AuthContext'
 
 // root 요소가 존재한다고 가정 (TypeScript의 ! 제거)
 const rootElement = document.getElementById('root')
 if (rootElement) {
   createRoot(rootElement).render(
     <StrictMode>
-      <App />
+      <AuthProvider>
+        <Root />
+      </AuthProvider>
     </StrictMode>,
   )
 }
@@ -0,0 +1,28 @@
+import { readJSON, writeJSON, removeItem, scopedKey } from './storage';
+
+// 마지막으로 서버에서 받은 할일 목록(프로젝트) 캐시 - 오프라인에서도 사이드바를 보여주기 위해 사용
+const LIST_CACHE_KEY = 'vibe-todo:list-cache';
+
+/**
+ * 캐시된 목록 조회
+ * @returns {{ lists: import('../utils/lists').TodoList[], inboxCount: { total: number, pending: number }|null }|null} 캐시가 없으면 null
+ */
+export function loadCachedLists() {
+  const cache = readJSON(scopedKey(LIST_CACHE_KEY), null);
+  return cache && Array.isArray(cache.lists) ? cache : null;
+}
+
+/**
+ * 서버에서 받은 목록 저장
+ * @param {{ lists: import('../utils/lists').TodoList[], inboxCount: { total: number, pending: number }|null }} data - 서버 응답
+ */
+export function saveCachedLists(data) {
+  writeJSON(scopedKey(LIST_CACHE_KEY), { ...data, savedAt: new Date().toISOString() });
+}
+
+/**
+ * 현재 사용자의 목록 캐시 삭제 (로그아웃 시)
+ */
+export function clearCachedLists() {
+  removeItem(scopedKey(LIST_CACHE_KEY));
+}
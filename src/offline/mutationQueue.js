@@ -0,0 +1,196 @@
+import { readJSON, writeJSON, removeItem, scopedKey } from './storage';
+
+// 오프라인 상태에서 발생한 생성/수정/삭제 요청을 보관하는 영구 큐
+// 새로고침해도 사라지지 않도록 localStorage에 저장하고, 연결이 돌아오면 순서대로 서버에 재전송합니다
+const QUEUE_KEY = 'vibe-todo:mutation-queue';
+
+// 서버 _id를 받기 전까지 사용하는 임시 ID 접두사
+export const TEMP_ID_PREFIX = 'temp-';
+
+/**
+ * @typedef {Object} QueuedMutation
+ * @property {string} id - 큐 항목 ID
+ * @property {'create'|'update'|'delete'|'restore'} type - 요청 종류 (restore는 휴지통에서 되살리기)
+ * @property {string} todoId - 대상 할일 ID (생성 요청은 임시 ID)
+ * @property {Object} [data] - 생성/수정할 데이터 (restore는 삭제 전 할일 전체)
+ * @property {string} queuedAt - 큐에 들어간 시각
+ */
+
+// 현재 서버로 전송 중인 큐 항목 ID (전송 중인 생성 요청에는 수정 내용을 합치지 않음)
+let inFlightMutationId = null;
+// 동시에 여러 번 재전송이 시작되지 않도록 진행 중인 작업을 공유
+let replayPromise = null;
+
+function randomId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 새 임시 할일 ID 생성
+ * @returns {string} 임시 ID
+ */
+export function createTempId() {
+  return `${TEMP_ID_PREFIX}${randomId()}`;
+}
+
+/**
+ * 임시 ID인지 확인
+ * @param {string} id - 할일 ID
+ * @returns {boolean}
+ */
+export function isTempId(id) {
+  return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+}
+
+/**
+ * 저장된 큐 조회
+ * @returns {QueuedMutation[]}
+ */
+export function getQueue() {
+  const queue = readJSON(scopedKey(QUEUE_KEY), []);
+  return Array.isArray(queue) ? queue : [];
+}
+
+function saveQueue(queue) {
+  writeJSON(scopedKey(QUEUE_KEY), queue);
+  return queue;
+}
+
+/**
+ * 큐에 요청 추가
+ * 아직 전송되지 않은 임시 할일에 대한 수정은 생성 요청에 합치고,
+ * 임시 할일 삭제는 관련 요청을 모두 지워 불필요한 왕복을 줄입니다.
+ * 아직 보내지 않은 삭제를 되살리면 두 요청을 함께 지웁니다
+ * @param {{ type: 'create'|'update'|'delete'|'restore', todoId: string, data?: Object }} mutation - 추가할 요청
+ * @returns {QueuedMutation[]} 갱신된 큐
+ */
+export function enqueueMutation(mutation) {
+  const queue = getQueue();
+  const pendingCreate = queue.find(
+    m => m.type === 'create' && m.todoId === mutation.todoId && m.id !== inFlightMutationId
+  );
+
+  if (pendingCreate && mutation.type === 'update') {
+    return saveQueue(queue.map(m =>
+      m === pendingCreate ? { ...m, data: { ...m.data, ...mutation.data } } : m
+    ));
+  }
+
+  if (pendingCreate && mutation.type === 'delete') {
+    return saveQueue(queue.filter(m => m.todoId !== mutation.todoId || m.id === inFlightMutationId));
+  }
+
+  const pendingDelete = queue.find(
+    m => m.type === 'delete' && m.todoId === mutation.todoId && m.id !== inFlightMutationId
+  );
+  if (pendingDelete && mutation.type === 'restore') {
+    return saveQueue(queue.filter(m => m !== pendingDelete));
+  }
+
+  return saveQueue([
+    ...queue,
+    { ...mutation, id: randomId(), queuedAt: new Date().toISOString() },
+  ]);
+}
+
+/**
+ * 서버(또는 캐시) 목록 위에 대기 중인 요청을 적용한 화면용 목록 계산
+ * @param {import('../api/todoApi').TodoItem[]} todos - 기준 목록
+ * @param {QueuedMutation[]} queue - 대기 중인 요청
+ * @returns {import('../api/todoApi').TodoItem[]} 요청이 반영된 목록
+ */
+export function applyQueueToTodos(todos, queue) {
+  return queue.reduce((result, mutation) => {
+    if (mutation.type === 'create') {
+      if (result.some(t => t._id === mutation.todoId)) {
+        return result;
+      }
+      return [{ ...mutation.data, _id: mutation.todoId, createdAt: mutation.queuedAt }, ...result];
+    }
+    if (mutation.type === 'update') {
+      return result.map(t => (t._id === mutation.todoId ? { ...t, ...mutation.data } : t));
+    }
+    if (mutation.type === 'restore') {
+      if (result.some(t => t._id === mutation.todoId)) {
+        return result;
+      }
+      return [{ ...mutation.data, _id: mutation.todoId, deletedAt: null }, ...result];
+    }
+    return result.filter(t => t._id !== mutation.todoId);
+  }, todos);
+}
+
+/**
+ * 대기 중인 요청을 순서대로 서버에 재전송
+ * 네트워크 오류나 인증 만료처럼 나중에 다시 보내면 되는 오류가 나면 남은 요청을 그대로 두고 멈추며,
+ * 서버가 거부한 요청은 큐에서 제거하고 실패 목록으로 돌려줍니다
+ * @param {Object} handlers - 실제 API 호출 함수
+ * @param {(data: Object) => Promise<import('../api/todoApi').TodoItem>} handlers.create
+ * @param {(id: string, data: Object) => Promise<import('../api/todoApi').TodoItem>} handlers.update
+ * @param {(id: string) => Promise<void>} handlers.delete
+ * @param {(id: string, todo: Object) => Promise<import('../api/todoApi').TodoItem>} handlers.restore - 되살린 할일 (다시 만든 경우 ID가 바뀔 수 있음)
+ * @param {(error: unknown) => boolean} handlers.isTransientError - 큐에 남겨두고 나중에 재시도할 오류인지 판별
+ * @returns {Promise<{ idMap: Record<string, string>, failed: Array<{ mutation: QueuedMutation, error: unknown }> }>}
+ */
+export function replayQueue(handlers) {
+  if (!replayPromise) {
+    replayPromise = runReplay(handlers).finally(() => {
+      replayPromise = null;
+      inFlightMutationId = null;
+    });
+  }
+  return replayPromise;
+}
+
+async function runReplay(handlers) {
+  const idMap = {};
+  const failed = [];
+
+  let mutation;
+  while ((mutation = getQueue()[0])) {
+    inFlightMutationId = mutation.id;
+    try {
+      if (mutation.type === 'create' || mutation.type === 'restore') {
+        const saved = mutation.type === 'create'
+          ? await handlers.create(mutation.data)
+          : await handlers.restore(mutation.todoId, mutation.data);
+        if (saved._id !== mutation.todoId) {
+          idMap[mutation.todoId] = saved._id;
+        }
+        // 뒤에 쌓인 요청들의 ID를 서버 ID로 교체 (임시 ID, 휴지통이 없어 다시 만든 할일)
+        saveQueue(getQueue()
+          .filter(m => m.id !== mutation.id)
+          .map(m => (m.todoId === mutation.todoId ? { ...m, todoId: saved._id } : m)));
+        continue;
+      }
+
+      if (mutation.type === 'update') {
+        await handlers.update(mutation.todoId, mutation.data);
+      } else {
+        await handlers.delete(mutation.todoId);
+      }
+      saveQueue(getQueue().filter(m => m.id !== mutation.id));
+    } catch (error) {
+      if (handlers.isTransientError(error)) {
+        break;
+      }
+      failed.push({ mutation, error });
+      // 생성이 거부되면 그 임시 할일에 대한 후속 요청도 보낼 수 없음
+      saveQueue(getQueue().filter(m =>
+        m.id !== mutation.id && !(mutation.type === 'create' && m.todoId === mutation.todoId)
+      ));
+    }
+  }
+
+  return { idMap, failed };
+}
+
+/**
+ * 현재 사용자의 대기열 삭제 (로그아웃 시)
+ */
+export function clearQueue() {
+  removeItem(scopedKey(QUEUE_KEY));
+}
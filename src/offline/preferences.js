@@ -0,0 +1,35 @@
+import { readJSON, writeJSON, scopedKey } from './storage';
+
+// 사용자별 화면 설정 (목록/달력/일정 보기, 달력 월/주 단위, 빠른 입력)
+// 로그인한 사용자마다 따로 기억합니다
+const PREFERENCES_KEY = 'vibe-todo:preferences';
+
+/**
+ * @typedef {Object} Preferences
+ * @property {'list'|'calendar'|'agenda'} viewMode - 할일 보기 방식
+ * @property {'month'|'week'} calendarMode - 달력 단위
+ * @property {boolean} quickAdd - 할일 추가를 한 줄 빠른 입력으로 할지 여부
+ */
+
+/** @type {Preferences} */
+const DEFAULT_PREFERENCES = {
+  viewMode: 'list',
+  calendarMode: 'month',
+  quickAdd: false,
+};
+
+/**
+ * 저장된 화면 설정 (없는 항목은 기본값)
+ * @returns {Preferences}
+ */
+export function loadPreferences() {
+  return { ...DEFAULT_PREFERENCES, ...readJSON(scopedKey(PREFERENCES_KEY), {}) };
+}
+
+/**
+ * 화면 설정 일부 저장
+ * @param {Partial<Preferences>} changes - 바꿀 항목
+ */
+export function savePreferences(changes) {
+  writeJSON(scopedKey(PREFERENCES_KEY), { ...loadPreferences(), ...changes });
+}
@@ -0,0 +1,123 @@
+// 서비스 워커 등록과 메시지 전달
+// 서비스 워커(public/sw.js)는 앱 셸과 할일 목록을 캐시해 오프라인에서도 앱을 열게 하고,
+// 연결이 돌아오면 대기열 전송을 요청하며, 앱이 백그라운드에 있을 때 마감 알림을 띄웁니다
+
+const SERVICE_WORKER_URL = '/sw.js';
+// public/sw.js의 SYNC_TAG와 같은 값
+const SYNC_TAG = 'vibe-todo:mutations';
+// 새 버전 확인 주기
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let registrationPromise = null;
+
+/**
+ * 서비스 워커 등록 (한 번만 등록하고 같은 결과를 재사용)
+ * @returns {Promise<ServiceWorkerRegistration|null>} 지원하지 않거나 등록에 실패하면 null
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .catch(error => {
+        console.error('서비스 워커 등록 실패:', error);
+        return null;
+      });
+  }
+  return registrationPromise;
+}
+
+/**
+ * 활성화된 서비스 워커에 메시지 보내기 (서비스 워커가 없으면 무시)
+ * @param {Object} message - 보낼 메시지 ({ type, ... })
+ */
+export async function postToServiceWorker(message) {
+  const registration = await registerServiceWorker();
+  registration?.active?.postMessage(message);
+}
+
+/**
+ * 서비스 워커가 보낸 메시지 구독
+ * @param {(message: Object, event: MessageEvent) => void} listener - 메시지 처리 (응답할 포트는 event.ports)
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeToServiceWorker(listener) {
+  if (!('serviceWorker' in navigator)) {
+    return () => {};
+  }
+  const handleMessage = (event) => listener(event.data ?? {}, event);
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
+
+/**
+ * 연결이 돌아오면 대기열을 보내도록 백그라운드 동기화 예약
+ * 지원하지 않는 브라우저는 페이지의 online 이벤트로만 전송합니다
+ */
+export async function requestBackgroundSync() {
+  const registration = await registerServiceWorker();
+  try {
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (error) {
+    // 권한이 없거나 막혀 있어도 online 이벤트로 보내므로 무시
+    console.warn('백그라운드 동기화 예약 실패:', error);
+  }
+}
+
+/**
+ * 로그아웃 - 서비스 워커에 캐시된 할일 목록 삭제
+ */
+export function clearApiCache() {
+  return postToServiceWorker({ type: 'CLEAR_API_CACHE' });
+}
+
+/**
+ * 새 버전의 서비스 워커가 설치되어 대기 중인지 구독
+ * 이미 앱을 제어하는 워커가 있을 때만 업데이트로 보며, 처음 설치는 알리지 않습니다
+ * @param {(waiting: ServiceWorker) => void} listener - 대기 중인 워커를 받음
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeToUpdates(listener) {
+  let isActive = true;
+  let intervalId = null;
+  const notifyWhenInstalled = (worker) => {
+    if (!worker || !navigator.serviceWorker.controller) {
+      return;
+    }
+    if (worker.state === 'installed') {
+      if (isActive) listener(worker);
+      return;
+    }
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed') notifyWhenInstalled(worker);
+    });
+  };
+  const handleUpdateFound = (event) => notifyWhenInstalled(event.target.installing);
+
+  registerServiceWorker().then(registration => {
+    if (!registration || !isActive) {
+      return;
+    }
+    notifyWhenInstalled(registration.waiting);
+    registration.addEventListener('updatefound', handleUpdateFound);
+    intervalId = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+  });
+
+  return () => {
+    isActive = false;
+    clearInterval(intervalId);
+    registrationPromise?.then(registration => registration?.removeEventListener('updatefound', handleUpdateFound));
+  };
+}
+
+/**
+ * 대기 중인 새 버전으로 바꾸고, 교체되면 페이지 새로고침
+ * @param {ServiceWorker} waiting - subscribeToUpdates로 받은 워커
+ */
+export function applyServiceWorkerUpdate(waiting) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,63 @@
+// localStorage 접근 헬퍼
+// 시크릿 모드나 저장 공간 부족으로 localStorage 접근이 실패해도 앱이 멈추지 않도록 감쌉니다
+
+/**
+ * localStorage에서 JSON 값 읽기
+ * @param {string} key - 저장 키
+ * @param {*} fallback - 값이 없거나 읽기 실패 시 반환할 기본값
+ * @returns {*} 파싱된 값 또는 기본값
+ */
+export function readJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`저장소 읽기 실패 (${key}):`, error);
+    return fallback;
+  }
+}
+
+/**
+ * localStorage에 JSON 값 저장
+ * @param {string} key - 저장 키
+ * @param {*} value - 저장할 값
+ */
+export function writeJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`저장소 쓰기 실패 (${key}):`, error);
+  }
+}
+
+/**
+ * localStorage 값 삭제
+ * @param {string} key - 저장 키
+ */
+export function removeItem(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`저장소 삭제 실패 (${key}):`, error);
+  }
+}
+
+// 사용자별 데이터 구분을 위한 저장 범위 (로그인한 사용자 ID)
+let storageScope = 'guest';
+
+/**
+ * 사용자별 저장 범위 설정 - 다른 사람이 같은 브라우저로 로그인해도 캐시와 대기열이 섞이지 않음
+ * @param {string|null} scope - 사용자 ID (로그아웃 상태면 null)
+ */
+export function setStorageScope(scope) {
+  storageScope = scope || 'guest';
+}
+
+/**
+ * 현재 사용자 범위가 적용된 저장 키
+ * @param {string} key - 기본 키
+ * @returns {string} 범위가 적용된 키
+ */
+export function scopedKey(key) {
+  return `${key}:${storageScope}`;
+}
@@ -0,0 +1,44 @@
+import { scopedKey } from './storage';
+
+// 같은 브라우저의 다른 탭과 할일 변경 주고받기 (BroadcastChannel)
+// 서버 변경 이벤트를 지원하지 않거나 오프라인이어도 탭끼리는 바로 맞춰지며, 보낸 탭 자신은 받지 않습니다
+const CHANNEL_KEY = 'vibe-todo:changes';
+
+/** @type {BroadcastChannel|null} */
+let channel = null;
+
+// 현재 사용자 범위의 채널 (다른 사용자로 로그인하면 새 채널)
+function getChannel() {
+  if (typeof BroadcastChannel === 'undefined') {
+    return null;
+  }
+  const name = scopedKey(CHANNEL_KEY);
+  if (channel?.name !== name) {
+    channel?.close();
+    channel = new BroadcastChannel(name);
+  }
+  return channel;
+}
+
+/**
+ * 다른 탭에 할일 변경 알리기
+ * @param {import('../api/todoApi').ChangeEvent} change - 변경 내용
+ */
+export function publishTabChange(change) {
+  getChannel()?.postMessage(change);
+}
+
+/**
+ * 다른 탭의 할일 변경 구독
+ * @param {(change: import('../api/todoApi').ChangeEvent) => void} listener - 변경 처리
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeTabChanges(listener) {
+  const current = getChannel();
+  if (!current) {
+    return () => {};
+  }
+  const handleMessage = (event) => listener(event.data ?? {});
+  current.addEventListener('message', handleMessage);
+  return () => current.removeEventListener('message', handleMessage);
+}
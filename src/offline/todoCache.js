@@ -0,0 +1,92 @@
+import { readJSON, writeJSON, removeItem, scopedKey } from './storage';
+
+// 마지막으로 서버에서 받은 할일 목록 캐시
+// 필터별로 따로 저장하지 않고 하나의 목록에 병합해 두었다가 읽을 때 필터를 적용합니다
+const CACHE_KEY = 'vibe-todo:todo-cache';
+
+/**
+ * 필터 조건에 맞는 할일만 남기기
+ * @param {import('../api/todoApi').TodoItem[]} todos - 할일 목록
+ * @param {'all'|'completed'|'pending'} filter - 필터
+ * @returns {import('../api/todoApi').TodoItem[]} 필터링된 목록
+ */
+export function filterTodos(todos, filter) {
+  if (filter === 'completed') {
+    return todos.filter(todo => todo.isCompleted);
+  }
+  if (filter === 'pending') {
+    return todos.filter(todo => !todo.isCompleted);
+  }
+  return todos;
+}
+
+/**
+ * 캐시된 할일 목록 조회
+ * @param {'all'|'completed'|'pending'} filter - 필터
+ * @returns {import('../api/todoApi').TodoItem[]|null} 캐시가 없으면 null
+ */
+export function loadCachedTodos(filter) {
+  const cache = readJSON(scopedKey(CACHE_KEY), null);
+  if (!cache || !Array.isArray(cache.todos)) {
+    return null;
+  }
+  return filterTodos(cache.todos, filter);
+}
+
+/**
+ * 서버에서 받은 목록을 캐시에 병합
+ * 해당 필터 범위에 속하던 기존 항목은 서버 응답으로 교체합니다 (서버에서 삭제된 항목 정리)
+ * 검색어 등으로 일부만 받은 응답(partial)은 빠진 항목을 삭제된 것으로 볼 수 없으므로 추가/교체만 합니다
+ * @param {'all'|'completed'|'pending'} filter - 조회에 사용한 필터
+ * @param {import('../api/todoApi').TodoItem[]} todos - 서버 응답
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - 범위의 일부만 받은 응답인지
+ */
+export function saveFetchedTodos(filter, todos, { partial = false } = {}) {
+  const cache = readJSON(scopedKey(CACHE_KEY), null);
+  const previous = cache && Array.isArray(cache.todos) ? cache.todos : [];
+  const fetchedIds = new Set(todos.map(todo => todo._id));
+  const outOfScope = partial
+    ? previous.filter(todo => !fetchedIds.has(todo._id))
+    : filter === 'all'
+      ? []
+      : previous.filter(todo => !filterTodos([todo], filter).length && !fetchedIds.has(todo._id));
+
+  writeJSON(scopedKey(CACHE_KEY), {
+    todos: [...todos, ...outOfScope],
+    savedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * 캐시의 할일 하나를 추가하거나 교체
+ * @param {import('../api/todoApi').TodoItem} todo - 서버가 돌려준 할일
+ */
+export function upsertCachedTodo(todo) {
+  const cache = readJSON(scopedKey(CACHE_KEY), null);
+  const previous = cache && Array.isArray(cache.todos) ? cache.todos : [];
+  const exists = previous.some(t => t._id === todo._id);
+  writeJSON(scopedKey(CACHE_KEY), {
+    ...cache,
+    todos: exists ? previous.map(t => (t._id === todo._id ? todo : t)) : [todo, ...previous],
+  });
+}
+
+/**
+ * 캐시에서 할일 제거
+ * @param {string} id - 할일 ID
+ */
+export function removeCachedTodo(id) {
+  const cache = readJSON(scopedKey(CACHE_KEY), null);
+  if (!cache || !Array.isArray(cache.todos)) {
+    return;
+  }
+  writeJSON(scopedKey(CACHE_KEY), { ...cache, todos: cache.todos.filter(t => t._id !== id) });
+}
+
+/**
+ * 현재 사용자의 캐시 삭제 (로그아웃 시)
+ */
+export function clearCachedTodos() {
+  removeItem(scopedKey(CACHE_KEY));
+}
@@ -0,0 +1,27 @@
+import { navigate } from './router';
+
+/**
+ * 페이지를 새로 불러오지 않고 이동하는 링크
+ * Ctrl/Cmd/Shift 클릭이나 가운데 버튼 클릭은 브라우저 기본 동작(새 탭 열기 등)을 그대로 사용합니다
+ * @param {Object} props
+ * @param {string} props.to - 이동할 경로
+ * @param {boolean} [props.replace] - 히스토리 교체 여부
+ */
+function Link({ to, replace = false, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
+
+export default Link;
@@ -0,0 +1,87 @@
+import { useMemo, useSyncExternalStore } from 'react';
+
+// History API 기반의 최소 라우터
+// 주소창(pathname + query)을 앱 상태의 기준으로 삼아 새로고침, 링크 공유, 뒤로/앞으로 가기가 동작하도록 합니다
+
+// pushState/replaceState는 popstate를 발생시키지 않으므로 앱 내부 이동을 알리는 이벤트
+const NAVIGATE_EVENT = 'vibe-todo:navigate';
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+function getHref() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+/**
+ * 앱 내부 주소로 이동
+ * @param {string} to - 이동할 경로 (예: '/todos/abc', '/?filter=pending')
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - 히스토리를 쌓지 않고 현재 항목 교체 (검색어 입력 등)
+ */
+export function navigate(to, { replace = false } = {}) {
+  if (to === getHref()) {
+    return;
+  }
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * 현재 주소 구독 훅
+ * @returns {{ pathname: string, searchParams: URLSearchParams }}
+ */
+export function useLocation() {
+  const href = useSyncExternalStore(subscribe, getHref);
+  return useMemo(() => {
+    const url = new URL(href, window.location.origin);
+    return { pathname: url.pathname, searchParams: url.searchParams };
+  }, [href]);
+}
+
+/**
+ * 경로 패턴 매칭 (예: '/todos/:id')
+ * @param {string} pattern - ':이름' 형식의 파라미터를 포함한 패턴
+ * @param {string} pathname - 현재 경로
+ * @returns {Record<string, string>|null} 매칭되면 파라미터 객체, 아니면 null
+ */
+export function matchPath(pattern, pathname) {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * 쿼리 파라미터로 주소 만들기 (빈 값과 기본값은 생략)
+ * @param {string} pathname - 경로
+ * @param {Record<string, string|undefined>} params - 쿼리 파라미터
+ * @returns {string} 주소
+ */
+export function buildUrl(pathname, params = {}) {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) {
+      searchParams.set(key, value);
+    }
+  });
+  const query = searchParams.toString();
+  return query ? `${pathname}?${query}` : pathname;
+}
@@ -0,0 +1,183 @@
+// 달력/일정 보기 도우미
+// 주는 월요일부터 시작하고, 날짜는 모두 로컬 달력 기준으로 계산합니다
+
+import { toDateTimeLocalValue } from './date';
+import { formatDateTime, formatDateRange } from '../i18n/format';
+
+// 마감일이 없던 할일을 달력에 놓았을 때의 시각
+const DEFAULT_DUE_HOUR = 9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 달력 단위 선택지
+export const CALENDAR_MODES = [
+  { value: 'month', labelKey: 'calendar.modes.month' },
+  { value: 'week', labelKey: 'calendar.modes.week' },
+];
+
+// 일정 보기 묶음 (표시 순서대로)
+export const AGENDA_GROUPS = [
+  { key: 'past', labelKey: 'calendar.groups.past' },
+  { key: 'today', labelKey: 'calendar.groups.today' },
+  { key: 'tomorrow', labelKey: 'calendar.groups.tomorrow' },
+  { key: 'this-week', labelKey: 'calendar.groups.thisWeek' },
+  { key: 'later', labelKey: 'calendar.groups.later' },
+  { key: 'no-due', labelKey: 'calendar.groups.noDue' },
+];
+
+/**
+ * 그날 자정
+ * @param {Date|string} value - 날짜
+ * @returns {Date}
+ */
+export function startOfDay(value) {
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * 날짜 더하기 (시각 유지)
+ * @param {Date} date - 기준 날짜
+ * @param {number} days - 더할 날 수 (음수면 이전)
+ * @returns {Date}
+ */
+export function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * 그 주의 월요일 자정
+ * @param {Date} date - 날짜
+ * @returns {Date}
+ */
+export function startOfWeek(date) {
+  const start = startOfDay(date);
+  return addDays(start, -((start.getDay() + 6) % 7));
+}
+
+/**
+ * 날짜 키 (로컬 기준 YYYY-MM-DD)
+ * @param {Date|string} value - 날짜
+ * @returns {string}
+ */
+export function toDateKey(value) {
+  return toDateTimeLocalValue(value).slice(0, 10);
+}
+
+/**
+ * 달력에 표시할 날짜 (월: 그달을 덮는 주 전체, 주: 그 주 7일)
+ * @param {Date} anchor - 기준 날짜
+ * @param {'month'|'week'} mode - 달력 단위
+ * @returns {Date[]} 7의 배수 개의 날짜 (월요일부터)
+ */
+export function getCalendarDays(anchor, mode) {
+  if (mode === 'week') {
+    const start = startOfWeek(anchor);
+    return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+  }
+  const firstDay = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const lastDay = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const start = startOfWeek(firstDay);
+  // 서머타임으로 하루가 23/25시간인 날이 있어도 날 수가 맞도록 반올림
+  const weeks = Math.ceil((Math.round((lastDay - start) / DAY_MS) + 1) / 7);
+  return Array.from({ length: weeks * 7 }, (_, index) => addDays(start, index));
+}
+
+/**
+ * 이전/다음 달(주)로 이동한 기준 날짜
+ * @param {Date} anchor - 기준 날짜
+ * @param {'month'|'week'} mode - 달력 단위
+ * @param {number} amount - 이동할 달(주) 수
+ * @returns {Date}
+ */
+export function shiftAnchor(anchor, mode, amount) {
+  if (mode === 'week') {
+    return addDays(anchor, amount * 7);
+  }
+  // 31일에서 한 달을 옮겨도 달을 건너뛰지 않도록 1일 기준
+  return new Date(anchor.getFullYear(), anchor.getMonth() + amount, 1);
+}
+
+/**
+ * 달력 제목
+ * @param {Date} anchor - 기준 날짜
+ * @param {'month'|'week'} mode - 달력 단위
+ * @returns {string} 예: 2025년 10월, 10월 13일~19일 (언어에 맞춰 표시)
+ */
+export function formatCalendarTitle(anchor, mode) {
+  if (mode === 'week') {
+    const start = startOfWeek(anchor);
+    return formatDateRange(start, addDays(start, 6), { month: 'long', day: 'numeric' });
+  }
+  return formatDateTime(anchor, { year: 'numeric', month: 'long' });
+}
+
+/**
+ * 마감일별로 묶기 (마감일 없는 할일 제외, 하루 안에서는 시각 순)
+ * @param {import('../api/todoApi').TodoItem[]} todos - 할일 목록
+ * @returns {Map<string, import('../api/todoApi').TodoItem[]>} 날짜 키 → 할일
+ */
+export function groupByDueDay(todos) {
+  const groups = new Map();
+  todos
+    .filter(todo => todo.dueDate)
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    .forEach(todo => {
+      const key = toDateKey(todo.dueDate);
+      groups.set(key, [...(groups.get(key) ?? []), todo]);
+    });
+  return groups;
+}
+
+/**
+ * 다른 날로 옮긴 마감일 (시각은 유지, 마감일이 없었으면 오전 9시)
+ * @param {string|null} dueDate - 지금 마감일
+ * @param {Date} day - 옮길 날
+ * @returns {string} ISO 문자열
+ */
+export function moveDueDateToDay(dueDate, day) {
+  const time = dueDate ? new Date(dueDate) : null;
+  return new Date(
+    day.getFullYear(),
+    day.getMonth(),
+    day.getDate(),
+    time ? time.getHours() : DEFAULT_DUE_HOUR,
+    time ? time.getMinutes() : 0
+  ).toISOString();
+}
+
+// 일정 보기에서 속할 묶음
+function getAgendaGroupKey(todo, now) {
+  if (!todo.dueDate) {
+    return 'no-due';
+  }
+  const today = startOfDay(now);
+  const day = startOfDay(todo.dueDate);
+  const days = Math.round((day - today) / DAY_MS);
+  if (days < 0) return 'past';
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (day < addDays(startOfWeek(now), 7)) return 'this-week';
+  return 'later';
+}
+
+/**
+ * 일정 보기 묶음 (빈 묶음 제외, 마감일이 있는 묶음은 마감 시각 순)
+ * @param {import('../api/todoApi').TodoItem[]} todos - 할일 목록 (기한 없음 묶음은 이 순서 유지)
+ * @param {Date} [now] - 기준 시각
+ * @returns {Array<{ key: string, labelKey: string, todos: import('../api/todoApi').TodoItem[] }>}
+ */
+export function groupForAgenda(todos, now = new Date()) {
+  const groups = new Map(AGENDA_GROUPS.map(group => [group.key, []]));
+  todos.forEach(todo => groups.get(getAgendaGroupKey(todo, now)).push(todo));
+  return AGENDA_GROUPS
+    .map(group => ({
+      ...group,
+      todos: group.key === 'no-due'
+        ? groups.get(group.key)
+        : [...groups.get(group.key)].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)),
+    }))
+    .filter(group => group.todos.length > 0);
+}
@@ -0,0 +1,92 @@
+// CSV 읽기/쓰기 (RFC 4180 - 쉼표 구분, 큰따옴표로 감싼 값 안의 쉼표·줄바꿈·"" 허용)
+
+/**
+ * CSV 문자열을 행 배열로 변환 (빈 줄은 건너뜀)
+ * @param {string} text - CSV 내용 (BOM 허용)
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let isQuoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (isQuoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n은 한 번만 줄바꿈으로 처리
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+// 스프레드시트가 수식으로 실행하는 첫 글자 (CSV 수식 주입)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 수식으로 읽힐 수 있는 값 앞에 작은따옴표를 붙임 (스프레드시트는 글자 그대로 표시)
+ * @param {string} text - 값
+ * @returns {string}
+ */
+function escapeCsvFormula(text) {
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * escapeCsvFormula로 붙인 작은따옴표를 뗌 (내보낸 파일을 다시 가져올 때)
+ * @param {string} text - 값
+ * @returns {string}
+ */
+export function unescapeCsvFormula(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// 쉼표·따옴표·줄바꿈이 있는 값만 큰따옴표로 감쌈 (문자열은 수식으로 읽히지 않게 먼저 처리)
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const safeText = typeof value === 'string' ? escapeCsvFormula(text) : text;
+  return /[",\r\n]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+}
+
+/**
+ * 행 배열을 CSV 문자열로 변환
+ * 문자열 값이 =, +, -, @ 등으로 시작하면 앞에 '를 붙임 (숫자는 그대로)
+ * @param {Array<Array<string|number|boolean|null|undefined>>} rows - 행 (첫 행은 보통 머리글)
+ * @returns {string} 줄 끝은 \r\n
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n');
+}
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv, unescapeCsvFormula } from './csv.js';
+
+describe('toCsv', () => {
+  it('쉼표·따옴표·줄바꿈이 있는 값만 큰따옴표로 감쌈', () => {
+    assert.equal(toCsv([['a', 'b,c', 'say "hi"', 'line\nbreak']]), 'a,"b,c","say ""hi""","line\nbreak"');
+  });
+
+  it('수식으로 읽힐 수 있는 문자열 앞에 작은따옴표를 붙임', () => {
+    assert.equal(
+      toCsv([['=HYPERLINK("http://x")', '+1', '-5kg', '@SUM(A1)', '\tTab', 'plain']]),
+      `"'=HYPERLINK(""http://x"")",'+1,'-5kg,'@SUM(A1),'\tTab,plain`
+    );
+  });
+
+  it('숫자와 빈 값은 그대로', () => {
+    assert.equal(toCsv([[-5, null, undefined, true]]), '-5,,,true');
+  });
+});
+
+describe('parseCsv', () => {
+  it('BOM, 따옴표 안의 쉼표·줄바꿈, \\r\\n 줄 끝', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,"b,c"\r\n"x\ny",""""\r\n\r\n'), [['a', 'b,c'], ['x\ny', '"']]);
+  });
+
+  it('내보낸 값을 다시 읽으면 원래 값', () => {
+    const values = ['=1+1', '-5kg 감량', 'plain', "'quoted"];
+    const [row] = parseCsv(toCsv([values]));
+    assert.deepEqual(row.map(unescapeCsvFormula), values);
+  });
+});
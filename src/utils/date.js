@@ -0,0 +1,36 @@
+// 날짜 표시/입력 변환 헬퍼
+
+import { formatDateTime } from '../i18n/format.js';
+
+/**
+ * 날짜와 시간 포맷팅 (현재 언어 기준)
+ * @param {Date|string} [dateString] - 날짜
+ * @returns {string} 예: 2025년 10월 1일 오후 03:00, October 1, 2025 at 03:00 PM (값이 없으면 빈 문자열)
+ */
+export function formatDate(dateString) {
+  if (!dateString) return '';
+  return formatDateTime(dateString, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * 날짜를 datetime-local 입력 필드 형식(YYYY-MM-DDTHH:mm)으로 변환
+ * @param {Date|string} [value] - 날짜
+ * @returns {string} 로컬 시간 기준 문자열 (값이 없으면 빈 문자열)
+ */
+export function toDateTimeLocalValue(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  // 로컬 시간으로 변환하여 datetime-local 형식으로 맞춤
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+}
@@ -0,0 +1,76 @@
+// 퍼지 검색 - 검색어 글자가 순서대로 들어 있으면 일치로 보고 점수를 매김
+// 연속으로 맞거나 단어 첫 글자에서 맞을수록 점수가 높습니다 (예: "보제" → "보고서 제출")
+
+const MATCH_SCORE = 1;
+const CONSECUTIVE_BONUS = 5;
+const WORD_START_BONUS = 3;
+const TEXT_START_BONUS = 8;
+// 맞은 글자 사이에 건너뛴 글자 하나당 감점 (최대 GAP_PENALTY_LIMIT)
+const GAP_PENALTY = 0.2;
+const GAP_PENALTY_LIMIT = 3;
+
+/**
+ * @typedef {Object} FuzzyMatch
+ * @property {number} score - 점수 (높을수록 잘 맞음)
+ * @property {number[]} indices - 맞은 글자의 위치 (강조 표시용)
+ */
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-_/#.([]/.test(text[index - 1]);
+}
+
+/**
+ * 검색어와 문자열 비교 (대소문자와 검색어의 공백은 무시)
+ * @param {string} query - 검색어
+ * @param {string} text - 대상 문자열
+ * @returns {FuzzyMatch|null} 글자가 순서대로 없으면 null
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) {
+    return { score: 0, indices: [] };
+  }
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) {
+      return null;
+    }
+    score += MATCH_SCORE;
+    if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+      score += CONSECUTIVE_BONUS;
+    } else if (indices.length > 0) {
+      score -= Math.min((index - from) * GAP_PENALTY, GAP_PENALTY_LIMIT);
+    }
+    if (index === 0) {
+      score += TEXT_START_BONUS;
+    } else if (isWordStart(text, index)) {
+      score += WORD_START_BONUS;
+    }
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score, indices };
+}
+
+/**
+ * 목록에서 검색어에 맞는 항목을 점수 순으로
+ * 검색어가 비어 있으면 원래 순서대로 모두 돌려줍니다
+ * @template T
+ * @param {T[]} items - 항목
+ * @param {string} query - 검색어
+ * @param {(item: T) => string} getText - 비교할 문자열
+ * @returns {Array<{ item: T } & FuzzyMatch>}
+ */
+export function fuzzySearch(items, query, getText) {
+  return items
+    .map(item => ({ item, match: fuzzyMatch(query, getText(item)) }))
+    .filter(({ match }) => match)
+    .map(({ item, match }) => ({ item, ...match }))
+    // 점수가 같으면 원래 순서 유지 (Array.prototype.sort는 안정 정렬)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,55 @@
+// 할일 목록(프로젝트) 도우미
+// 목록에 속하지 않은 할일(listId 없음)은 "받은 할일함"으로 보여줍니다
+
+// 주소와 선택 상자에서 받은 할일함을 가리키는 값
+export const INBOX_LIST_ID = 'inbox';
+
+/**
+ * @typedef {Object} TodoList
+ * @property {string} _id - 목록 ID
+ * @property {string} name - 이름
+ * @property {number} position - 표시 순서 (작을수록 위)
+ * @property {boolean} isArchived - 보관 여부
+ * @property {number} [todoCount] - 서버가 알려준 할일 개수
+ * @property {number} [pendingCount] - 서버가 알려준 미완료 할일 개수
+ */
+
+/**
+ * 할일이 목록 조건에 맞는지 확인
+ * @param {{ listId?: string|null }} todo - 할일
+ * @param {string} list - 목록 ID, INBOX_LIST_ID, 또는 빈 값(전체)
+ * @returns {boolean}
+ */
+export function matchesList(todo, list) {
+  if (!list) {
+    return true;
+  }
+  return list === INBOX_LIST_ID ? !todo.listId : todo.listId === list;
+}
+
+/**
+ * 표시 순서대로 정렬 (순서가 같으면 이름 순)
+ * @param {TodoList[]} lists - 목록들
+ * @returns {TodoList[]}
+ */
+export function sortLists(lists) {
+  return [...lists].sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || a.name.localeCompare(b.name, 'ko'));
+}
+
+/**
+ * 불러온 할일로 목록별 개수 계산 (서버가 개수를 알려주지 않을 때 사용)
+ * @param {Array<{ listId?: string|null, isCompleted?: boolean }>} todos - 할일 목록
+ * @returns {Record<string, { total: number, pending: number }>} 목록 ID(받은 할일함은 INBOX_LIST_ID) → 개수
+ */
+export function countTodosByList(todos) {
+  return todos.reduce((counts, todo) => {
+    const key = todo.listId || INBOX_LIST_ID;
+    const entry = counts[key] || { total: 0, pending: 0 };
+    entry.total += 1;
+    if (!todo.isCompleted) {
+      entry.pending += 1;
+    }
+    counts[key] = entry;
+    return counts;
+  }, {});
+}
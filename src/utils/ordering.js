@@ -0,0 +1,101 @@
+// 직접 정한 순서(position) 도우미
+// 순서 값은 작을수록 위에 오는 실수입니다. 항목을 옮기면 새 이웃 두 항목의 중간 값만 주면 되므로
+// 옮긴 항목 하나만 저장하고 나머지 항목의 순서 값은 그대로 둡니다
+
+// 맨 위/맨 아래에 놓을 때 이웃과 벌려 둘 간격
+export const POSITION_STEP = 1024;
+
+/**
+ * 할일의 순서 값
+ * 순서 값이 없는 예전 할일은 생성 시각으로 대신해 최근 항목이 위에 오도록 함
+ * @param {{ position?: number, createdAt?: string }} todo - 할일
+ * @returns {number}
+ */
+export function getPosition(todo) {
+  if (Number.isFinite(todo.position)) {
+    return todo.position;
+  }
+  const createdAt = Date.parse(todo.createdAt);
+  return Number.isNaN(createdAt) ? 0 : -createdAt / 1000;
+}
+
+/**
+ * 직접 정한 순서 비교 (순서 값이 같으면 최근 생성 순)
+ * @param {{ position?: number, createdAt?: string }} a
+ * @param {{ position?: number, createdAt?: string }} b
+ * @returns {number}
+ */
+export function compareByPosition(a, b) {
+  return getPosition(a) - getPosition(b) || String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+/**
+ * 두 순서 값 사이의 값
+ * @param {number|null} before - 바로 위 항목의 순서 값 (맨 위면 null)
+ * @param {number|null} after - 바로 아래 항목의 순서 값 (맨 아래면 null)
+ * @returns {number|null} 사이에 들어갈 자리가 없으면(값이 같거나 실수 정밀도를 다 쓴 경우) null
+ */
+export function getPositionBetween(before, after) {
+  if (before === null && after === null) {
+    return 0;
+  }
+  if (before === null) {
+    return after - POSITION_STEP;
+  }
+  if (after === null) {
+    return before + POSITION_STEP;
+  }
+  const middle = (before + after) / 2;
+  return middle > before && middle < after ? middle : null;
+}
+
+/**
+ * 목록 맨 위에 놓일 순서 값 (새 할일)
+ * @param {Array<{ position?: number, createdAt?: string }>} todos - 할일 목록
+ * @returns {number}
+ */
+export function getTopPosition(todos) {
+  if (todos.length === 0) {
+    return 0;
+  }
+  return getPositionBetween(null, Math.min(...todos.map(getPosition)));
+}
+
+/**
+ * 항목을 목록의 다른 자리로 옮길 때의 새 순서 값
+ * @param {Array<{ _id: string, position?: number, createdAt?: string }>} todos - 현재 보이는 순서대로의 목록
+ * @param {string} todoId - 옮길 항목
+ * @param {number} toIndex - 옮긴 뒤의 위치 (옮길 항목을 뺀 목록 기준)
+ * @returns {number|null} 자리가 없으면 null
+ */
+export function getMovedPosition(todos, todoId, toIndex) {
+  const others = todos.filter(todo => todo._id !== todoId);
+  const before = others[toIndex - 1];
+  const after = others[toIndex];
+  return getPositionBetween(before ? getPosition(before) : null, after ? getPosition(after) : null);
+}
+
+/**
+ * 다른 항목 바로 아래로 옮길 때의 새 순서 값 (필터나 페이지와 상관없는 전체 목록 기준)
+ * @param {Array<{ _id: string, position?: number, createdAt?: string }>} todos - 전체 할일 (순서 무관)
+ * @param {string} todoId - 옮길 항목
+ * @param {string|null} afterId - 바로 위에 올 항목 (맨 위면 null)
+ * @returns {number|null} 자리가 없으면 null
+ */
+export function getPositionAfter(todos, todoId, afterId) {
+  const ordered = [...todos].sort(compareByPosition);
+  const toIndex = afterId === null
+    ? 0
+    : ordered.filter(todo => todo._id !== todoId).findIndex(todo => todo._id === afterId) + 1;
+  return getMovedPosition(ordered, todoId, toIndex);
+}
+
+/**
+ * 순서 값을 맨 위 항목부터 일정한 간격으로 다시 매김 (사이에 자리가 없을 때만 사용)
+ * @param {Array<{ _id: string, position?: number, createdAt?: string }>} todos - 원하는 순서대로의 목록
+ * @returns {Map<string, number>} 할일 ID → 새 순서 값
+ */
+export function spreadPositions(todos) {
+  const start = todos.length > 0 ? Math.min(...todos.map(getPosition)) : 0;
+  return new Map(todos.map((todo, index) => [todo._id, start + index * POSITION_STEP]));
+}
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPositionAfter } from './ordering.js';
+
+const todo = (id, position) => ({ _id: id, position, createdAt: '2026-01-01T00:00:00.000Z' });
+
+describe('getPositionAfter - 전체 목록 기준으로 옮길 자리', () => {
+  // 순서와 상관없이 넘겨도 순서 값으로 정렬해서 이웃을 찾음
+  const todos = [todo('c', 2048), todo('a', 0), todo('d', 3072), todo('b', 1024)];
+
+  it('afterId가 null이면 맨 위', () => {
+    assert.equal(getPositionAfter(todos, 'c', null), -1024);
+  });
+
+  it('바로 위 항목과 그다음 항목 사이', () => {
+    assert.equal(getPositionAfter(todos, 'd', 'a'), 512);
+    assert.equal(getPositionAfter(todos, 'a', 'c'), 2560);
+  });
+
+  it('맨 아래 항목 뒤', () => {
+    assert.equal(getPositionAfter(todos, 'a', 'd'), 3072 + 1024);
+  });
+
+  it('옮길 항목 자신은 이웃으로 보지 않음', () => {
+    assert.equal(getPositionAfter(todos, 'b', 'a'), 1024);
+  });
+
+  it('사이에 자리가 없으면 null', () => {
+    assert.equal(getPositionAfter([todo('a', 0), todo('b', 0), todo('c', 1)], 'c', 'a'), null);
+  });
+});
@@ -0,0 +1,305 @@
+// 빠른 입력 해석 - 한 줄 입력에서 제목, 마감일, 태그, 우선순위를 찾아냄
+// 예: "내일 오후 3시 보고서 제출 #업무 !높음", "call mom tomorrow 3pm #family !high"
+// 찾아낸 부분은 제목에서 빼고, 날짜는 로컬 시간 기준으로 계산합니다
+
+// 화면 밖(Node)에서도 단독으로 불러올 수 있도록 확장자까지 적음
+import { PRIORITIES, normalizeTags } from './tags.js';
+import { translationsOf } from '../i18n/i18n.js';
+
+// 날짜만 있고 시각이 없을 때의 마감 시각
+const DEFAULT_DUE_HOUR = 9;
+// "tonight"의 기본 시각
+const TONIGHT_HOUR = 20;
+
+// 앞뒤가 단어 경계(공백, 문장 부호, 입력 시작/끝)인 부분만 찾음 (한글에는 \b가 동작하지 않음)
+const START = '(?<=^|[\\s,(])';
+// (느낌표는 우선순위 표기(!!!)의 일부일 수 있어 경계로 보지 않음)
+const END = '(?=$|[\\s,.?)])';
+// 한국어 날짜/시각 뒤에 붙는 조사 ("내일까지", "3시에")
+const KO_PARTICLE = '(?:까지|에|부터)?';
+// 영어 날짜/시각 앞에 붙는 전치사 ("by friday", "at 3pm")
+const EN_PREPOSITION = '(?:(?:by|on|at|due|until)\\s+)?';
+
+const KO_WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+const EN_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const EN_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 우선순위 표기 (!높음, !high, !!!)
+const PRIORITY_ALIASES = {
+  low: 'low',
+  medium: 'medium',
+  normal: 'medium',
+  high: 'high',
+  urgent: 'urgent',
+  '!': 'high',
+  '!!': 'urgent',
+  ...Object.fromEntries(PRIORITIES.flatMap(option => (
+    translationsOf(option.labelKey).map(label => [label.toLowerCase(), option.value])
+  ))),
+};
+
+/**
+ * 빠른 입력 해석 결과
+ * @typedef {Object} QuickAddResult
+ * @property {string} title - 찾아낸 부분을 뺀 제목
+ * @property {Date|null} dueDate - 마감일 (없으면 null)
+ * @property {boolean} hasTime - 시각까지 입력했는지 (아니면 기본 시각 사용)
+ * @property {string[]} tags - 태그
+ * @property {string|null} priority - 우선순위 (없으면 null)
+ * @property {Array<{ type: 'date'|'time'|'tag'|'priority', text: string }>} matches - 찾아낸 원문 (입력 순서대로)
+ */
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// 이번 주(월요일 시작)의 그 요일
+function weekdayOfWeek(today, weekday, weekOffset) {
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  return addDays(monday, ((weekday + 6) % 7) + weekOffset * 7);
+}
+
+// 오늘이거나 앞으로 가장 가까운 그 요일
+function upcomingWeekday(today, weekday) {
+  return addDays(today, (weekday - today.getDay() + 7) % 7);
+}
+
+// 연도 없이 쓴 월/일이 이미 지났으면 내년
+function monthDay(today, month, day, year = null) {
+  const date = new Date(year ?? today.getFullYear(), month - 1, day);
+  if (date.getMonth() !== month - 1) {
+    return null;
+  }
+  return year === null && date < today ? new Date(today.getFullYear() + 1, month - 1, day) : date;
+}
+
+function addMonths(date, months) {
+  const next = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  // 1월 31일 + 1개월처럼 없는 날이면 그달 마지막 날
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(date.getDate(), lastDay));
+  return next;
+}
+
+function addByUnit(today, amount, unit) {
+  if (/^(주|week)/.test(unit)) return addDays(today, amount * 7);
+  if (/^(개월|달|month)/.test(unit)) return addMonths(today, amount);
+  return addDays(today, amount);
+}
+
+/**
+ * 오전/오후 표기를 반영한 24시간 시각
+ * 오전/오후 없이 1~7시라고 쓰면 대개 오후이므로 오후로 봅니다
+ * @param {number} hour - 입력한 시
+ * @param {'am'|'pm'|null} meridiem - 오전/오후
+ * @returns {number|null} 잘못된 시각이면 null
+ */
+function toHour24(hour, meridiem) {
+  if (hour > 24 || (meridiem && hour > 12)) {
+    return null;
+  }
+  if (meridiem === 'pm') return hour < 12 ? hour + 12 : hour;
+  if (meridiem === 'am') return hour === 12 ? 0 : hour;
+  if (hour >= 1 && hour <= 7) return hour + 12;
+  return hour % 24;
+}
+
+function toMeridiem(text) {
+  if (!text) return null;
+  return /^(오후|저녁|밤|낮|p)/i.test(text) ? 'pm' : 'am';
+}
+
+// 날짜 규칙 - 먼저 맞는 하나만 사용, 처리 함수는 그날 0시(와 필요하면 시각)를 돌려줌
+const DATE_RULES = [
+  {
+    pattern: `(오늘|내일|모레|글피)${KO_PARTICLE}`,
+    resolve: (m, today) => ({ date: addDays(today, ['오늘', '내일', '모레', '글피'].indexOf(m[1])) }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(the day after tomorrow|day after tomorrow|today|tonight|tomorrow|tmrw?)`,
+    resolve: (m, today) => {
+      const word = m[1].toLowerCase();
+      if (word.endsWith('after tomorrow')) return { date: addDays(today, 2) };
+      if (word === 'tonight') return { date: today, time: { hour: TONIGHT_HOUR, minute: 0 } };
+      return { date: addDays(today, word === 'today' ? 0 : 1) };
+    },
+  },
+  {
+    pattern: `(\\d+)\\s*(일|주|개월|달)\\s*(?:후|뒤)${KO_PARTICLE}`,
+    resolve: (m, today) => ({ date: addByUnit(today, Number(m[1]), m[2]) }),
+  },
+  {
+    pattern: '(?:in\\s+)(\\d+)\\s*(days?|weeks?|months?)',
+    resolve: (m, today) => ({ date: addByUnit(today, Number(m[1]), m[2].toLowerCase()) }),
+  },
+  {
+    pattern: `(?:(이번|다음|담|차)\\s*주\\s*)?([${KO_WEEKDAYS.join('')}])요일${KO_PARTICLE}`,
+    resolve: (m, today) => {
+      const weekday = KO_WEEKDAYS.indexOf(m[2]);
+      if (!m[1]) return { date: upcomingWeekday(today, weekday) };
+      return { date: weekdayOfWeek(today, weekday, m[1] === '이번' ? 0 : 1) };
+    },
+  },
+  {
+    pattern: `${EN_PREPOSITION}(?:(this|next)\\s+)?(${EN_WEEKDAYS.join('|')})`,
+    resolve: (m, today) => {
+      const weekday = EN_WEEKDAYS.indexOf(m[2].toLowerCase());
+      if (!m[1]) return { date: upcomingWeekday(today, weekday) };
+      return { date: weekdayOfWeek(today, weekday, m[1].toLowerCase() === 'this' ? 0 : 1) };
+    },
+  },
+  {
+    pattern: `(?:이번\\s*)?주말${KO_PARTICLE}|(?:this\\s+)?weekend`,
+    resolve: (m, today) => ({ date: weekdayOfWeek(today, 6, 0) }),
+  },
+  {
+    pattern: `(?:다음|담|차)\\s*주${KO_PARTICLE}|next\\s+week`,
+    resolve: (m, today) => ({ date: weekdayOfWeek(today, 1, 1) }),
+  },
+  {
+    pattern: `(?:(\\d{4})년\\s*)?(\\d{1,2})월\\s*(\\d{1,2})일${KO_PARTICLE}`,
+    resolve: (m, today) => ({ date: monthDay(today, Number(m[2]), Number(m[3]), m[1] ? Number(m[1]) : null) }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(${EN_MONTHS.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?`,
+    resolve: (m, today) => ({ date: monthDay(today, EN_MONTHS.indexOf(m[1].toLowerCase()) + 1, Number(m[2])) }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${EN_MONTHS.join('|')})[a-z]*\\.?`,
+    resolve: (m, today) => ({ date: monthDay(today, EN_MONTHS.indexOf(m[2].toLowerCase()) + 1, Number(m[1])) }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(\\d{1,2})/(\\d{1,2})${KO_PARTICLE}`,
+    resolve: (m, today) => ({ date: monthDay(today, Number(m[1]), Number(m[2])) }),
+  },
+];
+
+// 시각 규칙 - 먼저 맞는 하나만 사용
+const TIME_RULES = [
+  {
+    pattern: `(오전|오후|아침|낮|저녁|밤|새벽)?\\s*(\\d{1,2})시(?:\\s*(\\d{1,2})분|\\s*(반))?${KO_PARTICLE}`,
+    resolve: (m) => ({ hour: toHour24(Number(m[2]), toMeridiem(m[1])), minute: m[4] ? 30 : Number(m[3] || 0) }),
+  },
+  {
+    pattern: `정오${KO_PARTICLE}|${EN_PREPOSITION}noon`,
+    resolve: () => ({ hour: 12, minute: 0 }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)`,
+    resolve: (m) => ({ hour: toHour24(Number(m[1]), toMeridiem(m[3])), minute: Number(m[2] || 0) }),
+  },
+  {
+    pattern: `${EN_PREPOSITION}(\\d{1,2}):(\\d{2})${KO_PARTICLE}`,
+    resolve: (m) => ({ hour: Number(m[1]) < 24 ? Number(m[1]) : null, minute: Number(m[2]) }),
+  },
+  {
+    pattern: 'at\\s+(\\d{1,2})',
+    resolve: (m) => ({ hour: toHour24(Number(m[1]), null), minute: 0 }),
+  },
+];
+
+const TAG_PATTERN = new RegExp(`${START}#([\\p{L}\\p{N}_/-]+)`, 'gu');
+// 긴 표기부터 시도 ("!!!"가 "!!"에서 끊겨 "!"가 제목에 남지 않도록)
+const PRIORITY_PATTERN = new RegExp(
+  `${START}!(${Object.keys(PRIORITY_ALIASES).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})${END}`,
+  'giu',
+);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compile(rules) {
+  return rules.map(rule => ({ ...rule, regex: new RegExp(`${START}(?:${rule.pattern})${END}`, 'iu') }));
+}
+
+const COMPILED_DATE_RULES = compile(DATE_RULES);
+const COMPILED_TIME_RULES = compile(TIME_RULES);
+
+/**
+ * 규칙 중 처음 맞는 것을 찾아 입력에서 지움
+ * @returns {{ value: Object, text: string, index: number }|null}
+ */
+function takeFirst(state, rules, isValid, resolveArgs) {
+  for (const rule of rules) {
+    const match = state.text.match(rule.regex);
+    if (!match) {
+      continue;
+    }
+    const value = rule.resolve(match, ...resolveArgs);
+    if (!isValid(value)) {
+      continue;
+    }
+    state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+    return { value, text: match[0].trim(), index: match.index };
+  }
+  return null;
+}
+
+/**
+ * 빠른 입력 한 줄 해석
+ * @param {string} input - 입력값
+ * @param {Date} [now] - 기준 시각 (상대 날짜 계산용)
+ * @returns {QuickAddResult}
+ * @example
+ * parseQuickAdd('내일 오후 3시 보고서 제출 #work !high')
+ * // → { title: '보고서 제출', dueDate: 내일 15:00, hasTime: true, tags: ['work'], priority: 'high', ... }
+ * parseQuickAdd('call mom tomorrow 3pm')
+ * // → { title: 'call mom', dueDate: 내일 15:00, ... }
+ */
+export function parseQuickAdd(input, now = new Date()) {
+  const today = startOfDay(now);
+  const state = { text: String(input ?? '') };
+  const matches = [];
+
+  const tags = [];
+  state.text = state.text.replace(TAG_PATTERN, (text, tag, index) => {
+    tags.push(tag);
+    matches.push({ type: 'tag', text, index });
+    return ' ';
+  });
+
+  let priority = null;
+  state.text = state.text.replace(PRIORITY_PATTERN, (text, alias, index) => {
+    priority = PRIORITY_ALIASES[alias.toLowerCase()] ?? PRIORITY_ALIASES[alias];
+    matches.push({ type: 'priority', text, index });
+    return ' ';
+  });
+
+  const dateMatch = takeFirst(state, COMPILED_DATE_RULES, value => value.date instanceof Date, [today]);
+  const timeMatch = takeFirst(state, COMPILED_TIME_RULES, value => value.hour !== null && value.minute < 60, []);
+  [[dateMatch, 'date'], [timeMatch, 'time']].forEach(([match, type]) => {
+    if (match) {
+      matches.push({ type, text: match.text, index: match.index });
+    }
+  });
+
+  const time = timeMatch?.value ?? dateMatch?.value.time ?? null;
+  let dueDate = null;
+  if (dateMatch) {
+    dueDate = new Date(dateMatch.value.date);
+    dueDate.setHours(time ? time.hour : DEFAULT_DUE_HOUR, time ? time.minute : 0, 0, 0);
+  } else if (time) {
+    // 시각만 쓰면 오늘, 이미 지났으면 내일
+    dueDate = new Date(today);
+    dueDate.setHours(time.hour, time.minute, 0, 0);
+    if (dueDate <= now) {
+      dueDate = addDays(dueDate, 1);
+    }
+  }
+
+  return {
+    title: state.text.replace(/\s+/g, ' ').trim(),
+    dueDate,
+    hasTime: Boolean(time),
+    tags: normalizeTags(tags),
+    priority,
+    matches: matches.sort((a, b) => a.index - b.index).map(({ type, text }) => ({ type, text })),
+  };
+}
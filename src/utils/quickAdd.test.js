@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from './quickAdd.js';
+
+// 기준 시각: 2026년 1월 14일 수요일 오전 10시 (로컬 시간)
+const NOW = new Date(2026, 0, 14, 10, 0);
+
+const parse = (input) => parseQuickAdd(input, NOW);
+const at = (month, day, hour = 9, minute = 0, year = 2026) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseQuickAdd - 한국어 날짜', () => {
+  it('오늘/내일/모레를 알아듣고 시각이 없으면 오전 9시로 정함', () => {
+    assert.deepEqual(parse('오늘 장보기').dueDate, at(1, 14));
+    assert.deepEqual(parse('내일 장보기').dueDate, at(1, 15));
+    const result = parse('모레까지 청소');
+    assert.equal(result.title, '청소');
+    assert.deepEqual(result.dueDate, at(1, 16));
+    assert.equal(result.hasTime, false);
+  });
+
+  it('N일/주/개월 후', () => {
+    assert.deepEqual(parse('3일 후 병원').dueDate, at(1, 17));
+    assert.deepEqual(parse('2주 뒤 발표').dueDate, at(1, 28));
+    assert.deepEqual(parse('1개월 후 점검').dueDate, at(2, 14));
+  });
+
+  it('요일과 이번 주/다음 주', () => {
+    assert.deepEqual(parse('금요일 회의').dueDate, at(1, 16));
+    assert.deepEqual(parse('이번 주 월요일 회고').dueDate, at(1, 12));
+    assert.deepEqual(parse('다음 주 금요일 회의').dueDate, at(1, 23));
+    assert.equal(parse('다음 주 금요일 회의').title, '회의');
+  });
+
+  it('월/일 - 이미 지난 날짜면 내년', () => {
+    assert.deepEqual(parse('3월 5일 세금 신고').dueDate, at(3, 5));
+    assert.deepEqual(parse('1월 2일 신년회').dueDate, at(1, 2, 9, 0, 2027));
+    assert.equal(parse('2월 30일 없는 날').dueDate, null);
+  });
+});
+
+describe('parseQuickAdd - 영어 날짜', () => {
+  it('today/tomorrow/tonight', () => {
+    const result = parse('call mom tomorrow');
+    assert.equal(result.title, 'call mom');
+    assert.deepEqual(result.dueDate, at(1, 15));
+    assert.deepEqual(parse('movie tonight').dueDate, at(1, 14, 20));
+    assert.deepEqual(parse('the day after tomorrow dentist').dueDate, at(1, 16));
+  });
+
+  it('in N days/weeks/months', () => {
+    assert.deepEqual(parse('in 2 weeks renew passport').dueDate, at(1, 28));
+    assert.deepEqual(parse('in 3 days water plants').dueDate, at(1, 17));
+  });
+
+  it('요일과 this/next', () => {
+    assert.deepEqual(parse('report by friday').dueDate, at(1, 16));
+    assert.deepEqual(parse('report by next friday').dueDate, at(1, 23));
+    assert.equal(parse('report by next friday').title, 'report');
+  });
+
+  it('월 이름과 숫자 날짜', () => {
+    assert.deepEqual(parse('pay rent on jan 31st').dueDate, at(1, 31));
+    assert.deepEqual(parse('party 5 March').dueDate, at(3, 5));
+    assert.deepEqual(parse('dentist 12/25').dueDate, at(12, 25));
+  });
+});
+
+describe('parseQuickAdd - 시각', () => {
+  it('한국어 오전/오후와 반', () => {
+    const result = parse('내일 오후 3시 보고서');
+    assert.deepEqual(result.dueDate, at(1, 15, 15));
+    assert.equal(result.hasTime, true);
+    assert.deepEqual(parse('내일 오전 10시 반 스탠드업').dueDate, at(1, 15, 10, 30));
+    assert.deepEqual(parse('내일 저녁 7시 20분 저녁 약속').dueDate, at(1, 15, 19, 20));
+  });
+
+  it('오전/오후 없이 1~7시는 오후로 봄', () => {
+    assert.deepEqual(parse('내일 3시 회의').dueDate, at(1, 15, 15));
+    assert.deepEqual(parse('내일 9시 회의').dueDate, at(1, 15, 9));
+  });
+
+  it('영어 am/pm, 24시간 표기, noon', () => {
+    assert.deepEqual(parse('call mom tomorrow 3pm').dueDate, at(1, 15, 15));
+    assert.deepEqual(parse('dentist 12/25 at 4:30pm').dueDate, at(12, 25, 16, 30));
+    assert.deepEqual(parse('tomorrow 18:45 gym').dueDate, at(1, 15, 18, 45));
+    assert.deepEqual(parse('lunch at noon').dueDate, at(1, 14, 12));
+  });
+
+  it('시각만 쓰면 오늘, 이미 지났으면 내일', () => {
+    assert.deepEqual(parse('오전 11시 스탠드업').dueDate, at(1, 14, 11));
+    assert.deepEqual(parse('오전 9시 운동').dueDate, at(1, 15, 9));
+  });
+
+  it('잘못된 시각은 제목에 남김', () => {
+    const result = parse('tomorrow 25:00 check');
+    assert.deepEqual(result.dueDate, at(1, 15));
+    assert.equal(result.hasTime, false);
+    assert.equal(result.title, '25:00 check');
+  });
+});
+
+describe('parseQuickAdd - 태그', () => {
+  it('#태그를 찾아 제목에서 빼고 중복은 처음 표기로 하나만', () => {
+    const result = parse('#work 정리 #Work #회의/준비');
+    assert.deepEqual(result.tags, ['work', '회의/준비']);
+    assert.equal(result.title, '정리');
+  });
+
+  it('단어 중간의 #은 태그가 아님', () => {
+    const result = parse('learn C# basics');
+    assert.deepEqual(result.tags, []);
+    assert.equal(result.title, 'learn C# basics');
+  });
+});
+
+describe('parseQuickAdd - 우선순위', () => {
+  it('한국어/영어 이름', () => {
+    assert.equal(parse('보고서 !높음').priority, 'high');
+    assert.equal(parse('보고서 !긴급').priority, 'urgent');
+    assert.equal(parse('report !LOW').priority, 'low');
+    assert.equal(parse('report !normal').priority, 'medium');
+  });
+
+  it('느낌표 개수', () => {
+    assert.equal(parse('급함 !!').priority, 'high');
+    assert.equal(parse('급함 !!').title, '급함');
+    assert.equal(parse('fix bug !!!').priority, 'urgent');
+    assert.equal(parse('fix bug !!!').title, 'fix bug');
+  });
+
+  it('모르는 표기는 제목에 남김', () => {
+    const result = parse('wow !amazing');
+    assert.equal(result.priority, null);
+    assert.equal(result.title, 'wow !amazing');
+  });
+});
+
+describe('parseQuickAdd - 섞인 입력', () => {
+  it('한국어 예시', () => {
+    const result = parse('내일 오후 3시 보고서 제출 #업무 !높음');
+    assert.equal(result.title, '보고서 제출');
+    assert.deepEqual(result.dueDate, at(1, 15, 15));
+    assert.deepEqual(result.tags, ['업무']);
+    assert.equal(result.priority, 'high');
+    assert.deepEqual(result.matches, [
+      { type: 'date', text: '내일' },
+      { type: 'time', text: '오후 3시' },
+      { type: 'tag', text: '#업무' },
+      { type: 'priority', text: '!높음' },
+    ]);
+  });
+
+  it('영어 예시', () => {
+    const result = parse('call mom tomorrow 3pm #family !high');
+    assert.equal(result.title, 'call mom');
+    assert.deepEqual(result.dueDate, at(1, 15, 15));
+    assert.deepEqual(result.tags, ['family']);
+    assert.equal(result.priority, 'high');
+  });
+
+  it('한국어와 영어를 섞어 써도 알아들음', () => {
+    const result = parse('내일 3pm 보고서 #work !urgent');
+    assert.equal(result.title, '보고서');
+    assert.deepEqual(result.dueDate, at(1, 15, 15));
+    assert.deepEqual(result.tags, ['work']);
+    assert.equal(result.priority, 'urgent');
+  });
+
+  it('알아들을 것이 없으면 입력 그대로', () => {
+    assert.deepEqual(parse('  그냥   할일 '), {
+      title: '그냥 할일',
+      dueDate: null,
+      hasTime: false,
+      tags: [],
+      priority: null,
+      matches: [],
+    });
+  });
+});
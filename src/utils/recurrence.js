@@ -0,0 +1,183 @@
+// 반복 일정 (RRULE과 비슷한 규칙)
+// 매일/N일마다, 매주(요일 선택)/N주마다, 매월 N일/N개월마다 반복하며 종료일 또는 횟수로 끝낼 수 있습니다
+// 다음 마감일은 로컬 달력의 연/월/일/시각으로 계산하므로 서머타임이 바뀌는 날에도 같은 시각이 유지됩니다
+
+import { t } from '../i18n/i18n.js';
+import { formatDateTime, formatList } from '../i18n/format.js';
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {'daily'|'weekly'|'monthly'} freq - 반복 단위
+ * @property {number} interval - 반복 간격 (1 이상)
+ * @property {number[]} [byWeekday] - 매주 반복할 요일 (0=일요일 ~ 6=토요일)
+ * @property {number} [byMonthDay] - 매월 반복할 날짜 (1~31, 없는 날은 그달의 마지막 날)
+ * @property {string|null} [until] - 이 날짜(YYYY-MM-DD)까지 반복
+ * @property {number|null} [count] - 이번 항목을 포함해 남은 반복 횟수
+ */
+
+// 반복 단위 선택지 (빈 값은 반복 안 함)
+export const RECURRENCE_FREQS = [
+  { value: '', labelKey: 'recurrence.none' },
+  { value: 'daily', labelKey: 'recurrence.freqs.daily' },
+  { value: 'weekly', labelKey: 'recurrence.freqs.weekly' },
+  { value: 'monthly', labelKey: 'recurrence.freqs.monthly' },
+];
+
+// 요일 표시 순서 (월요일부터)
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0].map(value => ({ value }));
+
+/**
+ * 요일 이름 (현재 언어로)
+ * @param {number} weekday - 요일 (0=일요일 ~ 6=토요일)
+ * @param {'narrow'|'short'|'long'} [width] - 이름 길이
+ * @returns {string} 예: 월, Mon
+ */
+export function getWeekdayLabel(weekday, width = 'short') {
+  // 2023년 1월 1일은 일요일
+  return formatDateTime(new Date(2023, 0, 1 + weekday), { weekday: width });
+}
+
+// 시각은 그대로 두고 날짜만 옮기기 (Date 생성자가 월/연 넘김을 처리)
+function shiftLocalDate(date, { days = 0, months = 0, dayOfMonth = date.getDate() }) {
+  return new Date(
+    date.getFullYear(),
+    date.getMonth() + months,
+    dayOfMonth + days,
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+// 월요일을 0으로 하는 요일 번호
+function weekdayIndexFromMonday(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+/**
+ * 저장할 수 있는 형태로 정리 (잘못된 값은 기본값으로, 반복하지 않으면 null)
+ * @param {Partial<Recurrence>|null|undefined} recurrence - 입력값
+ * @returns {Recurrence|null}
+ */
+export function normalizeRecurrence(recurrence) {
+  if (!recurrence || !['daily', 'weekly', 'monthly'].includes(recurrence.freq)) {
+    return null;
+  }
+
+  const normalized = {
+    freq: recurrence.freq,
+    interval: Math.max(1, Math.floor(Number(recurrence.interval)) || 1),
+    until: recurrence.until || null,
+    count: Number(recurrence.count) >= 1 ? Math.floor(Number(recurrence.count)) : null,
+  };
+  if (recurrence.freq === 'weekly') {
+    normalized.byWeekday = [...new Set((recurrence.byWeekday || []).map(Number))]
+      .filter(day => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+  }
+  if (recurrence.freq === 'monthly' && recurrence.byMonthDay) {
+    normalized.byMonthDay = Math.min(31, Math.max(1, Math.floor(Number(recurrence.byMonthDay)) || 1));
+  }
+  return normalized;
+}
+
+/**
+ * 다음 마감일 계산
+ * @param {Date|string} dueDate - 현재 마감일
+ * @param {Recurrence|null|undefined} recurrence - 반복 규칙
+ * @returns {Date|null} 다음 마감일 (반복이 끝났으면 null)
+ */
+export function getNextOccurrence(dueDate, recurrence) {
+  const base = new Date(dueDate);
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule || Number.isNaN(base.getTime()) || (rule.count !== null && rule.count <= 1)) {
+    return null;
+  }
+
+  let next = null;
+  if (rule.freq === 'daily') {
+    next = shiftLocalDate(base, { days: rule.interval });
+  } else if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday.length > 0 ? rule.byWeekday : [base.getDay()];
+    const baseIndex = weekdayIndexFromMonday(base);
+    // 같은 주의 남은 요일을 먼저 보고, 없으면 interval주 뒤의 주에서 찾기
+    for (let offset = 1; offset < 7 * (rule.interval + 1); offset++) {
+      const week = Math.floor((baseIndex + offset) / 7);
+      if (week !== 0 && week !== rule.interval) {
+        continue;
+      }
+      const candidate = shiftLocalDate(base, { days: offset });
+      if (weekdays.includes(candidate.getDay())) {
+        next = candidate;
+        break;
+      }
+    }
+  } else {
+    const targetDay = rule.byMonthDay || base.getDate();
+    // 이번 달에 아직 지나지 않은 반복일이 있으면 그날, 아니면 interval개월 뒤
+    const sameMonthDay = Math.min(targetDay, daysInMonth(base.getFullYear(), base.getMonth()));
+    const months = sameMonthDay > base.getDate() ? 0 : rule.interval;
+    const firstOfTarget = new Date(base.getFullYear(), base.getMonth() + months, 1);
+    const dayOfMonth = Math.min(targetDay, daysInMonth(firstOfTarget.getFullYear(), firstOfTarget.getMonth()));
+    next = shiftLocalDate(base, { months, dayOfMonth });
+  }
+
+  if (next && rule.until) {
+    const [year, month, day] = rule.until.split('-').map(Number);
+    if (next > new Date(year, month - 1, day, 23, 59, 59, 999)) {
+      return null;
+    }
+  }
+  return next;
+}
+
+/**
+ * 다음 항목에 넣을 반복 규칙 (남은 횟수 하나 차감)
+ * 날짜를 정하지 않은 매월 반복은 현재 마감일의 날짜로 고정 (1월 31일 → 2월 28일 → 3월 28일처럼 밀리지 않도록)
+ * @param {Recurrence} recurrence - 현재 반복 규칙
+ * @param {Date|string} [dueDate] - 현재 마감일
+ * @returns {Recurrence}
+ */
+export function advanceRecurrence(recurrence, dueDate) {
+  const rule = normalizeRecurrence(recurrence);
+  const anchorDay = dueDate ? new Date(dueDate).getDate() : NaN;
+  if (rule.freq === 'monthly' && !rule.byMonthDay && !Number.isNaN(anchorDay)) {
+    rule.byMonthDay = anchorDay;
+  }
+  return rule.count !== null ? { ...rule, count: rule.count - 1 } : rule;
+}
+
+/**
+ * 사람이 읽을 수 있는 반복 설명 (예: "2주마다 월·수", "매월 15일 · 5회 남음")
+ * @param {Recurrence|null|undefined} recurrence - 반복 규칙
+ * @returns {string} 설명 (반복하지 않으면 빈 문자열)
+ */
+export function formatRecurrence(recurrence) {
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule) {
+    return '';
+  }
+
+  const parts = [t(`recurrence.every.${rule.freq}`, { count: rule.interval })];
+  if (rule.freq === 'weekly') {
+    const days = WEEKDAYS.filter(day => rule.byWeekday.includes(day.value)).map(day => getWeekdayLabel(day.value));
+    if (days.length > 0) {
+      parts[0] += ` ${formatList(days)}`;
+    }
+  } else if (rule.freq === 'monthly' && rule.byMonthDay) {
+    parts[0] += ` ${t('recurrence.onMonthDay', { day: rule.byMonthDay })}`;
+  }
+
+  if (rule.until) {
+    parts.push(t('recurrence.until', { date: formatDateTime(`${rule.until}T00:00`, { dateStyle: 'medium' }) }));
+  }
+  if (rule.count !== null) {
+    parts.push(t('recurrence.remaining', { count: rule.count }));
+  }
+  return parts.join(' · ');
+}
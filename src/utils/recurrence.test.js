@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextOccurrence, advanceRecurrence } from './recurrence.js';
+
+const at = (year, month, day, hour = 9) => new Date(year, month - 1, day, hour);
+
+// 반복 할일을 완료할 때처럼 다음 마감일과 다음 규칙을 차례로 계산
+function occurrences(dueDate, recurrence, times) {
+  const dates = [];
+  let current = { dueDate, recurrence };
+  for (let i = 0; i < times; i++) {
+    const next = getNextOccurrence(current.dueDate, current.recurrence);
+    if (!next) {
+      break;
+    }
+    dates.push(next);
+    current = { dueDate: next, recurrence: advanceRecurrence(current.recurrence, current.dueDate) };
+  }
+  return dates;
+}
+
+describe('getNextOccurrence - 매월', () => {
+  it('날짜를 정하지 않으면 처음 마감일의 날짜를 유지하고 짧은 달은 마지막 날로', () => {
+    assert.deepEqual(occurrences(at(2026, 1, 31), { freq: 'monthly', interval: 1 }, 4), [
+      at(2026, 2, 28),
+      at(2026, 3, 31),
+      at(2026, 4, 30),
+      at(2026, 5, 31),
+    ]);
+  });
+
+  it('정한 날짜(byMonthDay)가 있으면 그 날짜', () => {
+    assert.deepEqual(occurrences(at(2026, 1, 10), { freq: 'monthly', interval: 2, byMonthDay: 30 }, 3), [
+      at(2026, 1, 30),
+      at(2026, 3, 30),
+      at(2026, 5, 30),
+    ]);
+  });
+
+  it('윤년 2월은 29일', () => {
+    assert.deepEqual(occurrences(at(2028, 1, 31), { freq: 'monthly', interval: 1 }, 2), [
+      at(2028, 2, 29),
+      at(2028, 3, 31),
+    ]);
+  });
+});
+
+describe('getNextOccurrence - 매일/매주와 종료 조건', () => {
+  it('N일마다', () => {
+    assert.deepEqual(getNextOccurrence(at(2026, 1, 30), { freq: 'daily', interval: 3 }), at(2026, 2, 2));
+  });
+
+  it('매주 여러 요일 - 같은 주의 남은 요일부터', () => {
+    // 2026년 1월 14일은 수요일
+    const rule = { freq: 'weekly', interval: 2, byWeekday: [1, 5] };
+    assert.deepEqual(getNextOccurrence(at(2026, 1, 14), rule), at(2026, 1, 16));
+    assert.deepEqual(getNextOccurrence(at(2026, 1, 16), rule), at(2026, 1, 26));
+  });
+
+  it('종료일이 지나거나 횟수를 다 쓰면 null', () => {
+    assert.equal(getNextOccurrence(at(2026, 1, 31), { freq: 'daily', interval: 1, until: '2026-01-31' }), null);
+    assert.equal(getNextOccurrence(at(2026, 1, 31), { freq: 'daily', interval: 1, count: 1 }), null);
+  });
+});
+
+describe('advanceRecurrence', () => {
+  it('남은 횟수를 하나 줄임', () => {
+    assert.equal(advanceRecurrence({ freq: 'daily', interval: 1, count: 3 }).count, 2);
+  });
+
+  it('날짜 없는 매월 반복은 현재 마감일의 날짜로 고정하고 정한 날짜는 그대로', () => {
+    assert.equal(advanceRecurrence({ freq: 'monthly', interval: 1 }, at(2026, 1, 31)).byMonthDay, 31);
+    assert.equal(advanceRecurrence({ freq: 'monthly', interval: 1, byMonthDay: 15 }, at(2026, 1, 31)).byMonthDay, 15);
+  });
+});
@@ -0,0 +1,105 @@
+// 마감 알림과 마감 상태 도우미 (목 서버에서도 사용)
+// 알림은 마감 시각 기준 몇 분 전에 울릴지(분 단위)를 할일마다 여러 개 저장합니다
+
+import { t } from '../i18n/i18n.js';
+import { formatRelative, formatUnit, toLargestUnit } from '../i18n/format.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// 알림 시점 선택지 (마감 몇 분 전)
+export const REMINDER_OPTIONS = [
+  { value: 0 },
+  { value: 15 },
+  { value: 60 },
+  { value: 1440 },
+];
+
+// 이 시간 안에 마감이면 '마감 임박'
+export const DUE_SOON_MS = DAY_MS;
+
+// 앱을 늦게 열었을 때 이만큼 지난 알림까지는 울림 (그보다 오래된 알림은 건너뜀)
+export const MISSED_REMINDER_GRACE_MS = 10 * MINUTE_MS;
+
+/**
+ * 저장할 수 있는 형태로 정리 (선택지에 없는 값과 중복 제거, 이른 알림부터)
+ * @param {number[]|undefined} reminders - 입력값
+ * @returns {number[]}
+ */
+export function normalizeReminders(reminders) {
+  if (!Array.isArray(reminders)) {
+    return [];
+  }
+  return REMINDER_OPTIONS
+    .map(option => option.value)
+    .filter(value => reminders.includes(value))
+    .sort((a, b) => b - a);
+}
+
+/**
+ * 알림 시점 표시 이름
+ * @param {number} offset - 마감 몇 분 전
+ * @returns {string}
+ */
+export function getReminderLabel(offset) {
+  if (offset === 0) {
+    return t('reminders.atDue');
+  }
+  const { value, unit } = toLargestUnit(offset * MINUTE_MS);
+  return t('reminders.before', { duration: formatUnit(value, unit) });
+}
+
+/**
+ * 울려야 할 알림 목록 (미완료이고 마감일이 있는 할일, 이미 오래 지난 알림 제외)
+ * @param {import('../api/todoApi').TodoItem[]} todos - 할일 목록
+ * @param {Date} [now] - 기준 시각
+ * @returns {Array<{ key: string, todoId: string, title: string, dueDate: string, offset: number, at: number }>} 울릴 시각 순
+ */
+export function getUpcomingReminders(todos, now = new Date()) {
+  return todos
+    .filter(todo => todo.dueDate && !todo.isCompleted && todo.reminders?.length)
+    .flatMap(todo => normalizeReminders(todo.reminders).map(offset => ({
+      // 마감일이 바뀌면 같은 시점이라도 다시 울리도록 키에 마감일 포함
+      key: `${todo._id}|${todo.dueDate}|${offset}`,
+      todoId: todo._id,
+      title: todo.title,
+      dueDate: todo.dueDate,
+      offset,
+      at: new Date(todo.dueDate).getTime() - offset * MINUTE_MS,
+    })))
+    .filter(reminder => reminder.at > now.getTime() - MISSED_REMINDER_GRACE_MS)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * 마감 상태
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @param {Date} [now] - 기준 시각
+ * @returns {'overdue'|'due-soon'|null} 기한 지남, 마감 임박, 해당 없음(완료했거나 마감일 없음)
+ */
+export function getDueState(todo, now = new Date()) {
+  if (!todo.dueDate || todo.isCompleted) {
+    return null;
+  }
+  const remaining = new Date(todo.dueDate).getTime() - now.getTime();
+  if (remaining < 0) {
+    return 'overdue';
+  }
+  return remaining <= DUE_SOON_MS ? 'due-soon' : null;
+}
+
+/**
+ * 지금 기준 상대 시간 (현재 언어)
+ * @param {Date|string} value - 시각
+ * @param {Date} [now] - 기준 시각
+ * @returns {string} 예: "2시간 후", "3일 지남", "곧" / "in 2 hours", "3 days overdue", "soon"
+ */
+export function formatRelativeTime(value, now = new Date()) {
+  const diff = new Date(value).getTime() - now.getTime();
+  if (Math.abs(diff) < MINUTE_MS) {
+    return diff >= 0 ? t('time.soon') : t('time.justPassed');
+  }
+  const { value: amount, unit } = toLargestUnit(diff);
+  return diff >= 0 ? formatRelative(amount, unit) : t('time.overdueBy', { duration: formatUnit(amount, unit) });
+}
@@ -0,0 +1,98 @@
+// 키보드 단축키 정의
+// 도움말(?)에 보여줄 목록이기도 하며, id가 있는 항목은 useKeyboardShortcuts에서 처리합니다
+
+/**
+ * 단축키 하나
+ * @typedef {Object} Shortcut
+ * @property {string} [id] - 처리 함수 이름 (없으면 다른 곳에서 처리하고 도움말에만 표시)
+ * @property {string[]} keys - 키 (KeyboardEvent.key 값, 수정 키는 'Mod+k'처럼 앞에 붙임, Mod는 Ctrl 또는 macOS의 Cmd)
+ * @property {string} labelKey - 설명 문구 키
+ * @property {string} groupKey - 도움말에서 묶을 분류 문구 키
+ * @property {boolean} [allowInInput] - 입력 중에도 동작할지 여부
+ */
+
+/** @type {Shortcut[]} */
+export const SHORTCUTS = [
+  { id: 'next', keys: ['j', 'ArrowDown'], labelKey: 'shortcuts.next', groupKey: 'shortcuts.groups.navigation' },
+  { id: 'previous', keys: ['k', 'ArrowUp'], labelKey: 'shortcuts.previous', groupKey: 'shortcuts.groups.navigation' },
+  { id: 'open', keys: ['o'], labelKey: 'shortcuts.open', groupKey: 'shortcuts.groups.navigation' },
+  { id: 'toggleComplete', keys: ['x'], labelKey: 'shortcuts.toggleComplete', groupKey: 'shortcuts.groups.todo' },
+  { id: 'edit', keys: ['e', 'Enter'], labelKey: 'shortcuts.edit', groupKey: 'shortcuts.groups.todo' },
+  { id: 'delete', keys: ['d', 'Delete'], labelKey: 'shortcuts.delete', groupKey: 'shortcuts.groups.todo' },
+  { id: 'newTodo', keys: ['n'], labelKey: 'shortcuts.newTodo', groupKey: 'shortcuts.groups.todo' },
+  { keys: ['Mod+z'], labelKey: 'shortcuts.undo', groupKey: 'shortcuts.groups.todo' },
+  { keys: ['Mod+Shift+z', 'Mod+y'], labelKey: 'shortcuts.redo', groupKey: 'shortcuts.groups.todo' },
+  { id: 'filterAll', keys: ['1'], labelKey: 'shortcuts.filterAll', groupKey: 'shortcuts.groups.filter' },
+  { id: 'filterPending', keys: ['2'], labelKey: 'shortcuts.filterPending', groupKey: 'shortcuts.groups.filter' },
+  { id: 'filterCompleted', keys: ['3'], labelKey: 'shortcuts.filterCompleted', groupKey: 'shortcuts.groups.filter' },
+  { id: 'search', keys: ['/'], labelKey: 'shortcuts.search', groupKey: 'shortcuts.groups.filter' },
+  { keys: ['Enter', 'Mod+Enter'], labelKey: 'shortcuts.save', groupKey: 'shortcuts.groups.editing' },
+  { keys: ['Escape'], labelKey: 'shortcuts.cancel', groupKey: 'shortcuts.groups.editing' },
+  { id: 'palette', keys: ['Mod+k'], labelKey: 'shortcuts.palette', groupKey: 'shortcuts.groups.general', allowInInput: true },
+  { id: 'help', keys: ['?'], labelKey: 'shortcuts.help', groupKey: 'shortcuts.groups.general' },
+  { id: 'escape', keys: ['Escape'], labelKey: 'shortcuts.escape', groupKey: 'shortcuts.groups.general' },
+];
+
+// macOS에서는 Ctrl 대신 Cmd
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const KEY_LABELS = {
+  Mod: IS_MAC ? '⌘' : 'Ctrl',
+  Shift: 'Shift',
+  ArrowDown: '↓',
+  ArrowUp: '↑',
+  Escape: 'Esc',
+  Delete: 'Del',
+};
+
+/**
+ * 입력 중인 요소인지 (입력 중에는 글자 단축키를 쓰지 않음)
+ * @param {EventTarget|null} target - 이벤트 대상
+ * @returns {boolean}
+ */
+export function isEditableTarget(target) {
+  return target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * 키 입력이 단축키 키와 같은지
+ * 수정 키를 적지 않은 단축키는 Ctrl/Cmd/Alt를 누르고 있으면 맞지 않습니다 (Shift는 '?'처럼 글자에 포함)
+ * @param {KeyboardEvent} event - 키 입력
+ * @param {string} key - 단축키 키 ('j', 'Mod+k', 'Mod+Shift+z')
+ * @returns {boolean}
+ */
+export function matchesKey(event, key) {
+  const parts = key.split('+');
+  const base = parts.pop();
+  const needsMod = parts.includes('Mod');
+  const isMod = event.ctrlKey || event.metaKey;
+  if (needsMod !== isMod || event.altKey) {
+    return false;
+  }
+  if (needsMod && parts.includes('Shift') !== event.shiftKey) {
+    return false;
+  }
+  return base.length === 1 ? event.key.toLowerCase() === base.toLowerCase() : event.key === base;
+}
+
+/**
+ * 키 입력에 맞는 단축키
+ * @param {KeyboardEvent} event - 키 입력
+ * @param {Shortcut[]} [shortcuts] - 찾을 단축키 목록
+ * @returns {Shortcut|null}
+ */
+export function findShortcut(event, shortcuts = SHORTCUTS) {
+  return shortcuts.find(shortcut => shortcut.keys.some(key => matchesKey(event, key))) ?? null;
+}
+
+/**
+ * 화면에 보여줄 키 이름
+ * @param {string} key - 단축키 키
+ * @returns {string[]} 함께 누를 키들 (예: ['Ctrl', 'K'])
+ */
+export function formatShortcutKey(key) {
+  const parts = key.split('+');
+  // 수정 키와 함께 누르는 글자만 대문자로 (Ctrl+K), 글자 하나는 그대로 (j)
+  return parts.map(part => KEY_LABELS[part] ?? (parts.length > 1 ? part.toUpperCase() : part));
+}
@@ -0,0 +1,201 @@
+// 생산성 통계 계산
+// 할일에는 완료 시각이 따로 없으므로 완료된 할일의 마지막 수정 시각(updatedAt)을 완료 시각으로 봅니다
+// 날짜는 모두 로컬 달력 기준이며, 주는 월요일부터 시작합니다
+
+import { startOfDay, addDays, startOfWeek, toDateKey } from './calendar';
+import { formatUnit } from '../i18n/format';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// 통계 기간 선택지 (custom은 시작일/종료일 직접 입력)
+export const STATS_RANGES = [
+  { value: '7d', labelKey: 'stats.ranges.7d', days: 7 },
+  { value: '30d', labelKey: 'stats.ranges.30d', days: 30 },
+  { value: '90d', labelKey: 'stats.ranges.90d', days: 90 },
+  { value: '365d', labelKey: 'stats.ranges.365d', days: 365 },
+  { value: 'custom', labelKey: 'stats.ranges.custom' },
+];
+
+export const DEFAULT_STATS_RANGE = '30d';
+
+/**
+ * 하루 또는 한 주의 값
+ * @typedef {Object} StatsPoint
+ * @property {string} key - 날짜 키 (YYYY-MM-DD, 주는 그 주 월요일)
+ * @property {Date} date - 그날(그 주 월요일) 자정
+ * @property {number} value - 값
+ */
+
+/**
+ * 통계 결과
+ * @typedef {Object} TodoStats
+ * @property {number} createdCount - 기간 안에 만든 할일 수
+ * @property {number} completedCount - 기간 안에 완료한 할일 수
+ * @property {StatsPoint[]} perDay - 날짜별 완료 수
+ * @property {StatsPoint[]} perWeek - 주별 완료 수 (기간에 걸친 주)
+ * @property {number|null} averageCompletionMs - 만든 뒤 완료까지 평균 걸린 시간 (완료한 할일이 없으면 null)
+ * @property {number} onTimeCount - 마감 전에 완료한 수 (마감일이 있는 할일만)
+ * @property {number} lateCount - 마감이 지나서 완료한 수
+ * @property {number|null} onTimeRate - 제때 완료 비율 0~1 (마감일이 있는 완료 할일이 없으면 null)
+ * @property {StatsPoint[]} overdueBacklog - 날짜별 그날 끝 기준 기한이 지난 미완료 할일 수
+ * @property {number} currentStreak - 오늘(오늘 아직 없으면 어제)까지 하루도 빠짐없이 완료한 날 수
+ * @property {number} longestStreak - 기간 안의 가장 긴 연속 완료 날 수
+ */
+
+/**
+ * 할일을 완료한 시각 (완료하지 않았으면 null)
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @returns {Date|null}
+ */
+export function getCompletedAt(todo) {
+  if (!todo.isCompleted) {
+    return null;
+  }
+  const value = todo.updatedAt ?? todo.createdAt;
+  return value ? new Date(value) : null;
+}
+
+/**
+ * 기간 선택을 날짜 범위로
+ * @param {string} range - STATS_RANGES 값
+ * @param {{ from?: string, to?: string }} custom - 직접 선택한 시작일/종료일 (YYYY-MM-DD)
+ * @param {Date} [now] - 현재 시각
+ * @returns {{ start: Date, end: Date }} 첫날과 마지막 날의 자정 (마지막 날 포함)
+ */
+export function getRangeBounds(range, custom = {}, now = new Date()) {
+  const today = startOfDay(now);
+  const preset = STATS_RANGES.find(option => option.value === range && option.days);
+  if (preset) {
+    return { start: addDays(today, -(preset.days - 1)), end: today };
+  }
+  const start = custom.from ? startOfDay(`${custom.from}T00:00`) : addDays(today, -29);
+  const end = custom.to ? startOfDay(`${custom.to}T00:00`) : today;
+  // 거꾸로 고르면 바꿔서 사용
+  return start <= end ? { start, end } : { start: end, end: start };
+}
+
+// start부터 end까지 하루씩
+function eachDay(start, end) {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// 완료한 날짜 키 집합에서 day부터 거꾸로 이어진 날 수
+function countStreakBackFrom(dayKeys, day) {
+  let count = 0;
+  for (let cursor = day; dayKeys.has(toDateKey(cursor)); cursor = addDays(cursor, -1)) {
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * 기간 안의 생산성 통계
+ * @param {import('../api/todoApi').TodoItem[]} todos - 전체 할일
+ * @param {{ start: Date, end: Date }} bounds - 기간 (getRangeBounds 결과)
+ * @param {Date} [now] - 현재 시각 (오늘 이후의 기한 지남 계산과 연속 완료 기준)
+ * @returns {TodoStats}
+ */
+export function computeStats(todos, { start, end }, now = new Date()) {
+  const rangeEnd = addDays(end, 1);
+  const isInRange = (date) => date >= start && date < rangeEnd;
+  const days = eachDay(start, end);
+
+  const completions = todos
+    .map(todo => ({ todo, completedAt: getCompletedAt(todo) }))
+    .filter(({ completedAt }) => completedAt && !Number.isNaN(completedAt.getTime()));
+  const completedInRange = completions.filter(({ completedAt }) => isInRange(completedAt));
+
+  // 날짜별/주별 완료 수
+  const countsByDay = new Map();
+  completedInRange.forEach(({ completedAt }) => {
+    const key = toDateKey(completedAt);
+    countsByDay.set(key, (countsByDay.get(key) ?? 0) + 1);
+  });
+  const perDay = days.map(date => ({ key: toDateKey(date), date, value: countsByDay.get(toDateKey(date)) ?? 0 }));
+  const perWeek = [];
+  perDay.forEach(point => {
+    const weekStart = startOfWeek(point.date);
+    const key = toDateKey(weekStart);
+    if (perWeek[perWeek.length - 1]?.key !== key) {
+      perWeek.push({ key, date: weekStart, value: 0 });
+    }
+    perWeek[perWeek.length - 1].value += point.value;
+  });
+
+  // 만든 뒤 완료까지 걸린 시간
+  const durations = completedInRange
+    .filter(({ todo }) => todo.createdAt)
+    .map(({ todo, completedAt }) => completedAt - new Date(todo.createdAt))
+    .filter(duration => duration >= 0);
+  const averageCompletionMs = durations.length > 0
+    ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+    : null;
+
+  // 마감일이 있는 할일의 제때/늦은 완료
+  const withDue = completedInRange.filter(({ todo }) => todo.dueDate);
+  const onTimeCount = withDue.filter(({ todo, completedAt }) => completedAt <= new Date(todo.dueDate)).length;
+  const lateCount = withDue.length - onTimeCount;
+
+  // 날마다 그날 끝(오늘은 지금) 기준으로 기한이 지났는데 아직 완료하지 않은 할일
+  const overdueBacklog = days.map(date => {
+    const moment = new Date(Math.min(addDays(date, 1).getTime(), now.getTime()));
+    const value = todos.filter(todo => {
+      if (!todo.dueDate || new Date(todo.dueDate) >= moment) return false;
+      if (todo.createdAt && new Date(todo.createdAt) > moment) return false;
+      const completedAt = getCompletedAt(todo);
+      return !completedAt || completedAt > moment;
+    }).length;
+    return { key: toDateKey(date), date, value };
+  });
+
+  // 연속 완료 - 현재 연속은 기간과 관계없이 전체 기록 기준
+  const completedDayKeys = new Set(completions.map(({ completedAt }) => toDateKey(completedAt)));
+  const today = startOfDay(now);
+  const currentStreak = completedDayKeys.has(toDateKey(today))
+    ? countStreakBackFrom(completedDayKeys, today)
+    : countStreakBackFrom(completedDayKeys, addDays(today, -1));
+  let longestStreak = 0;
+  let run = 0;
+  perDay.forEach(point => {
+    run = point.value > 0 ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  return {
+    createdCount: todos.filter(todo => todo.createdAt && isInRange(new Date(todo.createdAt))).length,
+    completedCount: completedInRange.length,
+    perDay,
+    perWeek,
+    averageCompletionMs,
+    onTimeCount,
+    lateCount,
+    onTimeRate: withDue.length > 0 ? onTimeCount / withDue.length : null,
+    overdueBacklog,
+    currentStreak,
+    longestStreak,
+  };
+}
+
+/**
+ * 걸린 시간 표시 (큰 단위 두 개까지)
+ * @param {number} ms - 밀리초
+ * @returns {string} 예: "2일 3시간", "5시간 20분", "15분" (언어에 맞춰 표시)
+ */
+export function formatDuration(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+  const minutes = Math.floor((ms % HOUR_MS) / MINUTE_MS);
+  const parts = days > 0
+    ? [[days, 'day'], [hours, 'hour']]
+    : hours > 0 ? [[hours, 'hour'], [minutes, 'minute']] : [[Math.max(minutes, 1), 'minute']];
+  return parts
+    .filter(([value], index) => index === 0 || value > 0)
+    .map(([value, unit]) => formatUnit(value, unit))
+    .join(' ');
+}
@@ -0,0 +1,80 @@
+// 할일 안의 체크리스트(하위 작업) 도우미
+// 하위 작업은 순서가 있는 배열로 저장하며, 각 항목은 고유 ID와 완료 여부를 가집니다
+
+/**
+ * @typedef {Object} Subtask
+ * @property {string} id - 하위 작업 ID (클라이언트에서 생성)
+ * @property {string} title - 내용
+ * @property {boolean} isCompleted - 완료 여부
+ */
+
+function randomId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 새 하위 작업 생성
+ * @param {string} title - 내용
+ * @returns {Subtask}
+ */
+export function createSubtask(title = '') {
+  return { id: randomId(), title, isCompleted: false };
+}
+
+/**
+ * 저장할 수 있는 형태로 정리 (앞뒤 공백 제거, 빈 항목 제외)
+ * @param {Subtask[]|undefined} subtasks - 하위 작업 목록
+ * @returns {Subtask[]}
+ */
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) {
+    return [];
+  }
+  return subtasks
+    .map(subtask => ({
+      id: subtask.id || randomId(),
+      title: String(subtask.title ?? '').trim(),
+      isCompleted: Boolean(subtask.isCompleted),
+    }))
+    .filter(subtask => subtask.title);
+}
+
+/**
+ * 하위 작업 진행률
+ * @param {Subtask[]|undefined} subtasks - 하위 작업 목록
+ * @returns {{ completed: number, total: number }}
+ */
+export function getSubtaskProgress(subtasks) {
+  const list = Array.isArray(subtasks) ? subtasks : [];
+  return {
+    completed: list.filter(subtask => subtask.isCompleted).length,
+    total: list.length,
+  };
+}
+
+/**
+ * 하위 작업을 모두 끝냈을 때 상위 할일을 자동으로 완료해야 하는지 확인
+ * @param {{ isCompleted?: boolean, autoComplete?: boolean, subtasks?: Subtask[] }} todo - 할일 (변경 후 값)
+ * @returns {boolean}
+ */
+export function shouldAutoComplete(todo) {
+  const { completed, total } = getSubtaskProgress(todo.subtasks);
+  return Boolean(todo.autoComplete) && !todo.isCompleted && total > 0 && completed === total;
+}
+
+/**
+ * 하위 작업 하나의 완료 상태를 바꾼 변경 데이터 계산
+ * 자동 완료가 켜져 있고 마지막 하위 작업을 끝냈다면 상위 할일도 완료 처리합니다
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @param {string} subtaskId - 바꿀 하위 작업 ID
+ * @returns {{ subtasks: Subtask[], isCompleted?: boolean }} 서버로 보낼 변경 데이터
+ */
+export function toggleSubtask(todo, subtaskId) {
+  const subtasks = (todo.subtasks || []).map(subtask =>
+    subtask.id === subtaskId ? { ...subtask, isCompleted: !subtask.isCompleted } : subtask
+  );
+  return shouldAutoComplete({ ...todo, subtasks }) ? { subtasks, isCompleted: true } : { subtasks };
+}
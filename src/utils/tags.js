@@ -0,0 +1,131 @@
+// 태그와 우선순위 도우미
+// 태그는 자유 입력 문자열이며 대소문자를 구분하지 않고 같은 태그로 취급합니다
+
+import { t } from '../i18n/i18n.js';
+
+// 우선순위 (낮음 → 긴급 순서, 표시 이름은 labelKey 문구)
+export const PRIORITIES = [
+  { value: 'low', labelKey: 'priority.low' },
+  { value: 'medium', labelKey: 'priority.medium' },
+  { value: 'high', labelKey: 'priority.high' },
+  { value: 'urgent', labelKey: 'priority.urgent' },
+];
+
+// 우선순위가 없는 예전 할일은 보통으로 취급
+export const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * 할일의 우선순위 값 (없거나 잘못된 값이면 기본값)
+ * @param {{ priority?: string }} todo - 할일
+ * @returns {string}
+ */
+export function getPriority(todo) {
+  return PRIORITIES.some(option => option.value === todo.priority) ? todo.priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * 우선순위 순위 (긴급이 가장 큼)
+ * @param {{ priority?: string }} todo - 할일
+ * @returns {number}
+ */
+export function getPriorityRank(todo) {
+  return PRIORITIES.findIndex(option => option.value === getPriority(todo));
+}
+
+/**
+ * 우선순위 표시 이름
+ * @param {string} value - 우선순위 값
+ * @returns {string}
+ */
+export function getPriorityLabel(value) {
+  const option = PRIORITIES.find(priority => priority.value === value);
+  return option ? t(option.labelKey) : value;
+}
+
+/**
+ * 같은 태그인지 비교 (대소문자 무시)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameTag(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * 태그 하나 정리 (앞의 #과 앞뒤 공백 제거, 연속 공백은 하나로)
+ * @param {string} tag - 입력값
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? '').replace(/^#+/, '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * 태그 목록 정리 (빈 태그와 중복 제거, 처음 입력한 표기 유지)
+ * @param {string[]|undefined} tags - 태그 목록
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return tags.map(normalizeTag).reduce((result, tag) => {
+    if (tag && !result.some(existing => isSameTag(existing, tag))) {
+      result.push(tag);
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * 할일들에 쓰인 태그와 사용 횟수 (많이 쓴 순, 같으면 이름 순)
+ * @param {Array<{ tags?: string[] }>} todos - 할일 목록
+ * @returns {Array<{ name: string, count: number }>}
+ */
+export function collectTags(todos) {
+  const counts = new Map();
+  todos.forEach(todo => {
+    normalizeTags(todo.tags).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * 태그 이름 바꾸기 (이미 있는 태그로 바꾸면 병합)
+ * @param {string[]|undefined} tags - 태그 목록
+ * @param {string} name - 바꿀 태그
+ * @param {string} nextName - 새 이름
+ * @returns {string[]}
+ */
+export function renameTagInList(tags, name, nextName) {
+  return normalizeTags((tags || []).map(tag => (isSameTag(tag, name) ? nextName : tag)));
+}
+
+/**
+ * 태그 지우기
+ * @param {string[]|undefined} tags - 태그 목록
+ * @param {string} name - 지울 태그
+ * @returns {string[]}
+ */
+export function removeTagFromList(tags, name) {
+  return (tags || []).filter(tag => !isSameTag(tag, name));
+}
+
+/**
+ * 태그 이름으로 항상 같은 색상 계산
+ * @param {string} tag - 태그
+ * @returns {string} CSS 색상 (hsl)
+ */
+export function getTagColor(tag) {
+  let hash = 0;
+  for (const char of tag.toLowerCase()) {
+    hash = (hash * 31 + char.codePointAt(0)) % 360;
+  }
+  return `hsl(${hash}, 65%, 42%)`;
+}
@@ -0,0 +1,189 @@
+// 할일 내보내기 (JSON, CSV, 마크다운 체크리스트, iCalendar)
+// 가져오기(todoImport)에서 다시 읽을 수 있는 형식으로 씁니다
+
+import { toCsv } from './csv.js';
+import { toDateTimeLocalValue } from './date.js';
+import { getPriority } from './tags.js';
+
+/**
+ * 내보내기 형식
+ * @typedef {'json'|'csv'|'markdown'|'ics-todo'|'ics-event'} ExportFormat
+ */
+
+// 내보내기 형식 선택지 (표시 이름은 labelKey 문구)
+export const EXPORT_FORMATS = [
+  { value: 'json', labelKey: 'importExport.formats.json', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', labelKey: 'importExport.formats.csv', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'markdown', labelKey: 'importExport.formats.markdown', extension: 'md', mimeType: 'text/markdown' },
+  { value: 'ics-todo', labelKey: 'importExport.formats.icsTodo', extension: 'ics', mimeType: 'text/calendar' },
+  { value: 'ics-event', labelKey: 'importExport.formats.icsEvent', extension: 'ics', mimeType: 'text/calendar' },
+];
+
+// CSV 머리글 (가져오기에서 열을 자동으로 맞출 때도 이 이름을 씀)
+export const CSV_COLUMNS = ['title', 'description', 'dueDate', 'isCompleted', 'tags', 'priority'];
+
+// iCalendar 우선순위 (1이 가장 높음, 0은 미지정)
+const ICAL_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// 다른 앱에서 다시 읽을 때 필요한 필드만 남김
+function toExportItem(todo) {
+  return {
+    title: todo.title,
+    description: todo.description || '',
+    dueDate: todo.dueDate || null,
+    isCompleted: Boolean(todo.isCompleted),
+    tags: todo.tags ?? [],
+    priority: getPriority(todo),
+    subtasks: (todo.subtasks ?? []).map(({ title, isCompleted }) => ({ title, isCompleted })),
+    recurrence: todo.recurrence ?? null,
+  };
+}
+
+function toJson(todos) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), todos: todos.map(toExportItem) }, null, 2);
+}
+
+// 태그는 세미콜론으로 구분 (태그 안에는 쉼표가 들어갈 수 있음)
+function toCsvText(todos) {
+  const rows = todos.map(todo => [
+    todo.title,
+    todo.description || '',
+    todo.dueDate || '',
+    todo.isCompleted ? 'true' : 'false',
+    (todo.tags ?? []).join(';'),
+    getPriority(todo),
+  ]);
+  return toCsv([CSV_COLUMNS, ...rows]);
+}
+
+// - [ ] 제목 📅 2025-10-01 #태그 (설명은 들여쓴 다음 줄에)
+function toMarkdown(todos) {
+  return todos.map(todo => {
+    const parts = [`- [${todo.isCompleted ? 'x' : ' '}] ${todo.title}`];
+    if (todo.dueDate) {
+      parts.push(`📅 ${toDateTimeLocalValue(todo.dueDate).slice(0, 10)}`);
+    }
+    (todo.tags ?? []).forEach(tag => parts.push(`#${tag.replace(/\s+/g, '-')}`));
+    const descriptionLines = (todo.description || '').split('\n').filter(line => line.trim());
+    return [parts.join(' '), ...descriptionLines.map(line => `  ${line}`)].join('\n');
+  }).join('\n') + '\n';
+}
+
+// RFC 5545 텍스트 이스케이프
+function escapeIcalText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// 20251001T060000Z 형식 (UTC)
+function toIcalDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// UTF-8로 썼을 때의 바이트 수
+function utf8Length(char) {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+}
+
+// 한 줄은 UTF-8로 75바이트를 넘지 않도록 글자 경계에서 접음 (이어지는 줄은 공백으로 시작하며 공백도 길이에 포함)
+function foldIcalLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (size + length > 75) {
+      chunks.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += length;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n');
+}
+
+function toIcalComponent(todo, type, stamp) {
+  const lines = [
+    `BEGIN:${type}`,
+    `UID:${todo._id}@todo-app`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeIcalText(todo.title)}`,
+  ];
+  if (todo.description) {
+    lines.push(`DESCRIPTION:${escapeIcalText(todo.description)}`);
+  }
+  if (type === 'VTODO') {
+    if (todo.dueDate) {
+      lines.push(`DUE:${toIcalDate(todo.dueDate)}`);
+    }
+    lines.push(`STATUS:${todo.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+  } else {
+    // 마감 시각에 시작하는 일정
+    lines.push(`DTSTART:${toIcalDate(todo.dueDate)}`, `DTEND:${toIcalDate(todo.dueDate)}`);
+  }
+  if (todo.tags?.length) {
+    lines.push(`CATEGORIES:${todo.tags.map(escapeIcalText).join(',')}`);
+  }
+  lines.push(`PRIORITY:${ICAL_PRIORITIES[getPriority(todo)]}`, `END:${type}`);
+  return lines;
+}
+
+function toICalendar(todos, type) {
+  const stamp = toIcalDate(new Date());
+  const items = type === 'VEVENT' ? todos.filter(todo => todo.dueDate) : todos;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Todo App//KO',
+    ...items.flatMap(todo => toIcalComponent(todo, type, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldIcalLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * 할일 목록을 파일 내용으로 변환
+ * @param {import('../api/todoApi').TodoItem[]} todos - 내보낼 할일 (보이는 순서대로)
+ * @param {ExportFormat} format - 형식
+ * @returns {string}
+ */
+export function exportTodos(todos, format) {
+  switch (format) {
+    case 'csv':
+      return toCsvText(todos);
+    case 'markdown':
+      return toMarkdown(todos);
+    case 'ics-todo':
+      return toICalendar(todos, 'VTODO');
+    case 'ics-event':
+      return toICalendar(todos, 'VEVENT');
+    default:
+      return toJson(todos);
+  }
+}
+
+/**
+ * 내보낸 내용을 파일로 내려받기
+ * @param {import('../api/todoApi').TodoItem[]} todos - 내보낼 할일
+ * @param {ExportFormat} format - 형식
+ * @param {string} [baseName] - 파일 이름 (확장자와 날짜는 자동으로 붙음)
+ */
+export function downloadTodos(todos, format, baseName = 'todos') {
+  const { extension, mimeType } = EXPORT_FORMATS.find(option => option.value === format) ?? EXPORT_FORMATS[0];
+  const content = exportTodos(todos, format);
+  // 엑셀에서 한글이 깨지지 않도록 CSV에는 BOM을 붙임
+  const blob = new Blob([format === 'csv' ? '\uFEFF' : '', content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName}-${toDateTimeLocalValue(new Date()).slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
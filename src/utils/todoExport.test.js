@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportTodos } from './todoExport.js';
+import { parseImportFile } from './todoImport.js';
+
+describe('iCalendar 내보내기', () => {
+  const title = '분기 보고서 작성 🚀📊 '.repeat(8).trim();
+  const todo = { _id: 't1', title, dueDate: '2025-10-03T00:00:00.000Z', isCompleted: false, tags: [] };
+
+  it('한 줄은 UTF-8로 75바이트를 넘지 않고 글자 중간에서 접지 않음', () => {
+    const lines = exportTodos([todo], 'ics-todo').split('\r\n').filter(Boolean);
+    lines.forEach(line => {
+      assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+      assert.ok(!/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/.test(line), line);
+    });
+    assert.ok(lines.filter(line => line.startsWith(' ')).length > 1);
+  });
+
+  it('접은 제목을 가져오면 원래 제목', () => {
+    const [draft] = parseImportFile(exportTodos([todo], 'ics-todo'), 'ics').drafts;
+    assert.equal(draft.title, title);
+  });
+});
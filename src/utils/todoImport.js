@@ -0,0 +1,374 @@
+// 할일 가져오기 (JSON, CSV, 마크다운 체크리스트, iCalendar)
+// 파일을 읽어 미리보기용 초안을 만들고, 이미 있는 할일과 겹치는 항목을 찾습니다
+
+import { parseCsv, unescapeCsvFormula } from './csv.js';
+import { toDateTimeLocalValue } from './date.js';
+import { normalizeRecurrence } from './recurrence.js';
+import { normalizeSubtasks } from './subtasks.js';
+import { DEFAULT_PRIORITY, PRIORITIES, normalizeTags } from './tags.js';
+import { translationsOf } from '../i18n/i18n.js';
+
+/**
+ * 가져올 할일 초안
+ * @typedef {Object} ImportDraft
+ * @property {string} title - 제목 (비어 있으면 가져오지 않음)
+ * @property {string} description - 설명
+ * @property {string|null} dueDate - 마감일 (ISO 문자열)
+ * @property {boolean} isCompleted - 완료 여부
+ * @property {string[]} tags - 태그
+ * @property {string} priority - 우선순위
+ * @property {import('./subtasks').Subtask[]} subtasks - 하위 작업 (JSON에서만)
+ * @property {import('./recurrence').Recurrence|null} recurrence - 반복 규칙 (JSON에서만, 마감일이 있을 때만)
+ * @property {ImportWarning[]} warnings - 읽지 못한 값 안내
+ * @property {'existing'|'file'|null} [duplicateOf] - 이미 있는 할일 또는 파일 안의 앞 항목과 겹치는지
+ */
+
+/**
+ * 읽지 못한 값 안내 (화면에서 현재 언어로 표시)
+ * @typedef {Object} ImportWarning
+ * @property {'invalidDueDate'|'unknownPriority'|'invalidSubtasks'|'invalidRecurrence'|'recurrenceWithoutDueDate'} code - 안내 종류
+ * @property {string} value - 읽지 못한 원래 값
+ */
+
+/**
+ * 가져오기 형식
+ * @typedef {'json'|'csv'|'markdown'|'ics'} ImportFormat
+ */
+
+/**
+ * 파일 내용을 할일로 읽을 수 없는 형식
+ */
+export class ImportFormatError extends Error {
+  /**
+   * @param {'noTodoArray'} code - 에러 코드 (화면에서 번역)
+   */
+  constructor(code) {
+    super(code);
+    this.name = 'ImportFormatError';
+    this.code = code;
+  }
+}
+
+// CSV 열에 연결할 수 있는 필드 (빈 값은 사용 안 함, 표시 이름은 labelKey 문구)
+export const IMPORT_FIELDS = [
+  { value: '', labelKey: 'importExport.fields.none' },
+  { value: 'title', labelKey: 'todo.fields.title' },
+  { value: 'description', labelKey: 'todo.fields.description' },
+  { value: 'dueDate', labelKey: 'todo.fields.dueDate' },
+  { value: 'isCompleted', labelKey: 'todo.fields.isCompleted' },
+  { value: 'tags', labelKey: 'todo.fields.tags' },
+  { value: 'priority', labelKey: 'todo.fields.priority' },
+];
+
+// 머리글로 필드를 짐작할 때 쓰는 이름 (소문자)
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'subject', 'summary', 'task', '제목', '할일', '이름'],
+  description: ['description', 'notes', 'note', 'memo', 'details', '설명', '메모', '내용'],
+  dueDate: ['duedate', 'due', 'due date', 'deadline', 'date', '마감일', '마감', '기한', '날짜'],
+  isCompleted: ['iscompleted', 'completed', 'done', 'status', '완료', '완료 여부', '상태'],
+  tags: ['tags', 'tag', 'labels', 'categories', '태그', '분류'],
+  priority: ['priority', '우선순위', '중요도'],
+};
+
+const TRUTHY_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed', 'o', '완료', '예', '✓', '✔'];
+
+// iCalendar 우선순위 (1~9, 작을수록 높음) → 앱 우선순위
+function priorityFromIcal(value) {
+  const number = Number(value);
+  if (!number) return DEFAULT_PRIORITY;
+  if (number <= 2) return 'urgent';
+  if (number <= 4) return 'high';
+  if (number === 5) return 'medium';
+  return 'low';
+}
+
+// 우선순위 값 또는 표시 이름(낮음/보통...)
+function parsePriority(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^\d$/.test(text)) {
+    return priorityFromIcal(text);
+  }
+  return PRIORITIES.find(option => (
+    option.value === text || translationsOf(option.labelKey).some(label => label.toLowerCase() === text)
+  ))?.value ?? null;
+}
+
+/**
+ * 날짜 문자열을 ISO 문자열로 (YYYY-MM-DD는 그날 로컬 자정)
+ * @param {string} value - 날짜
+ * @returns {string|null} 읽지 못하면 null
+ */
+function parseDateValue(value) {
+  const text = String(value ?? '').trim();
+  const dateOnly = text.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/);
+  const date = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 읽어 온 값으로 초안 만들기 (잘못된 값은 비우고 안내 문구를 남김)
+ * @param {Object} raw - 필드별 값 (문자열 또는 JSON 값)
+ * @returns {ImportDraft}
+ */
+function toDraft(raw) {
+  const warnings = [];
+
+  let dueDate = null;
+  if (raw.dueDate) {
+    dueDate = parseDateValue(raw.dueDate);
+    if (!dueDate) {
+      warnings.push({ code: 'invalidDueDate', value: String(raw.dueDate) });
+    }
+  }
+
+  let priority = DEFAULT_PRIORITY;
+  if (raw.priority !== undefined && raw.priority !== null && raw.priority !== '') {
+    priority = parsePriority(raw.priority);
+    if (!priority) {
+      priority = DEFAULT_PRIORITY;
+      warnings.push({ code: 'unknownPriority', value: String(raw.priority) });
+    }
+  }
+
+  const tags = Array.isArray(raw.tags)
+    ? raw.tags
+    : String(raw.tags ?? '').split(/[;,]/);
+
+  // 하위 작업은 내용이 있는 항목만 (문자열이면 그대로 내용으로), ID는 새로 만듦
+  let subtasks = [];
+  if (raw.subtasks !== undefined && raw.subtasks !== null) {
+    const items = Array.isArray(raw.subtasks) ? raw.subtasks : [];
+    const valid = items
+      .map(item => (typeof item === 'string' ? { title: item } : item))
+      .filter(item => item && typeof item === 'object' && typeof item.title === 'string' && item.title.trim());
+    subtasks = normalizeSubtasks(valid.map(({ title, isCompleted }) => ({ title, isCompleted })));
+    if (!Array.isArray(raw.subtasks) || valid.length < items.length) {
+      warnings.push({ code: 'invalidSubtasks', value: JSON.stringify(raw.subtasks) });
+    }
+  }
+
+  // 반복은 마감일을 기준으로 계산하므로 마감일이 없으면 뺌
+  let recurrence = null;
+  if (raw.recurrence !== undefined && raw.recurrence !== null && raw.recurrence !== '') {
+    recurrence = typeof raw.recurrence === 'object' ? normalizeRecurrence(raw.recurrence) : null;
+    if (!recurrence) {
+      warnings.push({ code: 'invalidRecurrence', value: JSON.stringify(raw.recurrence) });
+    } else if (!dueDate) {
+      warnings.push({ code: 'recurrenceWithoutDueDate', value: recurrence.freq });
+      recurrence = null;
+    }
+  }
+
+  return {
+    title: String(raw.title ?? '').trim(),
+    description: String(raw.description ?? '').trim(),
+    dueDate,
+    isCompleted: typeof raw.isCompleted === 'boolean'
+      ? raw.isCompleted
+      : TRUTHY_VALUES.includes(String(raw.isCompleted ?? '').trim().toLowerCase()),
+    tags: normalizeTags(tags),
+    priority,
+    subtasks,
+    recurrence,
+    warnings,
+  };
+}
+
+/**
+ * 파일 이름과 내용으로 형식 짐작
+ * @param {string} fileName - 파일 이름
+ * @param {string} text - 파일 내용
+ * @returns {ImportFormat}
+ */
+export function detectImportFormat(fileName, text) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'ics' || extension === 'ical') return 'ics';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('BEGIN:VCALENDAR')) return 'ics';
+  if (/^\s*[-*]\s+\[[ xX]\]/m.test(trimmed)) return 'markdown';
+  return 'csv';
+}
+
+/**
+ * JSON 읽기 - 할일 배열 또는 { todos } / { items } 형태
+ * @param {string} text - 파일 내용
+ * @returns {ImportDraft[]}
+ */
+function parseJsonTodos(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.todos ?? data?.items;
+  if (!Array.isArray(items)) {
+    throw new ImportFormatError('noTodoArray');
+  }
+  return items.map(item => toDraft(item ?? {}));
+}
+
+/**
+ * 마크다운 체크리스트 읽기 - "- [ ] 제목 📅 2025-10-01 #태그", 들여쓴 다음 줄은 설명
+ * @param {string} text - 파일 내용
+ * @returns {ImportDraft[]}
+ */
+function parseMarkdownTodos(text) {
+  const drafts = [];
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    const item = line.match(/^\s*[-*+]\s+\[([ xX])\]\s*(.*)$/);
+    if (item) {
+      let title = item[2];
+      const due = title.match(/(?:📅|due:)\s*(\d{4}-\d{2}-\d{2})/);
+      title = title.replace(/(?:📅|due:)\s*\d{4}-\d{2}-\d{2}/, '');
+      const tags = [...title.matchAll(/(?:^|\s)#([^\s#]+)/g)].map(match => match[1]);
+      title = title.replace(/(?:^|\s)#[^\s#]+/g, '').trim();
+      current = { title, isCompleted: item[1] !== ' ', dueDate: due?.[1] ?? null, tags, description: [] };
+      drafts.push(current);
+    } else if (current && /^\s+\S/.test(line)) {
+      current.description.push(line.trim());
+    } else if (line.trim()) {
+      // 체크리스트가 아닌 줄이 나오면 설명 이어 붙이기를 멈춤
+      current = null;
+    }
+  });
+  return drafts.map(({ description, ...raw }) => toDraft({ ...raw, description: description.join('\n') }));
+}
+
+// RFC 5545 텍스트 이스케이프 풀기
+function unescapeIcalText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// 20251001, 20251001T090000(로컬), 20251001T090000Z(UTC)
+function parseIcalDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * iCalendar 읽기 - VTODO와 VEVENT를 할일로
+ * @param {string} text - 파일 내용
+ * @returns {ImportDraft[]}
+ */
+function parseICalendarTodos(text) {
+  // 접힌 줄(공백/탭으로 시작)을 앞 줄에 이어 붙임
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const drafts = [];
+  let current = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VTODO' || line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VTODO' || line === 'END:VEVENT') {
+      if (current) {
+        drafts.push(toDraft(current));
+      }
+      current = null;
+      return;
+    }
+    const separator = line.indexOf(':');
+    if (!current || separator < 0) {
+      return;
+    }
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    if (name === 'SUMMARY') current.title = unescapeIcalText(value);
+    else if (name === 'DESCRIPTION') current.description = unescapeIcalText(value);
+    else if (name === 'DUE' || (name === 'DTSTART' && !current.dueDate)) current.dueDate = parseIcalDate(value);
+    else if (name === 'STATUS') current.isCompleted = value.toUpperCase() === 'COMPLETED';
+    else if (name === 'CATEGORIES') current.tags = value.split(/(?<!\\),/).map(unescapeIcalText);
+    else if (name === 'PRIORITY') current.priority = priorityFromIcal(value);
+  });
+  return drafts;
+}
+
+/**
+ * 파일 내용 읽기
+ * @param {string} text - 파일 내용
+ * @param {ImportFormat} format - 형식
+ * @returns {{ drafts: ImportDraft[] } | { headers: string[], rows: string[][] }} CSV는 열 연결 전의 머리글과 행
+ * @throws {Error} 형식에 맞지 않는 내용
+ */
+export function parseImportFile(text, format) {
+  switch (format) {
+    case 'csv': {
+      const [headers = [], ...rows] = parseCsv(text);
+      return { headers, rows };
+    }
+    case 'markdown':
+      return { drafts: parseMarkdownTodos(text) };
+    case 'ics':
+      return { drafts: parseICalendarTodos(text) };
+    default:
+      return { drafts: parseJsonTodos(text) };
+  }
+}
+
+/**
+ * CSV 머리글로 열마다 연결할 필드 짐작 (한 필드는 한 열에만)
+ * @param {string[]} headers - 머리글
+ * @returns {string[]} 열 순서대로의 필드 (모르면 빈 값)
+ */
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const name = header.trim().toLowerCase();
+    const field = Object.keys(FIELD_ALIASES).find(key => !used.has(key) && FIELD_ALIASES[key].includes(name));
+    if (field) {
+      used.add(field);
+    }
+    return field ?? '';
+  });
+}
+
+/**
+ * CSV 행을 열 연결에 따라 초안으로
+ * @param {string[][]} rows - 머리글을 뺀 행
+ * @param {string[]} mapping - 열 순서대로의 필드
+ * @returns {ImportDraft[]}
+ */
+export function mapCsvRows(rows, mapping) {
+  return rows.map(row => {
+    const raw = {};
+    mapping.forEach((field, index) => {
+      if (field && row[index] !== undefined) {
+        raw[field] = unescapeCsvFormula(row[index]);
+      }
+    });
+    return toDraft(raw);
+  });
+}
+
+// 제목(대소문자·공백 무시)과 마감 날짜가 같으면 같은 할일로 봄
+function getDuplicateKey(todo) {
+  const title = todo.title.trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${title}|${todo.dueDate ? toDateTimeLocalValue(todo.dueDate).slice(0, 10) : ''}`;
+}
+
+/**
+ * 이미 있는 할일이나 파일 안의 앞 항목과 겹치는 초안 표시
+ * @param {ImportDraft[]} drafts - 초안
+ * @param {Array<{ title: string, dueDate?: string|null }>} existingTodos - 이미 있는 할일
+ * @returns {ImportDraft[]} duplicateOf가 채워진 초안
+ */
+export function markDuplicates(drafts, existingTodos) {
+  const existingKeys = new Set(existingTodos.map(getDuplicateKey));
+  const seenKeys = new Set();
+  return drafts.map(draft => {
+    const key = getDuplicateKey(draft);
+    const duplicateOf = existingKeys.has(key) ? 'existing' : seenKeys.has(key) ? 'file' : null;
+    seenKeys.add(key);
+    return { ...draft, duplicateOf };
+  });
+}
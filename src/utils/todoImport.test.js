@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImportFile } from './todoImport.js';
+import { exportTodos } from './todoExport.js';
+
+const todo = {
+  _id: 't1',
+  title: '주간 보고',
+  description: '금요일 오전',
+  dueDate: '2025-10-03T00:00:00.000Z',
+  isCompleted: false,
+  tags: ['업무'],
+  priority: 'high',
+  subtasks: [
+    { id: 's1', title: '초안 작성', isCompleted: true },
+    { id: 's2', title: '검토 요청', isCompleted: false },
+  ],
+  recurrence: { freq: 'weekly', interval: 1, until: null, count: null, byWeekday: [4] },
+};
+
+const importJson = (items) => parseImportFile(JSON.stringify({ todos: items }), 'json').drafts;
+
+describe('JSON 가져오기', () => {
+  it('내보낸 하위 작업과 반복 설정을 그대로 다시 읽음', () => {
+    const [draft] = parseImportFile(exportTodos([todo], 'json'), 'json').drafts;
+    assert.deepEqual(draft.subtasks.map(({ title, isCompleted }) => ({ title, isCompleted })), [
+      { title: '초안 작성', isCompleted: true },
+      { title: '검토 요청', isCompleted: false },
+    ]);
+    assert.ok(draft.subtasks.every(subtask => subtask.id));
+    assert.deepEqual(draft.recurrence, todo.recurrence);
+    assert.deepEqual(draft.warnings, []);
+  });
+
+  it('내용이 없거나 형식이 틀린 하위 작업은 빼고 안내', () => {
+    const [draft] = importJson([{ title: '할일', subtasks: ['문자열 항목', { title: '  ' }, null, { title: 3 }] }]);
+    assert.deepEqual(draft.subtasks.map(subtask => subtask.title), ['문자열 항목']);
+    assert.deepEqual(draft.warnings.map(warning => warning.code), ['invalidSubtasks']);
+  });
+
+  it('알 수 없는 반복 설정과 마감일 없는 반복은 빼고 안내', () => {
+    const [unknown, withoutDue] = importJson([
+      { title: '할일', dueDate: '2025-10-03', recurrence: { freq: 'hourly' } },
+      { title: '할일', recurrence: { freq: 'daily' } },
+    ]);
+    assert.equal(unknown.recurrence, null);
+    assert.deepEqual(unknown.warnings.map(warning => warning.code), ['invalidRecurrence']);
+    assert.equal(withoutDue.recurrence, null);
+    assert.deepEqual(withoutDue.warnings.map(warning => warning.code), ['recurrenceWithoutDueDate']);
+  });
+});
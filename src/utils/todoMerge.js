@@ -0,0 +1,177 @@
+// 동시 수정 충돌 병합 도우미
+// 수정 폼 형식의 값(마감일은 datetime-local 문자열)으로
+// 수정을 시작할 때의 값(base), 내가 입력한 값(mine), 서버의 최신 값(theirs)을 필드별로 비교합니다
+
+import { formatDate, toDateTimeLocalValue } from './date';
+import { normalizeSubtasks } from './subtasks';
+import { normalizeRecurrence, formatRecurrence } from './recurrence';
+import { getPriority, getPriorityLabel, normalizeTags } from './tags';
+import { normalizeReminders, getReminderLabel } from './reminders';
+import { t } from '../i18n/i18n';
+import { formatList } from '../i18n/format';
+
+/**
+ * 병합할 필드 (표시 순서대로, 이름은 todo.fields.<key> 문구), combinable이면 양쪽 값을 합칠 수 있음
+ * @type {Array<{ key: string, combinable?: boolean }>}
+ */
+export const MERGE_FIELDS = [
+  { key: 'title' },
+  { key: 'description', combinable: true },
+  { key: 'dueDate' },
+  { key: 'isCompleted' },
+  { key: 'priority' },
+  { key: 'tags', combinable: true },
+  { key: 'recurrence' },
+  { key: 'reminders', combinable: true },
+  { key: 'subtasks', combinable: true },
+  { key: 'autoComplete' },
+];
+
+/**
+ * 할일을 수정 폼 형식으로 변환
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @returns {Object} 수정 폼 값
+ */
+export function toEditingData(todo) {
+  return {
+    title: todo.title,
+    description: todo.description || '',
+    // 마감일을 입력 필드 형식으로 변환 (YYYY-MM-DDTHH:mm) - datetime-local 형식
+    dueDate: toDateTimeLocalValue(todo.dueDate),
+    isCompleted: todo.isCompleted || false,
+    subtasks: todo.subtasks || [],
+    autoComplete: todo.autoComplete || false,
+    recurrence: todo.recurrence || null,
+    tags: todo.tags || [],
+    priority: getPriority(todo),
+    reminders: todo.reminders || [],
+  };
+}
+
+// 비교용으로 정리한 값 (공백, 태그 대소문자/순서처럼 저장하면 같아지는 차이는 무시)
+function normalizeField(key, value) {
+  switch (key) {
+    case 'title':
+    case 'description':
+      return String(value ?? '').trim();
+    case 'tags':
+      return normalizeTags(value).map(tag => tag.toLowerCase()).sort();
+    case 'subtasks':
+      return normalizeSubtasks(value).map(({ title, isCompleted }) => ({ title, isCompleted }));
+    case 'recurrence':
+      return normalizeRecurrence(value);
+    case 'reminders':
+      return normalizeReminders(value);
+    default:
+      return value ?? null;
+  }
+}
+
+function isSameValue(key, a, b) {
+  return JSON.stringify(normalizeField(key, a)) === JSON.stringify(normalizeField(key, b));
+}
+
+/**
+ * 양쪽 값 합치기 (설명은 이어 붙이고, 목록은 합집합)
+ * @param {string} key - 필드
+ * @param {*} mine - 내 값
+ * @param {*} theirs - 서버 값
+ * @returns {*} 합친 값
+ */
+export function combineField(key, mine, theirs) {
+  if (key === 'description') {
+    const a = mine.trim();
+    const b = theirs.trim();
+    if (a.includes(b)) return mine;
+    if (b.includes(a)) return theirs;
+    return `${a}\n\n${b}`;
+  }
+  if (key === 'tags') {
+    return normalizeTags([...theirs, ...mine]);
+  }
+  if (key === 'reminders') {
+    return normalizeReminders([...theirs, ...mine]);
+  }
+  if (key === 'subtasks') {
+    // 서버 순서를 따르고, 양쪽에 다 있는 항목은 내 값, 나만 추가한 항목은 뒤에 붙임
+    const mineById = new Map(mine.map(subtask => [subtask.id, subtask]));
+    const merged = theirs.map(subtask => mineById.get(subtask.id) ?? subtask);
+    const theirIds = new Set(theirs.map(subtask => subtask.id));
+    return [...merged, ...mine.filter(subtask => !theirIds.has(subtask.id))];
+  }
+  return mine;
+}
+
+/**
+ * 내 값과 서버 값이 다른 필드
+ * 한쪽만 바꾼 필드는 바꾼 쪽을, 양쪽 다 바꾼 필드(충돌)는 내 값을 기본으로 고릅니다
+ * @param {Object} base - 수정을 시작할 때의 값
+ * @param {Object} mine - 내가 입력한 값
+ * @param {Object} theirs - 서버의 최신 값
+ * @returns {Array<{ key: string, combinable: boolean, isConflict: boolean, defaultChoice: 'mine'|'theirs' }>}
+ */
+export function getMergeFields(base, mine, theirs) {
+  return MERGE_FIELDS
+    .filter(({ key }) => !isSameValue(key, mine[key], theirs[key]))
+    .map(({ key, combinable = false }) => {
+      const changedByMe = !isSameValue(key, base[key], mine[key]);
+      const changedByThem = !isSameValue(key, base[key], theirs[key]);
+      return {
+        key,
+        combinable,
+        isConflict: changedByMe && changedByThem,
+        defaultChoice: changedByThem && !changedByMe ? 'theirs' : 'mine',
+      };
+    });
+}
+
+/**
+ * 필드별 선택대로 병합한 수정 폼 값
+ * @param {Object} mine - 내가 입력한 값
+ * @param {Object} theirs - 서버의 최신 값
+ * @param {Record<string, 'mine'|'theirs'|'combined'>} choices - 필드별 선택 (없으면 내 값)
+ * @returns {Object} 병합한 값
+ */
+export function mergeEditingData(mine, theirs, choices) {
+  const merged = { ...mine };
+  Object.entries(choices).forEach(([key, choice]) => {
+    if (choice === 'theirs') {
+      merged[key] = theirs[key];
+    } else if (choice === 'combined') {
+      merged[key] = combineField(key, mine[key], theirs[key]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * 병합 화면에 보여줄 필드 값
+ * @param {string} key - 필드
+ * @param {*} value - 수정 폼 형식의 값
+ * @returns {string}
+ */
+export function formatFieldValue(key, value) {
+  switch (key) {
+    case 'dueDate':
+      return value ? formatDate(value) : t('common.none');
+    case 'isCompleted':
+    case 'autoComplete':
+      return value ? t('common.yes') : t('common.no');
+    case 'priority':
+      return getPriorityLabel(value);
+    case 'tags':
+      return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : t('common.none');
+    case 'recurrence':
+      return formatRecurrence(value) || t('recurrence.none');
+    case 'reminders':
+      return value.length > 0 ? formatList(normalizeReminders(value).map(getReminderLabel)) : t('common.none');
+    case 'subtasks': {
+      const subtasks = normalizeSubtasks(value);
+      return subtasks.length > 0
+        ? subtasks.map(subtask => `${subtask.isCompleted ? '☑' : '☐'} ${subtask.title}`).join('\n')
+        : t('common.none');
+    }
+    default:
+      return String(value ?? '').trim() || t('common.none');
+  }
+}
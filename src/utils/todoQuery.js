@@ -0,0 +1,154 @@
+// 할일 검색/정렬/마감일 필터
+// 서버가 같은 쿼리 파라미터를 지원하면 서버에서 먼저 걸러지고, 지원하지 않더라도 화면에서 같은 규칙으로 다시 걸러 결과가 같도록 합니다
+
+// 목 서버(Node)에서도 불러오므로 확장자까지 적음
+import { getPriority, getPriorityRank, isSameTag } from './tags.js';
+import { matchesList } from './lists.js';
+import { compareByPosition } from './ordering.js';
+
+// 정렬 옵션 (빈 값은 끌어다 놓아 직접 정한 순서)
+export const SORT_OPTIONS = [
+  { value: '', labelKey: 'sort.manual' },
+  { value: 'overdue', labelKey: 'sort.overdue' },
+  { value: 'dueDate', labelKey: 'sort.dueDate' },
+  { value: 'priority', labelKey: 'sort.priority' },
+  { value: 'createdAt', labelKey: 'sort.createdAt' },
+  { value: 'updatedAt', labelKey: 'sort.updatedAt' },
+  { value: 'title', labelKey: 'sort.title' },
+];
+
+// 마감일 필터 (여러 개 선택하면 하나라도 해당하면 표시)
+export const DUE_FILTERS = [
+  { value: 'overdue', labelKey: 'dueFilters.overdue' },
+  { value: 'today', labelKey: 'dueFilters.today' },
+  { value: 'this-week', labelKey: 'dueFilters.thisWeek' },
+  { value: 'no-due', labelKey: 'dueFilters.noDue' },
+];
+
+/**
+ * 검색어를 공백 기준 단어 목록으로 변환
+ * @param {string} query - 검색어
+ * @returns {string[]} 소문자 단어 목록
+ */
+export function getSearchTerms(query) {
+  return query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * 제목/설명/태그에 모든 검색 단어가 포함되는지 확인
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @param {string[]} terms - 검색 단어
+ * @returns {boolean}
+ */
+export function matchesSearch(todo, terms) {
+  const text = `${todo.title} ${todo.description || ''} ${(todo.tags || []).join(' ')}`.toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+// 이번 주 범위 (월요일 0시 ~ 다음 주 월요일 0시, 로컬 시간 기준)
+function getWeekRange(now) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  const end = new Date(start);
+  end.setDate(end.getDate() + 7);
+  return [start, end];
+}
+
+/**
+ * 기한이 지난 미완료 할일인지 확인
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @param {Date} [now] - 기준 시각
+ * @returns {boolean}
+ */
+export function isOverdue(todo, now = new Date()) {
+  return Boolean(todo.dueDate) && !todo.isCompleted && new Date(todo.dueDate) < now;
+}
+
+/**
+ * 마감일 필터 하나에 해당하는지 확인
+ * @param {import('../api/todoApi').TodoItem} todo - 할일
+ * @param {string} dueFilter - DUE_FILTERS의 값
+ * @param {Date} now - 기준 시각
+ * @returns {boolean}
+ */
+function matchesDueFilter(todo, dueFilter, now) {
+  if (dueFilter === 'no-due') {
+    return !todo.dueDate;
+  }
+  if (!todo.dueDate) {
+    return false;
+  }
+  const dueDate = new Date(todo.dueDate);
+  if (dueFilter === 'overdue') {
+    return isOverdue(todo, now);
+  }
+  if (dueFilter === 'today') {
+    return dueDate.toDateString() === now.toDateString();
+  }
+  if (dueFilter === 'this-week') {
+    const [start, end] = getWeekRange(now);
+    return dueDate >= start && dueDate < end;
+  }
+  return true;
+}
+
+// 날짜 비교 (값이 없으면 맨 뒤)
+function compareDates(a, b, direction) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return (new Date(a) - new Date(b)) * direction;
+}
+
+const comparators = {
+  dueDate: (a, b) => compareDates(a.dueDate, b.dueDate, 1),
+  createdAt: (a, b) => compareDates(a.createdAt, b.createdAt, -1),
+  updatedAt: (a, b) => compareDates(a.updatedAt || a.createdAt, b.updatedAt || b.createdAt, -1),
+  title: (a, b) => a.title.localeCompare(b.title, 'ko'),
+  // 우선순위가 같으면 마감일 빠른 순
+  priority: (a, b) => getPriorityRank(b) - getPriorityRank(a) || compareDates(a.dueDate, b.dueDate, 1),
+};
+
+/**
+ * 검색어, 목록, 마감일/태그/우선순위 필터, 정렬을 적용한 목록
+ * @param {import('../api/todoApi').TodoItem[]} todos - 할일 목록
+ * @param {Object} query
+ * @param {string} [query.q] - 검색어
+ * @param {string[]} [query.due] - 마감일 필터 목록
+ * @param {string} [query.tag] - 이 태그가 붙은 할일만
+ * @param {string} [query.priority] - 이 우선순위의 할일만
+ * @param {string} [query.list] - 이 목록의 할일만 (INBOX_LIST_ID면 목록 없는 할일)
+ * @param {string} [query.sort] - 정렬 기준
+ * @param {Date} [now] - 기준 시각
+ * @returns {import('../api/todoApi').TodoItem[]} 결과 목록 (원본은 변경하지 않음)
+ */
+export function queryTodos(todos, { q = '', due = [], tag = '', priority = '', list = '', sort = '' }, now = new Date()) {
+  const terms = getSearchTerms(q);
+  let result = todos.filter(todo =>
+    (terms.length === 0 || matchesSearch(todo, terms)) &&
+    (due.length === 0 || due.some(dueFilter => matchesDueFilter(todo, dueFilter, now))) &&
+    (!tag || (todo.tags || []).some(todoTag => isSameTag(todoTag, tag))) &&
+    (!priority || getPriority(todo) === priority) &&
+    matchesList(todo, list)
+  );
+
+  if (sort === 'overdue') {
+    // 기한 지난 항목을 먼저, 그 안에서는 마감일 빠른 순
+    result = [...result].sort((a, b) =>
+      Number(isOverdue(b, now)) - Number(isOverdue(a, now)) || comparators.dueDate(a, b)
+    );
+  } else {
+    result = [...result].sort(comparators[sort] || compareByPosition);
+  }
+  return result;
+}
+
+/**
+ * 주소의 ?due= 값 파싱 (알 수 없는 값 제외)
+ * @param {string|null} value - 쉼표로 구분된 필터 값
+ * @returns {string[]}
+ */
+export function parseDueFilters(value) {
+  const known = DUE_FILTERS.map(option => option.value);
+  return (value || '').split(',').filter(item => known.includes(item));
+}
@@ -0,0 +1,17 @@
+// 할일 입력 폼 검증 (서버에 보내기 전에 바로 알려줄 수 있는 것만)
+// 에러는 서버 검증과 같은 코드로 돌려주며, 문구는 화면에서 errors.field.<코드>로 번역합니다
+
+/**
+ * 추가/수정 폼 입력값 검증 - 제목부터 확인해 처음 걸린 필드 하나만 알려줌
+ * @param {{ title: string, dueDate?: string|null, recurrence?: Object|null }} inputs - 폼 입력값
+ * @returns {Record<string, string>} 필드 → 에러 코드 (문제가 없으면 빈 객체)
+ */
+export function validateTodoInput({ title, dueDate, recurrence }) {
+  if (!title.trim()) {
+    return { title: 'TITLE_REQUIRED' };
+  }
+  if (recurrence && !dueDate) {
+    return { dueDate: 'RECURRENCE_NEEDS_DUE_DATE' };
+  }
+  return {};
+}
@@ -0,0 +1,39 @@
+// 휴지통 도우미
+// 삭제한 할일은 바로 지우지 않고 휴지통에 보관했다가 보관 기간이 지나면 영구 삭제합니다 (목 서버에서도 사용)
+
+// 기본 보관 기간 (일) - 서버가 다른 값을 알려주면 그 값을 사용
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 영구 삭제될 시각
+ * @param {string} deletedAt - 삭제한 시각
+ * @param {number} [retentionDays] - 보관 기간 (일)
+ * @returns {Date}
+ */
+export function getPurgeDate(deletedAt, retentionDays = TRASH_RETENTION_DAYS) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * 영구 삭제까지 남은 날짜 (올림, 지났으면 0)
+ * @param {string} deletedAt - 삭제한 시각
+ * @param {number} [retentionDays] - 보관 기간 (일)
+ * @param {Date} [now] - 기준 시각
+ * @returns {number}
+ */
+export function getDaysUntilPurge(deletedAt, retentionDays = TRASH_RETENTION_DAYS, now = new Date()) {
+  return Math.max(0, Math.ceil((getPurgeDate(deletedAt, retentionDays) - now) / DAY_MS));
+}
+
+/**
+ * 보관 기간이 지나 영구 삭제할 항목인지 확인
+ * @param {{ deletedAt?: string|null }} todo - 할일
+ * @param {number} [retentionDays] - 보관 기간 (일)
+ * @param {Date} [now] - 기준 시각
+ * @returns {boolean}
+ */
+export function isPurgeDue(todo, retentionDays = TRASH_RETENTION_DAYS, now = new Date()) {
+  return Boolean(todo.deletedAt) && getPurgeDate(todo.deletedAt, retentionDays) <= now;
+}
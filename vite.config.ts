@@ -1,9 +1,29 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// 빌드한 파일 목록을 서비스 워커(public/sw.js)에 넣어 설치할 때 미리 받아 두게 함
+// 파일 이름이 바뀌면 버전도 바뀌므로 새 배포를 새 서비스 워커로 알아챔
+function serviceWorkerManifest(): Plugin {
+  return {
+    name: 'service-worker-manifest',
+    apply: 'build',
+    async writeBundle(options, bundle) {
+      const outDir = options.dir ?? 'dist'
+      const assets = Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')).map(fileName => `/${fileName}`)
+      const version = createHash('sha256').update(assets.sort().join('\n')).digest('hex').slice(0, 12)
+      const swPath = join(outDir, 'sw.js')
+      const source = await readFile(swPath, 'utf8')
+      await writeFile(swPath, source.replace('self.__BUILD_MANIFEST__', JSON.stringify({ version, assets })))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerManifest()],
   server: {
     host: 'localhost', // localhost로 명시적으로 설정
     port: 5173, // 포트 번호 명시